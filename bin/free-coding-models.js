@@ -21,13 +21,14 @@
  *   - JSON config stored in ~/.free-coding-models.json (auto-migrates from old plain-text)
  *   - Multi-provider support via sources.js (NIM/Groq/Cerebras/OpenRouter/Hugging Face/Replicate/DeepInfra/... — extensible)
  *   - Settings screen (P key) to manage API keys, provider toggles, and manual updates
+ *   - Config profiles (Shift+S / Shift+P) — a new profile extends the active one; Settings marks inherited vs overridden values
  *   - Favorites system: toggle with F, pin rows to top, persist between sessions
  *   - Uptime percentage tracking (successful pings / total pings)
  *   - Sortable columns (R/Y/O/M/L/A/S/N/H/V/B/U keys)
  *   - Tier filtering via T key (cycles S+→S→A+→A→A-→B+→B→C→All)
  *
  *   → Functions:
- *   - `loadConfig` / `saveConfig` / `getApiKey`: Multi-provider JSON config via lib/config.js
+ *   - `loadConfig` / `saveConfig` / `getApiKey`: Multi-provider JSON config via lib/config.js (+ project config layered over it)
  *   - `getTelemetryDistinctId`: Generate/reuse a stable anonymous ID for telemetry
  *   - `getTelemetryTerminal`: Infer terminal family (Terminal.app, iTerm2, kitty, etc.)
  *   - `isTelemetryDebugEnabled` / `telemetryDebug`: Optional runtime telemetry diagnostics via env
@@ -35,7 +36,18 @@
  *   - `ensureFavoritesConfig` / `toggleFavoriteModel`: Persist and toggle pinned favorites
  *   - `promptApiKey`: Interactive wizard for first-time multi-provider API key setup
  *   - `promptModeSelection`: Startup menu to choose OpenCode vs OpenClaw
- *   - `buildPingRequest` / `ping`: Build provider-specific probe requests and measure latency
+ *   - `buildPingRequest` / `ping`: Build provider-specific probe requests and measure latency (+ rate-limit headers, classified errors)
+ *   - `monitorQuotaBackoff`: Skip pings for rate-limited models / spent daily budgets (lib/quota.js)
+ *   - `pingLimiter`: Per-provider concurrency cap around every ping; the TUI/serve loops use isPingDue (lib/scheduler.js)
+ *   - `providerRequest`: Limiter + daily budget accounting shared by pings, benchmarks and capability probes
+ *   - `applyCustomProviders`: Merge user-defined providers into sources/MODELS at startup
+ *   - `refreshCatalogs` / `applyDiscoveredCatalogs`: Live /models discovery, diffed against sources.js
+ *   - `runCatalogCommand`: `catalog` subcommand — print new / gone models per provider
+ *   - `buildOpenCodeCustomProvider`: opencode.json provider block for a user-defined provider
+ *   - `ensureOpenCodeProvider`: Create a provider's opencode.json block if missing (shared by all OpenCode writes)
+ *   - `syncOpenCodeRoles` / `applyOpenCodeRoleAssignments`: Shift+A role marks → small_model / agent.<name>.model (extra roles next to the Enter row)
+ *   - `benchmarkModel` / `benchmarkResults`: Stream a coding prompt to measure TTFT and tokens/sec
+ *   - `probeCapabilities` / `probeResults`: Check tool calling, JSON mode and streaming (Caps column)
  *   - `renderTable`: Generate ASCII table with colored latency indicators and status emojis
  *   - `getAvg`: Calculate average latency from all successful pings
  *   - `getVerdict`: Determine verdict string based on average latency (Overloaded for 429)
@@ -44,10 +56,24 @@
  *   - `checkNvidiaNimConfig`: Check if NVIDIA NIM provider is configured in OpenCode
  *   - `isTcpPortAvailable` / `resolveOpenCodeTmuxPort`: Pick a safe OpenCode port when running in tmux
  *   - `startOpenCode`: Launch OpenCode CLI with selected model (configures if needed)
+ *   - `startRepairProxy` / `registerRepairProvider`: Tool-call repair proxy for ZAI and known-bad models (lib/repair-proxy.js)
  *   - `startOpenCodeDesktop`: Set model in shared config & open OpenCode Desktop app
- *   - `loadOpenClawConfig` / `saveOpenClawConfig`: Manage ~/.openclaw/openclaw.json
- *   - `startOpenClaw`: Set selected model as default in OpenClaw config (remote, no launch)
+ *   - `loadOpenClawConfig`: Read ~/.openclaw/openclaw.json (writes go through commitConfigWithPreview)
+ *   - `readToolConfig` / `toolConfigContent`: JSONC / JSON5 read + comment-preserving write, refusing broken files (lib/jsonc.js)
+ *   - `commitConfigWithPreview` / `commitConfigsWithPreview` / `printConfigDiff` / `confirmWrite`: Diff preview + confirmation + backup ring (lib/config-writes.js)
+ *   - `runRollbackCommand`: `rollback` subcommand — restore the previous version of a tool config
+ *   - `runReplayCommand`: `replay` subcommand — re-send a request from the repair proxy traffic log (lib/proxy-log.js)
+ *   - `promptHidden` / `ensureVaultUnlocked` / `warmApiKeys`: Secret-store lookups before the TUI takes the terminal (lib/secrets.js)
+ *   - `runSecretsCommand`: `secrets` subcommand — key sources per provider, migrate plaintext keys, store one key
+ *   - `runDoctorCommand`: `doctor` subcommand — config schema, keys, tools, paths and provider reachability (lib/doctor.js)
+ *   - `runProfileCommand`: `profile export|import` — shareable profile files without keys, import preview (lib/profile-share.js)
+ *   - `startOpenClaw`: Set selected model (any provider) as default in OpenClaw config (remote, no launch)
+ *   - `startIntegrationTarget`: Write the selected model into Aider / Continue / Cline-Roo / Codex / Goose config (lib/targets.js)
  *   - `filterByTier`: Filter models by tier letter prefix (S, A, B, C)
+ *   - `runPingRounds`: Headless ping loop shared by --json / --ndjson and `recommend`
+ *   - `runHeadlessMode`: Ping for N rounds / a duration and print JSON or NDJSON (no TUI)
+ *   - `runRecommendCommand`: `recommend` subcommand — headless Smart Recommend ranking with score breakdowns, optional --apply
+ *   - `runServeMode`: Local OpenAI-compatible router that fails over between the best live models
  *   - `main`: Orchestrates CLI flow, wizard, ping loops, animation, and output
  *
  *   📦 Dependencies:
@@ -74,10 +100,28 @@
  *   - --opencode: OpenCode CLI mode (launch CLI with selected model)
  *   - --opencode-desktop: OpenCode Desktop mode (set model & open Desktop app)
  *   - --openclaw: OpenClaw mode (set selected model as default in OpenClaw)
+ *   - --target <name>: Integration target for Enter (opencode, opencode-desktop, openclaw, aider, continue, cline, codex, goose)
  *   - --best: Show only top-tier models (A+, S, S+)
+ *   - --recommend [--task <name>] [--priority speed|quality|balanced] [--context small|medium|large]: Open Smart Recommend
+ *     (tasks include config `customTaskTypes`; all three answers skip the questionnaire)
+ *   - recommend --task <name> [--priority <p>] [--context <c>] [--duration 10s] [--apply <tool>] [--json]: Headless Smart Recommend
  *   - --fiable: Analyze 10s and output the most reliable model
  *   - --no-telemetry: Disable anonymous usage analytics for this run
  *   - --tier S/A/B/C: Filter models by tier letter (S=S+/S, A=A+/A/A-, B=B+/B, C=C)
+ *   - --json / --ndjson: Headless machine-readable output (with --rounds <n> or --duration <15s>)
+ *   - --no-history: Don't record pings to (or seed from) ~/.free-coding-models/history/
+ *   - --benchmark: Stream a coding prompt to every model that is up (TTFT + tokens/sec columns)
+ *   - --probe: Check tool calling / JSON mode / streaming on every model that is up (Caps column)
+ *   - catalog [--refresh] [--json]: Show models each provider serves live vs the built-in catalog
+ *   - --no-discovery: Skip live /models discovery (static catalog only)
+ *   - rollback [--target opencode|openclaw|openclaw-models|<tool>]: Restore the previous version of a tool config
+ *   - --proxy-log: Record the repair proxy's requests/responses to ~/.free-coding-models/proxy-log/ (keys redacted)
+ *   - replay [list|last|<id>] [--model provider/model] [--json]: Re-send a logged proxy request and check its tool calls
+ *   - secrets [status|migrate [--store vault|pass|gopass]|set <provider> [ref]]: Keep API keys in a secret store
+ *   - doctor [--fix] [--json]: Check the setup and print a fix for each problem (--fix saves the migrated config)
+ *   - profile export <name> [file] [--strip-keys]: Write a profile to a shareable file (keys become env: references)
+ *   - profile import <file|url> [--name <n>] [--replace]: Merge (or replace) a shared profile after a preview
+ *   - serve [--port 8765]: Run the localhost OpenAI-compatible router (/v1/chat/completions, /v1/models)
  *
  *   @see {@link https://build.nvidia.com} NVIDIA API key generation
  *   @see {@link https://github.com/opencode-ai/opencode} OpenCode repository
@@ -86,17 +130,32 @@
 
 import chalk from 'chalk'
 import { createRequire } from 'module'
-import { readFileSync, writeFileSync, existsSync, copyFileSync, mkdirSync } from 'fs'
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
 import { randomUUID } from 'crypto'
 import { homedir } from 'os'
 import { join, dirname } from 'path'
 import { createServer } from 'net'
 import { createServer as createHttpServer } from 'http'
-import { request as httpsRequest } from 'https'
 import { MODELS, sources } from '../sources.js'
-import { patchOpenClawModelsJson } from '../patch-openclaw-models.js'
-import { getAvg, getVerdict, getUptime, getP95, getJitter, getStabilityScore, sortResults, filterByTier, findBestModel, parseArgs, TIER_ORDER, VERDICT_ORDER, TIER_LETTER_MAP, scoreModelForTask, getTopRecommendations, TASK_TYPES, PRIORITY_TYPES, CONTEXT_BUDGETS, formatCtxWindow, labelFromId, repairJson, repairToolCallArgs } from '../lib/utils.js'
-import { loadConfig, saveConfig, getApiKey, isProviderEnabled, saveAsProfile, loadProfile, listProfiles, deleteProfile, getActiveProfileName, setActiveProfile, _emptyProfileSettings, getSettings, saveSettings } from '../lib/config.js'
+import { planOpenClawModelsJson, MODELS_JSON as OPENCLAW_MODELS_JSON } from '../patch-openclaw-models.js'
+import { getAvg, getVerdict, getUptime, getP95, getJitter, getStabilityScore, sortResults, filterByTier, findBestModel, parseArgs, buildResultSummary, isFailoverStatus, rankRoutableModels, splitSseEvents, computeThroughput, BENCHMARK_PROMPT, BENCHMARK_MAX_TOKENS, PROBE_TOOL, PROBE_TOOL_PROMPT, PROBE_JSON_PROMPT, evaluateToolCallResponse, evaluateJsonModeResponse, evaluateStreamEvents, TIER_ORDER, VERDICT_ORDER, TIER_LETTER_MAP, scoreModelForTask, getTopRecommendations, PRIORITY_TYPES, CONTEXT_BUDGETS, resolveTaskTypes, formatCtxWindow, labelFromId, repairJson, OPENCODE_ROLES, OPENCODE_ROLE_TAGS, openCodeRolesOf, toggleOpenCodeRole, applyOpenCodeRoles } from '../lib/utils.js'
+import { appendHistory, loadRecentPings, pruneHistory } from '../lib/history.js'
+import { loadCustomProviders, registerCustomProviders, buildCustomProviderHeaders } from '../lib/custom-providers.js'
+import { parseRateLimitHeaders, quotaBackoff, quotaFraction, formatQuotaWait, loadQuotaUsage, reserveQuotaUsage, recordQuotaUsage, getQuotaUsed, PROVIDER_DAILY_LIMITS } from '../lib/quota.js'
+import { createProviderLimiter, isPingDue, SCHEDULER_TICK_MS } from '../lib/scheduler.js'
+import { classifyNetworkError, classifyHttpError, classifyResponseBody } from '../lib/errors.js'
+import { INTEGRATION_TARGETS, UNSUPPORTED_TARGET_PROVIDERS, resolveTargetName, targetBaseUrl, planTargetWrite } from '../lib/targets.js'
+import { openClawModelRef, applyOpenClawModel } from '../lib/openclaw.js'
+import { unifiedDiff, commitConfigWrite, rollbackConfig, MAX_BACKUPS } from '../lib/config-writes.js'
+import { JsoncParseError, parseJsonc, updateJsonc } from '../lib/jsonc.js'
+import { createRepairProxy, upstreamFromSource, needsRepairProxy, repairSseBody, repairJsonBody, collectToolCalls } from '../lib/repair-proxy.js'
+import { appendProxyLog, pruneProxyLog, readProxyLog, findProxyLogEntry, proxyLogFileForDate } from '../lib/proxy-log.js'
+import { discoverCatalogs, diffCatalog, modelsEndpointFor, toCatalogId, isLikelyChatModel, DISCOVERY_UNSUPPORTED, CATALOG_CACHE_PATH } from '../lib/discovery.js'
+import { parseSecretRef, isSecretRef, secretErrors, prefetchSecret, deferSecretLookups, unlockVault, isVaultUnlocked, getVaultPath, storeSecret, migrateApiKeys, WRITABLE_STORES, VAULT_PASSPHRASE_ENV } from '../lib/secrets.js'
+import { runDoctor, doctorExitCode } from '../lib/doctor.js'
+import { exportProfile, parseProfileFile, mergeImportedProfile } from '../lib/profile-share.js'
+import { validateConfig, pendingMigrations, migrateConfig } from '../lib/config-schema.js'
+import { loadConfig, saveConfig, getApiKey, setApiKey, getApiKeySource, isProviderEnabled, getProjectConfig, getFavorites, registerProviderEnvVars, getProviderEnvVar, CONFIG_PATH, DATA_DIR, saveAsProfile, loadProfile, resolveProfile, listProfiles, deleteProfile, getActiveProfileName, setActiveProfile, _emptyProfileSettings, getSettings, saveSettings } from '../lib/config.js'
 
 const require = createRequire(import.meta.url)
 const readline = require('readline')
@@ -270,7 +329,7 @@ function toFavoriteKey(providerKey, modelId) {
 // 📖 Sync per-row favorite metadata from config (used by renderer and sorter).
 function syncFavoriteFlags(results, config) {
   ensureFavoritesConfig(config)
-  const favoriteRankMap = new Map(config.favorites.map((entry, index) => [entry, index]))
+  const favoriteRankMap = new Map(getFavorites(config).map((entry, index) => [entry, index]))
   for (const row of results) {
     const favoriteKey = toFavoriteKey(row.providerKey, row.modelId)
     const rank = favoriteRankMap.get(favoriteKey)
@@ -282,9 +341,11 @@ function syncFavoriteFlags(results, config) {
 
 // 📖 Toggle favorite state and persist immediately.
 // 📖 Returns true when row is now favorite, false when removed.
+// 📖 Favorites pinned by the project config stay pinned — they aren't ours to remove.
 function toggleFavoriteModel(config, providerKey, modelId) {
   ensureFavoritesConfig(config)
   const favoriteKey = toFavoriteKey(providerKey, modelId)
+  if (getProjectConfig(config)?.values.favorites?.includes(favoriteKey)) return true
   const existingIndex = config.favorites.indexOf(favoriteKey)
   if (existingIndex >= 0) {
     config.favorites.splice(existingIndex, 1)
@@ -296,6 +357,12 @@ function toggleFavoriteModel(config, providerKey, modelId) {
   return true
 }
 
+// 📖 Sync per-row OpenCode roles (small / plan / build / review) from config.openCodeRoles.
+function syncOpenCodeRoles(results, config) {
+  const roles = config.openCodeRoles ?? {}
+  for (const row of results) row.openCodeRoles = openCodeRolesOf(roles, toFavoriteKey(row.providerKey, row.modelId))
+}
+
 // 📖 Create or reuse a persistent anonymous distinct_id for PostHog.
 // 📖 Stored locally in config so one user is stable over time without personal data.
 function getTelemetryDistinctId(config) {
@@ -551,7 +618,13 @@ async function promptApiKey(config) {
     const answer = await ask(chalk.dim(`  Enter key (or Enter to skip): `))
     console.log()
     if (answer) {
-      config.apiKeys[p.key] = answer
+      // 📖 With a secretStore the key goes there and the config only keeps the reference
+      try {
+        setApiKey(config, p.key, answer)
+      } catch (err) {
+        console.log(chalk.red(`  ✖ Could not store the key in ${config.secretStore}: ${err.message}`))
+        console.log()
+      }
     }
   }
 
@@ -565,7 +638,9 @@ async function promptApiKey(config) {
 
   saveConfig(config)
   const savedCount = Object.values(config.apiKeys).filter(v => v).length
-  console.log(chalk.green(`  ✅ ${savedCount} key(s) saved to ~/.free-coding-models.json`))
+  console.log(chalk.green(config.secretStore
+    ? `  ✅ ${savedCount} key(s) saved to ${config.secretStore} (~/.free-coding-models.json keeps the references)`
+    : `  ✅ ${savedCount} key(s) saved to ~/.free-coding-models.json`))
   console.log(chalk.dim('  You can add or change keys anytime with the ') + chalk.yellow('P') + chalk.dim(' key in the TUI.'))
   console.log()
 
@@ -685,6 +760,13 @@ const ALT_HOME   = '\x1b[H'
 
 const PING_TIMEOUT  = 15_000   // 📖 15s per attempt before abort - slow models get more time
 const PING_INTERVAL = 3_000    // 📖 3s between pings — faster feedback for model selection
+const BENCHMARK_TIMEOUT = 60_000    // 📖 60s for a full streamed benchmark answer
+const BENCHMARK_CONCURRENCY = 2     // 📖 Benchmarks burn real tokens — keep only a couple in flight
+const PROBE_TIMEOUT = 30_000        // 📖 30s per capability probe request (tool call, JSON mode, stream)
+const PROBE_CONCURRENCY = 2         // 📖 Each probe is 3 small requests — same budget logic as benchmarks
+
+// 📖 Modes with a hand-written start* function. lib/targets.js adds the other tools after these in the Z cycle.
+const BUILTIN_MODES = ['opencode', 'opencode-desktop', 'openclaw']
 
 const FPS          = 12
 const COL_MODEL    = 22
@@ -859,7 +941,7 @@ function sortResultsWithPinnedFavorites(results, sortColumn, sortDirection) {
 }
 
 // 📖 renderTable: mode param controls footer hint text (opencode vs openclaw)
-function renderTable(results, pendingPings, frame, cursor = null, sortColumn = 'avg', sortDirection = 'asc', pingInterval = PING_INTERVAL, lastPingTime = Date.now(), mode = 'opencode', tierFilterMode = 0, scrollOffset = 0, terminalRows = 0, originFilterMode = 0, activeProfile = null, profileSaveMode = false, profileSaveBuffer = '', hideNoKey = false) {
+function renderTable(results, pendingPings, frame, cursor = null, sortColumn = 'avg', sortDirection = 'asc', pingInterval = PING_INTERVAL, lastPingTime = Date.now(), mode = 'opencode', tierFilterMode = 0, scrollOffset = 0, terminalRows = 0, originFilterMode = 0, activeProfile = null, profileSaveMode = false, profileSaveBuffer = '', hideNoKey = false, rolePicker = null) {
   // 📖 Filter out hidden models for display
   const visibleResults = results.filter(r => !r.hidden)
 
@@ -886,6 +968,8 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
     modeBadge = chalk.bold.rgb(255, 100, 50)(' [🦞 OpenClaw]')
   } else if (mode === 'opencode-desktop') {
     modeBadge = chalk.bold.rgb(0, 200, 255)(' [🖥  Desktop]')
+  } else if (INTEGRATION_TARGETS[mode]) {
+    modeBadge = chalk.bold.rgb(120, 220, 120)(` [🔌 ${INTEGRATION_TARGETS[mode].label}]`)
   } else {
     modeBadge = chalk.bold.rgb(0, 200, 255)(' [💻 CLI]')
   }
@@ -933,6 +1017,10 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
   const W_VERDICT = 14
   const W_STAB = 11
   const W_UPTIME = 6
+  const W_QUOTA = 7
+  const W_TTFT = 7
+  const W_TPS = 7
+  const W_CAPS = 5
 
   // 📖 Sort models using the shared helper
   const sorted = sortResultsWithPinnedFavorites(visibleResults, sortColumn, sortDirection)
@@ -963,6 +1051,10 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
   const verdictH = sortColumn === 'verdict' ? dir + ' Verdict' : 'Verdict'
   const stabH    = sortColumn === 'stability' ? dir + ' Stability' : 'Stability'
   const uptimeH  = sortColumn === 'uptime' ? dir + ' Up%' : 'Up%'
+  const quotaH   = 'Quota'
+  const ttftH    = sortColumn === 'ttft' ? dir + ' TTFT' : 'TTFT'
+  const tpsH     = sortColumn === 'tps' ? dir + ' Tok/s' : 'Tok/s'
+  const capsH    = 'Caps'
 
   // 📖 Helper to colorize first letter for keyboard shortcuts
   // 📖 IMPORTANT: Pad PLAIN TEXT first, then apply colors to avoid alignment issues
@@ -999,9 +1091,16 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
     return chalk.dim('Sta') + chalk.white.bold('B') + chalk.dim('ility' + padding)
   })()
   const uptimeH_c  = sortColumn === 'uptime' ? chalk.bold.cyan(uptimeH.padEnd(W_UPTIME)) : colorFirst(uptimeH, W_UPTIME, chalk.green)
+  // 📖 Quota has no sort key — dim like the benchmark columns
+  const quotaH_c   = chalk.dim(quotaH.padEnd(W_QUOTA))
+  // 📖 Benchmark columns: sort keys E (TTFT) and G (Tok/s) aren't in the labels, so keep them dim — footer lists them
+  const ttftH_c    = sortColumn === 'ttft' ? chalk.bold.cyan(ttftH.padEnd(W_TTFT)) : chalk.dim(ttftH.padEnd(W_TTFT))
+  const tpsH_c     = sortColumn === 'tps' ? chalk.bold.cyan(tpsH.padEnd(W_TPS)) : chalk.dim(tpsH.padEnd(W_TPS))
+  // 📖 Capability badges (T tools, J JSON mode, S streaming) — filled by --probe or Shift+C
+  const capsH_c    = chalk.dim(capsH.padEnd(W_CAPS))
 
-  // 📖 Header with proper spacing (column order: Rank, Tier, SWE%, CTX, Model, Origin, Latest Ping, Avg Ping, Health, Verdict, Stability, Up%)
-  lines.push('  ' + rankH_c + '  ' + tierH_c + '  ' + sweH_c + '  ' + ctxH_c + '  ' + modelH_c + '  ' + originH_c + '  ' + pingH_c + '  ' + avgH_c + '  ' + healthH_c + '  ' + verdictH_c + '  ' + stabH_c + '  ' + uptimeH_c)
+  // 📖 Header with proper spacing (column order: Rank, Tier, SWE%, CTX, Model, Origin, Latest Ping, Avg Ping, Health, Verdict, Stability, Up%, Quota, TTFT, Tok/s, Caps)
+  lines.push('  ' + rankH_c + '  ' + tierH_c + '  ' + sweH_c + '  ' + ctxH_c + '  ' + modelH_c + '  ' + originH_c + '  ' + pingH_c + '  ' + avgH_c + '  ' + healthH_c + '  ' + verdictH_c + '  ' + stabH_c + '  ' + uptimeH_c + '  ' + quotaH_c + '  ' + ttftH_c + '  ' + tpsH_c + '  ' + capsH_c)
 
   // 📖 Separator line
   lines.push(
@@ -1017,7 +1116,11 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
     chalk.dim('─'.repeat(W_STATUS)) + '  ' +
     chalk.dim('─'.repeat(W_VERDICT)) + '  ' +
     chalk.dim('─'.repeat(W_STAB)) + '  ' +
-    chalk.dim('─'.repeat(W_UPTIME))
+    chalk.dim('─'.repeat(W_UPTIME)) + '  ' +
+    chalk.dim('─'.repeat(W_QUOTA)) + '  ' +
+    chalk.dim('─'.repeat(W_TTFT)) + '  ' +
+    chalk.dim('─'.repeat(W_TPS)) + '  ' +
+    chalk.dim('─'.repeat(W_CAPS))
   )
 
   // 📖 Viewport clipping: only render models that fit on screen
@@ -1040,11 +1143,15 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
     const providerName = sources[r.providerKey]?.name ?? r.providerKey ?? 'NIM'
     const source = chalk.green(providerName.padEnd(W_SOURCE))
     // 📖 Favorites: always reserve 2 display columns at the start of Model column.
-    // 📖 🎯 (2 cols) for recommended, ⭐ (2 cols) for favorites, '  ' (2 spaces) for non-favorites — keeps alignment stable.
-    const favoritePrefix = r.isRecommended ? '🎯' : r.isFavorite ? '⭐' : '  '
+    // 📖 🎯 (2 cols) for recommended, ⭐ (2 cols) for favorites, 🆕/👻 for models live discovery found new/gone,
+    // 📖 '  ' (2 spaces) otherwise — keeps alignment stable.
+    const favoritePrefix = r.isRecommended ? '🎯' : r.isFavorite ? '⭐' : r.catalogStatus === 'new' ? '🆕' : r.catalogStatus === 'gone' ? '👻' : '  '
     const prefixDisplayWidth = 2
     const nameWidth = Math.max(0, W_MODEL - prefixDisplayWidth)
-    const name = favoritePrefix + r.label.slice(0, nameWidth).padEnd(nameWidth)
+    // 📖 OpenCode roles marked with Shift+A — short tags at the end of the name ("plan+build")
+    const roleTag = r.openCodeRoles?.length ? ` ${r.openCodeRoles.map(role => OPENCODE_ROLE_TAGS[role]).join('+')}` : ''
+    const labelWidth = Math.max(0, nameWidth - roleTag.length)
+    const name = favoritePrefix + r.label.slice(0, labelWidth).padEnd(labelWidth) + chalk.magentaBright(roleTag)
     const sweScore = r.sweScore ?? '—'
     // 📖 SWE% colorized on the same gradient as Tier:
     //   ≥70% bright neon green (S+), ≥60% green (S), ≥50% yellow-green (A+),
@@ -1122,6 +1229,8 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
       const code = r.httpCode ?? 'ERR'
       // 📖 Different emojis for different error codes
       const errorEmojis = {
+        '402': '💸',  // Payment required / quota spent
+        '403': '🔑',  // Forbidden — key rejected
         '429': '🔥',  // Rate limited / overloaded
         '404': '🚫',  // Not found
         '500': '💥',  // Internal server error
@@ -1130,7 +1239,10 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
         '504': '⏰',  // Gateway timeout
       }
       const emoji = errorEmojis[code] || '❌'
-      statusText = `${emoji} ${code}`
+      // 📖 Concise reason from lib/errors.js ("no model", "bad key", "DNS fail"…) — tells you
+      // 📖 whether to fix the key, drop the model or just wait. Network errors show only the reason.
+      const reason = r.error?.label
+      statusText = reason ? (code === 'ERR' ? `${emoji} ${reason}` : `${emoji} ${code} ${reason}`) : `${emoji} ${code}`
       statusColor = (s) => chalk.red(s)
     } else {
       statusText = '?'
@@ -1218,12 +1330,54 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
       uptimeCell = chalk.red(uptimeStr.padEnd(W_UPTIME))
     }
 
+    // 📖 Quota column — requests left in the provider's current rate-limit window (from response headers).
+    // 📖 ↻ 12m = pings paused by the backoff (429 retry-after, exhausted window, or daily monitoring budget)
+    let quotaCell
+    const quotaLeft = quotaFraction(r.rateLimit)
+    if (r.quotaBackoff) {
+      quotaCell = chalk.yellow(('↻ ' + formatQuotaWait(r.quotaBackoff.until - Date.now())).padEnd(W_QUOTA))
+    } else if (quotaLeft !== null) {
+      const quotaStr = `${Math.round(quotaLeft * 100)}%`.padEnd(W_QUOTA)
+      quotaCell = quotaLeft > 0.5 ? chalk.greenBright(quotaStr) : quotaLeft > 0.1 ? chalk.yellow(quotaStr) : chalk.red(quotaStr)
+    } else if (r.rateLimit?.remaining != null) {
+      quotaCell = chalk.dim(String(r.rateLimit.remaining).slice(0, W_QUOTA).padEnd(W_QUOTA))
+    } else {
+      quotaCell = chalk.dim('———'.padEnd(W_QUOTA))
+    }
+
+    // 📖 Benchmark columns — only filled once the model has been benchmarked (--benchmark or Shift+B)
+    let ttftCell, tpsCell
+    if (r.bench?.status === 'running') {
+      ttftCell = chalk.dim.yellow(`${FRAMES[frame % FRAMES.length]}`.padEnd(W_TTFT))
+      tpsCell = chalk.dim('…'.padEnd(W_TPS))
+    } else if (r.bench?.status === 'error') {
+      ttftCell = chalk.red(String(r.bench.error).slice(0, W_TTFT).padEnd(W_TTFT))
+      tpsCell = chalk.dim('———'.padEnd(W_TPS))
+    } else if (r.bench?.status === 'done') {
+      const ttft = r.bench.ttft
+      const ttftStr = (ttft === null ? '———' : String(ttft)).padEnd(W_TTFT)
+      ttftCell = ttft === null ? chalk.dim(ttftStr) : ttft < 800 ? chalk.greenBright(ttftStr) : ttft < 2500 ? chalk.yellow(ttftStr) : chalk.red(ttftStr)
+      const tps = r.bench.tps
+      const tpsStr = (tps === null ? '———' : String(Math.round(tps))).padEnd(W_TPS)
+      tpsCell = tps === null ? chalk.dim(tpsStr) : tps >= 100 ? chalk.greenBright(tpsStr) : tps >= 40 ? chalk.yellow(tpsStr) : chalk.red(tpsStr)
+    } else {
+      ttftCell = chalk.dim('———'.padEnd(W_TTFT))
+      tpsCell = chalk.dim('———'.padEnd(W_TPS))
+    }
+
     // 📖 When cursor is on this row, render Model and Origin in bright white for readability
-    const nameCell = isCursor ? chalk.white.bold(favoritePrefix + r.label.slice(0, nameWidth).padEnd(nameWidth)) : name
+    const nameCell = isCursor ? chalk.white.bold(favoritePrefix + r.label.slice(0, labelWidth).padEnd(labelWidth)) + chalk.magentaBright(roleTag) : name
     const sourceCell = isCursor ? chalk.white.bold(providerName.padEnd(W_SOURCE)) : source
 
-    // 📖 Build row with double space between columns (order: Rank, Tier, SWE%, CTX, Model, Origin, Latest Ping, Avg Ping, Health, Verdict, Stability, Up%)
-    const row = '  ' + num + '  ' + tier + '  ' + sweCell + '  ' + ctxCell + '  ' + nameCell + '  ' + sourceCell + '  ' + pingCell + '  ' + avgCell + '  ' + status + '  ' + speedCell + '  ' + stabCell + '  ' + uptimeCell
+    // 📖 Capability badges — one letter per capability: green = works, yellow = works after repair, red = no
+    const capsCell = r.capabilities?.status === 'running'
+      ? chalk.dim('…'.padEnd(W_CAPS))
+      : r.capabilities?.status === 'done'
+        ? formatCapabilityBadges(r.capabilities) + ' '.repeat(W_CAPS - 5)
+        : chalk.dim('———'.padEnd(W_CAPS))
+
+    // 📖 Build row with double space between columns (order: Rank, Tier, SWE%, CTX, Model, Origin, Latest Ping, Avg Ping, Health, Verdict, Stability, Up%, Quota, TTFT, Tok/s, Caps)
+    const row = '  ' + num + '  ' + tier + '  ' + sweCell + '  ' + ctxCell + '  ' + nameCell + '  ' + sourceCell + '  ' + pingCell + '  ' + avgCell + '  ' + status + '  ' + speedCell + '  ' + stabCell + '  ' + uptimeCell + '  ' + quotaCell + '  ' + ttftCell + '  ' + tpsCell + '  ' + capsCell
 
     if (isCursor) {
       lines.push(chalk.bgRgb(50, 0, 60)(row))
@@ -1243,7 +1397,18 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
 
    // 📖 Profile save inline prompt — shown when Shift+S is pressed, replaces spacer line
    if (profileSaveMode) {
-     lines.push(chalk.bgRgb(40, 20, 60)(`  📋 Save profile as: ${chalk.cyanBright(profileSaveBuffer + '▏')}  ${chalk.dim('Enter save  •  Esc cancel')}`))
+     // 📖 A new name saved while a profile is active extends it (only the differences are stored)
+     const inheritHint = activeProfile ? `  •  new names extend ${activeProfile}` : ''
+     lines.push(chalk.bgRgb(40, 20, 60)(`  📋 Save profile as: ${chalk.cyanBright(profileSaveBuffer + '▏')}  ${chalk.dim(`Enter save  •  Esc cancel${inheritHint}`)}`))
+   } else if (rolePicker) {
+     // 📖 OpenCode role picker (Shift+A) — one key per role, a model may hold several
+     const held = new Set(openCodeRolesOf(rolePicker.roles, rolePicker.modelKey))
+     const choices = OPENCODE_ROLES.map(role => {
+       const tag = OPENCODE_ROLE_TAGS[role]
+       const label = `[${tag[0].toUpperCase()}]${tag.slice(1)}`
+       return held.has(role) ? chalk.greenBright(`✓ ${label}`) : chalk.dim(`  ${label}`)
+     }).join('  ')
+     lines.push(chalk.bgRgb(40, 20, 60)(`  🧩 OpenCode roles for ${chalk.cyanBright(rolePicker.label)}: ${choices}  ${chalk.dim('letter toggles  •  Enter/Esc done  •  main = the row you launch')}`))
    } else {
      lines.push('')
    }
@@ -1254,11 +1419,13 @@ function renderTable(results, pendingPings, frame, cursor = null, sortColumn = '
     ? chalk.rgb(255, 100, 50)('Enter→SetOpenClaw')
     : mode === 'opencode-desktop'
       ? chalk.rgb(0, 200, 255)('Enter→OpenDesktop')
-      : chalk.rgb(0, 200, 255)('Enter→OpenCode')
+      : INTEGRATION_TARGETS[mode]
+        ? chalk.rgb(120, 220, 120)(`Enter→Set${INTEGRATION_TARGETS[mode].label.replace(/[^A-Za-z]/g, '')}`)
+        : chalk.rgb(0, 200, 255)('Enter→OpenCode')
   // 📖 Line 1: core navigation + sorting shortcuts
-  lines.push(chalk.dim(`  ↑↓ Navigate  •  `) + actionHint + chalk.dim(`  •  `) + chalk.yellow('F') + chalk.dim(` Favorite  •  R/Y/O/M/L/A/S/C/H/V/B/U Sort  •  `) + chalk.yellow('T') + chalk.dim(` Tier  •  `) + chalk.yellow('N') + chalk.dim(` Origin  •  W↓/X↑ (${intervalSec}s)  •  `) + chalk.rgb(255, 100, 50).bold('Z') + chalk.dim(` Mode  •  `) + chalk.yellow('P') + chalk.dim(` Settings  •  `) + chalk.rgb(0, 255, 80).bold('K') + chalk.dim(` Help`))
+  lines.push(chalk.dim(`  ↑↓ Navigate  •  `) + actionHint + chalk.dim(`  •  `) + chalk.yellow('F') + chalk.dim(` Favorite  •  R/Y/O/M/L/A/S/C/H/V/B/U/E/G Sort  •  `) + chalk.yellow('T') + chalk.dim(` Tier  •  `) + chalk.yellow('N') + chalk.dim(` Origin  •  W↓/X↑ (${intervalSec}s)  •  `) + chalk.rgb(255, 100, 50).bold('Z') + chalk.dim(` Mode  •  `) + chalk.yellow('P') + chalk.dim(` Settings  •  `) + chalk.rgb(0, 255, 80).bold('K') + chalk.dim(` Help`))
   // 📖 Line 2: profiles, recommend, feature request, bug report, and extended hints — gives visibility to less-obvious features
-  lines.push(chalk.dim(`  `) + chalk.rgb(200, 150, 255).bold('⇧P') + chalk.dim(` Cycle profile  •  `) + chalk.rgb(200, 150, 255).bold('⇧S') + chalk.dim(` Save profile  •  `) + chalk.rgb(0, 200, 180).bold('Q') + chalk.dim(` Smart Recommend  •  `) + chalk.rgb(57, 255, 20).bold('J') + chalk.dim(` Request feature  •  `) + chalk.rgb(255, 87, 51).bold('I') + chalk.dim(` Report bug  •  `) + chalk.yellow('D') + chalk.dim(` Hide no-key  •  `) + chalk.yellow('Esc') + chalk.dim(` Close overlay  •  Ctrl+C Exit`))
+  lines.push(chalk.dim(`  `) + chalk.rgb(200, 150, 255).bold('⇧P') + chalk.dim(` Cycle profile  •  `) + chalk.rgb(200, 150, 255).bold('⇧S') + chalk.dim(` Save profile  •  `) + chalk.rgb(0, 200, 180).bold('Q') + chalk.dim(` Smart Recommend  •  `) + chalk.rgb(57, 255, 20).bold('J') + chalk.dim(` Request feature  •  `) + chalk.rgb(255, 87, 51).bold('I') + chalk.dim(` Report bug  •  `) + chalk.yellow('D') + chalk.dim(` Hide no-key  •  `) + chalk.yellow('⇧B') + chalk.dim(` Benchmark  •  `) + chalk.yellow('⇧C') + chalk.dim(` Probe caps  •  `) + chalk.magentaBright('⇧A') + chalk.dim(` OpenCode role  •  `) + chalk.yellow('Esc') + chalk.dim(` Close overlay  •  Ctrl+C Exit`))
   lines.push('')
   lines.push(
     chalk.rgb(255, 150, 200)('  Made with 💖 & ☕ by \x1b]8;;https://github.com/vava-nessa\x1b\\vava-nessa\x1b]8;;\x1b\\') +
@@ -1328,6 +1495,15 @@ function buildPingRequest(apiKey, modelId, providerKey, url) {
     }
   }
 
+  if (sources[providerKey]?.custom) {
+    // 📖 User-defined providers declare their own auth header style + extra headers
+    return {
+      url,
+      headers: buildCustomProviderHeaders(sources[providerKey], apiKey),
+      body: { model: apiModelId, messages: [{ role: 'user', content: 'hi' }], max_tokens: 1 },
+    }
+  }
+
   const headers = { 'Content-Type': 'application/json' }
   if (apiKey) headers.Authorization = `Bearer ${apiKey}`
   if (providerKey === 'openrouter') {
@@ -1356,18 +1532,272 @@ async function ping(apiKey, modelId, providerKey, url) {
     })
     // 📖 Normalize all HTTP 2xx statuses to "200" so existing verdict/avg logic still works.
     const code = resp.status >= 200 && resp.status < 300 ? '200' : String(resp.status)
-    return { code, ms: Math.round(performance.now() - t0) }
+    const ms = Math.round(performance.now() - t0)
+    // 📖 Rate-limit headers (remaining / reset / retry-after) — null when the provider sends none
+    const rateLimit = parseRateLimitHeaders(resp.headers)
+    // 📖 The body explains failures ("model not found", "insufficient_quota"…) — see lib/errors.js.
+    // 📖 A 2xx that isn't JSON is no use to a coding tool, so it counts as a failed ping ('ERR').
+    const text = await resp.text().catch(() => null)
+    if (code === '200') {
+      const error = classifyResponseBody(text)
+      return { code: error ? 'ERR' : code, ms, rateLimit, error }
+    }
+    return { code, ms, rateLimit, error: classifyHttpError(resp.status, text) }
   } catch (err) {
     const isTimeout = err.name === 'AbortError'
     return {
       code: isTimeout ? '000' : 'ERR',
-      ms: isTimeout ? 'TIMEOUT' : Math.round(performance.now() - t0)
+      ms: isTimeout ? 'TIMEOUT' : Math.round(performance.now() - t0),
+      error: classifyNetworkError(err),
     }
   } finally {
     clearTimeout(timer)
   }
 }
 
+// ─── Quota awareness ──────────────────────────────────────────────────────────
+// 📖 Monitoring requests per provider today (persisted by lib/quota.js) — loaded on first use
+let quotaUsage = null
+
+// 📖 monitorQuotaBackoff: Should this model's next monitoring ping wait? (see quotaBackoff)
+function monitorQuotaBackoff(r, now = Date.now()) {
+  quotaUsage ??= loadQuotaUsage(now)
+  return quotaBackoff({
+    rateLimit: r.rateLimit ?? null,
+    lastCode: r.pings.length > 0 ? r.pings[r.pings.length - 1].code : null,
+    lastPingAt: r.lastPingAt ?? null,
+    usedToday: getQuotaUsed(quotaUsage, r.providerKey, now),
+    dailyLimit: PROVIDER_DAILY_LIMITS[r.providerKey] ?? null,
+  }, now)
+}
+
+// 📖 Every ping in every mode goes through this — at most N requests in flight per provider
+const pingLimiter = createProviderLimiter()
+
+// 📖 providerRequest: Run one request through the provider's limiter and count it against the
+// 📖 provider's daily budget (when it has one). Pings, benchmarks and capability probes all spend
+// 📖 the same free-tier quota, so all of them go through here.
+async function providerRequest(providerKey, request) {
+  quotaUsage ??= loadQuotaUsage()
+  // 📖 Reserved before the first await so concurrent requests can't all pass the budget check
+  const budgeted = Boolean(PROVIDER_DAILY_LIMITS[providerKey])
+  if (budgeted) reserveQuotaUsage(quotaUsage, providerKey)
+  try {
+    return await pingLimiter.run(providerKey, request)
+  } finally {
+    if (budgeted) recordQuotaUsage(quotaUsage, providerKey)
+  }
+}
+
+// 📖 pingResult: Ping one result with its provider's key/URL, append the ping, update status
+// 📖 and record it in the latency history. Shared by the TUI loop, headless mode and `serve`.
+// 📖 If no API key is configured, pings without auth — a 401 still tells us latency + server is up
+// 📖 Models that are rate-limited or out of monitoring budget are skipped: { skipped: true }
+async function pingResult(config, r, { noHistory = false } = {}) {
+  r.quotaBackoff = monitorQuotaBackoff(r)
+  if (r.quotaBackoff) return { code: null, ms: null, skipped: true }
+
+  const providerApiKey = getApiKey(config, r.providerKey) ?? null
+  const providerUrl = sources[r.providerKey]?.url ?? sources.nvidia.url
+  const { code, ms, rateLimit, error } = await providerRequest(r.providerKey, () => ping(providerApiKey, r.modelId, r.providerKey, providerUrl))
+  r.lastPingAt = Date.now()
+  // 📖 Always replace — stale headers from an older response must not drive the backoff
+  r.rateLimit = rateLimit
+  // 📖 Classified failure reason ({ kind, label, action, detail }), null once the model answers again
+  r.error = error ?? null
+
+  // 📖 Store ping result as object with ms and code
+  // 📖 ms = actual response time (even for errors like 429)
+  // 📖 code = HTTP status code ('200', '429', '500', '000' for timeout)
+  r.pings.push({ ms, code })
+  if (!noHistory) appendHistory({ ts: Date.now(), providerKey: r.providerKey, modelId: r.modelId, ms, code })
+
+  // 📖 Update status based on latest ping
+  if (code === '200') {
+    r.status = 'up'
+  } else if (code === '000') {
+    r.status = 'timeout'
+  } else if (code === '401') {
+    // 📖 401 = server is reachable but no API key set (or wrong key)
+    // 📖 Treated as 'noauth' — server is UP, latency is real, just needs a key
+    r.status = 'noauth'
+    r.httpCode = code
+  } else {
+    r.status = 'down'
+    r.httpCode = code
+  }
+  // 📖 Re-evaluate right away so the Quota column shows a pause as soon as it starts
+  r.quotaBackoff = monitorQuotaBackoff(r)
+  return { code, ms }
+}
+
+// ─── Throughput benchmark ─────────────────────────────────────────────────────
+// 📖 benchmarkModel: Stream BENCHMARK_PROMPT and time the answer.
+// 📖 ping() only measures round-trip overhead (max_tokens: 1); this measures how fast a model
+// 📖 actually generates code: time-to-first-token, tokens/second and total generation time.
+// 📖 Returns computeThroughput() metrics, or { error } with the HTTP code / 'TIMEOUT' / 'ERR'.
+async function benchmarkModel(apiKey, modelId, providerKey, url) {
+  // 📖 Replicate's predictions API doesn't stream OpenAI-style deltas
+  if (providerKey === 'replicate') return { error: 'N/A' }
+  // 📖 The clock starts once the limiter lets the request out, so queueing doesn't count as TTFT
+  return providerRequest(providerKey, async () => {
+    const ctrl = new AbortController()
+    const timer = setTimeout(() => ctrl.abort(), BENCHMARK_TIMEOUT)
+    const t0 = performance.now()
+    try {
+      const req = buildPingRequest(apiKey, modelId, providerKey, url)
+      const resp = await fetch(req.url, {
+        method: 'POST', signal: ctrl.signal,
+        headers: req.headers,
+        body: JSON.stringify({
+          model: req.body.model,
+          messages: [{ role: 'user', content: BENCHMARK_PROMPT }],
+          max_tokens: BENCHMARK_MAX_TOKENS,
+          temperature: 0,
+          stream: true,
+        }),
+      })
+      if (!resp.ok || !resp.body) {
+        await resp.body?.cancel().catch(() => {})
+        return { error: String(resp.status) }
+      }
+
+      const decoder = new TextDecoder()
+      let buffer = ''
+      let ttftMs = null
+      let chars = 0
+      let completionTokens = null
+      for await (const chunk of resp.body) {
+        buffer += decoder.decode(chunk, { stream: true })
+        const { events, rest } = splitSseEvents(buffer)
+        buffer = rest
+        for (const data of events) {
+          if (data === '[DONE]') continue
+          let json
+          try { json = JSON.parse(data) } catch { continue }
+          const delta = json.choices?.[0]?.delta ?? {}
+          // 📖 Reasoning models stream their thinking first — it's still generated tokens
+          const text = (delta.content || '') + (delta.reasoning_content || delta.reasoning || '')
+          if (text) {
+            if (ttftMs === null) ttftMs = performance.now() - t0
+            chars += text.length
+          }
+          if (Number.isFinite(json.usage?.completion_tokens)) completionTokens = json.usage.completion_tokens
+        }
+      }
+      return computeThroughput({ ttftMs, totalMs: performance.now() - t0, completionTokens, chars })
+    } catch (err) {
+      return { error: err.name === 'AbortError' ? 'TIMEOUT' : 'ERR' }
+    } finally {
+      clearTimeout(timer)
+    }
+  })
+}
+
+// 📖 benchmarkResults: Benchmark a list of results with at most BENCHMARK_CONCURRENCY in flight.
+// 📖 Progress lives on each result as r.bench = { status: 'running'|'done'|'error', ... } so the
+// 📖 table can render it live. onDone(r) fires after each model finishes.
+async function benchmarkResults(config, list, onDone = () => {}) {
+  const queue = [...list]
+  const worker = async () => {
+    while (queue.length > 0) {
+      const r = queue.shift()
+      r.bench = { status: 'running' }
+      const metrics = await benchmarkModel(getApiKey(config, r.providerKey), r.modelId, r.providerKey, sources[r.providerKey]?.url ?? sources.nvidia.url)
+      r.bench = metrics.error ? { status: 'error', error: metrics.error } : { status: 'done', ...metrics }
+      onDone(r)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(BENCHMARK_CONCURRENCY, queue.length) }, worker))
+}
+
+// ─── Capability probe ─────────────────────────────────────────────────────────
+// 📖 probeCapabilities: Three small requests that tell whether a model can drive an agent:
+// 📖   1. tools   — PROBE_TOOL offered, tool_calls judged by evaluateToolCallResponse (with / without repair)
+// 📖   2. json    — response_format json_object, content must be a JSON object
+// 📖   3. stream  — stream: true, the SSE body must carry OpenAI-style delta chunks
+// 📖 A 400/422 means the provider rejected the feature ('none' / false). Timeouts, 429s and
+// 📖 network errors leave that capability unknown (null). Requests go through providerRequest.
+// 📖 Returns { tools, json, stream } or { error } when nothing could be checked.
+async function probeCapabilities(apiKey, modelId, providerKey, url) {
+  // 📖 Replicate's predictions API has no tools / response_format / OpenAI-style streaming
+  if (providerKey === 'replicate') return { error: 'N/A' }
+  const req = buildPingRequest(apiKey, modelId, providerKey, url)
+
+  // 📖 post: one probe request → { status, text } or null on timeout / network error
+  const post = (body) => providerRequest(providerKey, async () => {
+    const ctrl = new AbortController()
+    const timer = setTimeout(() => ctrl.abort(), PROBE_TIMEOUT)
+    try {
+      const resp = await fetch(req.url, {
+        method: 'POST', signal: ctrl.signal,
+        headers: req.headers,
+        body: JSON.stringify({ model: req.body.model, temperature: 0, ...body }),
+      })
+      return { status: resp.status, text: await resp.text() }
+    } catch {
+      return null
+    } finally {
+      clearTimeout(timer)
+    }
+  })
+  const rejected = (res) => res && (res.status === 400 || res.status === 422)
+  const parsed = (res) => {
+    if (!res || res.status < 200 || res.status >= 300) return null
+    try { return JSON.parse(res.text) } catch { return undefined }
+  }
+
+  const toolsRes = await post({ messages: [{ role: 'user', content: PROBE_TOOL_PROMPT }], tools: [PROBE_TOOL], tool_choice: 'auto', max_tokens: 128 })
+  const toolsJson = parsed(toolsRes)
+  const tools = rejected(toolsRes) ? 'none' : toolsJson === undefined ? 'broken' : toolsJson ? evaluateToolCallResponse(toolsJson) : null
+
+  const jsonRes = await post({ messages: [{ role: 'user', content: PROBE_JSON_PROMPT }], response_format: { type: 'json_object' }, max_tokens: 64 })
+  const jsonJson = parsed(jsonRes)
+  const json = rejected(jsonRes) ? false : jsonJson === undefined ? false : jsonJson ? evaluateJsonModeResponse(jsonJson) : null
+
+  const streamRes = await post({ messages: [{ role: 'user', content: 'hi' }], max_tokens: 8, stream: true })
+  const stream = rejected(streamRes)
+    ? false
+    : streamRes && streamRes.status >= 200 && streamRes.status < 300
+      ? evaluateStreamEvents(splitSseEvents(streamRes.text + '\n\n').events)
+      : null
+
+  if (tools === null && json === null && stream === null) {
+    const failed = [toolsRes, jsonRes, streamRes].find(Boolean)
+    return { error: failed ? String(failed.status) : 'ERR' }
+  }
+  return { tools, json, stream }
+}
+
+// 📖 probeResults: Probe a list of results with at most PROBE_CONCURRENCY models in flight.
+// 📖 Progress lives on r.capabilities = { status: 'running'|'done'|'error', ... } (Caps column,
+// 📖 Smart Recommend scoring). onDone(r) fires after each model finishes.
+async function probeResults(config, list, onDone = () => {}) {
+  const queue = [...list]
+  const worker = async () => {
+    while (queue.length > 0) {
+      const r = queue.shift()
+      r.capabilities = { status: 'running' }
+      const caps = await probeCapabilities(getApiKey(config, r.providerKey), r.modelId, r.providerKey, sources[r.providerKey]?.url ?? sources.nvidia.url)
+      r.capabilities = caps.error ? { status: 'error', error: caps.error } : { status: 'done', ...caps }
+      onDone(r)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(PROBE_CONCURRENCY, queue.length) }, worker))
+}
+
+// 📖 formatCapabilityBadges: "T J S" — green = works, yellow = tool calls only parse after repair,
+// 📖 red = missing / broken, dim = unknown. Always 5 visible characters wide.
+function formatCapabilityBadges(caps) {
+  const badge = (letter, value) => {
+    if (value === true || value === 'ok') return chalk.greenBright(letter)
+    if (value === 'repaired') return chalk.yellow(letter)
+    if (value === null || value === undefined) return chalk.dim(letter)
+    return chalk.red(letter)
+  }
+  return `${badge('T', caps.tools)} ${badge('J', caps.json)} ${badge('S', caps.stream)}`
+}
+
 // ─── OpenCode integration ──────────────────────────────────────────────────────
 // 📖 Platform-specific config path
 const isWindows = process.platform === 'win32'
@@ -1609,199 +2039,195 @@ function getOpenCodeConfigPath() {
   return OPENCODE_CONFIG
 }
 
+// ─── Config write preview ─────────────────────────────────────────────────────
+// 📖 Diffs longer than this are cut — the rest is still in the file and in the backup ring
+const MAX_DIFF_PREVIEW_LINES = 80
+
+// 📖 printConfigDiff: Colored unified diff (red = removed, green = added, cyan = hunk headers)
+function printConfigDiff(diff) {
+  const lines = diff.trimEnd().split('\n')
+  for (const line of lines.slice(0, MAX_DIFF_PREVIEW_LINES)) {
+    if (line.startsWith('+++') || line.startsWith('---')) console.log(chalk.bold(`  ${line}`))
+    else if (line.startsWith('@@')) console.log(chalk.cyan(`  ${line}`))
+    else if (line.startsWith('+')) console.log(chalk.green(`  ${line}`))
+    else if (line.startsWith('-')) console.log(chalk.red(`  ${line}`))
+    else console.log(chalk.dim(`  ${line}`))
+  }
+  if (lines.length > MAX_DIFF_PREVIEW_LINES) console.log(chalk.dim(`  … ${lines.length - MAX_DIFF_PREVIEW_LINES} more diff lines`))
+  console.log()
+}
+
+// 📖 confirmWrite: Y/n question on a real terminal. Piped / scripted runs never block (always yes).
+// 📖 strict: y/N instead — only a typed yes counts, piped runs get no.
+async function confirmWrite(question, { strict = false } = {}) {
+  if (!process.stdin.isTTY) return !strict
+  // 📖 The TUI leaves stdin paused in raw mode — readline needs cooked mode to read a line
+  process.stdin.setRawMode(false)
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+  const answer = await new Promise((resolve) => rl.question(question, (a) => resolve(a.trim().toLowerCase())))
+  rl.close()
+  return (answer === '' && !strict) || answer === 'y' || answer === 'yes'
+}
+
+// 📖 commitConfigsWithPreview: Show what will change in one or more tool configs, ask once, then
+// 📖 write them all through the backup ring (lib/config-writes.js) — files that belong together
+// 📖 (openclaw.json + models.json) are written both or neither.
+// 📖 Returns false when the user said no (nothing is written).
+async function commitConfigsWithPreview(writes) {
+  const pending = []
+  for (const write of writes) {
+    const exists = existsSync(write.path)
+    const before = exists ? readFileSync(write.path, 'utf8') : ''
+    if (exists && before === write.content) {
+      console.log(chalk.dim(`  ${write.path} is already up to date`))
+      continue
+    }
+    printConfigDiff(unifiedDiff(before, write.content, { fromLabel: exists ? write.path : '/dev/null', toLabel: write.path }))
+    pending.push(write)
+  }
+  if (pending.length === 0) return true
+  const where = pending.length === 1 ? pending[0].path : `these ${pending.length} files`
+  if (!(await confirmWrite(chalk.bold(`  Write these changes to ${where}? [Y/n] `)))) {
+    console.log(chalk.yellow('  Cancelled — nothing was written.'))
+    console.log()
+    return false
+  }
+  for (const { target, path, content, mode } of pending) {
+    const { backupPath } = commitConfigWrite({ target, path, content, mode })
+    if (backupPath) console.log(chalk.dim(`  💾 Backup: ${backupPath}  (undo: free-coding-models rollback --target ${target})`))
+  }
+  return true
+}
+
+// 📖 commitConfigWithPreview: commitConfigsWithPreview for a single file
+async function commitConfigWithPreview(target, path, content, { mode } = {}) {
+  return commitConfigsWithPreview([{ target, path, content, mode }])
+}
+
+// ─── JSONC tool configs ───────────────────────────────────────────────────────
+// 📖 opencode.json (JSONC) and openclaw.json (JSON5) are read and written with lib/jsonc.js:
+// 📖 comments and formatting survive our edits. A file that doesn't parse throws (code EJSONC)
+// 📖 instead of reading as {} — saving after that would replace the user's config with ours.
+function readToolConfig(path) {
+  try {
+    const parsed = parseJsonc(readFileSync(path, 'utf8'))
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed
+    throw new JsoncParseError('Expected a JSON object', { line: 1, column: 1 })
+  } catch (err) {
+    if (err.code === 'EJSONC') err.message = `${path}: ${err.message}`
+    throw err
+  }
+}
+
+// 📖 toolConfigContent: New file text for `config` — a minimal edit of the current file.
+// 📖 updateJsonc throws on a broken file too, so nothing can be written over it.
+function toolConfigContent(path, config) {
+  const current = existsSync(path) ? readFileSync(path, 'utf8') : ''
+  try {
+    return updateJsonc(current, config)
+  } catch (err) {
+    if (err.code === 'EJSONC') err.message = `${path}: ${err.message}`
+    throw err
+  }
+}
+
+// 📖 reportBrokenToolConfig: The refusal message shown instead of a write
+function reportBrokenToolConfig(err) {
+  console.log(chalk.red(`  ✖ Can't parse ${err.message}`))
+  console.log(chalk.yellow('  Nothing was written — fix the file (or move it away) and try again.'))
+  console.log()
+}
+
 function loadOpenCodeConfig() {
   const configPath = getOpenCodeConfigPath()
   if (!existsSync(configPath)) return { provider: {} }
-  try {
-    return JSON.parse(readFileSync(configPath, 'utf8'))
-  } catch {
-    return { provider: {} }
-  }
+  return readToolConfig(configPath)
 }
 
+// 📖 saveOpenCodeConfig: Silent write of a session-only edit (repair provider block, ZAI cleanup).
+// 📖 Kept out of the backup ring — rollback goes back to what the user had, not to a dead proxy.
 function saveOpenCodeConfig(config) {
-  const configPath = getOpenCodeConfigPath()
-  const dir = dirname(configPath)
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true })
-  }
-  writeFileSync(configPath, JSON.stringify(config, null, 2))
+  const path = getOpenCodeConfigPath()
+  commitConfigWrite({ target: 'opencode', path, content: toolConfigContent(path, config), backup: false })
 }
 
-// ─── Shared OpenCode spawn helper ──────────────────────────────────────────────
-// 📖 Resolves the actual API key from config/env and passes it as an env var
-// 📖 to the child process so OpenCode's {env:GROQ_API_KEY} references work
-// 📖 even when the key is only in ~/.free-coding-models.json (not in shell env).
-// 📖 createZaiProxy: Localhost reverse proxy that bridges ZAI's non-standard API paths
-// 📖 to OpenCode's expected /v1/* OpenAI-compatible format.
-// 📖 OpenCode's local provider calls GET /v1/models for discovery and POST /v1/chat/completions
-// 📖 for inference. ZAI's API lives at /api/coding/paas/v4/* instead — this proxy rewrites.
-// 📖 Returns { server, port } — caller must server.close() when done.
-async function createZaiProxy(apiKey) {
-  const server = createHttpServer((req, res) => {
-    let targetPath = req.url
-    // Rewrite /v1/* -> /api/coding/paas/v4/*
-    if (targetPath.startsWith('/v1/')) {
-      targetPath = '/api/coding/paas/v4/' + targetPath.slice(4)
-    } else if (targetPath.startsWith('/v1')) {
-      targetPath = '/api/coding/paas/v4' + targetPath.slice(3)
-    } else {
-      // Non /v1 paths (e.g. /api/v0/ health checks) -- reject
-      res.writeHead(404)
-      res.end()
-      return
-    }
-    const headers = { ...req.headers, host: 'api.z.ai' }
-    if (apiKey) headers.authorization = `Bearer ${apiKey}`
-    // Remove transfer-encoding to avoid chunked encoding issues with https.request
-    delete headers['transfer-encoding']
-    const isChatCompletions = targetPath.includes('/chat/completions') && req.method === 'POST'
-    const proxyReq = httpsRequest({
-      hostname: 'api.z.ai',
-      port: 443,
-      path: targetPath,
-      method: req.method,
-      headers,
-    }, (proxyRes) => {
-      if (!isChatCompletions) {
-        // Non-chat endpoints (e.g. /v1/models) -- pass through as-is
-        res.writeHead(proxyRes.statusCode, proxyRes.headers)
-        proxyRes.pipe(res)
-        return
-      }
-      const contentType = proxyRes.headers['content-type'] || ''
-      const isSSE = contentType.includes('text/event-stream')
-
-      if (isSSE) {
-        // Streaming SSE: buffer all chunks, repair tool_call arguments at end, re-emit
-        const chunks = []
-        proxyRes.on('data', (chunk) => chunks.push(chunk))
-        proxyRes.on('end', () => {
-          const body = Buffer.concat(chunks).toString('utf8')
-          const lines = body.split('\n')
-          // Accumulate tool_call argument deltas per index
-          const argBuffers = {}
-          // Track which SSE data lines belong to tool_call delta chunks
-          const sseDataLines = []
-          // Track tool_call function names per index (for default args fallback)
-          const tcNames = {}
-          for (const line of lines) {
-            if (!line.startsWith('data: ')) { sseDataLines.push({ raw: line, parsed: null }); continue }
-            const payload = line.slice(6).trim()
-            if (payload === '[DONE]') { sseDataLines.push({ raw: line, parsed: null, isDone: true }); continue }
-            try {
-              const obj = JSON.parse(payload)
-              sseDataLines.push({ raw: line, parsed: obj })
-              // Buffer tool_call argument deltas
-              const delta = obj?.choices?.[0]?.delta
-              if (delta?.tool_calls) {
-                for (const tc of delta.tool_calls) {
-                  const idx = tc.index ?? 0
-                  // Track function name
-                  if (tc.function?.name) tcNames[idx] = tc.function.name
-                  // Handle arguments — coerce object to string if needed
-                  let args = tc.function?.arguments
-                  if (args !== undefined && args !== null && args !== '') {
-                    if (typeof args !== 'string') args = JSON.stringify(args)
-                    if (!argBuffers[idx]) argBuffers[idx] = ''
-                    argBuffers[idx] += args
-                  }
-                }
-              }
-            } catch {
-              sseDataLines.push({ raw: line, parsed: null })
-            }
-          }
+// 📖 saveOpenCodeConfigWithPreview: Diff + confirmation before a user-visible opencode.json change
+function saveOpenCodeConfigWithPreview(config) {
+  const path = getOpenCodeConfigPath()
+  return commitConfigWithPreview('opencode', path, toolConfigContent(path, config))
+}
 
-          // Ensure every tool_call index has at least empty-object arguments
-          // (GLM 5 sometimes sends tool_calls with no arguments at all)
-          for (const [idx, name] of Object.entries(tcNames)) {
-            if (!argBuffers[idx]) argBuffers[idx] = '{}'
-          }
+// ─── Shared OpenCode spawn helper ──────────────────────────────────────────────
+// 📖 --proxy-log / config.repairProxy.log — set by main(), read when a repair proxy starts
+let proxyLogEnabled = false
+
+// 📖 startRepairProxy: Tool-call repair proxy (lib/repair-proxy.js) for one provider.
+// 📖 Upstream host, base path and auth style all come from the sources.js entry.
+async function startRepairProxy(providerKey, apiKey) {
+  const src = sources[providerKey]
+  const chatUrl = providerKey === 'cloudflare' ? resolveCloudflareUrl(src.url) : src.url
+  const upstreamOptions = upstreamFromSource(src, chatUrl)
+  let log = null
+  if (proxyLogEnabled) {
+    pruneProxyLog()
+    const secretHeaders = upstreamOptions.auth ? [upstreamOptions.auth.header] : []
+    log = (entry) => appendProxyLog(entry, { secrets: [apiKey], secretHeaders })
+  }
+  const { server, port, upstream } = await createRepairProxy({ ...upstreamOptions, apiKey, providerKey, log })
+  console.log(chalk.dim(`  🔀 Repair proxy listening on port ${port} (/v1/* → ${upstream.host}${upstream.basePath || '/'}, tool-call args repaired)`))
+  if (log) console.log(chalk.dim(`  📝 Proxy traffic log: ${proxyLogFileForDate()} (replay with: free-coding-models replay last)`))
+  return { server, port }
+}
 
-          // If tool_call arguments were accumulated, repair and inject corrected
-          // final arguments into the last delta chunk for each tool_call index.
-          // Always re-inject as a single chunk to avoid client-side reassembly issues.
-          if (Object.keys(argBuffers).length > 0) {
-            const repairedArgs = {}
-            for (const [idx, assembled] of Object.entries(argBuffers)) {
-              repairedArgs[idx] = repairJson(assembled)
-            }
-            // Walk backwards to find the last delta chunk per tool_call index
-            // and replace its arguments with the full repaired string
-            const fixedIndices = new Set()
-            for (let i = sseDataLines.length - 1; i >= 0; i--) {
-              const entry = sseDataLines[i]
-              if (!entry.parsed) continue
-              const delta = entry.parsed?.choices?.[0]?.delta
-              if (!delta?.tool_calls) continue
-              for (const tc of delta.tool_calls) {
-                const idx = tc.index ?? 0
-                if (fixedIndices.has(idx)) continue
-                if (repairedArgs[idx] !== undefined) {
-                  if (!tc.function) tc.function = {}
-                  tc.function.arguments = repairedArgs[idx]
-                  fixedIndices.add(idx)
-                }
-              }
-              entry.raw = 'data: ' + JSON.stringify(entry.parsed)
-              if (fixedIndices.size >= Object.keys(repairedArgs).length) break
-            }
-            // Clear arguments from earlier delta chunks for fixed indices
-            // so the SDK doesn't double-accumulate
-            for (let i = 0; i < sseDataLines.length; i++) {
-              const entry = sseDataLines[i]
-              if (!entry.parsed) continue
-              const delta = entry.parsed?.choices?.[0]?.delta
-              if (!delta?.tool_calls) continue
-              let changed = false
-              for (const tc of delta.tool_calls) {
-                const idx = tc.index ?? 0
-                if (fixedIndices.has(idx) && tc.function?.arguments) {
-                  // Check if this is the line we already fixed (has the full repaired args)
-                  if (tc.function.arguments === repairedArgs[idx]) continue
-                  tc.function.arguments = ''
-                  changed = true
-                }
-              }
-              if (changed) entry.raw = 'data: ' + JSON.stringify(entry.parsed)
-            }
-          }
-          // Re-emit all SSE lines
-          // Remove content-length since we may have changed the body size
-          const responseHeaders = { ...proxyRes.headers }
-          delete responseHeaders['content-length']
-          res.writeHead(proxyRes.statusCode, responseHeaders)
-          res.end(sseDataLines.map(e => e.raw).join('\n'))
-        })
-        proxyRes.on('error', () => { res.writeHead(502); res.end() })
-      } else {
-        // Non-streaming JSON: buffer, repair, forward
-        const chunks = []
-        proxyRes.on('data', (chunk) => chunks.push(chunk))
-        proxyRes.on('end', () => {
-          let body = Buffer.concat(chunks).toString('utf8')
-          try {
-            const data = JSON.parse(body)
-            repairToolCallArgs(data)
-            body = JSON.stringify(data)
-          } catch { /* not valid JSON, pass through as-is */ }
-          const responseHeaders = { ...proxyRes.headers }
-          responseHeaders['content-length'] = Buffer.byteLength(body)
-          res.writeHead(proxyRes.statusCode, responseHeaders)
-          res.end(body)
-        })
-        proxyRes.on('error', () => { res.writeHead(502); res.end() })
-      }
-    })
-    proxyReq.on('error', () => { res.writeHead(502); res.end() })
-    req.pipe(proxyReq)
-  })
-  await new Promise(r => server.listen(0, '127.0.0.1', r))
-  return { server, port: server.address().port }
+// 📖 Session-only opencode.json provider keys for models launched behind the repair proxy:
+// 📖 "fcm-repair-<proxy port>". The user's own provider.<key> block is never touched, so other
+// 📖 OpenCode sessions (and OpenCode Desktop) keep talking to the provider directly.
+const REPAIR_PROVIDER_PREFIX = 'fcm-repair-'
+
+// 📖 registerRepairProvider: Add a provider block pointing at this session's repair proxy, like the
+// 📖 ZAI block, with the model under its upstream id. Blocks left behind by sessions that were
+// 📖 killed before cleaning up (their port is free again) are removed on the way.
+// 📖 Returns { modelRef, remove } — remove() takes the block out again (safe to call twice).
+async function registerRepairProvider(providerKey, model, port) {
+  const config = loadOpenCodeConfig()
+  if (!config.provider) config.provider = {}
+  for (const key of Object.keys(config.provider)) {
+    if (!key.startsWith(REPAIR_PROVIDER_PREFIX)) continue
+    const stalePort = Number(key.slice(REPAIR_PROVIDER_PREFIX.length))
+    if (stalePort !== port && (!Number.isInteger(stalePort) || await isTcpPortAvailable(stalePort))) delete config.provider[key]
+  }
+  const providerId = `${REPAIR_PROVIDER_PREFIX}${port}`
+  // 📖 apiKey is required by @ai-sdk/openai-compatible — the proxy sends the real key upstream
+  config.provider[providerId] = {
+    npm: '@ai-sdk/openai-compatible',
+    name: `${sources[providerKey]?.name ?? providerKey} (tool-call repair)`,
+    options: {
+      baseURL: `http://127.0.0.1:${port}/v1`,
+      apiKey: 'fcm-repair-proxy',
+    },
+    models: { [model.modelId]: { name: model.label ?? model.modelId } },
+  }
+  saveOpenCodeConfig(config)
+  let removed = false
+  const remove = () => {
+    if (removed) return
+    removed = true
+    try {
+      const cfg = loadOpenCodeConfig()
+      if (!cfg.provider?.[providerId]) return
+      delete cfg.provider[providerId]
+      saveOpenCodeConfig(cfg)
+    } catch { /* best-effort cleanup — the next launch prunes it */ }
+  }
+  return { modelRef: `${providerId}/${model.modelId}`, remove }
 }
 
-async function spawnOpenCode(args, providerKey, fcmConfig, existingZaiProxy = null) {
+// 📖 Resolves the actual API key from config/env and passes it as an env var
+// 📖 to the child process so OpenCode's {env:GROQ_API_KEY} references work
+// 📖 even when the key is only in ~/.free-coding-models.json (not in shell env).
+// 📖 spawnOpenCode options: { proxy } = repair proxy server already started by the caller (ZAI),
+// 📖 { model } = the launched model ({ modelId, capabilities? }) — decides whether a repair proxy is needed.
+async function spawnOpenCode(args, providerKey, fcmConfig, { proxy = null, model = null } = {}) {
   const envVarName = ENV_VAR_NAMES[providerKey]
   const resolvedKey = getApiKey(fcmConfig, providerKey)
   const childEnv = { ...process.env }
@@ -1815,12 +2241,45 @@ async function spawnOpenCode(args, providerKey, fcmConfig, existingZaiProxy = nu
   // 📖 ZAI proxy: OpenCode's Go binary doesn't know about ZAI as a provider.
   // 📖 We spin up a localhost proxy that rewrites /v1/* → /api/coding/paas/v4/*
   // 📖 and register ZAI as a custom openai-compatible provider in opencode.json.
-  // 📖 If startOpenCode already started the proxy, reuse it (existingZaiProxy).
-  let zaiProxy = existingZaiProxy
-  if (providerKey === 'zai' && resolvedKey && !zaiProxy) {
-    const { server, port } = await createZaiProxy(resolvedKey)
-    zaiProxy = server
-    console.log(chalk.dim(`  🔀 ZAI proxy listening on port ${port} (rewrites /v1/* → ZAI API)`))
+  // 📖 If startOpenCode already started the proxy, reuse it (proxy option).
+  let repairProxy = proxy
+  let repairProvider = null
+  if (providerKey === 'zai' && resolvedKey && !repairProxy) {
+    repairProxy = (await startRepairProxy('zai', resolvedKey)).server
+  }
+
+  // 📖 Any other provider goes through the same proxy when the model is known to send broken
+  // 📖 tool-call arguments (built-in list, probe verdict 'repaired', config.repairProxy).
+  // 📖 Only this session's --model points at the proxy, through its own provider block.
+  if (!repairProxy && model && providerKey !== 'zai' && !UNSUPPORTED_TARGET_PROVIDERS.includes(providerKey)
+    && needsRepairProxy(providerKey, model.modelId, { settings: fcmConfig?.repairProxy, toolCalls: model.capabilities?.tools })) {
+    const { server, port } = await startRepairProxy(providerKey, resolvedKey)
+    repairProxy = server
+    repairProvider = await registerRepairProvider(providerKey, model, port)
+    const modelArg = finalArgs.indexOf('--model')
+    if (modelArg !== -1) finalArgs[modelArg + 1] = repairProvider.modelRef
+  }
+
+  // 📖 Cleanup runs once: on the child's exit / error, and when this process exits or is told
+  // 📖 to stop (SIGHUP / SIGTERM) while OpenCode is still running
+  let cleanedUp = false
+  const cleanupRepairProxy = () => {
+    if (cleanedUp) return
+    cleanedUp = true
+    process.removeListener('exit', cleanupRepairProxy)
+    process.removeListener('SIGHUP', onStopSignal)
+    process.removeListener('SIGTERM', onStopSignal)
+    if (repairProxy) repairProxy.close()
+    if (repairProvider) repairProvider.remove()
+  }
+  const onStopSignal = (signal) => {
+    cleanupRepairProxy()
+    process.exit(signal === 'SIGHUP' ? 129 : 143)
+  }
+  if (repairProvider) {
+    process.once('exit', cleanupRepairProxy)
+    process.once('SIGHUP', onStopSignal)
+    process.once('SIGTERM', onStopSignal)
   }
 
   // 📖 In tmux, OpenCode sub-agents need a listening port to open extra panes.
@@ -1851,7 +2310,7 @@ async function spawnOpenCode(args, providerKey, fcmConfig, existingZaiProxy = nu
 
   return new Promise((resolve, reject) => {
     child.on('exit', (code) => {
-      if (zaiProxy) zaiProxy.close()
+      cleanupRepairProxy()
       // 📖 ZAI cleanup: remove the ephemeral proxy provider from opencode.json
       // 📖 so a stale baseURL doesn't cause "Model zai/… is not valid" on next launch
       if (providerKey === 'zai') {
@@ -1859,13 +2318,17 @@ async function spawnOpenCode(args, providerKey, fcmConfig, existingZaiProxy = nu
           const cfg = loadOpenCodeConfig()
           if (cfg.provider?.zai) delete cfg.provider.zai
           if (typeof cfg.model === 'string' && cfg.model.startsWith('zai/')) delete cfg.model
+          if (typeof cfg.small_model === 'string' && cfg.small_model.startsWith('zai/')) delete cfg.small_model
+          for (const agent of Object.values(cfg.agent ?? {})) {
+            if (typeof agent?.model === 'string' && agent.model.startsWith('zai/')) delete agent.model
+          }
           saveOpenCodeConfig(cfg)
         } catch { /* best-effort cleanup */ }
       }
       resolve(code)
     })
     child.on('error', (err) => {
-      if (zaiProxy) zaiProxy.close()
+      cleanupRepairProxy()
       if (err.code === 'ENOENT') {
         console.error(chalk.red('\n  X Could not find "opencode" -- is it installed and in your PATH?'))
         console.error(chalk.dim('    Install: npm i -g opencode   or see https://opencode.ai'))
@@ -1877,33 +2340,37 @@ async function spawnOpenCode(args, providerKey, fcmConfig, existingZaiProxy = nu
   })
 }
 
-// ─── Start OpenCode ────────────────────────────────────────────────────────────
-// 📖 Launches OpenCode with the selected model.
-// 📖 Handles nvidia + all OpenAI-compatible providers defined in sources.js.
-// 📖 For nvidia: checks if NIM is configured, sets provider.models entry, spawns with nvidia/model-id.
-// 📖 For groq/cerebras: OpenCode has built-in support -- just sets model in config and spawns.
-// 📖 Model format: { modelId, label, tier, providerKey }
-// 📖 fcmConfig: the free-coding-models config (for resolving API keys)
-async function startOpenCode(model, fcmConfig) {
-  const providerKey = model.providerKey ?? 'nvidia'
-  // 📖 Map model ID to OpenCode's built-in ID if it differs from our source ID
-  const ocModelId = getOpenCodeModelId(providerKey, model.modelId)
-  const modelRef = `${providerKey}/${ocModelId}`
-
-  if (providerKey === 'nvidia') {
-    // 📖 NVIDIA NIM needs a custom provider block in OpenCode config (not built-in)
-    // 📖 Auto-create it if missing — same pattern as all other providers
-    const config = loadOpenCodeConfig()
-    const backupPath = `${getOpenCodeConfigPath()}.backup-${Date.now()}`
-
-    if (existsSync(getOpenCodeConfigPath())) {
-      copyFileSync(getOpenCodeConfigPath(), backupPath)
-      console.log(chalk.dim(`  Backup: ${backupPath}`))
-    }
+// 📖 buildOpenCodeCustomProvider: opencode.json provider block for a user-defined provider.
+// 📖 The key is referenced through {env:…} like built-in providers, so it never lands in the file.
+// 📖 Non-bearer auth styles go through options.headers instead of apiKey.
+function buildOpenCodeCustomProvider(providerKey) {
+  const src = sources[providerKey]
+  const envRef = `{env:${ENV_VAR_NAMES[providerKey]}}`
+  const headers = { ...src.headers }
+  let apiKey
+  if (src.auth?.header === 'Authorization' && src.auth.prefix === 'Bearer ') apiKey = envRef
+  else if (src.auth) headers[src.auth.header] = `${src.auth.prefix}${envRef}`
+  return {
+    npm: '@ai-sdk/openai-compatible',
+    name: src.name,
+    options: {
+      baseURL: src.baseUrl,
+      ...(apiKey ? { apiKey } : {}),
+      ...(Object.keys(headers).length > 0 ? { headers } : {}),
+    },
+    models: {}
+  }
+}
 
-    // 📖 Ensure nvidia provider block exists — auto-create if missing
-    if (!config.provider) config.provider = {}
-    if (!config.provider.nvidia) {
+// 📖 ensureOpenCodeProvider: Create the opencode.json provider block for a provider if it's missing.
+// 📖 Shared by startOpenCode and the OpenCode role assignments (small / plan / build / review).
+// 📖 Returns false (after telling the user why) when the block can't be built — e.g. Cloudflare
+// 📖 without CLOUDFLARE_ACCOUNT_ID.
+// 📖 ZAI and Replicate are handled by the callers — ZAI needs the localhost proxy, Replicate can't be used.
+function ensureOpenCodeProvider(config, providerKey) {
+  if (!config.provider) config.provider = {}
+  if (!config.provider[providerKey]) {
+    if (providerKey === 'nvidia') {
       config.provider.nvidia = {
         npm: '@ai-sdk/openai-compatible',
         name: 'NVIDIA NIM',
@@ -1913,135 +2380,536 @@ async function startOpenCode(model, fcmConfig) {
         },
         models: {}
       }
-      console.log(chalk.green('  + Auto-configured NVIDIA NIM provider in OpenCode'))
-    }
-
-    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default...`))
-    console.log(chalk.dim(`  Model: ${modelRef}`))
-    console.log()
-
-    config.model = modelRef
-
-    // 📖 Register the model in the nvidia provider's models section
-    if (!config.provider.nvidia.models) config.provider.nvidia.models = {}
-    config.provider.nvidia.models[ocModelId] = { name: model.label }
-
-    saveOpenCodeConfig(config)
-
-    const savedConfig = loadOpenCodeConfig()
-    console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
-    console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
-    console.log()
-
-    if (savedConfig.model === config.model) {
-      console.log(chalk.green(`  Default model set to: ${modelRef}`))
-    } else {
-      console.log(chalk.yellow(`  Config might not have been saved correctly`))
-    }
-    console.log()
-    console.log(chalk.dim('  Starting OpenCode...'))
-    console.log()
-
-    await spawnOpenCode(['--model', modelRef], providerKey, fcmConfig)
-  } else {
-    if (providerKey === 'replicate') {
-      console.log(chalk.yellow('  Replicate models are monitor-only for now in OpenCode mode.'))
-      console.log(chalk.dim('    Reason: Replicate uses /v1/predictions instead of OpenAI chat-completions.'))
-      console.log(chalk.dim('    You can still benchmark this model in the TUI and use other providers for OpenCode launch.'))
-      console.log()
-      return
-    }
-
-    // 📖 ZAI: OpenCode's Go binary has no built-in ZAI provider.
-    // 📖 We start a localhost proxy that rewrites /v1/* → /api/coding/paas/v4/*
-    // 📖 and register ZAI as a custom openai-compatible provider pointing to the proxy.
-    // 📖 This gives OpenCode a standard provider/model format (zai/glm-5) it understands.
-    if (providerKey === 'zai') {
-      const resolvedKey = getApiKey(fcmConfig, providerKey)
-      if (!resolvedKey) {
-        console.log(chalk.yellow('  ZAI API key not found. Set ZAI_API_KEY environment variable.'))
-        console.log()
-        return
-      }
-
-      // 📖 Start proxy FIRST to get the port for config
-      const { server: zaiProxyServer, port: zaiProxyPort } = await createZaiProxy(resolvedKey)
-      console.log(chalk.dim(`  ZAI proxy listening on port ${zaiProxyPort} (rewrites /v1/* -> ZAI API)`))
-
-      console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default...`))
-      console.log(chalk.dim(`  Model: ${modelRef}`))
-      console.log()
-
-      const config = loadOpenCodeConfig()
-      const backupPath = `${getOpenCodeConfigPath()}.backup-${Date.now()}`
-
-      if (existsSync(getOpenCodeConfigPath())) {
-        copyFileSync(getOpenCodeConfigPath(), backupPath)
-        console.log(chalk.dim(`  Backup: ${backupPath}`))
+    } else if (sources[providerKey]?.custom) {
+      config.provider[providerKey] = buildOpenCodeCustomProvider(providerKey)
+    } else if (providerKey === 'groq') {
+      // 📖 Groq is a built-in OpenCode provider — just needs apiKey options, no npm package
+      config.provider.groq = {
+        options: { apiKey: '{env:GROQ_API_KEY}' },
+        models: {}
       }
-
-      // 📖 Register ZAI as an openai-compatible provider pointing to our localhost proxy
-      // 📖 apiKey is required by @ai-sdk/openai-compatible SDK — the proxy handles real auth internally
-      if (!config.provider) config.provider = {}
-      config.provider.zai = {
+    } else if (providerKey === 'cerebras') {
+      // 📖 Cerebras is OpenAI-compatible — needs npm package and baseURL like NVIDIA
+      config.provider.cerebras = {
         npm: '@ai-sdk/openai-compatible',
-        name: 'ZAI',
+        name: 'Cerebras',
         options: {
-          baseURL: `http://127.0.0.1:${zaiProxyPort}/v1`,
-          apiKey: 'zai-proxy',
+          baseURL: 'https://api.cerebras.ai/v1',
+          apiKey: '{env:CEREBRAS_API_KEY}'
         },
         models: {}
       }
-      config.provider.zai.models[ocModelId] = { name: model.label }
-      config.model = modelRef
-
-      saveOpenCodeConfig(config)
-
-      const savedConfig = loadOpenCodeConfig()
-      console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
-      console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
-      console.log()
-
-      if (savedConfig.model === config.model) {
-        console.log(chalk.green(`  Default model set to: ${modelRef}`))
-      } else {
-        console.log(chalk.yellow(`  Config might not have been saved correctly`))
+    } else if (providerKey === 'sambanova') {
+      // 📖 SambaNova is OpenAI-compatible — uses @ai-sdk/openai-compatible with their base URL
+      config.provider.sambanova = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'SambaNova',
+        options: {
+          baseURL: 'https://api.sambanova.ai/v1',
+          apiKey: '{env:SAMBANOVA_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'openrouter') {
+      config.provider.openrouter = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'OpenRouter',
+        options: {
+          baseURL: 'https://openrouter.ai/api/v1',
+          apiKey: '{env:OPENROUTER_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'huggingface') {
+      config.provider.huggingface = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Hugging Face Inference',
+        options: {
+          baseURL: 'https://router.huggingface.co/v1',
+          apiKey: '{env:HUGGINGFACE_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'deepinfra') {
+      config.provider.deepinfra = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'DeepInfra',
+        options: {
+          baseURL: 'https://api.deepinfra.com/v1/openai',
+          apiKey: '{env:DEEPINFRA_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'fireworks') {
+      config.provider.fireworks = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Fireworks AI',
+        options: {
+          baseURL: 'https://api.fireworks.ai/inference/v1',
+          apiKey: '{env:FIREWORKS_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'codestral') {
+      config.provider.codestral = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Mistral Codestral',
+        options: {
+          baseURL: 'https://codestral.mistral.ai/v1',
+          apiKey: '{env:CODESTRAL_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'hyperbolic') {
+      config.provider.hyperbolic = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Hyperbolic',
+        options: {
+          baseURL: 'https://api.hyperbolic.xyz/v1',
+          apiKey: '{env:HYPERBOLIC_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'scaleway') {
+      config.provider.scaleway = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Scaleway',
+        options: {
+          baseURL: 'https://api.scaleway.ai/v1',
+          apiKey: '{env:SCALEWAY_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'googleai') {
+      config.provider.googleai = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Google AI Studio',
+        options: {
+          baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai',
+          apiKey: '{env:GOOGLE_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'siliconflow') {
+      config.provider.siliconflow = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'SiliconFlow',
+        options: {
+          baseURL: 'https://api.siliconflow.com/v1',
+          apiKey: '{env:SILICONFLOW_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'together') {
+      config.provider.together = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Together AI',
+        options: {
+          baseURL: 'https://api.together.xyz/v1',
+          apiKey: '{env:TOGETHER_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'cloudflare') {
+      const cloudflareAccountId = (process.env.CLOUDFLARE_ACCOUNT_ID || '').trim()
+      if (!cloudflareAccountId) {
+        console.log(chalk.yellow('  Cloudflare Workers AI requires CLOUDFLARE_ACCOUNT_ID for OpenCode integration.'))
+        console.log(chalk.dim('    Export CLOUDFLARE_ACCOUNT_ID and retry this selection.'))
+        console.log()
+        return false
+      }
+      config.provider.cloudflare = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Cloudflare Workers AI',
+        options: {
+          baseURL: `https://api.cloudflare.com/client/v4/accounts/${cloudflareAccountId}/ai/v1`,
+          apiKey: '{env:CLOUDFLARE_API_TOKEN}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'perplexity') {
+      config.provider.perplexity = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'Perplexity API',
+        options: {
+          baseURL: 'https://api.perplexity.ai',
+          apiKey: '{env:PERPLEXITY_API_KEY}'
+        },
+        models: {}
+      }
+    } else if (providerKey === 'iflow') {
+      config.provider.iflow = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'iFlow',
+        options: {
+          baseURL: 'https://apis.iflow.cn/v1',
+          apiKey: '{env:IFLOW_API_KEY}'
+        },
+        models: {}
+      }
+    }
+  }
+  if (!config.provider[providerKey]) {
+    console.log(chalk.yellow(`  ${sources[providerKey]?.name ?? providerKey} has no OpenCode provider mapping yet.`))
+    console.log()
+    return false
+  }
+  return true
+}
+
+// 📖 applyOpenCodeRoleAssignments: Write the small / plan / build / review models marked with Shift+A
+// 📖 into opencode.json next to the main model, registering each provider block like the main one.
+// 📖 ZAI roles need the localhost proxy, which only runs when the main model is a ZAI model too.
+function applyOpenCodeRoleAssignments(config, fcmConfig, { zaiProxy = false } = {}) {
+  const roles = fcmConfig?.openCodeRoles ?? {}
+  const refs = {}
+  for (const role of OPENCODE_ROLES) {
+    if (!roles[role]) continue
+    const slash = roles[role].indexOf('/')
+    const providerKey = roles[role].slice(0, slash)
+    const modelId = roles[role].slice(slash + 1)
+    const entry = MODELS.find(([id,,,,, pk]) => id === modelId && pk === providerKey)
+    const tag = OPENCODE_ROLE_TAGS[role]
+    if (!entry) {
+      console.log(chalk.yellow(`  Skipping ${tag}: ${roles[role]} is no longer in the catalog`))
+      continue
+    }
+    if (providerKey === 'replicate' || (providerKey === 'zai' && !zaiProxy)) {
+      console.log(chalk.yellow(`  Skipping ${tag}: ${entry[1]} can't be used here${providerKey === 'zai' ? ' (ZAI needs a ZAI main model in OpenCode CLI)' : ''}`))
+      continue
+    }
+    if (providerKey !== 'zai' && !ensureOpenCodeProvider(config, providerKey)) continue
+    const ocModelId = getOpenCodeModelId(providerKey, modelId)
+    if (!OPENCODE_MODEL_MAP[providerKey]?.[modelId]) {
+      if (!config.provider[providerKey].models) config.provider[providerKey].models = {}
+      config.provider[providerKey].models[ocModelId] = { name: entry[1] }
+    }
+    refs[role] = `${providerKey}/${ocModelId}`
+    console.log(chalk.dim(`  ${tag.padEnd(6)} → ${refs[role]}`))
+  }
+  applyOpenCodeRoles(config, refs)
+}
+
+// ─── Start OpenCode ────────────────────────────────────────────────────────────
+// 📖 Launches OpenCode with the selected model.
+// 📖 Handles nvidia + all OpenAI-compatible providers defined in sources.js.
+// 📖 For nvidia: checks if NIM is configured, sets provider.models entry, spawns with nvidia/model-id.
+// 📖 For groq/cerebras: OpenCode has built-in support -- just sets model in config and spawns.
+// 📖 Model format: { modelId, label, tier, providerKey }
+// 📖 fcmConfig: the free-coding-models config (for resolving API keys)
+// 📖 launch: false only writes opencode.json (`recommend --apply opencode`) — no spawn, no proxy.
+// 📖 Returns true once opencode.json holds the model, false when OpenCode can't use it (Replicate,
+// 📖 ZAI without a launch, no key…), null when the user cancelled the write.
+async function startOpenCode(model, fcmConfig, { launch = true } = {}) {
+  const providerKey = model.providerKey ?? 'nvidia'
+  // 📖 Map model ID to OpenCode's built-in ID if it differs from our source ID
+  const ocModelId = getOpenCodeModelId(providerKey, model.modelId)
+  const modelRef = `${providerKey}/${ocModelId}`
+
+  // 📖 Without a launch nothing can keep a repair proxy running, so the config points at the provider itself
+  const printNoLaunchHint = () => {
+    if (needsRepairProxy(providerKey, model.modelId, { settings: fcmConfig?.repairProxy, toolCalls: model.capabilities?.tools })) {
+      console.log(chalk.dim('  🔀 This model runs behind the tool-call repair proxy — launch it with free-coding-models --opencode to get it.'))
+    }
+    console.log(chalk.dim(`  💡 Next: opencode --model ${modelRef}`))
+    console.log()
+  }
+
+  if (providerKey === 'nvidia') {
+    // 📖 NVIDIA NIM needs a custom provider block in OpenCode config (not built-in)
+    // 📖 Auto-create it if missing — same pattern as all other providers
+    const config = loadOpenCodeConfig()
+    // 📖 Ensure nvidia provider block exists — auto-create if missing
+    if (!config.provider) config.provider = {}
+    if (!config.provider.nvidia) {
+      config.provider.nvidia = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'NVIDIA NIM',
+        options: {
+          baseURL: 'https://integrate.api.nvidia.com/v1',
+          apiKey: '{env:NVIDIA_API_KEY}'
+        },
+        models: {}
+      }
+      console.log(chalk.green('  + Auto-configured NVIDIA NIM provider in OpenCode'))
+    }
+
+    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default...`))
+    console.log(chalk.dim(`  Model: ${modelRef}`))
+    console.log()
+
+    config.model = modelRef
+
+    // 📖 Register the model in the nvidia provider's models section
+    if (!config.provider.nvidia.models) config.provider.nvidia.models = {}
+    config.provider.nvidia.models[ocModelId] = { name: model.label }
+    applyOpenCodeRoleAssignments(config, fcmConfig)
+
+    if (!(await saveOpenCodeConfigWithPreview(config))) return null
+
+    const savedConfig = loadOpenCodeConfig()
+    console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
+    console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
+    console.log()
+
+    if (savedConfig.model === config.model) {
+      console.log(chalk.green(`  Default model set to: ${modelRef}`))
+    } else {
+      console.log(chalk.yellow(`  Config might not have been saved correctly`))
+    }
+    console.log()
+    if (!launch) {
+      printNoLaunchHint()
+      return true
+    }
+    console.log(chalk.dim('  Starting OpenCode...'))
+    console.log()
+
+    await spawnOpenCode(['--model', modelRef], providerKey, fcmConfig, { model })
+    return true
+  } else {
+    if (providerKey === 'replicate') {
+      console.log(chalk.yellow('  Replicate models are monitor-only for now in OpenCode mode.'))
+      console.log(chalk.dim('    Reason: Replicate uses /v1/predictions instead of OpenAI chat-completions.'))
+      console.log(chalk.dim('    You can still benchmark this model in the TUI and use other providers for OpenCode launch.'))
+      console.log()
+      return false
+    }
+
+    // 📖 ZAI: OpenCode's Go binary has no built-in ZAI provider.
+    // 📖 We start a localhost proxy that rewrites /v1/* → /api/coding/paas/v4/*
+    // 📖 and register ZAI as a custom openai-compatible provider pointing to the proxy.
+    // 📖 This gives OpenCode a standard provider/model format (zai/glm-5) it understands.
+    if (providerKey === 'zai') {
+      if (!launch) {
+        console.log(chalk.yellow('  ZAI models only work in OpenCode through the proxy free-coding-models runs while OpenCode is open.'))
+        console.log(chalk.dim('    Launch it with: free-coding-models --opencode (or pick a non-ZAI model).'))
+        console.log()
+        return false
+      }
+      const resolvedKey = getApiKey(fcmConfig, providerKey)
+      if (!resolvedKey) {
+        console.log(chalk.yellow('  ZAI API key not found. Set ZAI_API_KEY environment variable.'))
+        console.log()
+        return false
+      }
+
+      // 📖 Start proxy FIRST to get the port for config
+      const { server: zaiProxyServer, port: zaiProxyPort } = await startRepairProxy('zai', resolvedKey)
+
+      console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default...`))
+      console.log(chalk.dim(`  Model: ${modelRef}`))
+      console.log()
+
+      const config = loadOpenCodeConfig()
+      // 📖 Register ZAI as an openai-compatible provider pointing to our localhost proxy
+      // 📖 apiKey is required by @ai-sdk/openai-compatible SDK — the proxy handles real auth internally
+      if (!config.provider) config.provider = {}
+      config.provider.zai = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'ZAI',
+        options: {
+          baseURL: `http://127.0.0.1:${zaiProxyPort}/v1`,
+          apiKey: 'zai-proxy',
+        },
+        models: {}
+      }
+      config.provider.zai.models[ocModelId] = { name: model.label }
+      config.model = modelRef
+      applyOpenCodeRoleAssignments(config, fcmConfig, { zaiProxy: true })
+
+      if (!(await saveOpenCodeConfigWithPreview(config))) {
+        zaiProxyServer.close()
+        return null
+      }
+
+      const savedConfig = loadOpenCodeConfig()
+      console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
+      console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
+      console.log()
+
+      if (savedConfig.model === config.model) {
+        console.log(chalk.green(`  Default model set to: ${modelRef}`))
+      } else {
+        console.log(chalk.yellow(`  Config might not have been saved correctly`))
       }
       console.log()
       console.log(chalk.dim('  Starting OpenCode...'))
       console.log()
 
-      // 📖 Pass existing proxy to spawnOpenCode so it doesn't start a second one
-      await spawnOpenCode(['--model', modelRef], providerKey, fcmConfig, zaiProxyServer)
+      // 📖 Pass existing proxy to spawnOpenCode so it doesn't start a second one
+      await spawnOpenCode(['--model', modelRef], providerKey, fcmConfig, { proxy: zaiProxyServer, model })
+      return true
+    }
+
+    // 📖 Groq: built-in OpenCode provider — needs provider block with apiKey in opencode.json.
+    // 📖 Cerebras: NOT built-in — needs @ai-sdk/openai-compatible + baseURL, like NVIDIA.
+    // 📖 Both need the model registered in provider.<key>.models so OpenCode can find it.
+    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default...`))
+    console.log(chalk.dim(`  Model: ${modelRef}`))
+    console.log()
+
+    const config = loadOpenCodeConfig()
+    // 📖 Ensure the provider block exists in config — create it if missing
+    if (!ensureOpenCodeProvider(config, providerKey)) return false
+
+    // 📖 Register the model in the provider's models section
+    // 📖 Only register custom models -- skip if the model maps to a built-in OpenCode ID
+    const isBuiltinMapped = OPENCODE_MODEL_MAP[providerKey]?.[model.modelId]
+    if (!isBuiltinMapped) {
+      if (!config.provider[providerKey].models) config.provider[providerKey].models = {}
+      config.provider[providerKey].models[ocModelId] = { name: model.label }
+    }
+
+    config.model = modelRef
+    applyOpenCodeRoleAssignments(config, fcmConfig)
+    if (!(await saveOpenCodeConfigWithPreview(config))) return null
+
+    const savedConfig = loadOpenCodeConfig()
+    console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
+    console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
+    console.log()
+
+    if (savedConfig.model === config.model) {
+      console.log(chalk.green(`  Default model set to: ${modelRef}`))
+    } else {
+      console.log(chalk.yellow(`  Config might not have been saved correctly`))
+    }
+    console.log()
+    if (!launch) {
+      printNoLaunchHint()
+      return true
+    }
+    console.log(chalk.dim('  Starting OpenCode...'))
+    console.log()
+
+    await spawnOpenCode(['--model', modelRef], providerKey, fcmConfig, { model })
+    return true
+  }
+}
+
+// ─── Start OpenCode Desktop ─────────────────────────────────────────────────────
+// 📖 startOpenCodeDesktop: Same config logic as startOpenCode, but opens the Desktop app.
+// 📖 OpenCode Desktop shares config at the same location as CLI.
+// 📖 Handles nvidia + all OpenAI-compatible providers defined in sources.js.
+// 📖 No need to wait for exit — Desktop app stays open independently.
+async function startOpenCodeDesktop(model, fcmConfig) {
+  const providerKey = model.providerKey ?? 'nvidia'
+  // 📖 Map model ID to OpenCode's built-in ID if it differs from our source ID
+  const ocModelId = getOpenCodeModelId(providerKey, model.modelId)
+  const modelRef = `${providerKey}/${ocModelId}`
+
+  // 📖 Helper to open the Desktop app based on platform
+  const launchDesktop = async () => {
+    const { exec } = await import('child_process')
+    let command
+    if (isMac) {
+      command = 'open -a OpenCode'
+    } else if (isWindows) {
+      command = 'start "" "%LOCALAPPDATA%\\Programs\\OpenCode\\OpenCode.exe" 2>nul || start "" "%PROGRAMFILES%\\OpenCode\\OpenCode.exe" 2>nul || start OpenCode'
+    } else if (isLinux) {
+      command = `opencode-desktop --model ${modelRef} 2>/dev/null || flatpak run ai.opencode.OpenCode --model ${modelRef} 2>/dev/null || snap run opencode --model ${modelRef} 2>/dev/null || xdg-open /usr/share/applications/opencode.desktop 2>/dev/null || echo "OpenCode not found"`
+    }
+    exec(command, (err) => {
+      if (err) {
+        console.error(chalk.red('  Could not open OpenCode Desktop'))
+        if (isWindows) {
+          console.error(chalk.dim('    Make sure OpenCode is installed from https://opencode.ai'))
+        } else if (isLinux) {
+          console.error(chalk.dim('    Install via: snap install opencode OR flatpak install ai.opencode.OpenCode'))
+          console.error(chalk.dim('    Or download from https://opencode.ai'))
+        } else {
+          console.error(chalk.dim('    Is it installed at /Applications/OpenCode.app?'))
+        }
+      }
+    })
+  }
+
+  if (providerKey === 'nvidia') {
+    // 📖 NVIDIA NIM needs a custom provider block in OpenCode config (not built-in)
+    // 📖 Auto-create it if missing — same pattern as all other providers
+    const config = loadOpenCodeConfig()
+    // 📖 Ensure nvidia provider block exists — auto-create if missing
+    if (!config.provider) config.provider = {}
+    if (!config.provider.nvidia) {
+      config.provider.nvidia = {
+        npm: '@ai-sdk/openai-compatible',
+        name: 'NVIDIA NIM',
+        options: {
+          baseURL: 'https://integrate.api.nvidia.com/v1',
+          apiKey: '{env:NVIDIA_API_KEY}'
+        },
+        models: {}
+      }
+      console.log(chalk.green('  + Auto-configured NVIDIA NIM provider in OpenCode'))
+    }
+
+    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default for OpenCode Desktop...`))
+    console.log(chalk.dim(`  Model: ${modelRef}`))
+    console.log()
+
+    config.model = modelRef
+
+    // 📖 Register the model in the nvidia provider's models section
+    if (!config.provider.nvidia.models) config.provider.nvidia.models = {}
+    config.provider.nvidia.models[ocModelId] = { name: model.label }
+    applyOpenCodeRoleAssignments(config, fcmConfig)
+
+    if (!(await saveOpenCodeConfigWithPreview(config))) return
+
+    const savedConfig = loadOpenCodeConfig()
+    console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
+    console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
+    console.log()
+
+    if (savedConfig.model === config.model) {
+      console.log(chalk.green(`  Default model set to: ${modelRef}`))
+    } else {
+      console.log(chalk.yellow(`  Config might not have been saved correctly`))
+    }
+    console.log()
+    console.log(chalk.dim('  Opening OpenCode Desktop...'))
+    console.log()
+
+    await launchDesktop()
+  } else {
+    if (providerKey === 'replicate') {
+      console.log(chalk.yellow('  Replicate models are monitor-only for now in OpenCode Desktop mode.'))
+      console.log(chalk.dim('    Reason: Replicate uses /v1/predictions instead of OpenAI chat-completions.'))
+      console.log(chalk.dim('    You can still benchmark this model in the TUI and use other providers for Desktop launch.'))
+      console.log()
+      return
+    }
+
+    // 📖 ZAI: Desktop mode can't use the localhost proxy (Desktop is a standalone app).
+    // 📖 Direct the user to use OpenCode CLI mode instead, which supports ZAI via proxy.
+    if (providerKey === 'zai') {
+      console.log(chalk.yellow('  ZAI models are supported in OpenCode CLI mode only (not Desktop).'))
+      console.log(chalk.dim('    Reason: ZAI requires a localhost proxy that only works with the CLI spawn.'))
+      console.log(chalk.dim('    Use OpenCode CLI mode (default) to launch ZAI models.'))
+      console.log()
       return
     }
 
     // 📖 Groq: built-in OpenCode provider — needs provider block with apiKey in opencode.json.
     // 📖 Cerebras: NOT built-in — needs @ai-sdk/openai-compatible + baseURL, like NVIDIA.
     // 📖 Both need the model registered in provider.<key>.models so OpenCode can find it.
-    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default...`))
+    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default for OpenCode Desktop...`))
     console.log(chalk.dim(`  Model: ${modelRef}`))
     console.log()
 
     const config = loadOpenCodeConfig()
-    const backupPath = `${getOpenCodeConfigPath()}.backup-${Date.now()}`
-
-    if (existsSync(getOpenCodeConfigPath())) {
-      copyFileSync(getOpenCodeConfigPath(), backupPath)
-      console.log(chalk.dim(`  Backup: ${backupPath}`))
-    }
-
     // 📖 Ensure the provider block exists in config — create it if missing
     if (!config.provider) config.provider = {}
     if (!config.provider[providerKey]) {
-      if (providerKey === 'groq') {
-        // 📖 Groq is a built-in OpenCode provider — just needs apiKey options, no npm package
+      if (sources[providerKey]?.custom) {
+        config.provider[providerKey] = buildOpenCodeCustomProvider(providerKey)
+      } else if (providerKey === 'groq') {
         config.provider.groq = {
           options: { apiKey: '{env:GROQ_API_KEY}' },
           models: {}
         }
       } else if (providerKey === 'cerebras') {
-        // 📖 Cerebras is OpenAI-compatible — needs npm package and baseURL like NVIDIA
         config.provider.cerebras = {
           npm: '@ai-sdk/openai-compatible',
           name: 'Cerebras',
@@ -2142,63 +3010,6 @@ async function startOpenCode(model, fcmConfig) {
           },
           models: {}
         }
-      } else if (providerKey === 'siliconflow') {
-        config.provider.siliconflow = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'SiliconFlow',
-          options: {
-            baseURL: 'https://api.siliconflow.com/v1',
-            apiKey: '{env:SILICONFLOW_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'together') {
-        config.provider.together = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Together AI',
-          options: {
-            baseURL: 'https://api.together.xyz/v1',
-            apiKey: '{env:TOGETHER_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'cloudflare') {
-        const cloudflareAccountId = (process.env.CLOUDFLARE_ACCOUNT_ID || '').trim()
-        if (!cloudflareAccountId) {
-          console.log(chalk.yellow('  Cloudflare Workers AI requires CLOUDFLARE_ACCOUNT_ID for OpenCode integration.'))
-          console.log(chalk.dim('    Export CLOUDFLARE_ACCOUNT_ID and retry this selection.'))
-          console.log()
-          return
-        }
-        config.provider.cloudflare = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Cloudflare Workers AI',
-          options: {
-            baseURL: `https://api.cloudflare.com/client/v4/accounts/${cloudflareAccountId}/ai/v1`,
-            apiKey: '{env:CLOUDFLARE_API_TOKEN}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'perplexity') {
-        config.provider.perplexity = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Perplexity API',
-          options: {
-            baseURL: 'https://api.perplexity.ai',
-            apiKey: '{env:PERPLEXITY_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'iflow') {
-        config.provider.iflow = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'iFlow',
-          options: {
-            baseURL: 'https://apis.iflow.cn/v1',
-            apiKey: '{env:IFLOW_API_KEY}'
-          },
-          models: {}
-        }
       }
     }
 
@@ -2211,7 +3022,8 @@ async function startOpenCode(model, fcmConfig) {
     }
 
     config.model = modelRef
-    saveOpenCodeConfig(config)
+    applyOpenCodeRoleAssignments(config, fcmConfig)
+    if (!(await saveOpenCodeConfigWithPreview(config))) return
 
     const savedConfig = loadOpenCodeConfig()
     console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
@@ -2224,553 +3036,1510 @@ async function startOpenCode(model, fcmConfig) {
       console.log(chalk.yellow(`  Config might not have been saved correctly`))
     }
     console.log()
-    console.log(chalk.dim('  Starting OpenCode...'))
+    console.log(chalk.dim('  Opening OpenCode Desktop...'))
     console.log()
 
-    await spawnOpenCode(['--model', modelRef], providerKey, fcmConfig)
+    await launchDesktop()
   }
 }
 
-// ─── Start OpenCode Desktop ─────────────────────────────────────────────────────
-// 📖 startOpenCodeDesktop: Same config logic as startOpenCode, but opens the Desktop app.
-// 📖 OpenCode Desktop shares config at the same location as CLI.
-// 📖 Handles nvidia + all OpenAI-compatible providers defined in sources.js.
-// 📖 No need to wait for exit — Desktop app stays open independently.
-async function startOpenCodeDesktop(model, fcmConfig) {
+// ─── OpenClaw integration ──────────────────────────────────────────────────────
+// 📖 OpenClaw config: ~/.openclaw/openclaw.json (JSON format, may be JSON5 in newer versions)
+// 📖 To set a model: set agents.defaults.model.primary = "nvidia/model-id"
+// 📖 Providers section uses baseUrl + apiKey + api: "openai-completions" format
+// 📖 See: https://docs.openclaw.ai/gateway/configuration
+const OPENCLAW_CONFIG = join(homedir(), '.openclaw', 'openclaw.json')
+
+function loadOpenClawConfig() {
+  if (!existsSync(OPENCLAW_CONFIG)) return {}
+  // 📖 OpenClaw's config is JSON5 — comments, unquoted keys and trailing commas are all fine
+  return readToolConfig(OPENCLAW_CONFIG)
+}
+
+// 📖 startOpenClaw: sets the selected model as default in OpenClaw config — any provider.
+// 📖 lib/openclaw.js builds the models.providers.<key> block, env key and allowlist entry;
+// 📖 patch-openclaw-models.js allowlists the rest of that provider's catalog in models.json.
+// 📖 Does NOT launch OpenClaw — OpenClaw runs as a daemon, so config changes are picked up on restart.
+// 📖 Returns true once written, false when OpenClaw can't use the model, null when the user cancelled.
+async function startOpenClaw(model, fcmConfig) {
   const providerKey = model.providerKey ?? 'nvidia'
-  // 📖 Map model ID to OpenCode's built-in ID if it differs from our source ID
-  const ocModelId = getOpenCodeModelId(providerKey, model.modelId)
-  const modelRef = `${providerKey}/${ocModelId}`
+  const src = sources[providerKey]
+  const modelRef = openClawModelRef(providerKey, model.modelId)
+  console.log(chalk.rgb(255, 100, 50)(`  🦞 Setting ${chalk.bold(model.label)} as OpenClaw default…`))
+  console.log(chalk.dim(`  Model: ${modelRef}`))
+  console.log()
 
-  // 📖 Helper to open the Desktop app based on platform
-  const launchDesktop = async () => {
-    const { exec } = await import('child_process')
-    let command
-    if (isMac) {
-      command = 'open -a OpenCode'
-    } else if (isWindows) {
-      command = 'start "" "%LOCALAPPDATA%\\Programs\\OpenCode\\OpenCode.exe" 2>nul || start "" "%PROGRAMFILES%\\OpenCode\\OpenCode.exe" 2>nul || start OpenCode'
-    } else if (isLinux) {
-      command = `opencode-desktop --model ${modelRef} 2>/dev/null || flatpak run ai.opencode.OpenCode --model ${modelRef} 2>/dev/null || snap run opencode --model ${modelRef} 2>/dev/null || xdg-open /usr/share/applications/opencode.desktop 2>/dev/null || echo "OpenCode not found"`
-    }
-    exec(command, (err) => {
-      if (err) {
-        console.error(chalk.red('  Could not open OpenCode Desktop'))
-        if (isWindows) {
-          console.error(chalk.dim('    Make sure OpenCode is installed from https://opencode.ai'))
-        } else if (isLinux) {
-          console.error(chalk.dim('    Install via: snap install opencode OR flatpak install ai.opencode.OpenCode'))
-          console.error(chalk.dim('    Or download from https://opencode.ai'))
-        } else {
-          console.error(chalk.dim('    Is it installed at /Applications/OpenCode.app?'))
-        }
+  // 📖 Replicate has no chat-completions API, so OpenClaw's openai-completions client can't use it
+  if (UNSUPPORTED_TARGET_PROVIDERS.includes(providerKey)) {
+    console.log(chalk.red(`  ✖ ${src.name} models don't speak the chat-completions API OpenClaw needs — pick another provider.`))
+    console.log()
+    return false
+  }
+  if (src.custom && src.auth && !(src.auth.header === 'Authorization' && src.auth.prefix === 'Bearer ')) {
+    console.log(chalk.yellow(`  ${src.name} uses ${src.auth.header} auth — OpenClaw only sends Bearer keys, requests may be rejected.`))
+  }
+
+  // 📖 ZAI's base URL is /api/coding/paas/v4 (no /v1) — OpenClaw takes it as-is, no proxy needed
+  const chatUrl = providerKey === 'cloudflare' ? resolveCloudflareUrl(src.url) : src.url
+  const options = {
+    providerKey,
+    modelId: model.modelId,
+    label: model.label,
+    tier: model.tier,
+    ctx: MODELS.find(([id,,,,, pk]) => id === model.modelId && pk === providerKey)?.[4],
+    baseUrl: targetBaseUrl(chatUrl),
+    envVar: getProviderEnvVar(providerKey),
+    apiKey: getApiKey(fcmConfig, providerKey),
+  }
+
+  const config = loadOpenClawConfig()
+
+  // 📖 models.json gets the provider's whole catalog (fixes "not allowed" errors) — previewed and
+  // 📖 written together with openclaw.json below, so answering "n" leaves both untouched
+  const modelsPlan = planOpenClawModelsJson({ providerKey, baseUrl: options.baseUrl, envVar: options.envVar })
+  if (modelsPlan.content !== null) {
+    console.log(chalk.dim(`  ✨ Adding ${modelsPlan.added} ${src.name} models to the models.json allowlist (${modelsPlan.total} total)`))
+  }
+
+  // 📖 Provider block under models.providers (root-level "providers" is ignored by OpenClaw),
+  // 📖 key under the root "env" section, primary model + allowlist entry under agents.defaults.
+  // 📖 See: https://docs.openclaw.ai/gateway/configuration-reference
+  const applied = applyOpenClawModel(config, options)
+  if (applied.addedProvider) {
+    console.log(chalk.dim(`  ➕ Added ${providerKey} provider block to OpenClaw config (models.providers.${providerKey})`))
+  }
+  if (applied.storedKey) {
+    console.log(chalk.dim(`  🔑 Stored ${options.envVar} in config env section`))
+  } else if (!options.apiKey) {
+    console.log(chalk.yellow(`  No ${src.name} key found — set ${options.envVar} in OpenClaw's env section or your shell.`))
+  }
+
+  // 📖 Show the diffs and ask before writing — the previous versions go to the backup ring
+  // 📖 openclaw.json may hold the key under env — kept private
+  const writes = [{ target: 'openclaw', path: OPENCLAW_CONFIG, content: toolConfigContent(OPENCLAW_CONFIG, config), mode: 0o600 }]
+  if (modelsPlan.content !== null) writes.push({ target: 'openclaw-models', path: modelsPlan.path, content: modelsPlan.content })
+  if (!(await commitConfigsWithPreview(writes))) return null
+
+  console.log(chalk.rgb(255, 140, 0)(`  ✓ Default model set to: ${modelRef}`))
+  console.log()
+  console.log(chalk.dim('  📄 Config updated: ' + OPENCLAW_CONFIG))
+  console.log()
+  // 📖 "openclaw restart" does NOT exist. The gateway auto-reloads on config file changes.
+  // 📖 To apply manually: use "openclaw models set" or "openclaw configure"
+  // 📖 See: https://docs.openclaw.ai/gateway/configuration
+  console.log(chalk.dim('  💡 OpenClaw will reload config automatically (gateway.reload.mode).'))
+  console.log(chalk.dim('     To apply manually: openclaw models set ' + modelRef))
+  console.log(chalk.dim('     Or run the setup wizard: openclaw configure'))
+  console.log()
+  return true
+}
+
+// 📖 startIntegrationTarget: Write the selected model into another coding tool's config.
+// 📖 The writers live in lib/targets.js — this only builds the context and prints what happened.
+// 📖 Like startOpenClaw it does NOT launch the tool, it prints how to start it instead.
+// 📖 Returns true once written, false when the tool can't use the model, null when nothing was written
+// 📖 for a reason another model wouldn't fix (cancelled, unreadable config file).
+async function startIntegrationTarget(model, fcmConfig, targetName) {
+  const target = INTEGRATION_TARGETS[targetName]
+  const providerKey = model.providerKey ?? 'nvidia'
+  const src = sources[providerKey]
+  const chatUrl = providerKey === 'cloudflare' ? resolveCloudflareUrl(src.url) : src.url
+  const envVar = ENV_VAR_NAMES[providerKey] || `${providerKey.toUpperCase()}_API_KEY`
+  const ctx = {
+    // 📖 ZAI models are stored as "zai/glm-..." but the API expects just "glm-..."
+    modelId: providerKey === 'zai' ? model.modelId.replace(/^zai\//, '') : model.modelId,
+    label: model.label,
+    providerKey,
+    providerName: src.name,
+    chatUrl,
+    baseUrl: targetBaseUrl(chatUrl),
+    envVar,
+    apiKey: getApiKey(fcmConfig, providerKey),
+  }
+
+  console.log(chalk.rgb(120, 220, 120)(`  🔌 Setting ${chalk.bold(model.label)} in ${target.label}…`))
+  console.log(chalk.dim(`  Model: ${ctx.modelId}  •  Base URL: ${ctx.baseUrl}`))
+  console.log()
+
+  if (UNSUPPORTED_TARGET_PROVIDERS.includes(providerKey)) {
+    console.log(chalk.red(`  ✖ ${src.name} models don't speak the chat-completions API ${target.label} needs — pick another provider.`))
+    console.log()
+    return false
+  }
+  if (src.custom && src.auth && !(src.auth.header === 'Authorization' && src.auth.prefix === 'Bearer ')) {
+    console.log(chalk.yellow(`  ${src.name} uses ${src.auth.header} auth — ${target.label} only sends Bearer keys, requests may be rejected.`))
+  }
+
+  let written
+  try {
+    written = planTargetWrite(targetName, ctx)
+  } catch (err) {
+    console.log(chalk.red(`  ✖ ${target.label} config not written: ${err.message}`))
+    console.log()
+    return null
+  }
+  if (!(await commitConfigWithPreview(targetName, written.path, written.content, { mode: written.mode }))) return null
+
+  console.log(chalk.green(`  ✓ ${target.label} config updated: ${written.path}`))
+  if (target.format === 'json' && ctx.apiKey) {
+    console.log(chalk.dim(`  🔑 ${target.label} can't read env vars — the ${providerKey} key is stored in that file`))
+  }
+  console.log()
+  if (target.keyFromEnv && target.keyFromEnv !== envVar) {
+    console.log(chalk.dim(`  💡 ${target.label} reads the key from ${target.keyFromEnv}:`))
+    console.log(chalk.dim(`     export ${target.keyFromEnv}="$${envVar}"`))
+  }
+  console.log(chalk.dim(`  💡 Next: ${target.launch(written.path)}`))
+  console.log()
+  return true
+}
+
+// ─── Helper function to find best model after analysis ────────────────────────
+// 📖 findBestModel is imported from lib/utils.js
+
+// ─── Function to run in fiable mode (10-second analysis then output best model) ──
+async function runFiableMode(config) {
+  console.log(chalk.cyan('  ⚡ Analyzing models for reliability (10 seconds)...'))
+  console.log()
+
+  // 📖 Only include models from enabled providers that have API keys
+  let results = MODELS
+    .filter(([,,,,,providerKey]) => {
+      return isProviderEnabled(config, providerKey) && hasUsableKey(config, providerKey)
+    })
+    .map(([modelId, label, tier, sweScore, ctx, providerKey], i) => ({
+      idx: i + 1, modelId, label, tier, sweScore, ctx, providerKey,
+      status: 'pending',
+      pings: [],
+      httpCode: null,
+      catalogStatus: catalogStatusByRef.get(`${providerKey}/${modelId}`) ?? null,
+    }))
+
+  const startTime = Date.now()
+  const analysisDuration = 10000 // 10 seconds
+
+  // 📖 Run initial pings using per-provider API key and URL
+  const pingPromises = results.map(r => {
+    const rApiKey = getApiKey(config, r.providerKey)
+    const url = sources[r.providerKey]?.url
+    return ping(rApiKey, r.modelId, r.providerKey, url).then(({ code, ms, error }) => {
+      r.pings.push({ ms, code })
+      r.error = error ?? null
+      if (code === '200') {
+        r.status = 'up'
+      } else if (code === '000') {
+        r.status = 'timeout'
+      } else {
+        r.status = 'down'
+        r.httpCode = code
       }
     })
+  })
+
+  await Promise.allSettled(pingPromises)
+
+  // 📖 Continue pinging for the remaining time
+  const remainingTime = Math.max(0, analysisDuration - (Date.now() - startTime))
+  if (remainingTime > 0) {
+    await new Promise(resolve => setTimeout(resolve, remainingTime))
+  }
+
+  // 📖 Find best model
+  const best = findBestModel(results)
+
+  if (!best) {
+    console.log(chalk.red('  ✖ No reliable model found'))
+    process.exit(1)
+  }
+
+  // 📖 Output in format: providerName/modelId
+  const providerName = sources[best.providerKey]?.name ?? best.providerKey ?? 'nvidia'
+  console.log(chalk.green(`  ✓ Most reliable model:`))
+  console.log(chalk.bold(`    ${providerName}/${best.modelId}`))
+  console.log()
+  console.log(chalk.dim(`  📊 Stats:`))
+  console.log(chalk.dim(`    Avg ping: ${getAvg(best)}ms`))
+  console.log(chalk.dim(`    Uptime: ${getUptime(best)}%`))
+  console.log(chalk.dim(`    Status: ${best.status === 'up' ? '✅ UP' : '❌ DOWN'}`))
+
+  process.exit(0)
+}
+
+// 📖 buildKeyedResults: Result objects for non-interactive modes (headless, serve).
+// 📖 Same selection as --fiable — enabled providers that actually have a key — plus --best / --tier.
+// 📖 Exits with a clear message when nothing is left to ping.
+function buildKeyedResults(config, cliArgs) {
+  let results = MODELS
+    .filter(([,,,,,providerKey]) => {
+      return isProviderEnabled(config, providerKey) && hasUsableKey(config, providerKey)
+    })
+    .map(([modelId, label, tier, sweScore, ctx, providerKey], i) => ({
+      idx: i + 1, modelId, label, tier, sweScore, ctx, providerKey,
+      status: 'pending',
+      pings: [],
+      httpCode: null,
+      catalogStatus: catalogStatusByRef.get(`${providerKey}/${modelId}`) ?? null,
+    }))
+
+  if (cliArgs.bestMode) results = results.filter(r => ['S+', 'S', 'A+'].includes(r.tier))
+  if (cliArgs.tierFilter) results = filterByTierOrExit(results, cliArgs.tierFilter)
+
+  if (results.length === 0) {
+    console.error('  ✖ No models to ping — configure an API key first (run free-coding-models once, or set e.g. NVIDIA_API_KEY).')
+    process.exit(1)
+  }
+  return results
+}
+
+// 📖 runPingRounds: The headless ping loop — --rounds <n> (default 1) or --duration <15s>
+// 📖 (keeps pinging until elapsed). onPing(r, ping, round) fires for every ping actually sent.
+// 📖 Returns the number of rounds run.
+async function runPingRounds(config, results, { rounds, durationMs, noHistory }, onPing = () => {}) {
+  const startTime = Date.now()
+  const maxRounds = durationMs ? Infinity : (rounds ?? 1)
+  let round = 0
+
+  while (round < maxRounds) {
+    round++
+    await Promise.allSettled(results.map(async (r) => {
+      const ping = await pingResult(config, r, { noHistory })
+      if (!ping.skipped) onPing(r, ping, round)
+    }))
+
+    const elapsed = Date.now() - startTime
+    if (durationMs && elapsed >= durationMs) break
+    if (round < maxRounds) {
+      // 📖 Pause between rounds, but never past the requested duration
+      const pause = durationMs ? Math.min(PING_INTERVAL, durationMs - elapsed) : PING_INTERVAL
+      await new Promise(resolve => setTimeout(resolve, pause))
+    }
+  }
+  return round
+}
+
+// 📖 exitOnInvalidPingLength: --rounds / --duration were passed but didn't parse (parseArgs keeps them null)
+function exitOnInvalidPingLength(cliArgs) {
+  const argvLower = process.argv.map(a => a.toLowerCase())
+  if (cliArgs.durationMs === null && argvLower.includes('--duration')) {
+    console.error(chalk.red('  Invalid --duration value. Examples: 30s, 2m, 500ms'))
+    process.exit(1)
+  }
+  if (cliArgs.rounds === null && argvLower.includes('--rounds')) {
+    console.error(chalk.red('  Invalid --rounds value. Expected a positive integer.'))
+    process.exit(1)
+  }
+}
+
+// ─── Headless mode (--json / --ndjson) ────────────────────────────────────────
+// 📖 Runs the same ping loop as the TUI without the alternate screen, then prints
+// 📖 machine-readable results to stdout. Everything human-facing goes to stderr so
+// 📖 `free-coding-models --json | jq` always receives valid JSON.
+// 📖 --ndjson: one line per ping event, then one "result" line per model.
+// 📖 --json: a single JSON document once all rounds are done.
+// 📖 Length: --rounds <n> (default 1) or --duration <15s> (keeps pinging until elapsed).
+async function runHeadlessMode(config, cliArgs) {
+  const emit = (obj) => process.stdout.write(JSON.stringify(obj) + '\n')
+
+  await refreshOpenRouterModels()
+  if (!cliArgs.noDiscovery) applyDiscoveredCatalogs(await refreshCatalogs(config))
+  const results = buildKeyedResults(config, cliArgs)
+
+  const startTime = Date.now()
+  const round = await runPingRounds(config, results, cliArgs, (r, { code, ms }, round) => {
+    if (cliArgs.ndjsonMode) {
+      emit({ type: 'ping', ts: new Date().toISOString(), round, modelId: r.modelId, providerKey: r.providerKey, code, ms, status: r.status, error: r.error?.kind ?? null })
+    }
+  })
+
+  // 📖 --benchmark: one streamed generation per model that is up after the ping rounds
+  if (cliArgs.benchmarkMode) {
+    await benchmarkResults(config, results.filter(r => r.status === 'up'), (r) => {
+      if (cliArgs.ndjsonMode) emit({ type: 'benchmark', ts: new Date().toISOString(), modelId: r.modelId, providerKey: r.providerKey, ...r.bench })
+    })
+  }
+
+  // 📖 --probe: tool calling / JSON mode / streaming check per model that is up
+  if (cliArgs.probeMode) {
+    await probeResults(config, results.filter(r => r.status === 'up'), (r) => {
+      if (cliArgs.ndjsonMode) emit({ type: 'probe', ts: new Date().toISOString(), modelId: r.modelId, providerKey: r.providerKey, ...r.capabilities })
+    })
+  }
+
+  const best = findBestModel(results)
+  const summaries = sortResults(results, 'avg', 'asc').map(buildResultSummary)
+
+  if (cliArgs.ndjsonMode) {
+    for (const summary of summaries) emit({ type: 'result', ...summary })
+  } else {
+    process.stdout.write(JSON.stringify({
+      version: LOCAL_VERSION,
+      generatedAt: new Date().toISOString(),
+      rounds: round,
+      durationMs: Date.now() - startTime,
+      best: best && best.status === 'up' ? { modelId: best.modelId, providerKey: best.providerKey } : null,
+      results: summaries,
+    }, null, 2) + '\n')
   }
 
-  if (providerKey === 'nvidia') {
-    // 📖 NVIDIA NIM needs a custom provider block in OpenCode config (not built-in)
-    // 📖 Auto-create it if missing — same pattern as all other providers
-    const config = loadOpenCodeConfig()
-    const backupPath = `${getOpenCodeConfigPath()}.backup-${Date.now()}`
+  process.exit(0)
+}
 
-    if (existsSync(getOpenCodeConfigPath())) {
-      copyFileSync(getOpenCodeConfigPath(), backupPath)
-      console.log(chalk.dim(`  Backup: ${backupPath}`))
-    }
+// ─── Headless Smart Recommend (free-coding-models recommend) ──────────────────
+// 📖 The Q overlay's analysis without the TUI: ping every keyed model for --duration (default
+// 📖 10s, like the overlay) or --rounds, rank them with getTopRecommendations and print each
+// 📖 pick with the per-signal breakdown behind its score. Meant for scripts and bootstraps:
+// 📖   free-coding-models recommend --task refactor --priority quality --context large --apply opencode
+// 📖 --apply <tool> writes the winner into that tool's config (same names as --target, never launches).
+// 📖 --json prints the ranking as one JSON document instead. Exits 1 when no model is up.
+const RECOMMEND_DEFAULT_DURATION_MS = 10_000
+const RECOMMEND_TOP_N = 5
+
+// 📖 formatScoreBreakdown: "SWE 88 ×0.52  •  Speed 71 ×0.06  •  …" plus the factors that aren't 1
+function formatScoreBreakdown(breakdown) {
+  const names = { swe: 'SWE', speed: 'Speed', ctx: 'Context', stability: 'Stability' }
+  const parts = Object.entries(names).map(([key, name]) =>
+    `${name} ${chalk.bold(String(Math.round(breakdown.signals[key])))} ${chalk.dim('×' + breakdown.weights[key].toFixed(2))}`)
+  if (breakdown.statusFactor !== 1) parts.push(chalk.red(`down ×${breakdown.statusFactor}`))
+  if (breakdown.capabilityFactor !== 1) parts.push(chalk.yellow(`caps ×${+breakdown.capabilityFactor.toFixed(2)}`))
+  return parts.join(chalk.dim('  •  '))
+}
 
-    // 📖 Ensure nvidia provider block exists — auto-create if missing
-    if (!config.provider) config.provider = {}
-    if (!config.provider.nvidia) {
-      config.provider.nvidia = {
-        npm: '@ai-sdk/openai-compatible',
-        name: 'NVIDIA NIM',
-        options: {
-          baseURL: 'https://integrate.api.nvidia.com/v1',
-          apiKey: '{env:NVIDIA_API_KEY}'
-        },
-        models: {}
-      }
-      console.log(chalk.green('  + Auto-configured NVIDIA NIM provider in OpenCode'))
+async function runRecommendCommand(config, cliArgs, taskTypes) {
+  if (!cliArgs.taskType) {
+    console.error(chalk.red(`  ✖ recommend needs --task <name>. Available: ${Object.keys(taskTypes).join(', ')}`))
+    process.exit(1)
+  }
+  const priority = cliArgs.priority ?? 'balanced'
+  const contextBudget = cliArgs.contextBudget ?? 'medium'
+
+  let applyTarget = null
+  if (cliArgs.apply) {
+    const name = cliArgs.apply.toLowerCase()
+    applyTarget = BUILTIN_MODES.includes(name) ? name : resolveTargetName(name)
+    if (!applyTarget) {
+      console.error(chalk.red(`  ✖ Unknown --apply "${cliArgs.apply}". Available: ${[...BUILTIN_MODES, ...Object.keys(INTEGRATION_TARGETS)].join(', ')}`))
+      process.exit(1)
     }
+    if (cliArgs.jsonMode) {
+      console.error(chalk.red('  ✖ --apply can\'t be combined with --json (the config diff is printed on stdout)'))
+      process.exit(1)
+    }
+  }
 
-    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default for OpenCode Desktop...`))
-    console.log(chalk.dim(`  Model: ${modelRef}`))
-    console.log()
-
-    config.model = modelRef
+  await refreshOpenRouterModels()
+  if (!cliArgs.noDiscovery) applyDiscoveredCatalogs(await refreshCatalogs(config))
+  const results = buildKeyedResults(config, cliArgs)
+  const durationMs = cliArgs.durationMs ?? (cliArgs.rounds ? null : RECOMMEND_DEFAULT_DURATION_MS)
+  const criteria = `${taskTypes[cliArgs.taskType].label} • ${PRIORITY_TYPES[priority].label} • ${CONTEXT_BUDGETS[contextBudget].label}`
 
-    // 📖 Register the model in the nvidia provider's models section
-    if (!config.provider.nvidia.models) config.provider.nvidia.models = {}
-    config.provider.nvidia.models[ocModelId] = { name: model.label }
+  // 📖 Progress goes to stderr so --json output stays clean
+  const startTime = Date.now()
+  console.error(chalk.cyan(`  🎯 Analyzing ${results.length} models for ${criteria} (${durationMs ? `${durationMs / 1000}s` : `${cliArgs.rounds} rounds`})...`))
+  await runPingRounds(config, results, { rounds: cliArgs.rounds, durationMs, noHistory: cliArgs.noHistory })
+  if (cliArgs.probeMode) await probeResults(config, results.filter(r => r.status === 'up'))
+
+  // 📖 The definition itself is passed — custom task types aren't in TASK_TYPES
+  const recs = getTopRecommendations(results, taskTypes[cliArgs.taskType], priority, contextBudget, RECOMMEND_TOP_N)
+  // 📖 The best model that answered — a top score can belong to a pending / noauth / budget-skipped row
+  const winner = recs.find(rec => rec.result.status === 'up') ?? null
+
+  if (cliArgs.jsonMode) {
+    process.stdout.write(JSON.stringify({
+      version: LOCAL_VERSION,
+      generatedAt: new Date().toISOString(),
+      task: cliArgs.taskType,
+      priority,
+      context: contextBudget,
+      durationMs: Date.now() - startTime,
+      best: winner ? { modelId: winner.result.modelId, providerKey: winner.result.providerKey } : null,
+      recommendations: recs.map((rec, i) => ({ rank: i + 1, score: rec.score, breakdown: rec.breakdown, ...buildResultSummary(rec.result) })),
+    }, null, 2) + '\n')
+    process.exit(winner ? 0 : 1)
+  }
 
-    saveOpenCodeConfig(config)
+  console.log()
+  console.log(`  ${chalk.bold('🎯 Smart Recommend')}  ${chalk.dim(criteria)}`)
+  console.log()
+  for (const [i, rec] of recs.entries()) {
+    const r = rec.result
+    const avg = getAvg(r)
+    const tierFn = TIER_COLOR[r.tier] ?? (t => chalk.white(t))
+    console.log(`  ${chalk.bold('#' + (i + 1))}  ${chalk.bold.white(r.label)}  ${chalk.dim(`${r.providerKey}/${r.modelId}`)}  Score ${chalk.bold.greenBright(rec.score + '/100')}`)
+    console.log(`      ${formatScoreBreakdown(rec.breakdown)}`)
+    console.log(chalk.dim(`      Tier `) + tierFn(r.tier) + chalk.dim(`  •  SWE ${r.sweScore ?? '—'}  •  CTX ${r.ctx ?? '—'}  •  Avg ${avg === Infinity ? '—' : Math.round(avg) + 'ms'}  •  ${r.status}`))
+    console.log()
+  }
 
-    const savedConfig = loadOpenCodeConfig()
-    console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
-    console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
+  if (!winner) {
+    console.error(chalk.red('  ✖ No model answered during the analysis — check your keys or try a longer --duration'))
+    process.exit(1)
+  }
+  if (!applyTarget) {
+    console.log(chalk.dim(`  💡 Write it into a tool's config with --apply <tool> (${[...BUILTIN_MODES, ...Object.keys(INTEGRATION_TARGETS)].join(', ')})`))
     console.log()
+    process.exit(0)
+  }
 
-    if (savedConfig.model === config.model) {
-      console.log(chalk.green(`  Default model set to: ${modelRef}`))
-    } else {
-      console.log(chalk.yellow(`  Config might not have been saved correctly`))
+  // 📖 Same writers as Enter in the TUI — diff preview, confirmation on a TTY, backup ring.
+  // 📖 A winner the tool can't use (ZAI in OpenCode without a launch, Replicate…) hands over to the
+  // 📖 next recommendation that answered; a cancelled or refused write stops here.
+  const candidates = recs.filter(rec => rec.result.status === 'up')
+  try {
+    for (const [i, rec] of candidates.entries()) {
+      const model = rec.result
+      if (i > 0) {
+        console.log(chalk.dim(`  ↪ Trying recommendation #${recs.indexOf(rec) + 1} instead`))
+        console.log()
+      }
+      let applied
+      if (applyTarget === 'openclaw') applied = await startOpenClaw(model, config)
+      else if (applyTarget === 'opencode' || applyTarget === 'opencode-desktop') applied = await startOpenCode(model, config, { launch: false })
+      else applied = await startIntegrationTarget(model, config, applyTarget)
+      if (applied) process.exit(0)
+      if (applied === null) process.exit(1)
     }
-    console.log()
-    console.log(chalk.dim('  Opening OpenCode Desktop...'))
-    console.log()
+  } catch (err) {
+    if (err.code !== 'EJSONC') throw err
+    reportBrokenToolConfig(err)
+    process.exit(1)
+  }
+  console.error(chalk.red(`  ✖ None of the models that answered can be used with --apply ${applyTarget}`))
+  process.exit(1)
+}
 
-    await launchDesktop()
-  } else {
-    if (providerKey === 'replicate') {
-      console.log(chalk.yellow('  Replicate models are monitor-only for now in OpenCode Desktop mode.'))
-      console.log(chalk.dim('    Reason: Replicate uses /v1/predictions instead of OpenAI chat-completions.'))
-      console.log(chalk.dim('    You can still benchmark this model in the TUI and use other providers for Desktop launch.'))
-      console.log()
-      return
+// ─── Local router (free-coding-models serve) ──────────────────────────────────
+// 📖 An OpenAI-compatible endpoint on localhost that always forwards to the best model
+// 📖 that is healthy right now. Point OpenCode, Cursor or scripts at one stable base URL:
+// 📖   baseURL: http://127.0.0.1:8765/v1   model: "auto"
+// 📖
+// 📖 - GET  /v1/models            → "auto" + every routable "providerKey/modelId"
+// 📖 - POST /v1/chat/completions  → forwarded to the top of rankRoutableModels()
+// 📖   A specific "providerKey/modelId" as model is tried first, then the ranked list.
+// 📖   On 429, 5xx, network error or timeout the next candidate is tried (SERVE_MAX_ATTEMPTS).
+// 📖   Other 4xx responses are passed through untouched — they're the client's problem.
+// 📖 - The response carries an `x-fcm-model` header naming the model that answered.
+// 📖 A background ping loop (same as the TUI) keeps the ranking fresh; failed requests
+// 📖 are recorded as pings so a throttled model drops down immediately.
+const SERVE_DEFAULT_PORT = 8765
+const SERVE_MAX_ATTEMPTS = 4
+const SERVE_UPSTREAM_TIMEOUT = 60_000 // 📖 Time allowed until upstream response headers arrive
+
+async function runServeMode(config, cliArgs) {
+  await refreshOpenRouterModels()
+  if (!cliArgs.noDiscovery) applyDiscoveredCatalogs(await refreshCatalogs(config))
+  // 📖 Replicate is not OpenAI-compatible, so it can't sit behind the router
+  const results = buildKeyedResults(config, cliArgs).filter(r => r.providerKey !== 'replicate')
+  const port = cliArgs.port ?? SERVE_DEFAULT_PORT
+  const log = (msg) => process.stderr.write(`  ${chalk.dim(new Date().toLocaleTimeString())} ${msg}\n`)
+  const refOf = (r) => `${r.providerKey}/${r.modelId}`
+
+  // 📖 Keep the ranking fresh like the TUI: each round only pings rows that are due
+  // 📖 (dead and backed-off models less often, favorites more often — see lib/scheduler.js)
+  const pingInterval = () => getSettings(config).pingInterval || PING_INTERVAL
+  const pingAll = () => Promise.allSettled(results
+    .filter(r => isPingDue(r, { interval: pingInterval() }))
+    .map(r => pingResult(config, r, { noHistory: cliArgs.noHistory })))
+  const schedulePing = () => setTimeout(async () => { await pingAll(); schedulePing() }, SCHEDULER_TICK_MS)
+
+  const sendJson = (res, status, obj) => {
+    res.writeHead(status, { 'content-type': 'application/json' })
+    res.end(JSON.stringify(obj))
+  }
+  const sendError = (res, status, message, type = 'router_error') => sendJson(res, status, { error: { message, type } })
+
+  // 📖 Forward one request to one candidate. Returns true once the client has been answered.
+  const tryCandidate = async (r, body, res) => {
+    const apiKey = getApiKey(config, r.providerKey)
+    const base = buildPingRequest(apiKey, r.modelId, r.providerKey, sources[r.providerKey].url)
+    const ctrl = new AbortController()
+    const timer = setTimeout(() => ctrl.abort(), SERVE_UPSTREAM_TIMEOUT)
+    const t0 = performance.now()
+    let upstream
+    try {
+      upstream = await fetch(base.url, {
+        method: 'POST',
+        signal: ctrl.signal,
+        headers: base.headers,
+        body: JSON.stringify({ ...body, model: base.body.model }),
+      })
+    } catch (err) {
+      clearTimeout(timer)
+      const timedOut = err.name === 'AbortError'
+      r.pings.push({ ms: timedOut ? 'TIMEOUT' : Math.round(performance.now() - t0), code: timedOut ? '000' : 'ERR' })
+      r.status = timedOut ? 'timeout' : 'down'
+      r.error = classifyNetworkError(err)
+      log(chalk.yellow(`↻ ${refOf(r)} ${timedOut ? 'timed out' : `unreachable (${r.error.label})`} — failing over`))
+      return false
+    }
+    clearTimeout(timer)
+    const ms = Math.round(performance.now() - t0)
+    // 📖 Real traffic carries the freshest rate-limit headers — feed them to the ping backoff
+    r.rateLimit = parseRateLimitHeaders(upstream.headers)
+    r.lastPingAt = Date.now()
+
+    if (isFailoverStatus(upstream.status)) {
+      // 📖 Record the failure so the ranking reacts before the next ping round
+      r.pings.push({ ms, code: String(upstream.status) })
+      r.status = 'down'
+      r.httpCode = String(upstream.status)
+      r.error = classifyHttpError(upstream.status, await upstream.text().catch(() => null))
+      log(chalk.yellow(`↻ ${refOf(r)} → ${upstream.status} ${r.error.label} — failing over`))
+      return false
     }
 
-    // 📖 ZAI: Desktop mode can't use the localhost proxy (Desktop is a standalone app).
-    // 📖 Direct the user to use OpenCode CLI mode instead, which supports ZAI via proxy.
-    if (providerKey === 'zai') {
-      console.log(chalk.yellow('  ZAI models are supported in OpenCode CLI mode only (not Desktop).'))
-      console.log(chalk.dim('    Reason: ZAI requires a localhost proxy that only works with the CLI spawn.'))
-      console.log(chalk.dim('    Use OpenCode CLI mode (default) to launch ZAI models.'))
-      console.log()
+    res.writeHead(upstream.status, {
+      'content-type': upstream.headers.get('content-type') || 'application/json',
+      'cache-control': 'no-cache',
+      'x-fcm-model': refOf(r),
+    })
+    try {
+      // 📖 Stream the body through as-is so SSE responses keep streaming
+      if (upstream.body) {
+        for await (const chunk of upstream.body) res.write(chunk)
+      }
+    } catch {
+      // 📖 Upstream dropped mid-stream — nothing left to fail over to, just close
+    }
+    res.end()
+    log(`${upstream.status < 400 ? chalk.green('✓') : chalk.red('✖')} ${refOf(r)} ${upstream.status} ${ms}ms`)
+    return true
+  }
+
+  const server = createHttpServer(async (req, res) => {
+    const path = (req.url || '').split('?')[0].replace(/\/+$/, '')
+
+    if (req.method === 'GET' && path === '/v1/models') {
+      const created = Math.floor(Date.now() / 1000)
+      const data = [{ id: 'auto', object: 'model', created, owned_by: 'free-coding-models' }]
+      for (const r of rankRoutableModels(results)) data.push({ id: refOf(r), object: 'model', created, owned_by: r.providerKey })
+      sendJson(res, 200, { object: 'list', data })
       return
     }
 
-    // 📖 Groq: built-in OpenCode provider — needs provider block with apiKey in opencode.json.
-    // 📖 Cerebras: NOT built-in — needs @ai-sdk/openai-compatible + baseURL, like NVIDIA.
-    // 📖 Both need the model registered in provider.<key>.models so OpenCode can find it.
-    console.log(chalk.green(`  Setting ${chalk.bold(model.label)} as default for OpenCode Desktop...`))
-    console.log(chalk.dim(`  Model: ${modelRef}`))
-    console.log()
+    if (req.method !== 'POST' || path !== '/v1/chat/completions') {
+      sendError(res, 404, `Unknown route ${req.method} ${path || '/'}`, 'invalid_request_error')
+      return
+    }
 
-    const config = loadOpenCodeConfig()
-    const backupPath = `${getOpenCodeConfigPath()}.backup-${Date.now()}`
+    let body
+    try {
+      const chunks = []
+      for await (const chunk of req) chunks.push(chunk)
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')
+    } catch {
+      sendError(res, 400, 'Request body must be valid JSON', 'invalid_request_error')
+      return
+    }
 
-    if (existsSync(getOpenCodeConfigPath())) {
-      copyFileSync(getOpenCodeConfigPath(), backupPath)
-      console.log(chalk.dim(`  Backup: ${backupPath}`))
+    // 📖 "auto" (or no model) → ranked list; a known "providerKey/modelId" → that model first
+    const ranked = rankRoutableModels(results)
+    const pinned = results.find(r => refOf(r) === body.model)
+    const candidates = (pinned ? [pinned, ...ranked.filter(r => r !== pinned)] : ranked).slice(0, SERVE_MAX_ATTEMPTS)
+    if (candidates.length === 0) {
+      sendError(res, 503, 'No healthy model available right now — try again after the next ping round')
+      return
     }
 
-    // 📖 Ensure the provider block exists in config — create it if missing
-    if (!config.provider) config.provider = {}
-    if (!config.provider[providerKey]) {
-      if (providerKey === 'groq') {
-        config.provider.groq = {
-          options: { apiKey: '{env:GROQ_API_KEY}' },
-          models: {}
-        }
-      } else if (providerKey === 'cerebras') {
-        config.provider.cerebras = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Cerebras',
-          options: {
-            baseURL: 'https://api.cerebras.ai/v1',
-            apiKey: '{env:CEREBRAS_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'sambanova') {
-        // 📖 SambaNova is OpenAI-compatible — uses @ai-sdk/openai-compatible with their base URL
-        config.provider.sambanova = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'SambaNova',
-          options: {
-            baseURL: 'https://api.sambanova.ai/v1',
-            apiKey: '{env:SAMBANOVA_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'openrouter') {
-        config.provider.openrouter = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'OpenRouter',
-          options: {
-            baseURL: 'https://openrouter.ai/api/v1',
-            apiKey: '{env:OPENROUTER_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'huggingface') {
-        config.provider.huggingface = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Hugging Face Inference',
-          options: {
-            baseURL: 'https://router.huggingface.co/v1',
-            apiKey: '{env:HUGGINGFACE_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'deepinfra') {
-        config.provider.deepinfra = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'DeepInfra',
-          options: {
-            baseURL: 'https://api.deepinfra.com/v1/openai',
-            apiKey: '{env:DEEPINFRA_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'fireworks') {
-        config.provider.fireworks = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Fireworks AI',
-          options: {
-            baseURL: 'https://api.fireworks.ai/inference/v1',
-            apiKey: '{env:FIREWORKS_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'codestral') {
-        config.provider.codestral = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Mistral Codestral',
-          options: {
-            baseURL: 'https://codestral.mistral.ai/v1',
-            apiKey: '{env:CODESTRAL_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'hyperbolic') {
-        config.provider.hyperbolic = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Hyperbolic',
-          options: {
-            baseURL: 'https://api.hyperbolic.xyz/v1',
-            apiKey: '{env:HYPERBOLIC_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'scaleway') {
-        config.provider.scaleway = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Scaleway',
-          options: {
-            baseURL: 'https://api.scaleway.ai/v1',
-            apiKey: '{env:SCALEWAY_API_KEY}'
-          },
-          models: {}
-        }
-      } else if (providerKey === 'googleai') {
-        config.provider.googleai = {
-          npm: '@ai-sdk/openai-compatible',
-          name: 'Google AI Studio',
-          options: {
-            baseURL: 'https://generativelanguage.googleapis.com/v1beta/openai',
-            apiKey: '{env:GOOGLE_API_KEY}'
-          },
-          models: {}
-        }
-      }
+    for (const r of candidates) {
+      if (await tryCandidate(r, body, res)) return
     }
+    sendError(res, 503, `All ${candidates.length} candidate models failed (429/5xx/timeout)`)
+  })
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, '127.0.0.1', resolve)
+  }).catch((err) => {
+    console.error(chalk.red(`  ✖ Could not listen on 127.0.0.1:${port} — ${err.message}`))
+    process.exit(1)
+  })
+
+  console.error(chalk.cyan(`  ⚡ free-coding-models router listening on http://127.0.0.1:${port}/v1`))
+  console.error(chalk.dim(`     ${results.length} models from ${new Set(results.map(r => r.providerKey)).size} providers — use model "auto" or "providerKey/modelId"`))
+  console.error(chalk.dim('     Warming up: running the first ping round...'))
+  await pingAll()
+  const best = rankRoutableModels(results)[0]
+  console.error(best ? chalk.green(`  ✓ Routing to ${refOf(best)} (best right now)`) : chalk.yellow('  ⚠ No model is up yet — requests will return 503 until one is'))
+  schedulePing()
+
+  const shutdown = () => { server.close(); process.exit(0) }
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
+
+// 📖 filterByTier and TIER_LETTER_MAP are imported from lib/utils.js
+// 📖 Wrapper that exits on invalid tier (utils version returns null instead)
+function filterByTierOrExit(results, tierLetter) {
+  const filtered = filterByTier(results, tierLetter)
+  if (filtered === null) {
+    console.error(chalk.red(`  ✖ Unknown tier "${tierLetter}". Valid tiers: S, A, B, C`))
+    process.exit(1)
+  }
+  return filtered
+}
+
+// ─── Dynamic OpenRouter free model discovery ──────────────────────────────────
+// 📖 Fetches the live list of free models from OpenRouter's public API at startup.
+// 📖 Replaces the static openrouter entries in MODELS with fresh data so new free
+// 📖 models appear automatically without a code update.
+// 📖 Falls back silently to the static list on network failure.
+
+// 📖 Known SWE-bench scores for OpenRouter free models.
+// 📖 Keyed by base model ID (without the :free suffix).
+// 📖 Unknown models default to tier 'B' / '25.0%'.
+const OPENROUTER_TIER_MAP = {
+  'qwen/qwen3-coder':                         ['S+', '70.6%'],
+  'mistralai/devstral-2':                      ['S+', '72.2%'],
+  'stepfun/step-3.5-flash':                    ['S+', '74.4%'],
+  'deepseek/deepseek-r1-0528':                 ['S',  '61.0%'],
+  'qwen/qwen3-next-80b-a3b-instruct':          ['S',  '65.0%'],
+  'openai/gpt-oss-120b':                       ['S',  '60.0%'],
+  'openai/gpt-oss-20b':                        ['A',  '42.0%'],
+  'nvidia/nemotron-3-nano-30b-a3b':            ['A',  '43.0%'],
+  'meta-llama/llama-3.3-70b-instruct':         ['A-', '39.5%'],
+  'mimo-v2-flash':                             ['A',  '45.0%'],
+  'google/gemma-3-27b-it':                     ['A-', '36.0%'],
+  'google/gemma-3-12b-it':                     ['B+', '30.0%'],
+  'google/gemma-3-4b-it':                      ['B',  '22.0%'],
+  'google/gemma-3n-e4b-it':                    ['B',  '22.0%'],
+  'google/gemma-3n-e2b-it':                    ['B',  '18.0%'],
+  'meta-llama/llama-3.2-3b-instruct':          ['B',  '20.0%'],
+  'mistralai/mistral-small-3.1-24b-instruct':  ['A-', '35.0%'],
+  'qwen/qwen3-4b':                             ['B',  '22.0%'],
+  'nousresearch/hermes-3-llama-3.1-405b':      ['A',  '40.0%'],
+  'nvidia/nemotron-nano-9b-v2':                ['B+', '28.0%'],
+  'nvidia/nemotron-nano-12b-v2-vl':            ['B+', '30.0%'],
+  'z-ai/glm-4.5-air':                          ['A-', '38.0%'],
+  'arcee-ai/trinity-large-preview':             ['A',  '40.0%'],
+  'arcee-ai/trinity-mini':                      ['B+', '28.0%'],
+  'upstage/solar-pro-3':                       ['A-', '35.0%'],
+  'cognitivecomputations/dolphin-mistral-24b-venice-edition': ['B+', '28.0%'],
+  'liquid/lfm-2.5-1.2b-thinking':              ['B',  '18.0%'],
+  'liquid/lfm-2.5-1.2b-instruct':              ['B',  '18.0%'],
+}
 
-    // 📖 Register the model in the provider's models section
-    // 📖 Only register custom models -- skip if the model maps to a built-in OpenCode ID
-    const isBuiltinMapped = OPENCODE_MODEL_MAP[providerKey]?.[model.modelId]
-    if (!isBuiltinMapped) {
-      if (!config.provider[providerKey].models) config.provider[providerKey].models = {}
-      config.provider[providerKey].models[ocModelId] = { name: model.label }
-    }
+async function fetchOpenRouterFreeModels() {
+  try {
+    const controller = new AbortController()
+    const timeout = setTimeout(() => controller.abort(), 5000)
+    const res = await fetch('https://openrouter.ai/api/v1/models', {
+      signal: controller.signal,
+      headers: {
+        'HTTP-Referer': 'https://github.com/vava-nessa/free-coding-models',
+        'X-Title': 'free-coding-models',
+      },
+    })
+    clearTimeout(timeout)
+    if (!res.ok) return null
+    const json = await res.json()
+    if (!json.data || !Array.isArray(json.data)) return null
 
-    config.model = modelRef
-    saveOpenCodeConfig(config)
+    const freeModels = json.data.filter(m => m.id && m.id.endsWith(':free'))
 
-    const savedConfig = loadOpenCodeConfig()
-    console.log(chalk.dim(`  Config saved to: ${getOpenCodeConfigPath()}`))
-    console.log(chalk.dim(`  Default model in config: ${savedConfig.model || 'NOT SET'}`))
-    console.log()
+    return freeModels.map(m => {
+      const baseId = m.id.replace(/:free$/, '')
+      const [tier, swe] = OPENROUTER_TIER_MAP[baseId] || ['B', '25.0%']
+      const ctx = formatCtxWindow(m.context_length)
+      const label = labelFromId(m.id)
+      return [m.id, label, tier, swe, ctx]
+    })
+  } catch {
+    return null
+  }
+}
 
-    if (savedConfig.model === config.model) {
-      console.log(chalk.green(`  Default model set to: ${modelRef}`))
-    } else {
-      console.log(chalk.yellow(`  Config might not have been saved correctly`))
+// 📖 Swap the static openrouter entries in MODELS for the live free list.
+// 📖 Returns false (and leaves MODELS untouched) when the fetch fails.
+async function refreshOpenRouterModels() {
+  const dynamicModels = await fetchOpenRouterFreeModels()
+  if (!dynamicModels) return false
+  // 📖 Remove all existing openrouter entries from MODELS
+  for (let i = MODELS.length - 1; i >= 0; i--) {
+    if (MODELS[i][5] === 'openrouter') MODELS.splice(i, 1)
+  }
+  // 📖 Push fresh entries with 'openrouter' providerKey
+  for (const [modelId, label, tier, swe, ctx] of dynamicModels) {
+    MODELS.push([modelId, label, tier, swe, ctx, 'openrouter'])
+  }
+  return true
+}
+
+// ─── Live catalog discovery ───────────────────────────────────────────────────
+// 📖 Providers whose whole /models list is free to use — newly discovered models are added to
+// 📖 MODELS automatically. For the others (NIM, Together, DeepInfra…) /models also lists paid or
+// 📖 non-coding models, so new ids are only reported by `free-coding-models catalog`.
+// 📖 Custom providers (lib/custom-providers.js) always auto-add: the user owns that endpoint.
+const DISCOVERY_AUTO_ADD = ['groq', 'cerebras', 'sambanova', 'googleai', 'zai', 'iflow']
+
+// 📖 "providerKey/modelId" → 'new' | 'gone', filled by applyDiscoveredCatalogs and copied onto results
+const catalogStatusByRef = new Map()
+
+// 📖 refreshCatalogs: Cache-first /models discovery for every enabled provider we can authenticate to.
+async function refreshCatalogs(config, { force = false } = {}) {
+  const targets = Object.keys(sources)
+    .filter(pk => !DISCOVERY_UNSUPPORTED.includes(pk) && isProviderEnabled(config, pk) && hasUsableKey(config, pk))
+    .map(pk => ({
+      providerKey: pk,
+      url: modelsEndpointFor(sources[pk].url),
+      // 📖 Same auth headers as a ping (bearer, custom header styles…)
+      headers: buildPingRequest(getApiKey(config, pk), '', pk, sources[pk].url).headers,
+    }))
+  return discoverCatalogs(targets, { force })
+}
+
+// 📖 applyDiscoveredCatalogs: Diff live lists against sources.js, add new models for auto-add
+// 📖 providers and remember which refs are new / gone. Returns one report entry per provider.
+function applyDiscoveredCatalogs(catalogs) {
+  const report = []
+  for (const [providerKey, catalog] of Object.entries(catalogs)) {
+    const staticIds = sources[providerKey].models.map(m => m[0])
+    const liveById = new Map(catalog.models.map(m => [toCatalogId(providerKey, m.id), m]))
+    const { added, removed } = diffCatalog(staticIds, [...liveById.keys()])
+    const autoAdd = DISCOVERY_AUTO_ADD.includes(providerKey) || Boolean(sources[providerKey].custom)
+    const newIds = added.filter(isLikelyChatModel)
+
+    if (autoAdd) {
+      for (const modelId of newIds) {
+        if (MODELS.some(m => m[5] === providerKey && m[0] === modelId)) continue
+        // 📖 Unknown benchmark score → same B-tier default as unknown OpenRouter models
+        MODELS.push([modelId, labelFromId(modelId), 'B', '25.0%', liveById.get(modelId).ctx ?? '128k', providerKey])
+      }
     }
+    for (const modelId of newIds) catalogStatusByRef.set(`${providerKey}/${modelId}`, 'new')
+    for (const modelId of removed) catalogStatusByRef.set(`${providerKey}/${modelId}`, 'gone')
+
+    report.push({
+      providerKey,
+      fetchedAt: new Date(catalog.fetchedAt).toISOString(),
+      fromCache: catalog.fromCache,
+      stale: catalog.stale,
+      live: catalog.models.length,
+      added: newIds,
+      removed,
+      autoAdded: autoAdd,
+    })
+  }
+  return report
+}
+
+// ─── `catalog` subcommand ─────────────────────────────────────────────────────
+// 📖 Prints the live-vs-static diff per provider. --refresh bypasses the cache TTL, --json
+// 📖 prints the raw report for scripts.
+async function runCatalogCommand(config, cliArgs) {
+  const report = applyDiscoveredCatalogs(await refreshCatalogs(config, { force: cliArgs.refreshMode }))
+  report.sort((a, b) => a.providerKey.localeCompare(b.providerKey))
+
+  if (cliArgs.jsonMode || cliArgs.ndjsonMode) {
+    process.stdout.write(JSON.stringify({ generatedAt: new Date().toISOString(), cache: CATALOG_CACHE_PATH, providers: report }, null, 2) + '\n')
+    return
+  }
+
+  console.log()
+  if (report.length === 0) {
+    console.log(chalk.yellow('  No provider catalogs available — configure an API key first, or check your connection.'))
     console.log()
-    console.log(chalk.dim('  Opening OpenCode Desktop...'))
-    console.log()
+    return
+  }
+  for (const entry of report) {
+    const name = sources[entry.providerKey]?.name ?? entry.providerKey
+    const source = entry.stale ? chalk.yellow('stale cache') : entry.fromCache ? chalk.dim('cached') : chalk.green('live')
+    console.log(`  ${chalk.bold(name)}  ${chalk.dim(`${entry.live} models served`)}  ${source} ${chalk.dim(entry.fetchedAt)}`)
+    for (const id of entry.added) console.log(`    ${chalk.green('+')} ${id}${entry.autoAdded ? chalk.dim('  (added to the table)') : ''}`)
+    for (const id of entry.removed) console.log(`    ${chalk.red('-')} ${id}${chalk.dim('  (no longer served)')}`)
+    if (entry.added.length === 0 && entry.removed.length === 0) console.log(chalk.dim('    in sync with the built-in catalog'))
+  }
+  console.log()
+  console.log(chalk.dim(`  Cache: ${CATALOG_CACHE_PATH} — refresh with: free-coding-models catalog --refresh`))
+  console.log()
+}
 
-    await launchDesktop()
+// ─── `rollback` subcommand ────────────────────────────────────────────────────
+// 📖 Every tool config write keeps the previous version in a ring (lib/config-writes.js).
+// 📖 rollback restores the newest one and drops it, so running it again goes one more step back.
+function rollbackTargets() {
+  const targets = {
+    opencode: getOpenCodeConfigPath(),
+    openclaw: OPENCLAW_CONFIG,
+    'openclaw-models': OPENCLAW_MODELS_JSON,
   }
+  for (const [name, target] of Object.entries(INTEGRATION_TARGETS)) targets[name] = target.path(homedir())
+  return targets
 }
 
-// ─── OpenClaw integration ──────────────────────────────────────────────────────
-// 📖 OpenClaw config: ~/.openclaw/openclaw.json (JSON format, may be JSON5 in newer versions)
-// 📖 To set a model: set agents.defaults.model.primary = "nvidia/model-id"
-// 📖 Providers section uses baseUrl + apiKey + api: "openai-completions" format
-// 📖 See: https://docs.openclaw.ai/gateway/configuration
-const OPENCLAW_CONFIG = join(homedir(), '.openclaw', 'openclaw.json')
+function runRollbackCommand(cliArgs) {
+  const targets = rollbackTargets()
+  const name = cliArgs.target ? (resolveTargetName(cliArgs.target) ?? cliArgs.target.toLowerCase()) : 'opencode'
+  const path = targets[name]
+  if (!path) {
+    console.error(chalk.red(`  Unknown rollback target "${cliArgs.target}". Valid: ${Object.keys(targets).join(', ')}`))
+    process.exit(1)
+  }
 
-function loadOpenClawConfig() {
-  if (!existsSync(OPENCLAW_CONFIG)) return {}
-  try {
-    // 📖 JSON.parse works for standard JSON; OpenClaw may use JSON5 but base config is valid JSON
-    return JSON.parse(readFileSync(OPENCLAW_CONFIG, 'utf8'))
-  } catch {
-    return {}
+  console.log()
+  const restored = rollbackConfig({ target: name, path })
+  if (!restored) {
+    console.log(chalk.yellow(`  No backup of ${path} yet — nothing to roll back.`))
+    console.log()
+    return
   }
+  if (restored.diff) printConfigDiff(restored.diff)
+  if (restored.removed) console.log(chalk.green(`  ✓ Removed ${path} — it didn't exist before ${new Date(restored.ts).toLocaleString()}`))
+  else console.log(chalk.green(`  ✓ Restored ${path} from ${new Date(restored.ts).toLocaleString()}`))
+  console.log(chalk.dim(`  ${restored.remaining} older backup(s) left (up to ${MAX_BACKUPS} are kept)`))
+  console.log()
 }
 
-function saveOpenClawConfig(config) {
-  const dir = join(homedir(), '.openclaw')
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true })
-  }
-  writeFileSync(OPENCLAW_CONFIG, JSON.stringify(config, null, 2))
+// ─── `replay` subcommand ──────────────────────────────────────────────────────
+// 📖 Re-sends a request from the repair proxy's traffic log (lib/proxy-log.js) — to the model it
+// 📖 was logged with, or to any other with --model <provider/model> (a custom provider pointing
+// 📖 at a local stand-in server works too). The answer is checked the way the proxy would:
+// 📖 do the tool-call arguments parse as they are, after repair, or not at all?
+// 📖   free-coding-models replay list            recent entries
+// 📖   free-coding-models replay [last|<id>]     re-send one (--json for the full report)
+const REPLAY_TIMEOUT_MS = 120_000
+const REPLAY_PREVIEW_CHARS = 2000
+
+function parsesAsJson(text) {
+  try { JSON.parse(text); return true } catch { return false }
 }
 
-// 📖 startOpenClaw: sets the selected NVIDIA NIM model as default in OpenClaw config.
-// 📖 Also ensures the nvidia provider block is present with the NIM base URL.
-// 📖 Does NOT launch OpenClaw — OpenClaw runs as a daemon, so config changes are picked up on restart.
-async function startOpenClaw(model, apiKey) {
-  console.log(chalk.rgb(255, 100, 50)(`  🦞 Setting ${chalk.bold(model.label)} as OpenClaw default…`))
-  console.log(chalk.dim(`  Model: nvidia/${model.modelId}`))
+function printProxyLogList() {
+  const entries = readProxyLog().slice(-20)
+  console.log()
+  if (entries.length === 0) {
+    console.log(chalk.yellow('  The proxy log is empty — launch OpenCode with --proxy-log first.'))
+    console.log()
+    return
+  }
+  for (const e of entries) {
+    const model = e.requestBody?.model ?? e.path
+    const status = e.error ? chalk.red(`✖ ${e.error.code ?? 'error'}`) : (e.status >= 200 && e.status < 300 ? chalk.green(e.status) : chalk.yellow(e.status ?? '—'))
+    const repaired = e.repairedResponse ? chalk.cyan('  🔧 repaired') : ''
+    const omitted = e.requestBodyOmitted ? chalk.dim('  (request too large to replay)') : ''
+    console.log(`  ${chalk.bold(e.id)}  ${chalk.dim(new Date(e.ts).toLocaleString())}  ${e.providerKey ?? '?'}/${model}  ${status}${repaired}${omitted}`)
+  }
   console.log()
+}
 
-  const config = loadOpenClawConfig()
+async function runReplayCommand(config, cliArgs) {
+  const ref = cliArgs.commandArgs[0] ?? 'last'
+  if (ref === 'list') {
+    printProxyLogList()
+    return
+  }
+  const entry = findProxyLogEntry(ref)
+  if (entry?.requestBodyOmitted) {
+    console.error(chalk.red(`  ${entry.id} can't be replayed: its ${entry.requestBodyOmitted}.`))
+    process.exit(1)
+  }
+  if (!entry || !entry.requestBody || typeof entry.requestBody !== 'object') {
+    console.error(chalk.red(`  No logged chat request "${ref}" — see: free-coding-models replay list`))
+    process.exit(1)
+  }
+
+  // 📖 Target: --model provider/model, otherwise the provider and model of the logged request
+  const slash = cliArgs.model ? cliArgs.model.indexOf('/') : -1
+  const providerKey = cliArgs.model ? cliArgs.model.slice(0, slash) : entry.providerKey
+  const modelId = cliArgs.model ? cliArgs.model.slice(slash + 1) : entry.requestBody.model
+  if (!sources[providerKey] || !modelId || (cliArgs.model && slash <= 0)) {
+    console.error(chalk.red(`  Unknown target "${cliArgs.model ?? providerKey}". Use --model <provider/model>, e.g. --model groq/llama-3.3-70b-versatile`))
+    process.exit(1)
+  }
+  if (UNSUPPORTED_TARGET_PROVIDERS.includes(providerKey)) {
+    console.error(chalk.red(`  ${sources[providerKey].name} has no chat-completions API — pick another model.`))
+    process.exit(1)
+  }
 
-  // 📖 Backup existing config before touching it
-  if (existsSync(OPENCLAW_CONFIG)) {
-    const backupPath = `${OPENCLAW_CONFIG}.backup-${Date.now()}`
-    copyFileSync(OPENCLAW_CONFIG, backupPath)
-    console.log(chalk.dim(`  💾 Backup: ${backupPath}`))
+  const request = buildPingRequest(getApiKey(config, providerKey), modelId, providerKey, sources[providerKey].url)
+  const body = { ...entry.requestBody, model: request.body.model }
+  const started = Date.now()
+  let status = null
+  let raw = ''
+  let error = null
+  try {
+    const resp = await fetch(request.url, { method: 'POST', headers: request.headers, body: JSON.stringify(body), signal: AbortSignal.timeout(REPLAY_TIMEOUT_MS) })
+    status = resp.status
+    raw = await resp.text()
+    if (!resp.ok) error = classifyHttpError(resp.status, raw)
+  } catch (err) {
+    error = classifyNetworkError(err)
   }
+  const durationMs = Date.now() - started
+
+  // 📖 Same repair the proxy applies, then judge every tool call before and after
+  const repaired = /^\s*data:/m.test(raw) ? repairSseBody(raw) : repairJsonBody(raw)
+  const repairedCalls = collectToolCalls(repaired)
+  const toolCalls = collectToolCalls(raw).map((call, i) => {
+    const fixed = repairedCalls[i]?.arguments ?? repairJson(call.arguments || '{}')
+    return { name: call.name, arguments: call.arguments, valid: parsesAsJson(call.arguments), repaired: fixed, repairedValid: parsesAsJson(fixed) }
+  })
 
-  // 📖 Patch models.json to add all NVIDIA models (fixes "not allowed" errors)
-  const patchResult = patchOpenClawModelsJson()
-  if (patchResult.wasPatched) {
-    console.log(chalk.dim(`  ✨ Added ${patchResult.added} NVIDIA models to allowlist (${patchResult.total} total)`))
-    if (patchResult.backup) {
-      console.log(chalk.dim(`  💾 models.json backup: ${patchResult.backup}`))
-    }
+  if (cliArgs.jsonMode || cliArgs.ndjsonMode) {
+    process.stdout.write(JSON.stringify({ replayOf: entry.id, providerKey, modelId, status, durationMs, error, toolCalls, response: raw, repairedResponse: repaired === raw ? null : repaired }, null, 2) + '\n')
+    return
   }
 
-  // 📖 Ensure models.providers section exists with nvidia NIM block.
-  // 📖 Per OpenClaw docs (docs.openclaw.ai/providers/nvidia), providers MUST be nested under
-  // 📖 "models.providers", NOT at the config root. Root-level "providers" is ignored by OpenClaw.
-  // 📖 API key is NOT stored in the provider block — it's read from env var NVIDIA_API_KEY.
-  // 📖 If needed, it can be stored under the root "env" key: { env: { NVIDIA_API_KEY: "nvapi-..." } }
-  if (!config.models) config.models = {}
-  if (!config.models.providers) config.models.providers = {}
-  if (!config.models.providers.nvidia) {
-    config.models.providers.nvidia = {
-      baseUrl: 'https://integrate.api.nvidia.com/v1',
-      api: 'openai-completions',
-      models: [],
-    }
-    console.log(chalk.dim('  ➕ Added nvidia provider block to OpenClaw config (models.providers.nvidia)'))
+  console.log()
+  console.log(`  ↻ Replaying ${chalk.bold(entry.id)} ${chalk.dim(`(${new Date(entry.ts).toLocaleString()}, ${entry.providerKey ?? '?'}/${entry.requestBody.model})`)} → ${chalk.bold(`${providerKey}/${modelId}`)}`)
+  if (error) console.log(chalk.red(`  ✖ ${status ? `${status} ` : ''}${error.label}${error.detail ? ` — ${error.detail}` : ''}`))
+  else console.log(chalk.green(`  ✓ ${status} in ${durationMs} ms`))
+  if (toolCalls.length === 0) console.log(chalk.dim('  No tool calls in the response.'))
+  for (const call of toolCalls) {
+    const verdict = call.valid
+      ? chalk.green('✔ valid JSON')
+      : call.repairedValid ? chalk.yellow(`✖ broken → ✔ repaired: ${call.repaired}`) : chalk.red(`✖ broken, repair failed: ${call.arguments}`)
+    console.log(`  🔧 ${chalk.bold(call.name ?? '(no name)')}  ${verdict}`)
+  }
+  if (raw) {
+    console.log()
+    console.log(chalk.dim(raw.length > REPLAY_PREVIEW_CHARS ? `${raw.slice(0, REPLAY_PREVIEW_CHARS)}\n  … ${raw.length - REPLAY_PREVIEW_CHARS} more characters (--json prints everything)` : raw))
   }
-  // 📖 Ensure models array exists even if the provider block was created by an older version
-  if (!Array.isArray(config.models.providers.nvidia.models)) {
-    config.models.providers.nvidia.models = []
+  console.log()
+}
+
+// ─── Secret stores ────────────────────────────────────────────────────────────
+// 📖 API keys may live in the encrypted vault, pass/gopass, 1Password or behind any command
+// 📖 (lib/secrets.js). Lookups can prompt (vault passphrase, gpg pinentry, `op` biometrics),
+// 📖 so they all happen at startup, while the terminal is still in cooked mode.
+const VAULT_UNLOCK_ATTEMPTS = 3
+
+// 📖 promptHidden: Read one line without echoing it. The prompt goes to stderr so --json output
+// 📖 stays clean; piped stdin is read as a plain line (`echo $KEY | free-coding-models secrets set groq`).
+async function promptHidden(question) {
+  process.stderr.write(question)
+  if (!process.stdin.isTTY) {
+    const rl = readline.createInterface({ input: process.stdin, terminal: false })
+    const line = await new Promise((resolve) => {
+      rl.once('line', resolve)
+      rl.once('close', () => resolve(''))
+    })
+    rl.close()
+    process.stderr.write('\n')
+    return line.trim()
   }
+  return new Promise((resolve) => {
+    let value = ''
+    const finish = () => {
+      process.stdin.off('data', onData)
+      process.stdin.setRawMode(false)
+      process.stdin.pause()
+      process.stderr.write('\n')
+      resolve(value.trim())
+    }
+    const onData = (chunk) => {
+      for (const ch of chunk.toString('utf8')) {
+        if (ch === '\r' || ch === '\n') return finish()
+        if (ch === '\u0003') {
+          process.stdin.setRawMode(false)
+          process.stderr.write('\n')
+          process.exit(130)
+        }
+        if (ch === '\u007f' || ch === '\b') value = value.slice(0, -1)
+        else if (ch >= ' ') value += ch
+      }
+    }
+    process.stdin.setRawMode(true)
+    process.stdin.resume()
+    process.stdin.on('data', onData)
+  })
+}
+
+// 📖 usesVault: Whether the config points at the vault anywhere — profiles included
+function usesVault(config) {
+  if (config.secretStore === 'vault') return true
+  const sections = [config.apiKeys, ...Object.values(config.profiles ?? {}).map(p => p?.apiKeys)]
+  return sections.some(keys => Object.values(keys ?? {}).some(value => parseSecretRef(value)?.backend === 'vault'))
+}
 
-  // 📖 Store API key in the root "env" section so OpenClaw can read it as NVIDIA_API_KEY env var.
-  // 📖 Only writes if not already set to avoid overwriting an existing key.
-  const resolvedKey = apiKey || process.env.NVIDIA_API_KEY
-  if (resolvedKey) {
-    if (!config.env) config.env = {}
-    if (!config.env.NVIDIA_API_KEY) {
-      config.env.NVIDIA_API_KEY = resolvedKey
-      console.log(chalk.dim('  🔑 Stored NVIDIA_API_KEY in config env section'))
+// 📖 ensureVaultUnlocked: Passphrase from FREE_CODING_MODELS_VAULT_PASSPHRASE, else asked on a terminal
+// 📖 (twice when the vault doesn't exist yet). Returns false when it stays locked — vault keys then
+// 📖 read as missing and warmApiKeys says why. `force` unlocks even if nothing references the vault yet.
+async function ensureVaultUnlocked(config, { force = false } = {}) {
+  if (isVaultUnlocked() || (!force && !usesVault(config))) return true
+  const fromEnv = process.env[VAULT_PASSPHRASE_ENV]
+  if (fromEnv) {
+    try {
+      unlockVault(fromEnv)
+      return true
+    } catch (err) {
+      console.error(chalk.red(`  ✖ Vault: ${err.message} (from ${VAULT_PASSPHRASE_ENV})`))
+      return false
+    }
+  }
+  if (!process.stdin.isTTY) return false
+
+  const creating = !existsSync(getVaultPath())
+  if (creating) console.error(chalk.dim(`  Creating the key vault at ${getVaultPath()}`))
+  for (let attempt = 0; attempt < VAULT_UNLOCK_ATTEMPTS; attempt++) {
+    const passphrase = await promptHidden(chalk.bold(creating ? '  🔐 New vault passphrase: ' : '  🔐 Vault passphrase: '))
+    if (!passphrase) return false
+    if (creating && (await promptHidden(chalk.bold('  🔐 Repeat the passphrase: '))) !== passphrase) {
+      console.error(chalk.red('  ✖ The passphrases differ'))
+      continue
+    }
+    try {
+      unlockVault(passphrase)
+      return true
+    } catch (err) {
+      console.error(chalk.red(`  ✖ ${err.message}`))
     }
   }
+  return false
+}
+
+// 📖 warmApiKeys: Resolve every provider's key once (results are cached) and report the lookups
+// 📖 that failed on stderr — a provider with a broken reference just shows as having no key.
+// 📖 Afterwards getApiKey never runs a lookup command again: pings can't wait 30 s on `op`.
+function warmApiKeys(config) {
+  for (const pk of Object.keys(sources)) getApiKey(config, pk)
+  for (const [ref, message] of secretErrors()) {
+    console.error(chalk.yellow(`  ⚠ API key ${ref}: ${message}`))
+  }
+  deferSecretLookups()
+}
 
-  // 📖 Set as the default primary model for all agents.
-  // 📖 Format: "provider/model-id" — e.g. "nvidia/deepseek-ai/deepseek-v3.2"
-  // 📖 Set as the default primary model for all agents.
-  // 📖 Format: "provider/model-id" — e.g. "nvidia/deepseek-ai/deepseek-v3.2"
-  if (!config.agents) config.agents = {}
-  if (!config.agents.defaults) config.agents.defaults = {}
-  if (!config.agents.defaults.model) config.agents.defaults.model = {}
-  config.agents.defaults.model.primary = `nvidia/${model.modelId}`
+// 📖 refreshApiKeys: warmApiKeys for the running TUI — references that appear with a profile switch
+// 📖 or a key edit are looked up in the background. Their providers read as keyless until then.
+function refreshApiKeys(config) {
+  return Promise.all(Object.keys(sources).map((pk) => {
+    const { source, detail } = getApiKeySource(config, pk)
+    if (source !== 'store' && source !== 'keyCommand') return null
+    return prefetchSecret(detail, { quiet: source === 'keyCommand' })
+  }))
+}
 
-  // 📖 REQUIRED: OpenClaw requires the model to be explicitly listed in agents.defaults.models
-  // 📖 (the allowlist). Without this entry, OpenClaw rejects the model with "not allowed".
-  // 📖 See: https://docs.openclaw.ai/gateway/configuration-reference
-  if (!config.agents.defaults.models) config.agents.defaults.models = {}
-  config.agents.defaults.models[`nvidia/${model.modelId}`] = {}
+// ─── `secrets` subcommand ─────────────────────────────────────────────────────
+// 📖   free-coding-models secrets [status]                  where each provider's key comes from
+// 📖   free-coding-models secrets migrate [--store <s>]     plaintext keys (profiles too) → store references
+// 📖   free-coding-models secrets set <provider> [<ref>]    type a key at a hidden prompt (or save a reference)
+// 📖 Keys are never printed, and never accepted as arguments (they'd end up in the shell history).
+const SECRETS_SUBCOMMANDS = ['status', 'migrate', 'set']
+
+// 📖 exitOnUnreadableConfig: Commands that exist to change the config stop when it didn't parse —
+// 📖 saveConfig keeps the broken file, so going on would only pretend to save
+function exitOnUnreadableConfig(config) {
+  if (!config.loadError) return
+  console.error(chalk.red(`  ✖ ${CONFIG_PATH} could not be read (${config.loadError}) — fix it first, nothing was changed`))
+  process.exit(1)
+}
 
-  saveOpenClawConfig(config)
+function exitOnInvalidStore(store) {
+  if (store && !WRITABLE_STORES.includes(store)) {
+    console.error(chalk.red(`  ✖ Unknown --store "${store}". Available: ${WRITABLE_STORES.join(', ')}`))
+    process.exit(1)
+  }
+}
 
-  console.log(chalk.rgb(255, 140, 0)(`  ✓ Default model set to: nvidia/${model.modelId}`))
+function printSecretsStatus(config) {
   console.log()
-  console.log(chalk.dim('  📄 Config updated: ' + OPENCLAW_CONFIG))
+  console.log(`  ${chalk.bold('🔐 API key sources')}  ${chalk.dim(`secretStore: ${config.secretStore ?? '(none — typed keys are saved in plain text)'}`)}`)
   console.log()
-  // 📖 "openclaw restart" does NOT exist. The gateway auto-reloads on config file changes.
-  // 📖 To apply manually: use "openclaw models set" or "openclaw configure"
-  // 📖 See: https://docs.openclaw.ai/gateway/configuration
-  console.log(chalk.dim('  💡 OpenClaw will reload config automatically (gateway.reload.mode).'))
-  console.log(chalk.dim('     To apply manually: openclaw models set nvidia/' + model.modelId))
-  console.log(chalk.dim('     Or run the setup wizard: openclaw configure'))
+  for (const pk of Object.keys(sources)) {
+    const { source, detail } = getApiKeySource(config, pk)
+    if (source === 'none') continue
+    const name = (sources[pk].name ?? pk).slice(0, 22).padEnd(22)
+    const label = {
+      env: chalk.cyan(`env ${detail}`),
+      plaintext: chalk.yellow('plain text in the config'),
+      store: chalk.green(detail),
+      keyCommand: chalk.green('keyCommand'),
+    }[source]
+    const resolved = getApiKey(config, pk)
+    const verdict = resolved ? chalk.green('✓') : chalk.red(`✖ ${secretErrors().get(detail) ?? 'no key'}`)
+    console.log(`  ${name} ${label}  ${verdict}`)
+  }
+
+  // 📖 Profiles are snapshots of apiKeys — plaintext left there is just as exposed
+  const plain = [['(current)', config.apiKeys], ...Object.entries(config.profiles ?? {}).map(([name, p]) => [name, p?.apiKeys])]
+    .filter(([, keys]) => Object.values(keys ?? {}).some(v => typeof v === 'string' && v && !isSecretRef(v)))
+    .map(([name]) => name)
+  console.log()
+  if (plain.length > 0) {
+    console.log(chalk.yellow(`  ⚠ Plain-text keys in: ${plain.join(', ')} — move them with: free-coding-models secrets migrate`))
+  } else {
+    console.log(chalk.dim('  No plain-text keys in the config.'))
+  }
   console.log()
 }
 
-// ─── Helper function to find best model after analysis ────────────────────────
-// 📖 findBestModel is imported from lib/utils.js
-
-// ─── Function to run in fiable mode (10-second analysis then output best model) ──
-async function runFiableMode(config) {
-  console.log(chalk.cyan('  ⚡ Analyzing models for reliability (10 seconds)...'))
+async function runSecretsMigrate(config, cliArgs) {
+  const store = cliArgs.store ?? config.secretStore ?? 'vault'
+  exitOnInvalidStore(store)
+  if (store === 'vault' && !(await ensureVaultUnlocked(config, { force: true }))) {
+    console.error(chalk.red(`  ✖ The vault is locked — set ${VAULT_PASSPHRASE_ENV} or run on a terminal`))
+    process.exit(1)
+  }
+  let result
+  try {
+    result = migrateApiKeys(config, (name, value) => storeSecret(store, name, value))
+  } catch (err) {
+    console.error(chalk.red(`  ✖ Could not write to ${store}: ${err.message}`))
+    console.error(chalk.dim('  The config was not changed.'))
+    process.exit(1)
+  }
+  config.secretStore = store
+  saveConfig(config)
   console.log()
+  console.log(chalk.green(`  ✓ ${result.stored.length} key(s) stored in ${store}, ${result.replaced} config value(s) now reference them`))
+  if (result.stored.length > 0) console.log(chalk.dim(`  Entries: ${result.stored.join(', ')}`))
+  console.log(chalk.dim(`  Keys you enter from now on go to ${store} too ("secretStore" in ~/.free-coding-models.json).`))
+  console.log()
+}
 
-  // 📖 Only include models from enabled providers that have API keys
-  let results = MODELS
-    .filter(([,,,,,providerKey]) => {
-      return isProviderEnabled(config, providerKey) && getApiKey(config, providerKey)
-    })
-    .map(([modelId, label, tier, sweScore, ctx, providerKey], i) => ({
-      idx: i + 1, modelId, label, tier, sweScore, ctx, providerKey,
-      status: 'pending',
-      pings: [],
-      httpCode: null,
-    }))
-
-  const startTime = Date.now()
-  const analysisDuration = 10000 // 10 seconds
+async function runSecretsSet(config, cliArgs) {
+  const [, providerKey, ref] = cliArgs.commandArgs
+  if (!providerKey || !sources[providerKey]) {
+    console.error(chalk.red(`  ✖ Usage: free-coding-models secrets set <provider> [<reference>]. Providers: ${Object.keys(sources).join(', ')}`))
+    process.exit(1)
+  }
+  if (ref && !isSecretRef(ref)) {
+    console.error(chalk.red('  ✖ Only references go on the command line (vault:…, pass:…, gopass:…, op://…, cmd:…, env:…) — leave it out to type the key'))
+    process.exit(1)
+  }
+  const store = cliArgs.store ?? config.secretStore ?? null
+  exitOnInvalidStore(store)
+
+  let value = ref
+  if (!value) {
+    value = await promptHidden(chalk.bold(`  🔑 ${sources[providerKey].name} API key: `))
+    if (!value) {
+      console.error(chalk.red('  ✖ No key entered — nothing was saved.'))
+      process.exit(1)
+    }
+    if (store === 'vault' && !(await ensureVaultUnlocked(config, { force: true }))) {
+      console.error(chalk.red(`  ✖ The vault is locked — set ${VAULT_PASSPHRASE_ENV} or run on a terminal`))
+      process.exit(1)
+    }
+  }
+  try {
+    setApiKey(config, providerKey, store && !isSecretRef(value) ? storeSecret(store, providerKey, value) : value)
+  } catch (err) {
+    console.error(chalk.red(`  ✖ Could not store the key in ${store}: ${err.message}`))
+    process.exit(1)
+  }
+  saveConfig(config)
+  const saved = config.apiKeys[providerKey]
+  console.log(isSecretRef(saved)
+    ? chalk.green(`  ✓ ${sources[providerKey].name}: ${saved}`)
+    : chalk.yellow(`  ✓ ${sources[providerKey].name}: saved in plain text — pass --store or set "secretStore" to keep it out of the config`))
+}
 
-  // 📖 Run initial pings using per-provider API key and URL
-  const pingPromises = results.map(r => {
-    const rApiKey = getApiKey(config, r.providerKey)
-    const url = sources[r.providerKey]?.url
-    return ping(rApiKey, r.modelId, r.providerKey, url).then(({ code, ms }) => {
-      r.pings.push({ ms, code })
-      if (code === '200') {
-        r.status = 'up'
-      } else if (code === '000') {
-        r.status = 'timeout'
-      } else {
-        r.status = 'down'
-        r.httpCode = code
-      }
-    })
-  })
+async function runSecretsCommand(config, cliArgs) {
+  const sub = (cliArgs.commandArgs[0] ?? 'status').toLowerCase()
+  if (!SECRETS_SUBCOMMANDS.includes(sub)) {
+    console.error(chalk.red(`  ✖ Unknown secrets command "${sub}". Available: ${SECRETS_SUBCOMMANDS.join(', ')}`))
+    process.exit(1)
+  }
+  if (sub !== 'status') exitOnUnreadableConfig(config)
+  if (sub === 'migrate') await runSecretsMigrate(config, cliArgs)
+  else if (sub === 'set') await runSecretsSet(config, cliArgs)
+  else printSecretsStatus(config)
+}
 
-  await Promise.allSettled(pingPromises)
+// ─── `doctor` subcommand ──────────────────────────────────────────────────────
+// 📖   free-coding-models doctor [--json]   config, keys, tools, paths and provider hosts (lib/doctor.js)
+// 📖   free-coding-models doctor --fix      also saves the config migrated to the current schema
+// 📖 Exits 1 when any check fails, so it can gate a CI job or a setup script.
+const DOCTOR_ICONS = {
+  ok: chalk.green('✓'),
+  info: chalk.dim('·'),
+  warn: chalk.yellow('⚠'),
+  fail: chalk.red('✖'),
+}
 
-  // 📖 Continue pinging for the remaining time
-  const remainingTime = Math.max(0, analysisDuration - (Date.now() - startTime))
-  if (remainingTime > 0) {
-    await new Promise(resolve => setTimeout(resolve, remainingTime))
+// 📖 readRawConfig: The file as written — loadConfig already migrated it in memory, doctor
+// 📖 needs the original to tell whether a migration is still pending. null when missing.
+function readRawConfig() {
+  if (!existsSync(CONFIG_PATH)) return null
+  try {
+    return JSON.parse(readFileSync(CONFIG_PATH, 'utf8'))
+  } catch {
+    return {}
   }
+}
+
+// 📖 fixConfig: Save the migrated config — never over an unreadable file or one from a newer release
+function fixConfig(config, rawConfig) {
+  if (rawConfig === null || config.loadError || pendingMigrations(rawConfig).length === 0) return []
+  const { applied, tooNew } = migrateConfig(structuredClone(rawConfig))
+  if (tooNew) return []
+  saveConfig(config)
+  return applied
+}
 
-  // 📖 Find best model
-  const best = findBestModel(results)
+async function runDoctorCommand(config, cliArgs, customProviderErrors) {
+  const rawConfig = readRawConfig()
+  const fixed = cliArgs.fix ? fixConfig(config, rawConfig) : []
+  const report = await runDoctor({
+    config,
+    rawConfig: fixed.length > 0 ? config : rawConfig,
+    sources,
+    customProviderErrors,
+    paths: {
+      config: CONFIG_PATH,
+      dataDir: DATA_DIR,
+      opencode: getOpenCodeConfigPath(),
+      openclaw: OPENCLAW_CONFIG,
+      openclawModels: OPENCLAW_MODELS_JSON,
+    },
+  })
+  const exitCode = doctorExitCode(report)
 
-  if (!best) {
-    console.log(chalk.red('  ✖ No reliable model found'))
-    process.exit(1)
+  if (cliArgs.jsonMode) {
+    console.log(JSON.stringify({ ok: exitCode === 0, fixed, report }, null, 2))
+    process.exit(exitCode)
   }
 
-  // 📖 Output in format: providerName/modelId
-  const providerName = sources[best.providerKey]?.name ?? best.providerKey ?? 'nvidia'
-  console.log(chalk.green(`  ✓ Most reliable model:`))
-  console.log(chalk.bold(`    ${providerName}/${best.modelId}`))
   console.log()
-  console.log(chalk.dim(`  📊 Stats:`))
-  console.log(chalk.dim(`    Avg ping: ${getAvg(best)}ms`))
-  console.log(chalk.dim(`    Uptime: ${getUptime(best)}%`))
-  console.log(chalk.dim(`    Status: ${best.status === 'up' ? '✅ UP' : '❌ DOWN'}`))
-
-  process.exit(0)
+  console.log(`  ${chalk.bold('🩺 free-coding-models doctor')}  ${chalk.dim(`v${LOCAL_VERSION}`)}`)
+  for (const migration of fixed) console.log(chalk.green(`  ✓ Migrated and saved the config — ${migration}`))
+  for (const { section, checks } of report) {
+    if (checks.length === 0) continue
+    console.log()
+    console.log(`  ${chalk.bold(section)}`)
+    for (const { name, status, detail, fix } of checks) {
+      console.log(`    ${DOCTOR_ICONS[status]} ${name}${detail ? chalk.dim(`  ${detail}`) : ''}`)
+      if (fix && status !== 'ok') console.log(chalk.cyan(`        → ${fix}`))
+    }
+  }
+  const count = (status) => report.reduce((n, { checks }) => n + checks.filter(c => c.status === status).length, 0)
+  console.log()
+  console.log(exitCode === 0
+    ? chalk.green(`  ✓ No problems found${count('warn') > 0 ? chalk.yellow(` — ${count('warn')} warning(s)`) : ''}`)
+    : chalk.red(`  ✖ ${count('fail')} problem(s), ${count('warn')} warning(s)`))
+  console.log()
+  process.exit(exitCode)
 }
 
-// 📖 filterByTier and TIER_LETTER_MAP are imported from lib/utils.js
-// 📖 Wrapper that exits on invalid tier (utils version returns null instead)
-function filterByTierOrExit(results, tierLetter) {
-  const filtered = filterByTier(results, tierLetter)
-  if (filtered === null) {
-    console.error(chalk.red(`  ✖ Unknown tier "${tierLetter}". Valid tiers: S, A, B, C`))
+// ─── `profile` subcommand ─────────────────────────────────────────────────────
+// 📖   free-coding-models profile export <name> [file] [--strip-keys]    portable file (stdout without a file)
+// 📖   free-coding-models profile import <file|url> [--name <n>] [--replace]   preview, confirm, save
+// 📖 Exported keys become env: references (lib/profile-share.js) — a shared file never holds a key.
+const PROFILE_SUBCOMMANDS = ['export', 'import']
+const PROFILE_DOWNLOAD_TIMEOUT_MS = 15_000
+// 📖 A profile is a few KB — anything bigger isn't one, and isn't read into memory whole
+const PROFILE_DOWNLOAD_MAX_BYTES = 1024 * 1024
+
+function runProfileExport(config, cliArgs) {
+  const [, name, outFile] = cliArgs.commandArgs
+  const doc = name ? exportProfile(config, name, { stripKeys: cliArgs.stripKeys }) : null
+  if (!doc) {
+    console.error(chalk.red(`  ✖ Usage: free-coding-models profile export <name> [file]. Profiles: ${listProfiles(config).join(', ') || '(none — save one with Shift+S)'}`))
     process.exit(1)
   }
-  return filtered
+  const text = JSON.stringify(doc, null, 2) + '\n'
+  const refs = Object.values(doc.apiKeys ?? {})
+  const keyNote = cliArgs.stripKeys ? 'no keys' : `${refs.length} key(s) as env references${refs.length > 0 ? ` (${refs.join(', ')})` : ''}`
+  // 📖 Without a file the JSON goes to stdout (`… > team.json`) and the summary to stderr
+  if (!outFile) {
+    process.stdout.write(text)
+    console.error(chalk.dim(`  Exported profile "${name}" — ${keyNote}`))
+    return
+  }
+  try {
+    writeFileSync(outFile, text)
+  } catch (err) {
+    console.error(chalk.red(`  ✖ Could not write ${outFile}: ${err.message}`))
+    process.exit(1)
+  }
+  console.log(chalk.green(`  ✓ Exported profile "${name}" to ${outFile} — ${keyNote}`))
 }
 
-// ─── Dynamic OpenRouter free model discovery ──────────────────────────────────
-// 📖 Fetches the live list of free models from OpenRouter's public API at startup.
-// 📖 Replaces the static openrouter entries in MODELS with fresh data so new free
-// 📖 models appear automatically without a code update.
-// 📖 Falls back silently to the static list on network failure.
-
-// 📖 Known SWE-bench scores for OpenRouter free models.
-// 📖 Keyed by base model ID (without the :free suffix).
-// 📖 Unknown models default to tier 'B' / '25.0%'.
-const OPENROUTER_TIER_MAP = {
-  'qwen/qwen3-coder':                         ['S+', '70.6%'],
-  'mistralai/devstral-2':                      ['S+', '72.2%'],
-  'stepfun/step-3.5-flash':                    ['S+', '74.4%'],
-  'deepseek/deepseek-r1-0528':                 ['S',  '61.0%'],
-  'qwen/qwen3-next-80b-a3b-instruct':          ['S',  '65.0%'],
-  'openai/gpt-oss-120b':                       ['S',  '60.0%'],
-  'openai/gpt-oss-20b':                        ['A',  '42.0%'],
-  'nvidia/nemotron-3-nano-30b-a3b':            ['A',  '43.0%'],
-  'meta-llama/llama-3.3-70b-instruct':         ['A-', '39.5%'],
-  'mimo-v2-flash':                             ['A',  '45.0%'],
-  'google/gemma-3-27b-it':                     ['A-', '36.0%'],
-  'google/gemma-3-12b-it':                     ['B+', '30.0%'],
-  'google/gemma-3-4b-it':                      ['B',  '22.0%'],
-  'google/gemma-3n-e4b-it':                    ['B',  '22.0%'],
-  'google/gemma-3n-e2b-it':                    ['B',  '18.0%'],
-  'meta-llama/llama-3.2-3b-instruct':          ['B',  '20.0%'],
-  'mistralai/mistral-small-3.1-24b-instruct':  ['A-', '35.0%'],
-  'qwen/qwen3-4b':                             ['B',  '22.0%'],
-  'nousresearch/hermes-3-llama-3.1-405b':      ['A',  '40.0%'],
-  'nvidia/nemotron-nano-9b-v2':                ['B+', '28.0%'],
-  'nvidia/nemotron-nano-12b-v2-vl':            ['B+', '30.0%'],
-  'z-ai/glm-4.5-air':                          ['A-', '38.0%'],
-  'arcee-ai/trinity-large-preview':             ['A',  '40.0%'],
-  'arcee-ai/trinity-mini':                      ['B+', '28.0%'],
-  'upstage/solar-pro-3':                       ['A-', '35.0%'],
-  'cognitivecomputations/dolphin-mistral-24b-venice-edition': ['B+', '28.0%'],
-  'liquid/lfm-2.5-1.2b-thinking':              ['B',  '18.0%'],
-  'liquid/lfm-2.5-1.2b-instruct':              ['B',  '18.0%'],
+async function readProfileSource(source) {
+  if (!/^https?:\/\//i.test(source)) return readFileSync(source, 'utf8')
+  let resp
+  try {
+    resp = await fetch(source, { signal: AbortSignal.timeout(PROFILE_DOWNLOAD_TIMEOUT_MS) })
+  } catch (err) {
+    const { label, detail } = classifyNetworkError(err)
+    throw new Error(detail ? `${label} (${detail})` : label)
+  }
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`)
+  const tooLarge = `larger than ${PROFILE_DOWNLOAD_MAX_BYTES / 1024} KB — not a profile file`
+  if (Number(resp.headers.get('content-length')) > PROFILE_DOWNLOAD_MAX_BYTES) throw new Error(tooLarge)
+  // 📖 content-length may be missing or wrong — count what actually arrives
+  const chunks = []
+  let size = 0
+  for await (const chunk of resp.body ?? []) {
+    size += chunk.length
+    if (size > PROFILE_DOWNLOAD_MAX_BYTES) throw new Error(tooLarge)
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString('utf8')
 }
 
-async function fetchOpenRouterFreeModels() {
+async function runProfileImport(config, cliArgs) {
+  const source = cliArgs.commandArgs[1]
+  if (!source) {
+    console.error(chalk.red('  ✖ Usage: free-coding-models profile import <file|url> [--name <profile>] [--replace]'))
+    process.exit(1)
+  }
+  exitOnUnreadableConfig(config)
+  let parsed
   try {
-    const controller = new AbortController()
-    const timeout = setTimeout(() => controller.abort(), 5000)
-    const res = await fetch('https://openrouter.ai/api/v1/models', {
-      signal: controller.signal,
-      headers: {
-        'HTTP-Referer': 'https://github.com/vava-nessa/free-coding-models',
-        'X-Title': 'free-coding-models',
-      },
-    })
-    clearTimeout(timeout)
-    if (!res.ok) return null
-    const json = await res.json()
-    if (!json.data || !Array.isArray(json.data)) return null
+    parsed = parseProfileFile(await readProfileSource(source))
+  } catch (err) {
+    console.error(chalk.red(`  ✖ Could not import ${source}: ${err.message}`))
+    process.exit(1)
+  }
+  for (const problem of parsed.errors) console.error(chalk.yellow(`  ⚠ ${problem}`))
 
-    const freeModels = json.data.filter(m => m.id && m.id.endsWith(':free'))
+  // 📖 A key reference to some other variable (AWS_SECRET_ACCESS_KEY…) would send that secret to
+  // 📖 the provider with every ping — listed up front and only kept after a typed yes
+  if (parsed.unusualEnv.length > 0) {
+    console.log()
+    console.log(chalk.red.bold('  ⚠ This file reads API keys from env vars those providers don\'t use:'))
+    for (const { providerKey, name, expected } of parsed.unusualEnv) {
+      console.log(chalk.red(`     ${providerKey} ← ${chalk.bold(name)}`) + chalk.dim(`  (${providerKey} normally reads ${expected.join(' / ')})`))
+    }
+    console.log(chalk.yellow('    Whatever these variables hold is sent to that provider as its API key.'))
+    if (await confirmWrite(chalk.bold('  Keep these references? [y/N] '), { strict: true })) {
+      console.log()
+    } else {
+      for (const { providerKey } of parsed.unusualEnv) delete parsed.profile.apiKeys[providerKey]
+      console.log(chalk.yellow(`  Skipped ${parsed.unusualEnv.length} reference(s) — the rest of the profile is still imported.`))
+    }
+  }
+  const name = cliArgs.importName ?? parsed.name
+  if (!name) {
+    console.error(chalk.red('  ✖ The file has no profile name — pass --name <profile>'))
+    process.exit(1)
+  }
 
-    return freeModels.map(m => {
-      const baseId = m.id.replace(/:free$/, '')
-      const [tier, swe] = OPENROUTER_TIER_MAP[baseId] || ['B', '25.0%']
-      const ctx = formatCtxWindow(m.context_length)
-      const label = labelFromId(m.id)
-      return [m.id, label, tier, swe, ctx]
-    })
-  } catch {
-    return null
+  const existing = config.profiles?.[name] ?? null
+  // 📖 A profile that extends another only stores what differs from its parent
+  const inherited = existing?.extends ? resolveProfile(config, existing.extends) : null
+  const next = mergeImportedProfile(existing, parsed.profile, { replace: cliArgs.replaceMode, inherited })
+  const before = existing ? JSON.stringify(existing, null, 2) + '\n' : ''
+  const after = JSON.stringify(next, null, 2) + '\n'
+  console.log()
+  console.log(`  ${chalk.bold(existing ? `${cliArgs.replaceMode ? 'Replacing' : 'Merging into'} profile "${name}"` : `New profile "${name}"`)}  ${chalk.dim(`from ${source}`)}`)
+  console.log()
+  if (before === after) {
+    console.log(chalk.dim(`  Profile "${name}" is already up to date`))
+    return
+  }
+  printConfigDiff(unifiedDiff(before, after, { fromLabel: existing ? `profiles.${name}` : '/dev/null', toLabel: `profiles.${name}` }))
+  if (!(await confirmWrite(chalk.bold(`  Save profile "${name}"? [Y/n] `)))) {
+    console.log(chalk.yellow('  Cancelled — nothing was written.'))
+    console.log()
+    return
+  }
+  if (!config.profiles || typeof config.profiles !== 'object') config.profiles = {}
+  config.profiles[name] = next
+  saveConfig(config)
+  console.log(chalk.green(`  ✓ Saved profile "${name}" — load it with --profile ${name} or Shift+P`))
+  // 📖 The references only work once the variables exist
+  const unset = Object.values(next.apiKeys ?? {})
+    .map(value => parseSecretRef(value))
+    .filter(ref => ref?.backend === 'env' && !process.env[ref.name])
+    .map(ref => ref.name)
+  if (unset.length > 0) console.log(chalk.yellow(`  ⚠ Its keys are read from env vars that aren't set here: ${[...new Set(unset)].join(', ')}`))
+  console.log()
+}
+
+async function runProfileCommand(config, cliArgs) {
+  const sub = (cliArgs.commandArgs[0] ?? '').toLowerCase()
+  if (!PROFILE_SUBCOMMANDS.includes(sub)) {
+    console.error(chalk.red(`  ✖ Usage: free-coding-models profile ${PROFILE_SUBCOMMANDS.join('|')} … (got "${sub}")`))
+    process.exit(1)
+  }
+  if (sub === 'export') runProfileExport(config, cliArgs)
+  else await runProfileImport(config, cliArgs)
+}
+
+// ─── Custom providers ─────────────────────────────────────────────────────────
+// 📖 applyCustomProviders: Merge user-defined providers (config `customProviders` and
+// 📖 ~/.free-coding-models.providers.json) into sources/MODELS, plus the env var and
+// 📖 Settings metadata tables built-in providers get from hardcoded entries.
+// 📖 Returns the list of validation problems (invalid entries are skipped, never fatal).
+function applyCustomProviders(config) {
+  const { providers, errors } = loadCustomProviders(config, { builtinKeys: Object.keys(sources) })
+  for (const key of registerCustomProviders(providers, sources, MODELS)) {
+    const src = sources[key]
+    // 📖 Default env var follows the built-in convention: vllm → VLLM_API_KEY
+    const envVars = src.envVars.length > 0 ? src.envVars : [`${key.toUpperCase().replace(/-/g, '_')}_API_KEY`]
+    registerProviderEnvVars(key, envVars)
+    ENV_VAR_NAMES[key] = envVars[0]
+    PROVIDER_METADATA[key] = {
+      label: src.name,
+      color: chalk.rgb(180, 180, 180),
+      signupUrl: src.baseUrl,
+      signupHint: src.auth ? `Paste the key for this endpoint, or export ${envVars[0]}` : 'No API key needed (auth: none)',
+      rateLimits: 'Custom provider',
+    }
   }
+  return errors
+}
+
+// 📖 hasUsableKey: A provider can be pinged for real when it has a key — or needs none.
+function hasUsableKey(config, providerKey) {
+  return Boolean(getApiKey(config, providerKey)) || sources[providerKey]?.auth === null
 }
 
 async function main() {
   const cliArgs = parseArgs(process.argv)
 
   // Validate --tier early, before entering alternate screen
+  // 📖 Load JSON config (auto-migrates old plain-text ~/.free-coding-models if needed)
+  const config = loadConfig()
+  ensureTelemetryConfig(config)
+  ensureFavoritesConfig(config)
+
+  // 📖 Project config (.free-coding-models.json / fcm.config.json up from cwd): report what was
+  // 📖 ignored, then let it fill in the flags that weren't passed. Flags still win, and a bad
+  // 📖 value in a shared file is a warning, never fatal.
+  const project = getProjectConfig(config)
+  const warnProject = (problem) => console.error(chalk.yellow(`  ⚠ Project config ${project.path}: ${problem}`))
+  if (project) {
+    for (const problem of project.errors) warnProject(problem)
+    if (!cliArgs.tierFilter && project.values.tierFilter) {
+      if (TIER_LETTER_MAP[project.values.tierFilter]) cliArgs.tierFilter = project.values.tierFilter
+      else warnProject(`unknown tierFilter "${project.values.tierFilter}" — ignored`)
+    }
+    if (!cliArgs.jsonMode && !cliArgs.ndjsonMode) console.error(chalk.dim(`  📁 Project config: ${project.path}`))
+  }
+
+  // 📖 User-defined providers must be registered before anything reads sources/MODELS.
+  // 📖 Warnings go to stderr so --json output stays clean. `doctor` reports them itself.
+  const customProviderErrors = applyCustomProviders(config)
+  if (cliArgs.command !== 'doctor') {
+    for (const problem of customProviderErrors) {
+      console.error(chalk.yellow(`  ⚠ Custom providers: ${problem}`))
+    }
+
+    // 📖 Schema problems the migration couldn't fix — errors only, doctor lists the rest
+    if (config.loadError) {
+      console.error(chalk.red(`  ✖ Config ${CONFIG_PATH} could not be read (${config.loadError}) — starting with an empty config, nothing is saved until it's fixed. Run: free-coding-models doctor`))
+    }
+    for (const issue of validateConfig(config, { providerKeys: Object.keys(sources) })) {
+      if (issue.severity === 'error') console.error(chalk.yellow(`  ⚠ Config ${issue.path}: ${issue.message} — ${issue.fix}`))
+    }
+  }
+
+  // 📖 Validated after the project config, which may have supplied the tier
   if (cliArgs.tierFilter && !TIER_LETTER_MAP[cliArgs.tierFilter]) {
     console.error(chalk.red(`  Unknown tier "${cliArgs.tierFilter}". Valid tiers: S, A, B, C`))
     process.exit(1)
   }
 
-  // 📖 Load JSON config (auto-migrates old plain-text ~/.free-coding-models if needed)
-  const config = loadConfig()
-  ensureTelemetryConfig(config)
-  ensureFavoritesConfig(config)
+  // 📖 Smart Recommend task types: built-ins + config `customTaskTypes` (Q questionnaire, --task)
+  const { taskTypes, errors: taskTypeErrors } = resolveTaskTypes(config.customTaskTypes)
+  for (const problem of taskTypeErrors) {
+    console.error(chalk.yellow(`  ⚠ Custom task types: ${problem}`))
+  }
+  for (const [flag, value, table] of [['--task', cliArgs.taskType, taskTypes], ['--priority', cliArgs.priority, PRIORITY_TYPES], ['--context', cliArgs.contextBudget, CONTEXT_BUDGETS]]) {
+    if (value && !Object.hasOwn(table, value)) {
+      console.error(chalk.red(`  ✖ Unknown ${flag} "${value}". Available: ${Object.keys(table).join(', ')}`))
+      process.exit(1)
+    }
+  }
+  for (const [key, arg, table] of [['task', 'taskType', taskTypes], ['priority', 'priority', PRIORITY_TYPES], ['context', 'contextBudget', CONTEXT_BUDGETS]]) {
+    const value = project?.values.recommend?.[key]
+    if (!value || cliArgs[arg]) continue
+    if (Object.hasOwn(table, value)) cliArgs[arg] = value
+    else warnProject(`unknown recommend.${key} "${value}" — ignored`)
+  }
 
   // 📖 If --profile <name> was passed, load that profile into the live config
   if (cliArgs.profileName) {
@@ -2782,6 +4551,69 @@ async function main() {
     saveConfig(config)
   }
 
+  // 📖 `profile` exports / imports a shareable profile file and exits — no key is read
+  if (cliArgs.command === 'profile') {
+    await runProfileCommand(config, cliArgs)
+    return
+  }
+
+  // 📖 Vault references need the passphrase before anything reads a key
+  await ensureVaultUnlocked(config)
+
+  // 📖 `secrets` shows / moves where the API keys live and exits
+  if (cliArgs.command === 'secrets') {
+    await runSecretsCommand(config, cliArgs)
+    return
+  }
+
+  // 📖 `doctor` checks the whole setup, resolving every key itself, and exits
+  if (cliArgs.command === 'doctor') {
+    await runDoctorCommand(config, cliArgs, customProviderErrors)
+    return
+  }
+  warmApiKeys(config)
+
+  // 📖 `catalog` prints the live-vs-static model diff and exits
+  if (cliArgs.command === 'catalog') {
+    await runCatalogCommand(config, cliArgs)
+    return
+  }
+
+  // 📖 `rollback` restores the previous opencode.json / openclaw.json / target config and exits
+  if (cliArgs.command === 'rollback') {
+    runRollbackCommand(cliArgs)
+    return
+  }
+
+  // 📖 `replay` re-sends a request from the proxy traffic log and exits
+  if (cliArgs.command === 'replay') {
+    await runReplayCommand(config, cliArgs)
+    return
+  }
+
+  // 📖 Repair proxies started later in this run record their traffic
+  proxyLogEnabled = cliArgs.proxyLog || config.repairProxy?.log === true
+
+  // 📖 `serve` runs the local router — no wizard, telemetry, auto-update or TUI
+  if (cliArgs.command === 'serve') {
+    await runServeMode(config, cliArgs)
+    return
+  }
+
+  // 📖 `recommend` runs the Smart Recommend analysis headlessly (optionally --apply <tool>) and exits
+  if (cliArgs.command === 'recommend') {
+    exitOnInvalidPingLength(cliArgs)
+    await runRecommendCommand(config, cliArgs, taskTypes)
+    return
+  }
+
+  // 📖 Headless output skips the wizard, telemetry, auto-update and TUI entirely
+  if (cliArgs.jsonMode || cliArgs.ndjsonMode) {
+    exitOnInvalidPingLength(cliArgs)
+    await runHeadlessMode(config, cliArgs)
+    return
+  }
+
   // 📖 Check if any provider has a key — if not, run the first-time setup wizard
   const hasAnyKey = Object.keys(sources).some(pk => !!getApiKey(config, pk))
 
@@ -2794,17 +4626,32 @@ async function main() {
       console.log()
       process.exit(1)
     }
+    // 📖 Keys typed into pass / gopass came back as references — look them up before the first ping
+    await refreshApiKeys(config)
   }
 
-  // 📖 Backward-compat: keep apiKey var for startOpenClaw() which still needs it
-  let apiKey = getApiKey(config, 'nvidia')
-
   // 📖 Default mode: OpenCode CLI
   let mode = 'opencode'
   if (cliArgs.openClawMode) mode = 'openclaw'
   else if (cliArgs.openCodeDesktopMode) mode = 'opencode-desktop'
   else if (cliArgs.openCodeMode) mode = 'opencode'
 
+  // 📖 --target <name> picks any integration (the three built-in modes included) and wins over the mode flags.
+  // 📖 The project config's "target" applies only when no mode flag was passed at all.
+  const resolveMode = (name) => BUILTIN_MODES.includes(name) ? name : resolveTargetName(name)
+  if (cliArgs.target) {
+    const resolved = resolveMode(cliArgs.target.toLowerCase())
+    if (!resolved) {
+      console.error(chalk.red(`  ✖ Unknown --target "${cliArgs.target}". Available: ${[...BUILTIN_MODES, ...Object.keys(INTEGRATION_TARGETS)].join(', ')}`))
+      process.exit(1)
+    }
+    mode = resolved
+  } else if (project?.values.target && !cliArgs.openClawMode && !cliArgs.openCodeDesktopMode && !cliArgs.openCodeMode) {
+    const resolved = resolveMode(project.values.target)
+    if (resolved) mode = resolved
+    else warnProject(`unknown target "${project.values.target}" — ignored`)
+  }
+
   // 📖 Track app opening early so fast exits are still counted.
   // 📖 Must run before update checks because npm registry lookups can add startup delay.
   void sendUsageTelemetry(config, cliArgs, {
@@ -2860,20 +4707,13 @@ async function main() {
   // 📖 Dynamic OpenRouter free model discovery — fetch live free models from API
   // 📖 Replaces static openrouter entries in MODELS with fresh data.
   // 📖 Fallback: if fetch fails, the static list from sources.js stays intact + warning shown.
-  const dynamicModels = await fetchOpenRouterFreeModels()
-  if (dynamicModels) {
-    // 📖 Remove all existing openrouter entries from MODELS
-    for (let i = MODELS.length - 1; i >= 0; i--) {
-      if (MODELS[i][5] === 'openrouter') MODELS.splice(i, 1)
-    }
-    // 📖 Push fresh entries with 'openrouter' providerKey
-    for (const [modelId, label, tier, swe, ctx] of dynamicModels) {
-      MODELS.push([modelId, label, tier, swe, ctx, 'openrouter'])
-    }
-  } else {
+  if (!await refreshOpenRouterModels()) {
     console.log(chalk.yellow('  OpenRouter: using cached model list (live fetch failed)'))
   }
 
+  // 📖 Every other provider: cache-first /models discovery (see lib/discovery.js)
+  if (!cliArgs.noDiscovery) applyDiscoveredCatalogs(await refreshCatalogs(config))
+
   // 📖 Build results from MODELS — only include enabled providers
   // 📖 Each result gets providerKey so ping() knows which URL + API key to use
 
@@ -2885,8 +4725,23 @@ async function main() {
       pings: [],  // 📖 All ping results (ms or 'TIMEOUT')
       httpCode: null,
       hidden: false,  // 📖 Simple flag to hide/show models
+      catalogStatus: catalogStatusByRef.get(`${providerKey}/${modelId}`) ?? null,  // 📖 'new' | 'gone' from live discovery
     }))
   syncFavoriteFlags(results, config)
+  syncOpenCodeRoles(results, config)
+
+  // 📖 Latency history: drop expired day files, compact old ones, then optionally
+  // 📖 pre-fill each row with its recent pings so verdicts are meaningful from frame one.
+  if (!cliArgs.noHistory) {
+    pruneHistory()
+    if (getSettings(config).seedHistory) {
+      const recentPings = loadRecentPings()
+      for (const r of results) {
+        const seeded = recentPings.get(`${r.providerKey}/${r.modelId}`)
+        if (seeded) r.pings = seeded
+      }
+    }
+  }
 
   // 📖 Clamp scrollOffset so cursor is always within the visible viewport window.
   // 📖 Called after every cursor move, sort change, and terminal resize.
@@ -2932,6 +4787,7 @@ async function main() {
     sortDirection: savedSettings.sortAsc === false ? 'desc' : 'asc',
     pingInterval: savedSettings.pingInterval || PING_INTERVAL,
     hideNoKey: savedSettings.hideNoKey ?? false, // 📖 true = hide models whose provider has no API key
+    seedHistory: savedSettings.seedHistory ?? true, // 📖 true = seed rows from on-disk latency history at startup
     lastPingTime: Date.now(),     // 📖 Track when last ping cycle started
     mode,                         // 📖 'opencode' or 'openclaw' — controls Enter action
     scrollOffset: 0,              // 📖 First visible model index in viewport
@@ -2942,6 +4798,7 @@ async function main() {
     settingsEditMode: false,      // 📖 Whether we're in inline key editing mode
     settingsEditBuffer: '',       // 📖 Typed characters for the API key being edited
     settingsTestResults: {},      // 📖 { providerKey: 'pending'|'ok'|'fail'|null }
+    settingsTestErrors: {},       // 📖 { providerKey: classified error label } for failed tests ("bad key", "DNS fail"…)
     settingsUpdateState: 'idle',  // 📖 'idle'|'checking'|'available'|'up-to-date'|'error'|'installing'
     settingsUpdateLatestVersion: null, // 📖 Latest npm version discovered from manual check
     settingsUpdateError: null,    // 📖 Last update-check error message for maintenance row
@@ -2966,6 +4823,7 @@ async function main() {
     activeProfile: getActiveProfileName(config), // 📖 Currently loaded profile name (or null)
     profileSaveMode: false,       // 📖 Whether the inline "Save profile" name input is active
     profileSaveBuffer: '',        // 📖 Typed characters for the profile name being saved
+    rolePicker: null,             // 📖 { modelKey, label, roles } while the Shift+A OpenCode role picker is open
     // 📖 Feature Request state (J key opens it)
     featureRequestOpen: false,    // 📖 Whether the feature request overlay is active
     featureRequestBuffer: '',     // 📖 Typed characters for the feature request message
@@ -3018,7 +4876,7 @@ async function main() {
       // 📖 Apply tier, origin, and no-key filters — model is hidden if it fails any
       const tierHide = activeTier !== null && r.tier !== activeTier
       const originHide = activeOrigin !== null && r.providerKey !== activeOrigin
-      const noKeyHide = state.hideNoKey && !getApiKey(state.config, r.providerKey)
+      const noKeyHide = state.hideNoKey && !hasUsableKey(state.config, r.providerKey)
       r.hidden = tierHide || originHide || noKeyHide
     })
     return state.results
@@ -3038,6 +4896,24 @@ async function main() {
 
     lines.push('')
     lines.push(`  ${chalk.bold('⚙  Settings')}  ${chalk.dim('— free-coding-models v' + LOCAL_VERSION)}`)
+    const project = getProjectConfig(state.config)
+    if (project) {
+      // 📖 The project config wins over Space for the providers it lists
+      const pinned = Object.keys(project.values.providers ?? {})
+      lines.push(`  ${chalk.dim(`📁 Project config ${project.path}`)}${pinned.length > 0 ? chalk.dim(` — sets ${pinned.join(', ')} (Space has no effect on them)`) : ''}`)
+    }
+    // 📖 Active profile: where each value comes from — ✎ set in this profile, ↳ inherited,
+    // 📖 ● changed here but not saved into the profile yet (Shift+S)
+    const profileView = state.activeProfile ? resolveProfile(state.config, state.activeProfile) : null
+    if (profileView) {
+      lines.push(`  ${chalk.rgb(200, 150, 255)(`📋 Profile ${profileView.chain.join(' ← ')}`)}  ${chalk.dim('✎ set in this profile  •  ↳ inherited  •  ● not saved to the profile (Shift+S)')}`)
+    }
+    const originTag = (label, origin, unsaved) => {
+      if (unsaved) return chalk.yellow(['●', label].filter(Boolean).join(' '))
+      if (!origin) return ''
+      const text = [origin === state.activeProfile ? '✎' : '↳', label, origin === 'defaults' ? 'default' : origin].filter(Boolean).join(' ')
+      return origin === state.activeProfile ? chalk.rgb(200, 150, 255)(text) : chalk.dim(text)
+    }
     lines.push('')
     lines.push(`  ${chalk.bold('🧩 Providers')}`)
     lines.push(`  ${chalk.dim('  ' + '─'.repeat(112))}`)
@@ -3056,10 +4932,15 @@ async function main() {
       if (state.settingsEditMode && isCursor) {
         // 📖 Inline editing: show typed buffer with cursor indicator
         keyDisplay = chalk.cyanBright(`${state.settingsEditBuffer || ''}▏`)
+      } else if (isSecretRef(keyVal)) {
+        // 📖 References aren't secret — show where the key lives
+        keyDisplay = chalk.dim(`🔐 ${keyVal.length > 30 ? keyVal.slice(0, 29) + '…' : keyVal}`)
       } else if (keyVal) {
         const visible = keyVal.slice(-4)
         const masked = '•'.repeat(Math.min(16, Math.max(4, keyVal.length - 4)))
         keyDisplay = chalk.dim(masked + visible)
+      } else if (state.config.keyCommand) {
+        keyDisplay = chalk.dim('🔐 (keyCommand)')
       } else {
         keyDisplay = chalk.dim('(no key set)')
       }
@@ -3069,14 +4950,24 @@ async function main() {
       let testBadge = chalk.dim('[Test —]')
       if (testResult === 'pending') testBadge = chalk.yellow('[Testing…]')
       else if (testResult === 'ok')   testBadge = chalk.greenBright('[Test ✅]')
-      else if (testResult === 'fail') testBadge = chalk.red('[Test ❌]')
+      else if (testResult === 'fail') testBadge = chalk.red(state.settingsTestErrors[pk] ? `[Test ❌ ${state.settingsTestErrors[pk]}]` : '[Test ❌]')
       const rateSummary = chalk.dim((meta.rateLimits || 'No limit info').slice(0, 36))
 
       const enabledBadge = enabled ? chalk.greenBright('✅') : chalk.redBright('❌')
       const providerName = chalk.bold((meta.label || src.name || pk).slice(0, 22).padEnd(22))
       const bullet = isCursor ? chalk.bold.cyan('  ❯ ') : chalk.dim('    ')
 
-      const row = `${bullet}[ ${enabledBadge} ] ${providerName}  ${keyDisplay.padEnd(30)}  ${testBadge}  ${rateSummary}`
+      let inheritance = ''
+      if (profileView) {
+        const liveProvider = JSON.stringify(state.config.providers?.[pk] ?? { enabled: true })
+        const savedProvider = JSON.stringify(profileView.providers[pk] ?? { enabled: true })
+        inheritance = [
+          originTag('key', profileView.origins.apiKeys[pk], (keyVal || '') !== (profileView.apiKeys[pk] || '')),
+          originTag(enabled ? 'on' : 'off', profileView.origins.providers[pk], liveProvider !== savedProvider),
+        ].filter(Boolean).join(' ')
+      }
+
+      const row = `${bullet}[ ${enabledBadge} ] ${providerName}  ${keyDisplay.padEnd(30)}  ${testBadge}  ${rateSummary}${inheritance ? `  ${inheritance}` : ''}`
       cursorLineByRow[i] = lines.length
       lines.push(isCursor ? chalk.bgRgb(30, 30, 60)(row) : row)
     }
@@ -3126,12 +5017,14 @@ async function main() {
     }
 
     // 📖 TUI Settings section — configurable display defaults
-    // 📖 5 rows: Sort Column, Sort Direction, Tier Filter, Ping Interval, Hide No-Key
-    const TUI_LABELS = ['Sort Column', 'Sort Direction', 'Tier Filter', 'Ping Interval', 'Hide No-Key Providers']
+    // 📖 6 rows: Sort Column, Sort Direction, Tier Filter, Ping Interval, Hide No-Key, Seed From History
+    const TUI_LABELS = ['Sort Column', 'Sort Direction', 'Tier Filter', 'Ping Interval', 'Hide No-Key Providers', 'Seed From History']
+    const TUI_SETTING_KEYS = ['sortColumn', 'sortAsc', 'tierFilter', 'pingInterval', 'hideNoKey', 'seedHistory']
     const SORT_COL_LABELS = {
       rank: 'Rank', tier: 'Tier', origin: 'Origin', model: 'Model',
       ping: 'Latest', avg: 'Avg Ping', swe: 'SWE%', ctx: 'CTX',
-      condition: 'Health', verdict: 'Verdict', stability: 'Stability', uptime: 'Uptime'
+      condition: 'Health', verdict: 'Verdict', stability: 'Stability', uptime: 'Uptime',
+      ttft: 'TTFT', tps: 'Tok/s'
     }
     const tuiStartIdx = updateRowIdx + 1
 
@@ -3167,6 +5060,16 @@ async function main() {
         // Hide No-Key
         value = state.hideNoKey ? chalk.greenBright('ON') : chalk.dim('OFF')
         if (isCursor) value += chalk.dim('  ← Enter to toggle')
+      } else if (i === 5) {
+        // Seed From History
+        value = state.seedHistory ? chalk.greenBright('ON') : chalk.dim('OFF')
+        if (isCursor) value += chalk.dim('  ← Enter to toggle (applies on next launch)')
+      }
+      if (profileView) {
+        const key = TUI_SETTING_KEYS[i]
+        const live = [state.sortColumn, state.sortDirection === 'asc', TIER_CYCLE[tierFilterMode], state.pingInterval, state.hideNoKey, state.seedHistory][i]
+        const projectTier = key === 'tierFilter' && getProjectConfig(state.config)?.values.tierFilter
+        value += '  ' + (projectTier ? chalk.dim('↳ project config') : originTag(null, profileView.origins.settings[key], live !== profileView.settings[key]))
       }
       const row = `${bullet}${label}  ${value}`
       cursorLineByRow[rowIdx] = lines.length
@@ -3194,8 +5097,12 @@ async function main() {
         const activeBadge = isActive ? chalk.greenBright(' ✅ active') : ''
         const bullet = isCursor ? chalk.bold.cyan('  ❯ ') : chalk.dim('    ')
         const profileLabel = chalk.rgb(200, 150, 255).bold(pName.padEnd(30))
+        // 📖 Partial profiles: parent + how many values they override
+        const own = state.config.profiles[pName]
+        const overrides = ['apiKeys', 'providers', 'settings'].reduce((n, section) => n + Object.keys(own?.[section] ?? {}).length, Array.isArray(own?.favorites) ? 1 : 0)
+        const parentInfo = own?.extends ? chalk.dim(`  extends ${own.extends} · ${overrides} override(s)`) : ''
         const deleteHint = isCursor ? chalk.dim('  Enter→Load  •  Backspace→Delete') : ''
-        const row = `${bullet}${profileLabel}${activeBadge}${deleteHint}`
+        const row = `${bullet}${profileLabel}${activeBadge}${parentInfo}${deleteHint}`
         cursorLineByRow[rowIdx] = lines.length
         lines.push(isCursor ? chalk.bgRgb(40, 20, 60)(row) : row)
       }
@@ -3249,6 +5156,8 @@ async function main() {
     lines.push(`              ${chalk.dim('Bigger context = the model can read more of your codebase at once without forgetting.')}`)
     lines.push('')
     lines.push(`  ${chalk.cyan('Model')}       Model name (⭐ = favorited, pinned at top)  ${chalk.dim('Sort:')} ${chalk.yellow('M')}  ${chalk.dim('Favorite:')} ${chalk.yellow('F')}`)
+    lines.push(`              ${chalk.dim('🆕 = served live but not in the built-in catalog · 👻 = no longer listed by the provider')}`)
+    lines.push(`              ${chalk.dim('small / plan / build / review = OpenCode roles set with')} ${chalk.yellow('Shift+A')} ${chalk.dim('(one model can hold several)')}`)
     lines.push(`              ${chalk.dim('Star the ones you like — they stay pinned at the top across restarts.')}`)
     lines.push('')
     lines.push(`  ${chalk.cyan('Origin')}      Provider source (NIM, Groq, Cerebras, etc.)  ${chalk.dim('Sort:')} ${chalk.yellow('O')}  ${chalk.dim('Cycle:')} ${chalk.yellow('N')}`)
@@ -3261,6 +5170,7 @@ async function main() {
     lines.push(`              ${chalk.dim('The long-term truth. Ignore lucky one-off pings, this tells you real everyday speed.')}`)
     lines.push('')
     lines.push(`  ${chalk.cyan('Health')}      Live status: ✅ UP / 🔥 429 / ⏳ TIMEOUT / ❌ ERR / 🔑 NO KEY  ${chalk.dim('Sort:')} ${chalk.yellow('H')}`)
+    lines.push(`              ${chalk.dim('Failures show a reason: bad key → fix the key · no model / bad request → drop it · rate limit / no quota / outage → wait · DNS fail / TLS error / refused → check network')}`)
     lines.push(`              ${chalk.dim('Tells you instantly if a model is reachable or down — no guesswork needed.')}`)
     lines.push('')
     lines.push(`  ${chalk.cyan('Verdict')}     Overall assessment: Perfect / Normal / Spiky / Slow / Overloaded  ${chalk.dim('Sort:')} ${chalk.yellow('V')}`)
@@ -3271,6 +5181,14 @@ async function main() {
     lines.push('')
     lines.push(`  ${chalk.cyan('Up%')}         Uptime — ratio of successful pings to total pings  ${chalk.dim('Sort:')} ${chalk.yellow('U')}`)
     lines.push(`              ${chalk.dim('If a model only works half the time, you\'ll waste time retrying. Higher = more reliable.')}`)
+    lines.push('')
+    lines.push(`  ${chalk.cyan('Quota')}       Requests left in the provider's rate-limit window (from response headers)`)
+    lines.push(`              ${chalk.dim('↻ 5m = pings paused: 429 retry-after, window exhausted, or daily monitoring budget spent (OpenRouter 50/day).')}`)
+    lines.push('')
+    lines.push(`  ${chalk.cyan('TTFT')}        Benchmark time-to-first-token (ms)  ${chalk.dim('Sort:')} ${chalk.yellow('E')}  ${chalk.dim('Run:')} ${chalk.yellow('Shift+B')} ${chalk.dim('or --benchmark')}`)
+    lines.push(`  ${chalk.cyan('Tok/s')}       Benchmark generation speed (tokens/second)  ${chalk.dim('Sort:')} ${chalk.yellow('G')}`)
+    lines.push(`              ${chalk.dim('Streams a fixed coding prompt — for agents, tokens/sec matters more than a 1-token ping.')}`)
+    lines.push(`  ${chalk.cyan('Caps')}        Tool calls / JSON mode / streaming: ${chalk.greenBright('T J S')} ${chalk.dim('works ·')} ${chalk.yellow('T')} ${chalk.dim('tool args need repair ·')} ${chalk.red('T')} ${chalk.dim('missing')}  ${chalk.dim('Run:')} ${chalk.yellow('Shift+C')} ${chalk.dim('or --probe')}`)
 
     lines.push('')
     lines.push(`  ${chalk.bold('Main TUI')}`)
@@ -3280,17 +5198,20 @@ async function main() {
     lines.push('')
     lines.push(`  ${chalk.bold('Controls')}`)
     lines.push(`  ${chalk.yellow('W')}  Decrease ping interval (faster)`)
-    lines.push(`  ${chalk.yellow('X')}  Increase ping interval (slower)`)
-    lines.push(`  ${chalk.yellow('Z')}  Cycle launch mode  ${chalk.dim('(OpenCode CLI → OpenCode Desktop → OpenClaw)')}`)
+    lines.push(`  ${chalk.yellow('X')}  Increase ping interval (slower)  ${chalk.dim('(favorites + cursor row: 2× as often, 429/timeouts back off, dead models 5× less)')}`)
+    lines.push(`  ${chalk.yellow('Z')}  Cycle launch mode  ${chalk.dim('(OpenCode CLI → OpenCode Desktop → OpenClaw → Aider → Continue → Cline/Roo → Codex → Goose)')}`)
     lines.push(`  ${chalk.yellow('F')}  Toggle favorite on selected row  ${chalk.dim('(⭐ pinned at top, persisted)')}`)
     lines.push(`  ${chalk.yellow('Q')}  Smart Recommend  ${chalk.dim('(🎯 find the best model for your task — questionnaire + live analysis)')}`)
     lines.push(`  ${chalk.rgb(57, 255, 20).bold('J')}  Request Feature  ${chalk.dim('(📝 send anonymous feedback to the project team)')}`)
     lines.push(`  ${chalk.rgb(255, 87, 51).bold('I')}  Report Bug  ${chalk.dim('(🐛 send anonymous bug report to the project team)')}`)
     lines.push(`  ${chalk.yellow('P')}  Open settings  ${chalk.dim('(manage API keys, provider toggles, manual update)')}`)
     lines.push(`  ${chalk.yellow('Shift+P')}  Cycle config profile  ${chalk.dim('(switch between saved profiles live)')}`)
-    lines.push(`  ${chalk.yellow('Shift+S')}  Save current config as a named profile  ${chalk.dim('(inline prompt — type name + Enter)')}`)
+    lines.push(`  ${chalk.yellow('Shift+S')}  Save current config as a named profile  ${chalk.dim('(inline prompt — type name + Enter; a new name extends the active profile)')}`)
     lines.push(`             ${chalk.dim('Profiles store: favorites, sort, tier filter, ping interval, API keys.')}`)
     lines.push(`             ${chalk.dim('Use --profile <name> to load a profile on startup.')}`)
+    lines.push(`  ${chalk.yellow('Shift+B')}  Benchmark selected model  ${chalk.dim('(streams a coding prompt → TTFT + Tok/s columns, uses real tokens)')}`)
+    lines.push(`  ${chalk.yellow('Shift+C')}  Probe selected model  ${chalk.dim('(tool call + JSON mode + streaming → Caps column, used by Smart Recommend)')}`)
+    lines.push(`  ${chalk.yellow('Shift+A')}  OpenCode roles of selected model  ${chalk.dim('(S/P/B/R toggle small / plan / build / review; written to opencode.json next to the Enter model)')}`)
     lines.push(`  ${chalk.yellow('D')}  Hide no-key providers  ${chalk.dim('(toggle hiding models whose provider has no API key — persisted)')}`)
     lines.push(`  ${chalk.yellow('K')} / ${chalk.yellow('Esc')}  Show/hide this help`)
     lines.push(`  ${chalk.yellow('Ctrl+C')}  Exit`)
@@ -3306,7 +5227,7 @@ async function main() {
     lines.push(`  ${chalk.yellow('Esc')}          Close settings`)
     lines.push('')
     lines.push(`  ${chalk.bold('TUI Settings (in Settings screen)')}`)
-    lines.push(`  ${chalk.dim('Sort Column, Sort Direction, Tier Filter, Ping Interval, Hide No-Key')}`)
+    lines.push(`  ${chalk.dim('Sort Column, Sort Direction, Tier Filter, Ping Interval, Hide No-Key, Seed From History')}`)
     lines.push(`  ${chalk.dim('Use Enter to cycle forward / toggle, Space to cycle backward / toggle.')}`)
     lines.push(`  ${chalk.dim('Changes are auto-saved to config and applied immediately.')}`)
     lines.push('')
@@ -3315,12 +5236,31 @@ async function main() {
     lines.push(`  ${chalk.cyan('free-coding-models --opencode')}           ${chalk.dim('OpenCode CLI mode')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --opencode-desktop')}   ${chalk.dim('OpenCode Desktop mode')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --openclaw')}           ${chalk.dim('OpenClaw mode')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --target <name>')}      ${chalk.dim('Enter writes config for aider, continue, cline, codex or goose')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --best')}               ${chalk.dim('Only top tiers (A+, S, S+)')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --fiable')}             ${chalk.dim('10s reliability analysis')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --tier S|A|B|C')}       ${chalk.dim('Filter by tier letter')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --no-telemetry')}       ${chalk.dim('Disable telemetry for this run')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --recommend')}          ${chalk.dim('Auto-open Smart Recommend on start')}`)
+    lines.push(`  ${chalk.cyan('  --task / --priority / --context')}       ${chalk.dim('Pre-answer its questions (custom task types come from config)')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models recommend --task <t>')} ${chalk.dim('Headless ranking with score breakdown (--apply <tool> writes the winner)')}`)
     lines.push(`  ${chalk.cyan('free-coding-models --profile <name>')}     ${chalk.dim('Load a saved config profile')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --json')}               ${chalk.dim('Headless: print results as one JSON document')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --ndjson')}             ${chalk.dim('Headless: one JSON line per ping event')}`)
+    lines.push(`  ${chalk.cyan('  --rounds <n> / --duration <15s>')}     ${chalk.dim('How long headless mode pings (default 1 round)')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --benchmark')}          ${chalk.dim('Benchmark tokens/sec of every model that is up')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --probe')}              ${chalk.dim('Check tool calling / JSON mode / streaming of every model that is up')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models catalog [--refresh]')}  ${chalk.dim('Live /models diff: new and retired models per provider')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models serve [--port 8765]')} ${chalk.dim('Local OpenAI-compatible router with failover')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models rollback [--target]')} ${chalk.dim('Undo the last opencode.json / openclaw.json / tool config write')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --proxy-log')}          ${chalk.dim('Log the repair proxy traffic (keys redacted)')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models replay [last|<id>]')}   ${chalk.dim('Re-send a logged proxy request (--model provider/model, list)')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models secrets [migrate]')}   ${chalk.dim('Key sources per provider / move plaintext keys to a secret store')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models doctor [--fix]')}   ${chalk.dim('Check config, keys, tools, paths and provider hosts')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models profile export team team.json')}   ${chalk.dim('Share a profile (keys become env: references)')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models profile import <file|url>')}   ${chalk.dim('Merge a shared profile (--replace to overwrite)')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --no-history')}         ${chalk.dim('Don\'t record or seed latency history this run')}`)
+    lines.push(`  ${chalk.cyan('free-coding-models --no-discovery')}       ${chalk.dim('Skip live /models discovery (built-in catalog only)')}`)
     lines.push(`  ${chalk.dim('Flags can be combined: --openclaw --tier S')}`)
     lines.push('')
     // 📖 Help overlay can be longer than viewport, so keep a dedicated scroll offset.
@@ -3349,7 +5289,7 @@ async function main() {
       const questions = [
         {
           title: 'What are you working on?',
-          options: Object.entries(TASK_TYPES).map(([key, val]) => ({ key, label: val.label })),
+          options: Object.entries(taskTypes).map(([key, val]) => ({ key, label: val.label })),
           answerKey: 'taskType',
         },
         {
@@ -3410,7 +5350,7 @@ async function main() {
       lines.push('')
 
       // 📖 Show what we're doing
-      const taskLabel = TASK_TYPES[state.recommendAnswers.taskType]?.label || '—'
+      const taskLabel = taskTypes[state.recommendAnswers.taskType]?.label || '—'
       const prioLabel = PRIORITY_TYPES[state.recommendAnswers.priority]?.label || '—'
       const ctxLabel = CONTEXT_BUDGETS[state.recommendAnswers.contextBudget]?.label || '—'
       lines.push(chalk.dim(`  Task: ${taskLabel}  •  Priority: ${prioLabel}  •  Context: ${ctxLabel}`))
@@ -3424,7 +5364,7 @@ async function main() {
 
     } else if (state.recommendPhase === 'results') {
       // 📖 Show Top 3 results with detailed info
-      const taskLabel = TASK_TYPES[state.recommendAnswers.taskType]?.label || '—'
+      const taskLabel = taskTypes[state.recommendAnswers.taskType]?.label || '—'
       const prioLabel = PRIORITY_TYPES[state.recommendAnswers.priority]?.label || '—'
       const ctxLabel = CONTEXT_BUDGETS[state.recommendAnswers.contextBudget]?.label || '—'
       lines.push(chalk.dim(`  Task: ${taskLabel}  •  Priority: ${prioLabel}  •  Context: ${ctxLabel}`))
@@ -3448,12 +5388,14 @@ async function main() {
           const ctxStr = r.ctx ?? '—'
           const stability = getStabilityScore(r)
           const stabStr = stability === -1 ? '—' : String(stability)
+          // 📖 Probed capabilities already weigh into the score — show them so the ranking makes sense
+          const capsStr = r.capabilities?.status === 'done' ? `  │  Caps: ${formatCapabilityBadges(r.capabilities)}` : ''
 
           const isCursor = i === state.recommendCursor
           const highlight = isCursor ? chalk.bgRgb(20, 50, 25) : (s => s)
 
           lines.push(highlight(`  ${medal} ${chalk.bold('#' + (i + 1))}  ${chalk.bold.white(r.label)}  ${chalk.dim('(' + providerName + ')')}`))
-          lines.push(highlight(`       Score: ${chalk.bold.greenBright(String(rec.score) + '/100')}  │  Tier: ${tierFn(r.tier)}  │  SWE: ${chalk.cyan(sweStr)}  │  Avg: ${chalk.yellow(avgStr)}  │  CTX: ${chalk.cyan(ctxStr)}  │  Stability: ${chalk.cyan(stabStr)}`))
+          lines.push(highlight(`       Score: ${chalk.bold.greenBright(String(rec.score) + '/100')}  │  Tier: ${tierFn(r.tier)}  │  SWE: ${chalk.cyan(sweStr)}  │  Avg: ${chalk.yellow(avgStr)}  │  CTX: ${chalk.cyan(ctxStr)}  │  Stability: ${chalk.cyan(stabStr)}${capsStr}`))
           lines.push('')
         }
       }
@@ -3497,9 +5439,10 @@ async function main() {
         state.recommendAnalysisTimer = null
         state.recommendPingTimer = null
 
+        // 📖 Pass the definition itself — custom task types aren't in TASK_TYPES
         const recs = getTopRecommendations(
           state.results,
-          state.recommendAnswers.taskType,
+          taskTypes[state.recommendAnswers.taskType],
           state.recommendAnswers.priority,
           state.recommendAnswers.contextBudget,
           3
@@ -3753,16 +5696,24 @@ async function main() {
   async function testProviderKey(providerKey) {
     const src = sources[providerKey]
     if (!src) return
+    // 📖 A reference typed a moment ago may still be looked up in the background
+    await refreshApiKeys(state.config)
     const testKey = getApiKey(state.config, providerKey)
-    if (!testKey) { state.settingsTestResults[providerKey] = 'fail'; return }
+    if (!testKey) {
+      state.settingsTestResults[providerKey] = 'fail'
+      // 📖 A reference that didn't resolve says why (locked vault, `op` signed out…)
+      state.settingsTestErrors[providerKey] = secretErrors().get(state.config.apiKeys?.[providerKey])?.slice(0, 40) ?? null
+      return
+    }
 
     // 📖 Use the first model in the provider's list for the test ping
     const testModel = src.models[0]?.[0]
     if (!testModel) { state.settingsTestResults[providerKey] = 'fail'; return }
 
     state.settingsTestResults[providerKey] = 'pending'
-    const { code } = await ping(testKey, testModel, providerKey, src.url)
+    const { code, error } = await ping(testKey, testModel, providerKey, src.url)
     state.settingsTestResults[providerKey] = code === '200' ? 'ok' : 'fail'
+    state.settingsTestErrors[providerKey] = error?.label ?? null
   }
 
   // 📖 Manual update checker from settings; keeps status visible in maintenance row.
@@ -3833,13 +5784,16 @@ async function main() {
         // 📖 Confirm profile save — persist current TUI settings under typed name
         const name = state.profileSaveBuffer.trim()
         if (name.length > 0) {
+          // 📖 An existing profile keeps its parent; a new one extends the active profile
+          const parent = state.config.profiles?.[name] ? undefined : state.activeProfile
           saveAsProfile(state.config, name, {
             tierFilter: TIER_CYCLE[tierFilterMode],
             sortColumn: state.sortColumn,
             sortAsc: state.sortDirection === 'asc',
             pingInterval: state.pingInterval,
             hideNoKey: state.hideNoKey,
-          })
+            seedHistory: state.seedHistory,
+          }, { parent })
           setActiveProfile(state.config, name)
           state.activeProfile = name
           saveConfig(state.config)
@@ -3859,6 +5813,24 @@ async function main() {
       return
     }
 
+    // 📖 OpenCode role picker (Shift+A): S/P/B/R toggle small / plan / build / review for the
+    // 📖 selected model, Enter or Esc closes it. Every other key is swallowed while it's open.
+    if (state.rolePicker) {
+      if (key.ctrl && key.name === 'c') { exit(0); return }
+      if (key.name === 'escape' || key.name === 'return') {
+        state.rolePicker = null
+        return
+      }
+      const role = OPENCODE_ROLES.find(r => OPENCODE_ROLE_TAGS[r][0] === key.name)
+      if (role) {
+        state.config.openCodeRoles = toggleOpenCodeRole(state.config.openCodeRoles, role, state.rolePicker.modelKey)
+        state.rolePicker.roles = state.config.openCodeRoles
+        saveConfig(state.config)
+        syncOpenCodeRoles(state.results, state.config)
+      }
+      return
+    }
+
     // 📖 Feature Request overlay: intercept ALL keys while overlay is active.
     // 📖 Enter → send to Discord, Esc → cancel, Backspace → delete char, printable → append to buffer.
     if (state.featureRequestOpen) {
@@ -4016,7 +5988,7 @@ async function main() {
 
       if (state.recommendPhase === 'questionnaire') {
         const questions = [
-          { options: Object.keys(TASK_TYPES), answerKey: 'taskType' },
+          { options: Object.keys(taskTypes), answerKey: 'taskType' },
           { options: Object.keys(PRIORITY_TYPES), answerKey: 'priority' },
           { options: Object.keys(CONTEXT_BUDGETS), answerKey: 'contextBudget' },
         ]
@@ -4041,9 +6013,11 @@ async function main() {
         }
         if (key.name === 'return') {
           // 📖 Record answer and advance to next question or start analysis
+          // 📖 Questions pre-answered with --task / --priority / --context are skipped
           state.recommendAnswers[q.answerKey] = q.options[state.recommendCursor]
-          if (state.recommendQuestion < questions.length - 1) {
-            state.recommendQuestion++
+          const next = questions.findIndex((nq, i) => i > state.recommendQuestion && !state.recommendAnswers[nq.answerKey])
+          if (next !== -1) {
+            state.recommendQuestion = next
             state.recommendCursor = 0
           } else {
             // 📖 All questions answered — start analysis phase
@@ -4123,7 +6097,7 @@ async function main() {
       const updateRowIdx = providerKeys.length
       // 📖 TUI Settings rows (5 rows) come after update row
       const tuiStartIdx = updateRowIdx + 1
-      const TUI_ROW_COUNT = 5 // Sort Column, Sort Direction, Tier Filter, Ping Interval, Hide No-Key
+      const TUI_ROW_COUNT = 6 // Sort Column, Sort Direction, Tier Filter, Ping Interval, Hide No-Key, Seed From History
       // 📖 Profile rows start after TUI settings rows
       const savedProfiles = listProfiles(state.config)
       const profileStartIdx = tuiStartIdx + TUI_ROW_COUNT
@@ -4136,8 +6110,15 @@ async function main() {
           const pk = providerKeys[state.settingsCursor]
           const newKey = state.settingsEditBuffer.trim()
           if (newKey) {
-            state.config.apiKeys[pk] = newKey
-            saveConfig(state.config)
+            try {
+              setApiKey(state.config, pk, newKey)
+              saveConfig(state.config)
+              refreshApiKeys(state.config).catch(() => {})
+            } catch (err) {
+              // 📖 The store refused the key — nothing is saved, the reason shows in the test badge
+              state.settingsTestResults[pk] = 'fail'
+              state.settingsTestErrors[pk] = `not saved: ${err.message}`.slice(0, 48)
+            }
           }
           state.settingsEditMode = false
           state.settingsEditBuffer = ''
@@ -4234,7 +6215,7 @@ async function main() {
         // 📖 TUI Settings rows: Enter cycles/toggles the setting value
         if (state.settingsCursor >= tuiStartIdx && state.settingsCursor < tuiStartIdx + TUI_ROW_COUNT) {
           const tuiRowOffset = state.settingsCursor - tuiStartIdx
-          const SORT_COL_ORDER = ['rank', 'tier', 'origin', 'model', 'ping', 'avg', 'swe', 'ctx', 'condition', 'verdict', 'stability', 'uptime']
+          const SORT_COL_ORDER = ['rank', 'tier', 'origin', 'model', 'ping', 'avg', 'swe', 'ctx', 'condition', 'verdict', 'stability', 'uptime', 'ttft', 'tps']
           if (tuiRowOffset === 0) {
             // 📖 Sort Column — cycle to next column
             const curIdx = SORT_COL_ORDER.indexOf(state.sortColumn)
@@ -4269,6 +6250,11 @@ async function main() {
             applyTierFilter()
             const visible = state.results.filter(r => !r.hidden)
             state.visibleSorted = sortResultsWithPinnedFavorites(visible, state.sortColumn, state.sortDirection)
+          } else if (tuiRowOffset === 5) {
+            // 📖 Seed From History — toggle (takes effect on next launch)
+            state.seedHistory = !state.seedHistory
+            saveSettings(config, { seedHistory: state.seedHistory })
+            saveConfig(config)
           }
           return
         }
@@ -4284,6 +6270,7 @@ async function main() {
               state.sortDirection = settings.sortAsc ? 'asc' : 'desc'
               state.pingInterval = settings.pingInterval || PING_INTERVAL
               state.hideNoKey = settings.hideNoKey ?? false
+              state.seedHistory = settings.seedHistory ?? true
               if (settings.tierFilter) {
                 const tierIdx = TIER_CYCLE.indexOf(settings.tierFilter)
                 if (tierIdx >= 0) tierFilterMode = tierIdx
@@ -4291,6 +6278,7 @@ async function main() {
                 tierFilterMode = 0
               }
               state.activeProfile = profileName
+              refreshApiKeys(state.config).catch(() => {})
               syncFavoriteFlags(state.results, state.config)
               applyTierFilter()
               const visible = state.results.filter(r => !r.hidden)
@@ -4316,7 +6304,7 @@ async function main() {
         // 📖 TUI Settings rows: Space provides alternate action
         if (state.settingsCursor >= tuiStartIdx && state.settingsCursor < tuiStartIdx + TUI_ROW_COUNT) {
           const tuiRowOffset = state.settingsCursor - tuiStartIdx
-          const SORT_COL_ORDER = ['rank', 'tier', 'origin', 'model', 'ping', 'avg', 'swe', 'ctx', 'condition', 'verdict', 'stability', 'uptime']
+          const SORT_COL_ORDER = ['rank', 'tier', 'origin', 'model', 'ping', 'avg', 'swe', 'ctx', 'condition', 'verdict', 'stability', 'uptime', 'ttft', 'tps']
           if (tuiRowOffset === 0) {
             // 📖 Sort Column — cycle backwards
             const curIdx = SORT_COL_ORDER.indexOf(state.sortColumn)
@@ -4351,6 +6339,11 @@ async function main() {
             applyTierFilter()
             const visible = state.results.filter(r => !r.hidden)
             state.visibleSorted = sortResultsWithPinnedFavorites(visible, state.sortColumn, state.sortDirection)
+          } else if (tuiRowOffset === 5) {
+            // 📖 Seed From History — toggle (same as Enter)
+            state.seedHistory = !state.seedHistory
+            saveSettings(config, { seedHistory: state.seedHistory })
+            saveConfig(config)
           }
           return
         }
@@ -4390,6 +6383,7 @@ async function main() {
           if (state.activeProfile === profileName) {
             setActiveProfile(state.config, null)
             state.activeProfile = null
+            refreshApiKeys(state.config).catch(() => {})
           }
           saveConfig(state.config)
           // 📖 Re-clamp cursor after deletion (profile list just got shorter)
@@ -4439,6 +6433,7 @@ async function main() {
           sortAsc: state.sortDirection === 'asc',
           pingInterval: state.pingInterval,
           hideNoKey: state.hideNoKey,
+          seedHistory: state.seedHistory,
         })
         setActiveProfile(state.config, 'default')
         state.activeProfile = 'default'
@@ -4451,6 +6446,7 @@ async function main() {
           // 📖 Back to raw config (no profile)
           setActiveProfile(state.config, null)
           state.activeProfile = null
+          refreshApiKeys(state.config).catch(() => {})
           saveConfig(state.config)
         } else {
           const nextProfile = profiles[nextIdx]
@@ -4461,6 +6457,7 @@ async function main() {
             state.sortDirection = settings.sortAsc ? 'asc' : 'desc'
             state.pingInterval = settings.pingInterval || PING_INTERVAL
             state.hideNoKey = settings.hideNoKey ?? false
+            state.seedHistory = settings.seedHistory ?? true
             if (settings.tierFilter) {
               const tierIdx = TIER_CYCLE.indexOf(settings.tierFilter)
               if (tierIdx >= 0) tierFilterMode = tierIdx
@@ -4468,6 +6465,7 @@ async function main() {
               tierFilterMode = 0
             }
             state.activeProfile = nextProfile
+            refreshApiKeys(state.config).catch(() => {})
             // 📖 Rebuild favorites from profile data
             syncFavoriteFlags(state.results, state.config)
             applyTierFilter()
@@ -4489,12 +6487,39 @@ async function main() {
       return
     }
 
-    // 📖 Sorting keys: R=rank, Y=tier, O=origin, M=model, L=latest ping, A=avg ping, S=SWE-bench, C=context, H=health, V=verdict, B=stability, U=uptime
+    // 📖 Shift+B: benchmark the selected row (stream a real coding answer → TTFT + tokens/sec)
+    if (key.name === 'b' && key.shift) {
+      const selected = state.visibleSorted[state.cursor]
+      if (!selected || selected.bench?.status === 'running') return
+      benchmarkResults(state.config, [selected]).catch(() => {})
+      return
+    }
+
+    // 📖 Shift+C: probe the selected row's capabilities (tool calls, JSON mode, streaming → Caps column)
+    if (key.name === 'c' && key.shift) {
+      const selected = state.visibleSorted[state.cursor]
+      if (!selected || selected.capabilities?.status === 'running') return
+      probeResults(state.config, [selected]).catch(() => {})
+      return
+    }
+
+    // 📖 Shift+A: open the OpenCode role picker for the selected row (small / plan / build / review).
+    // 📖 Every assigned role is written to opencode.json in one go when OpenCode is launched.
+    if (key.name === 'a' && key.shift) {
+      const selected = state.visibleSorted[state.cursor]
+      if (!selected) return
+      state.rolePicker = { modelKey: toFavoriteKey(selected.providerKey, selected.modelId), label: selected.label, roles: state.config.openCodeRoles ?? {} }
+      return
+    }
+
+    // 📖 Sorting keys: R=rank, Y=tier, O=origin, M=model, L=latest ping, A=avg ping, S=SWE-bench, C=context, H=health, V=verdict, B=stability, U=uptime,
+    // 📖 E=benchmark TTFT, G=benchmark tokens/sec
     // 📖 T is reserved for tier filter cycling — tier sort moved to Y
     // 📖 N is now reserved for origin filter cycling
     const sortKeys = {
       'r': 'rank', 'y': 'tier', 'o': 'origin', 'm': 'model',
-      'l': 'ping', 'a': 'avg', 's': 'swe', 'c': 'ctx', 'h': 'condition', 'v': 'verdict', 'b': 'stability', 'u': 'uptime'
+      'l': 'ping', 'a': 'avg', 's': 'swe', 'c': 'ctx', 'h': 'condition', 'v': 'verdict', 'b': 'stability', 'u': 'uptime',
+      'e': 'ttft', 'g': 'tps'
     }
 
     if (sortKeys[key.name] && !key.ctrl && !key.shift) {
@@ -4617,9 +6642,9 @@ async function main() {
       return
     }
 
-    // 📖 Mode toggle key: Z = cycle through modes (CLI → Desktop → OpenClaw)
+    // 📖 Mode toggle key: Z = cycle through modes (CLI → Desktop → OpenClaw → Aider → … → Goose)
     if (key.name === 'z') {
-      const modeOrder = ['opencode', 'opencode-desktop', 'openclaw']
+      const modeOrder = [...BUILTIN_MODES, ...Object.keys(INTEGRATION_TARGETS)]
       const currentIndex = modeOrder.indexOf(state.mode)
       const nextIndex = (currentIndex + 1) % modeOrder.length
       state.mode = modeOrder[nextIndex]
@@ -4651,10 +6676,11 @@ async function main() {
 
     if (key.name === 'return') { // Enter
       // 📖 Use the cached visible+sorted array — guaranteed to match what's on screen
+      // 📖 The cursor row is the main model; Shift+A roles only add small / agent models next to it
       const selected = state.visibleSorted[state.cursor]
       if (!selected) return // 📖 Guard: empty visible list (all filtered out)
       // 📖 Allow selecting ANY model (even timeout/down) - user knows what they're doing
-      userSelected = { modelId: selected.modelId, label: selected.label, tier: selected.tier, providerKey: selected.providerKey }
+      userSelected = { modelId: selected.modelId, label: selected.label, tier: selected.tier, providerKey: selected.providerKey, capabilities: selected.capabilities }
 
       // 📖 Stop everything and act on selection immediately
       clearInterval(ticker)
@@ -4676,23 +6702,32 @@ async function main() {
       console.log()
 
       // 📖 Warn if no API key is configured for the selected model's provider
-      if (state.mode !== 'openclaw') {
+      {
         const selectedApiKey = getApiKey(state.config, selected.providerKey)
         if (!selectedApiKey) {
+          const toolLabel = state.mode === 'openclaw' ? 'OpenClaw' : INTEGRATION_TARGETS[state.mode]?.label ?? 'OpenCode'
           console.log(chalk.yellow(`  Warning: No API key configured for ${selected.providerKey}.`))
-          console.log(chalk.yellow(`  OpenCode may not be able to use ${selected.label}.`))
+          console.log(chalk.yellow(`  ${toolLabel} may not be able to use ${selected.label}.`))
           console.log(chalk.dim(`  Set ${ENV_VAR_NAMES[selected.providerKey] || selected.providerKey.toUpperCase() + '_API_KEY'} or configure via settings (P key).`))
           console.log()
         }
       }
 
       // 📖 Dispatch to the correct integration based on active mode
-      if (state.mode === 'openclaw') {
-        await startOpenClaw(userSelected, apiKey)
-      } else if (state.mode === 'opencode-desktop') {
-        await startOpenCodeDesktop(userSelected, state.config)
-      } else {
-        await startOpenCode(userSelected, state.config)
+      try {
+        if (state.mode === 'openclaw') {
+          await startOpenClaw(userSelected, state.config)
+        } else if (state.mode === 'opencode-desktop') {
+          await startOpenCodeDesktop(userSelected, state.config)
+        } else if (INTEGRATION_TARGETS[state.mode]) {
+          await startIntegrationTarget(userSelected, state.config, state.mode)
+        } else {
+          await startOpenCode(userSelected, state.config)
+        }
+      } catch (err) {
+        if (err.code !== 'EJSONC') throw err
+        reportBrokenToolConfig(err)
+        process.exit(1)
       }
       process.exit(0)
     }
@@ -4724,7 +6759,7 @@ async function main() {
             ? renderBugReport()
             : state.helpVisible
               ? renderHelp()
-              : renderTable(state.results, state.pendingPings, state.frame, state.cursor, state.sortColumn, state.sortDirection, state.pingInterval, state.lastPingTime, state.mode, tierFilterMode, state.scrollOffset, state.terminalRows, originFilterMode, state.activeProfile, state.profileSaveMode, state.profileSaveBuffer, state.hideNoKey)
+              : renderTable(state.results, state.pendingPings, state.frame, state.cursor, state.sortColumn, state.sortDirection, state.pingInterval, state.lastPingTime, state.mode, tierFilterMode, state.scrollOffset, state.terminalRows, originFilterMode, state.activeProfile, state.profileSaveMode, state.profileSaveBuffer, state.hideNoKey, state.rolePicker)
     process.stdout.write(ALT_HOME + content)
   }, Math.round(1000 / FPS))
 
@@ -4732,75 +6767,85 @@ async function main() {
   const initialVisible = state.results.filter(r => !r.hidden)
   state.visibleSorted = sortResultsWithPinnedFavorites(initialVisible, state.sortColumn, state.sortDirection)
 
-  process.stdout.write(ALT_HOME + renderTable(state.results, state.pendingPings, state.frame, state.cursor, state.sortColumn, state.sortDirection, state.pingInterval, state.lastPingTime, state.mode, tierFilterMode, state.scrollOffset, state.terminalRows, originFilterMode, state.activeProfile, state.profileSaveMode, state.profileSaveBuffer, state.hideNoKey))
+  process.stdout.write(ALT_HOME + renderTable(state.results, state.pendingPings, state.frame, state.cursor, state.sortColumn, state.sortDirection, state.pingInterval, state.lastPingTime, state.mode, tierFilterMode, state.scrollOffset, state.terminalRows, originFilterMode, state.activeProfile, state.profileSaveMode, state.profileSaveBuffer, state.hideNoKey, state.rolePicker))
 
-  // 📖 If --recommend was passed, auto-open the Smart Recommend overlay on start
+  // 📖 If --recommend was passed, auto-open the Smart Recommend overlay on start.
+  // 📖 --task / --priority / --context pre-answer their questions; with all three the
+  // 📖 questionnaire is skipped and the analysis starts right away.
   if (cliArgs.recommendMode) {
     state.recommendOpen = true
     state.recommendPhase = 'questionnaire'
     state.recommendCursor = 0
-    state.recommendQuestion = 0
-    state.recommendAnswers = { taskType: null, priority: null, contextBudget: null }
+    state.recommendAnswers = { taskType: cliArgs.taskType, priority: cliArgs.priority, contextBudget: cliArgs.contextBudget }
+    state.recommendQuestion = ['taskType', 'priority', 'contextBudget'].findIndex(k => !state.recommendAnswers[k])
     state.recommendProgress = 0
     state.recommendResults = []
     state.recommendScrollOffset = 0
+    if (state.recommendQuestion === -1) {
+      state.recommendQuestion = 0
+      startRecommendAnalysis()
+    }
   }
 
-  // ── Continuous ping loop — ping all models every N seconds forever ──────────
+  // ── Continuous ping loop — adaptive per-row cadence, forever ────────────────
+
+  // 📖 Rows with a ping in flight — a row is never pinged twice at the same time
+  const inFlight = new Set()
 
   // 📖 Single ping function that updates result
-  // 📖 Uses per-provider API key and URL from sources.js
-  // 📖 If no API key is configured, pings without auth — a 401 still tells us latency + server is up
+  // 📖 Uses per-provider API key and URL from sources.js (see pingResult)
   const pingModel = async (r) => {
-    const providerApiKey = getApiKey(state.config, r.providerKey) ?? null
-    const providerUrl = sources[r.providerKey]?.url ?? sources.nvidia.url
-    const { code, ms } = await ping(providerApiKey, r.modelId, r.providerKey, providerUrl)
-
-    // 📖 Store ping result as object with ms and code
-    // 📖 ms = actual response time (even for errors like 429)
-    // 📖 code = HTTP status code ('200', '429', '500', '000' for timeout)
-    r.pings.push({ ms, code })
-
-    // 📖 Update status based on latest ping
-    if (code === '200') {
-      r.status = 'up'
-    } else if (code === '000') {
-      r.status = 'timeout'
-    } else if (code === '401') {
-      // 📖 401 = server is reachable but no API key set (or wrong key)
-      // 📖 Treated as 'noauth' — server is UP, latency is real, just needs a key
-      r.status = 'noauth'
-      r.httpCode = code
-    } else {
-      r.status = 'down'
-      r.httpCode = code
+    if (inFlight.has(r)) return
+    inFlight.add(r)
+    try {
+      await pingResult(state.config, r, { noHistory: cliArgs.noHistory })
+    } finally {
+      inFlight.delete(r)
     }
   }
 
-  // 📖 Initial ping of all models
+  // 📖 Initial ping of all models — the per-provider limiter turns the burst into a queue
   const initialPing = Promise.all(state.results.map(r => pingModel(r)))
 
-  // 📖 Continuous ping loop with dynamic interval (adjustable with W/X keys)
+  // 📖 Adaptive ping loop: every tick, ping only the rows that are due (see lib/scheduler.js).
+  // 📖 Cadence follows the interval (W/X keys): favorites and the cursor row more often,
+  // 📖 429/timeout streaks back off exponentially, dead models and quota pauses wait longer.
   const schedulePing = () => {
-    state.pingIntervalObj = setTimeout(async () => {
-      state.lastPingTime = Date.now()
-
-      state.results.forEach(r => {
+    state.pingIntervalObj = setTimeout(() => {
+      const now = Date.now()
+      // 📖 Keep the header's "next ping" countdown cycling with the interval
+      if (now - state.lastPingTime >= state.pingInterval) state.lastPingTime = now
+
+      const cursorRow = state.visibleSorted[state.cursor]
+      for (const r of state.results) {
+        if (inFlight.has(r) || !isPingDue(r, { now, interval: state.pingInterval, priority: r === cursorRow })) continue
         pingModel(r).catch(() => {
           // Individual ping failures don't crash the loop
         })
-      })
+      }
 
-      // 📖 Schedule next ping with current interval
       schedulePing()
-    }, state.pingInterval)
+    }, SCHEDULER_TICK_MS)
   }
 
   // 📖 Start the ping loop
   state.pingIntervalObj = null
   schedulePing()
 
-  await initialPing
+  // 📖 The per-provider limiter queues big catalogs, so the first round can outlast one ping.
+  // 📖 Don't hold --benchmark / --probe back longer than PING_TIMEOUT — late rows can use Shift+B / Shift+C.
+  await Promise.race([initialPing, new Promise(resolve => setTimeout(resolve, PING_TIMEOUT))])
+
+  // 📖 --benchmark: once the first ping round has shown which models are up, measure their
+  // 📖 real generation speed. Rows fill in the TTFT / Tok/s columns as each one finishes.
+  if (cliArgs.benchmarkMode) {
+    benchmarkResults(state.config, state.results.filter(r => r.status === 'up')).catch(() => {})
+  }
+
+  // 📖 --probe: same idea for capabilities — fills the Caps column and feeds Smart Recommend
+  if (cliArgs.probeMode) {
+    probeResults(state.config, state.results.filter(r => r.status === 'up')).catch(() => {})
+  }
 
   // 📖 Keep interface running forever - user can select anytime or Ctrl+C to exit
   // 📖 The pings continue running in background with dynamic interval
@@ -0,0 +1,265 @@
+/**
+ * @file lib/config-schema.js
+ * @description Versioned schema of ~/.free-coding-models.json — migration steps and validation.
+ *
+ * 📖 The config carries `"configVersion": N`. Files without it are version 0 (everything written
+ *    before the schema existed). loadConfig runs the pending MIGRATIONS in memory; the next save
+ *    writes the upgraded file. Each step only fixes what can be fixed without guessing:
+ *
+ *      v1  providers shorthand  "groq": false          → "groq": { "enabled": false }
+ *          empty / non-string apiKeys and favorites are dropped (profiles included)
+ *          profiles that aren't objects are dropped
+ *          activeProfile pointing at a deleted profile is cleared
+ *
+ *    Sections a profile leaves out are not filled in: they come from the profile it extends
+ *    (or the global settings), see resolveProfile in lib/config.js.
+ *
+ * 📖 validateConfig reports what a migration can't fix — wrong types, unknown providers,
+ *    unknown keys — as issues with a path, a message and a fix the user can act on.
+ *    Errors are values the CLI ignores or misreads; warnings are leftovers it just skips.
+ *    `free-coding-models doctor` prints them all; startup only prints the errors.
+ *
+ * 📖 lib/config.js imports this module, so its exports are only used inside functions.
+ *
+ * @functions
+ *   → configVersionOf(config) — Schema version of a parsed config (0 when unversioned)
+ *   → pendingMigrations(config) — Steps migrateConfig would apply
+ *   → migrateConfig(config) — Apply pending steps in place → { applied, tooNew }
+ *   → isValidSetting(key, value) — Known TUI setting with a usable value
+ *   → validateConfig(config, options) — Schema check → [{ severity, path, message, fix }]
+ *
+ * @exports CONFIG_VERSION, CONFIG_KEYS, MIGRATIONS
+ * @exports configVersionOf, pendingMigrations, migrateConfig, isValidSetting, validateConfig
+ *
+ * @see lib/config.js — loadConfig migrates, the main CLI validates
+ * @see lib/doctor.js — `doctor` reports the issues with the rest of the environment checks
+ */
+
+import { getProfileChain, MAX_PROFILE_DEPTH } from './config.js'
+import { WRITABLE_STORES } from './secrets.js'
+import { OPENCODE_ROLES } from './utils.js'
+
+export const CONFIG_VERSION = 1
+
+// 📖 Every top-level key the app reads or writes
+export const CONFIG_KEYS = [
+  'configVersion', 'apiKeys', 'secretStore', 'keyCommand', 'providers', 'favorites', 'openCodeRoles',
+  'telemetry', 'customProviders', 'customTaskTypes', 'repairProxy', 'activeProfile', 'profiles', 'settings',
+]
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// 📖 providers: boolean shorthand → { enabled }, anything else that isn't an object is dropped
+function migrateProviders(providers) {
+  if (!isObject(providers)) return {}
+  const out = {}
+  for (const [key, value] of Object.entries(providers)) {
+    if (typeof value === 'boolean') out[key] = { enabled: value }
+    else if (isObject(value)) out[key] = value
+  }
+  return out
+}
+
+function migrateApiKeys(apiKeys) {
+  if (!isObject(apiKeys)) return {}
+  return Object.fromEntries(Object.entries(apiKeys).filter(([, value]) => typeof value === 'string' && value.trim()))
+}
+
+function migrateFavorites(favorites) {
+  return Array.isArray(favorites) ? favorites.filter(f => typeof f === 'string' && f.trim()) : []
+}
+
+// 📖 Ordered steps — `version` is the schema version the step produces
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'normalize providers / apiKeys / favorites, profiles included',
+    migrate(config) {
+      if (config.providers !== undefined) config.providers = migrateProviders(config.providers)
+      if (config.apiKeys !== undefined) config.apiKeys = migrateApiKeys(config.apiKeys)
+      if (config.favorites !== undefined) config.favorites = migrateFavorites(config.favorites)
+      if (config.profiles !== undefined) {
+        const profiles = isObject(config.profiles) ? config.profiles : {}
+        for (const [name, profile] of Object.entries(profiles)) {
+          if (!isObject(profile)) {
+            delete profiles[name]
+            continue
+          }
+          if (profile.apiKeys !== undefined) profile.apiKeys = migrateApiKeys(profile.apiKeys)
+          if (profile.providers !== undefined) profile.providers = migrateProviders(profile.providers)
+          if (profile.favorites !== undefined) profile.favorites = migrateFavorites(profile.favorites)
+        }
+        config.profiles = profiles
+      }
+      if (config.activeProfile && !config.profiles?.[config.activeProfile]) config.activeProfile = null
+    },
+  },
+]
+
+export function configVersionOf(config) {
+  const version = config?.configVersion
+  return Number.isInteger(version) && version >= 0 ? version : 0
+}
+
+export function pendingMigrations(config) {
+  const version = configVersionOf(config)
+  return MIGRATIONS.filter(step => step.version > version)
+}
+
+/**
+ * 📖 migrateConfig: Bring a parsed config up to CONFIG_VERSION, in place.
+ * 📖 A config from a newer release is left untouched (`tooNew`) — downgrading could lose data.
+ *
+ * @param {object} config
+ * @returns {{ applied: string[], tooNew: boolean }} descriptions of the steps applied
+ */
+export function migrateConfig(config) {
+  if (!isObject(config)) return { applied: [], tooNew: false }
+  if (configVersionOf(config) > CONFIG_VERSION) return { applied: [], tooNew: true }
+  const applied = []
+  for (const step of pendingMigrations(config)) {
+    step.migrate(config)
+    config.configVersion = step.version
+    applied.push(`v${step.version}: ${step.description}`)
+  }
+  return { applied, tooNew: false }
+}
+
+// 📖 Expected type of each TUI setting — anything else is ignored or misread by the TUI
+const SETTING_CHECKS = {
+  tierFilter: (v) => v === null || (typeof v === 'string' && /^[SABC][+-]?$/.test(v)),
+  sortColumn: (v) => typeof v === 'string',
+  sortAsc: (v) => typeof v === 'boolean',
+  pingInterval: (v) => typeof v === 'number' && Number.isFinite(v) && v >= 1000,
+  hideNoKey: (v) => typeof v === 'boolean',
+  seedHistory: (v) => typeof v === 'boolean',
+}
+
+// 📖 isValidSetting: Known TUI setting with a usable value (also used for imported profiles)
+export function isValidSetting(key, value) {
+  return Object.hasOwn(SETTING_CHECKS, key) && SETTING_CHECKS[key](value)
+}
+
+/**
+ * 📖 validateConfig: Check a config against the schema.
+ *
+ * @param {object} config — parsed (and normally migrated) config
+ * @param {{ providerKeys?: string[] }} [options] — known providers (custom ones included); skipped when absent
+ * @returns {Array<{ severity: 'error'|'warning', path: string, message: string, fix: string }>}
+ */
+export function validateConfig(config, { providerKeys = null } = {}) {
+  const issues = []
+  const add = (severity, path, message, fix) => issues.push({ severity, path, message, fix })
+  if (!isObject(config)) {
+    add('error', '(root)', 'the config is not a JSON object', 'Delete ~/.free-coding-models.json and run free-coding-models again to recreate it')
+    return issues
+  }
+
+  const version = configVersionOf(config)
+  if (version > CONFIG_VERSION) {
+    add('error', 'configVersion', `written by a newer free-coding-models (schema v${version}, this one reads v${CONFIG_VERSION})`, 'Update: npm i -g free-coding-models@latest')
+  } else if (pendingMigrations(config).length > 0) {
+    add('warning', 'configVersion', `schema v${version}, current is v${CONFIG_VERSION}`, 'Run free-coding-models doctor --fix to migrate and save it')
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) add('warning', key, `unknown key "${key}"`, 'Remove it — free-coding-models never reads it')
+  }
+
+  const knownProvider = (key) => !providerKeys || providerKeys.includes(key)
+  const unknownProviderFix = 'Remove it, or declare it under customProviders'
+  const checkProviderMaps = (prefix, section) => {
+    if (section.apiKeys !== undefined && !isObject(section.apiKeys)) {
+      add('error', `${prefix}apiKeys`, 'must be an object of provider → key', 'Replace it with { "groq": "gsk_…" } or remove it')
+    }
+    for (const [key, value] of Object.entries(isObject(section.apiKeys) ? section.apiKeys : {})) {
+      if (typeof value !== 'string') add('error', `${prefix}apiKeys.${key}`, 'must be a string (the key or a secret-store reference)', `Re-enter the key with P in the TUI or free-coding-models secrets set ${key}`)
+      else if (!knownProvider(key)) add('warning', `${prefix}apiKeys.${key}`, `unknown provider "${key}"`, unknownProviderFix)
+    }
+    if (section.providers !== undefined && !isObject(section.providers)) {
+      add('error', `${prefix}providers`, 'must be an object of provider → { "enabled": true|false }', 'Remove it — every provider is then enabled')
+    }
+    for (const [key, value] of Object.entries(isObject(section.providers) ? section.providers : {})) {
+      if (!isObject(value) || (value.enabled !== undefined && typeof value.enabled !== 'boolean')) {
+        add('error', `${prefix}providers.${key}`, 'must be { "enabled": true } or { "enabled": false }', 'Toggle the provider with Space in Settings (P) to rewrite it')
+      } else if (!knownProvider(key)) {
+        add('warning', `${prefix}providers.${key}`, `unknown provider "${key}"`, unknownProviderFix)
+      }
+    }
+    if (section.favorites !== undefined && !Array.isArray(section.favorites)) {
+      add('error', `${prefix}favorites`, 'must be an array of "provider/model" strings', 'Replace it with [] and star models again with F')
+    }
+    for (const [i, fav] of (Array.isArray(section.favorites) ? section.favorites : []).entries()) {
+      if (typeof fav !== 'string' || !fav.includes('/')) add('error', `${prefix}favorites[${i}]`, 'must be a "provider/model" string', 'Remove the entry')
+      else if (!knownProvider(fav.slice(0, fav.indexOf('/')))) add('warning', `${prefix}favorites[${i}]`, `unknown provider in "${fav}"`, 'Remove the entry')
+    }
+  }
+  const checkSettings = (path, settings) => {
+    if (!isObject(settings)) {
+      add('error', path, 'must be an object', 'Remove it — defaults are used')
+      return
+    }
+    for (const [key, check] of Object.entries(SETTING_CHECKS)) {
+      if (settings[key] !== undefined && !check(settings[key])) {
+        add('error', `${path}.${key}`, `invalid value ${JSON.stringify(settings[key])}`, `Remove "${key}" to use the default, or set it again from the TUI`)
+      }
+    }
+  }
+
+  checkProviderMaps('', config)
+  if (config.settings !== undefined) checkSettings('settings', config.settings)
+
+  if (config.secretStore !== undefined && config.secretStore !== null && !WRITABLE_STORES.includes(config.secretStore)) {
+    add('error', 'secretStore', `unknown store "${config.secretStore}"`, `Use one of ${WRITABLE_STORES.join(', ')}, or remove it`)
+  }
+  if (config.keyCommand !== undefined && (typeof config.keyCommand !== 'string' || !config.keyCommand.trim())) {
+    add('error', 'keyCommand', 'must be a command string such as "pass show api/{provider}"', 'Fix or remove it')
+  }
+
+  if (config.openCodeRoles !== undefined && !isObject(config.openCodeRoles)) {
+    add('error', 'openCodeRoles', 'must be an object of role → "provider/model"', 'Remove it and assign roles again with Shift+A')
+  }
+  for (const [role, ref] of Object.entries(isObject(config.openCodeRoles) ? config.openCodeRoles : {})) {
+    if (!OPENCODE_ROLES.includes(role)) add('warning', `openCodeRoles.${role}`, `unknown role "${role}"`, `Use one of ${OPENCODE_ROLES.join(', ')}`)
+    else if (typeof ref !== 'string' || !ref.includes('/')) add('error', `openCodeRoles.${role}`, 'must be a "provider/model" string', 'Assign the role again with Shift+A')
+  }
+
+  if (config.telemetry !== undefined) {
+    if (!isObject(config.telemetry)) add('error', 'telemetry', 'must be an object', 'Remove it — you will be asked for consent again')
+    else if (config.telemetry.enabled !== undefined && config.telemetry.enabled !== null && typeof config.telemetry.enabled !== 'boolean') {
+      add('error', 'telemetry.enabled', 'must be true, false or null', 'Set it to true or false, or run with --no-telemetry')
+    }
+  }
+
+  for (const key of ['customProviders', 'customTaskTypes', 'repairProxy']) {
+    if (config[key] !== undefined && !isObject(config[key])) add('error', key, 'must be an object', 'Fix or remove it — see the README')
+  }
+
+  if (config.profiles !== undefined && !isObject(config.profiles)) {
+    add('error', 'profiles', 'must be an object of name → profile', 'Remove it — profiles can be saved again with Shift+S')
+  }
+  for (const [name, profile] of Object.entries(isObject(config.profiles) ? config.profiles : {})) {
+    if (!isObject(profile)) {
+      add('error', `profiles.${name}`, 'must be an object', 'Delete the profile (Backspace on it in Settings) and save it again')
+      continue
+    }
+    if (profile.extends !== undefined && profile.extends !== null) {
+      const parent = profile.extends
+      const chain = getProfileChain(config, name)
+      if (typeof parent !== 'string' || !isObject(config.profiles[parent])) {
+        add('error', `profiles.${name}.extends`, `extends a profile that doesn't exist (${JSON.stringify(parent)})`, 'Fix the name or remove "extends" — until then the profile only has its own values')
+      } else if (chain.length >= MAX_PROFILE_DEPTH || isObject(config.profiles[config.profiles[chain.at(-1)].extends])) {
+        add('error', `profiles.${name}.extends`, `circular or deeper than ${MAX_PROFILE_DEPTH} levels (${chain.join(' → ')})`, 'Remove "extends" from one of these profiles')
+      }
+    }
+    checkProviderMaps(`profiles.${name}.`, profile)
+    if (profile.settings !== undefined) checkSettings(`profiles.${name}.settings`, profile.settings)
+  }
+  if (config.activeProfile !== undefined && config.activeProfile !== null) {
+    if (typeof config.activeProfile !== 'string' || !config.profiles?.[config.activeProfile]) {
+      add('error', 'activeProfile', `points at a profile that doesn't exist (${JSON.stringify(config.activeProfile)})`, 'Run free-coding-models doctor --fix to clear it, or pick a profile with Shift+P')
+    }
+  }
+
+  return issues
+}
@@ -0,0 +1,222 @@
+/**
+ * @file lib/config-writes.js
+ * @description Config write transactions: unified diff preview, bounded backup ring, rollback.
+ *
+ * 📖 Every tool config we touch (opencode.json, openclaw.json, OpenClaw's models.json, the
+ *    integration targets from lib/targets.js) used to get a `<file>.backup-<timestamp>` copy
+ *    next to it on every write. Those piled up forever and nothing ever read them back.
+ *    All writes now go through commitConfigWrite():
+ *
+ *      1. unifiedDiff(before, after) — what is about to change (the CLI shows it and asks first)
+ *      2. the previous content goes into a per-target ring under
+ *         ~/.free-coding-models/backups/<target>/<timestamp>-<file name>, newest MAX_BACKUPS kept
+ *      3. the new content is written — unchanged content is not written and not backed up
+ *
+ *    A file we create gets an empty `<timestamp>-<file name>.absent` marker instead, so rolling
+ *    back our first write deletes the file again.
+ *
+ *    Edits that only live for one session (the repair proxy's provider block added at launch and
+ *    removed at exit) pass `backup: false`: they'd push the user's real versions out of the ring,
+ *    and rolling back to one of them would restore a block pointing at a dead proxy.
+ *
+ *    `free-coding-models rollback [--target opencode|openclaw|…]` pops the newest backup of a
+ *    target and restores it, so running it twice goes two versions back.
+ *
+ * 📖 Backups may contain API keys (openclaw.json stores NVIDIA_API_KEY under env), so the ring
+ *    is created with 0700 directories and 0600 files, like the main config. Restored files are
+ *    written 0600 for the same reason.
+ *
+ * @functions
+ *   → unifiedDiff(before, after, options) — Line-based unified diff ('' when identical)
+ *   → backupDirFor(target, dir) — Ring directory for one target
+ *   → listBackups(target, options) — Backups of a target, newest first
+ *   → pushBackup(target, fileName, content, options) — Add to the ring and prune → backup path
+ *   → commitConfigWrite(options) — Backup + write one file → { changed, diff, backupPath }
+ *   → rollbackConfig(options) — Restore (or delete, for an .absent marker) and drop the newest backup → { restoredFrom, removed, diff, remaining } | null
+ *
+ * @exports BACKUP_DIR, MAX_BACKUPS
+ * @exports unifiedDiff, backupDirFor, listBackups, pushBackup, commitConfigWrite, rollbackConfig
+ *
+ * @see bin/free-coding-models.js — previews the diff before OpenCode/OpenClaw/target writes, `rollback` command
+ * @see lib/targets.js — integration target writers built on commitConfigWrite
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, chmodSync } from 'fs'
+import { join, basename, dirname } from 'path'
+import { DATA_DIR } from './config.js'
+
+export const BACKUP_DIR = join(DATA_DIR, 'backups')
+
+// 📖 Enough history to undo a bad afternoon, small enough to never need cleaning up
+export const MAX_BACKUPS = 10
+
+const BACKUP_NAME_RE = /^(\d+)-/
+
+// 📖 Marker suffix for "the file didn't exist before this write"
+const ABSENT_SUFFIX = '.absent'
+
+// 📖 Longest common subsequence table over the differing middle part of two line arrays
+function diffLines(a, b) {
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB-- }
+
+  const n = endA - start
+  const m = endB - start
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  // 📖 ops: [' ' | '-' | '+', line, indexInA, indexInB]
+  const ops = []
+  for (let k = 0; k < start; k++) ops.push([' ', a[k], k, k])
+  let i = 0
+  let j = 0
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push([' ', a[start + i], start + i, start + j]); i++; j++
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // 📖 Removals before additions on ties, like `diff -u`
+      ops.push(['-', a[start + i], start + i, start + j]); i++
+    } else {
+      ops.push(['+', b[start + j], start + i, start + j]); j++
+    }
+  }
+  for (let k = 0; k < a.length - endA; k++) ops.push([' ', a[endA + k], endA + k, endB + k])
+  return ops
+}
+
+const toLines = (text) => {
+  if (!text) return []
+  const lines = text.split('\n')
+  if (lines.at(-1) === '') lines.pop()
+  return lines
+}
+
+/**
+ * 📖 unifiedDiff: `diff -u` style output for two texts.
+ *
+ * @param {string} before — old content ('' for a new file)
+ * @param {string} after — new content
+ * @param {{ fromLabel?: string, toLabel?: string, context?: number }} options
+ * @returns {string} '' when nothing changed
+ */
+export function unifiedDiff(before, after, { fromLabel = 'before', toLabel = 'after', context = 3 } = {}) {
+  if ((before ?? '') === (after ?? '')) return ''
+  const ops = diffLines(toLines(before), toLines(after))
+  const changed = ops.map((op, k) => op[0] !== ' ' ? k : -1).filter(k => k !== -1)
+  if (changed.length === 0) return ''
+
+  // 📖 Group changes that are within 2 × context lines of each other into one hunk
+  const hunks = []
+  for (const k of changed) {
+    const last = hunks.at(-1)
+    if (last && k - last.end <= context * 2) last.end = k
+    else hunks.push({ start: k, end: k })
+  }
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`]
+  for (const { start, end } of hunks) {
+    const from = Math.max(0, start - context)
+    const to = Math.min(ops.length - 1, end + context)
+    const slice = ops.slice(from, to + 1)
+    const oldCount = slice.filter(op => op[0] !== '+').length
+    const newCount = slice.filter(op => op[0] !== '-').length
+    const oldStart = oldCount === 0 ? slice[0][2] : slice[0][2] + 1
+    const newStart = newCount === 0 ? slice[0][3] : slice[0][3] + 1
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`)
+    for (const [kind, line] of slice) out.push(kind + line)
+  }
+  return out.join('\n') + '\n'
+}
+
+export function backupDirFor(target, dir = BACKUP_DIR) {
+  return join(dir, target)
+}
+
+// 📖 listBackups: [{ path, ts, absent }] newest first — files that don't follow the naming scheme are ignored.
+// 📖 absent: the file didn't exist before that write.
+export function listBackups(target, { dir = BACKUP_DIR } = {}) {
+  const targetDir = backupDirFor(target, dir)
+  if (!existsSync(targetDir)) return []
+  return readdirSync(targetDir)
+    .map(name => ({ name, match: name.match(BACKUP_NAME_RE) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({ path: join(targetDir, name), ts: Number(match[1]), absent: name.endsWith(ABSENT_SUFFIX) }))
+    .sort((x, y) => y.ts - x.ts || y.path.localeCompare(x.path))
+}
+
+/**
+ * 📖 pushBackup: Store one version in the target's ring and drop the oldest ones beyond `keep`.
+ * 📖 absent: record that the file didn't exist (content is ignored).
+ *
+ * @returns {string} path of the new backup
+ */
+export function pushBackup(target, fileName, content, { dir = BACKUP_DIR, now = Date.now(), keep = MAX_BACKUPS, absent = false } = {}) {
+  const targetDir = backupDirFor(target, dir)
+  mkdirSync(targetDir, { recursive: true, mode: 0o700 })
+  // 📖 Two writes in the same millisecond must not overwrite each other
+  let ts = now
+  const taken = new Set(listBackups(target, { dir }).map(b => b.ts))
+  while (taken.has(ts)) ts++
+  const backupPath = join(targetDir, `${ts}-${fileName}${absent ? ABSENT_SUFFIX : ''}`)
+  writeFileSync(backupPath, absent ? '' : content, { mode: 0o600 })
+  for (const old of listBackups(target, { dir }).slice(Math.max(1, keep))) {
+    try { unlinkSync(old.path) } catch { /* already gone */ }
+  }
+  return backupPath
+}
+
+/**
+ * 📖 commitConfigWrite: The one way tool configs get written.
+ *
+ * @param {{ target: string, path: string, content: string, dir?: string, now?: number, keep?: number, mode?: number,
+ *           backup?: boolean }} options — backup: false writes without touching the ring (session-only edits)
+ * @returns {{ changed: boolean, diff: string, backupPath: string|null }} — backupPath is null for a new file or without backup
+ */
+export function commitConfigWrite({ target, path, content, dir = BACKUP_DIR, now = Date.now(), keep = MAX_BACKUPS, mode, backup = true }) {
+  const exists = existsSync(path)
+  const before = exists ? readFileSync(path, 'utf8') : ''
+  const diff = unifiedDiff(before, content, { fromLabel: exists ? path : '/dev/null', toLabel: path })
+  if (exists && before === content) return { changed: false, diff: '', backupPath: null }
+
+  const pushed = backup ? pushBackup(target, basename(path), before, { dir, now, keep, absent: !exists }) : null
+  const backupPath = exists ? pushed : null
+  mkdirSync(dirname(path), { recursive: true })
+  writeFileSync(path, content, mode === undefined ? undefined : { mode })
+  // 📖 `mode` only applies when the file is created — an existing file that now holds a key is tightened too
+  if (mode !== undefined && exists) chmodSync(path, mode)
+  return { changed: true, diff, backupPath }
+}
+
+/**
+ * 📖 rollbackConfig: Put the newest backup of a target back in place and remove it from the ring.
+ * 📖 When that backup is an .absent marker, the file is deleted instead (removed: true).
+ *
+ * @param {{ target: string, path: string, dir?: string }} options
+ * @returns {{ restoredFrom: string, ts: number, removed: boolean, diff: string, remaining: number } | null} — null when there is no backup
+ */
+export function rollbackConfig({ target, path, dir = BACKUP_DIR }) {
+  const [latest, ...older] = listBackups(target, { dir })
+  if (!latest) return null
+  const current = existsSync(path) ? readFileSync(path, 'utf8') : ''
+  if (latest.absent) {
+    const diff = unifiedDiff(current, '', { fromLabel: path, toLabel: '/dev/null' })
+    if (existsSync(path)) unlinkSync(path)
+    unlinkSync(latest.path)
+    return { restoredFrom: latest.path, ts: latest.ts, removed: true, diff, remaining: older.length }
+  }
+  const content = readFileSync(latest.path, 'utf8')
+  const diff = unifiedDiff(current, content, { fromLabel: path, toLabel: `${path} (backup ${new Date(latest.ts).toISOString()})` })
+  mkdirSync(dirname(path), { recursive: true })
+  // 📖 Tool configs may hold keys — restored files are private whatever mode they had
+  writeFileSync(path, content, { mode: 0o600 })
+  chmodSync(path, 0o600)
+  unlinkSync(latest.path)
+  return { restoredFrom: latest.path, ts: latest.ts, removed: false, diff, remaining: older.length }
+}
@@ -29,8 +29,12 @@
  *       "together":   "together-xxx",
  *       "cloudflare": "cf-xxx",
  *       "perplexity": "pplx-xxx",
- *       "zai":        "zai-xxx"
+ *       "zai":        "zai-xxx",
+ *       "together":   "vault:together",            // 📖 references resolve through lib/secrets.js
+ *       "deepinfra":  "op://Private/DeepInfra/credential"
  *     },
+ *     "secretStore": "vault",                       // 📖 where newly entered keys go (optional)
+ *     "keyCommand":  "pass show fcm/{provider}",    // 📖 key source for providers with no entry (optional)
  *     "providers": {
  *       "nvidia":     { "enabled": true },
  *       "groq":       { "enabled": true },
@@ -54,16 +58,27 @@
  *     "favorites": [
  *       "nvidia/deepseek-ai/deepseek-v3.2"
  *     ],
+ *     "openCodeRoles": {
+ *       "small": "groq/llama-3.1-8b-instant",
+ *       "plan":  "nvidia/deepseek-ai/deepseek-v3.2",
+ *       "build": "nvidia/deepseek-ai/deepseek-v3.2"
+ *     },
  *     "telemetry": {
  *       "enabled": true,
  *       "consentVersion": 1,
  *       "anonymousId": "anon_550e8400-e29b-41d4-a716-446655440000"
  *     },
+ *     "customProviders": {
+ *       "vllm": { "name": "Internal vLLM", "baseUrl": "https://vllm.internal/v1", "envVar": "VLLM_API_KEY", "models": [...] }
+ *     },
+ *     "customTaskTypes": {
+ *       "documentation": { "label": "Documentation", "sweWeight": 0.2, "speedWeight": 0.3, "ctxWeight": 0.4, "stabilityWeight": 0.1 }
+ *     },
  *     "activeProfile": "work",
  *     "profiles": {
  *       "work":     { "apiKeys": {...}, "providers": {...}, "favorites": [...], "settings": {...} },
  *       "personal": { "apiKeys": {...}, "providers": {...}, "favorites": [...], "settings": {...} },
- *       "fast":     { "apiKeys": {...}, "providers": {...}, "favorites": [...], "settings": {...} }
+ *       "fast":     { "extends": "work", "providers": { "openrouter": { "enabled": false } }, "settings": { "tierFilter": "S" } }
  *     }
  *   }
  *
@@ -77,35 +92,75 @@
  *    apiKeys/providers/favorites are replaced with the profile's values. The profile
  *    data itself stays in the profiles section — it's a named snapshot, not a fork.
  *
+ * 📖 A profile with `"extends": "<parent>"` only holds what it overrides; every section and
+ *    every key it leaves out comes from the parent chain (resolveProfile). Changing a key in
+ *    "work" changes it for "fast" too.
+ *
+ * 📖 Project config: a `.free-coding-models.json` or `fcm.config.json` found walking up from the
+ *    current directory (the global file itself excluded) is layered over the global config.
+ *    It is meant to be committed, so it holds team policy only — never keys:
+ *
+ *   {
+ *     "providers": { "openrouter": { "enabled": false } },
+ *     "favorites": ["groq/llama-3.3-70b-versatile"],
+ *     "tierFilter": "S",
+ *     "target": "aider",
+ *     "recommend": { "task": "refactor", "priority": "quality", "context": "large" }
+ *   }
+ *
+ *    Precedence (first wins): CLI flags > project config > active profile > global config > defaults.
+ *    The project layer is attached to the loaded config as a non-enumerable `projectConfig`, so
+ *    saveConfig never writes team policy into the personal file.
+ *
  * 📖 Migration: On first run, if the old plain-text ~/.free-coding-models exists
  *    and the new JSON file does not, the old key is auto-migrated as the nvidia key.
  *    The old file is left in place (not deleted) for safety.
  *
  * @functions
- *   → loadConfig() — Read ~/.free-coding-models.json; auto-migrate old plain-text config if needed
+ *   → loadConfig(options) — Read ~/.free-coding-models.json (auto-migrating the plain-text one) + the project config
+ *   → findProjectConfig(cwd) — Nearest .free-coding-models.json / fcm.config.json walking up from cwd
+ *   → readProjectConfig(path) / normalizeProjectConfig(raw) — Project file → { values, errors }
+ *   → getProjectConfig(config) — The project layer attached by loadConfig ({ path, values, errors } or null)
+ *   → getConfigLayers(config) — Precedence chain actually in effect, highest first
+ *   → getFavorites(config) — Project favorites followed by the personal ones
  *   → saveConfig(config) — Write config to ~/.free-coding-models.json with 0o600 permissions
- *   → getApiKey(config, providerKey) — Get effective API key (env var override > config > null)
+ *   → getApiKey(config, providerKey) — Get effective API key (env var override > config / secret store > keyCommand > null)
+ *   → setApiKey(config, providerKey, value) — Store a key (in config.secretStore when set) and record its reference
+ *   → getApiKeySource(config, providerKey) — Where getApiKey finds the key (env / plaintext / store / keyCommand / none)
  *   → isProviderEnabled(config, providerKey) — Check if provider is enabled (defaults true)
- *   → saveAsProfile(config, name) — Snapshot current apiKeys/providers/favorites/settings into a named profile
- *   → loadProfile(config, name) — Apply a named profile's values onto the live config
+ *   → registerProviderEnvVars(providerKey, names) — Declare env var overrides for a custom provider
+ *   → getProviderEnvVar(providerKey) — Main env var name for a provider's key (for config files that reference it)
+ *   → getProviderEnvVars(providerKey) — Every env var name getApiKey checks for a provider
+ *   → saveAsProfile(config, name, settings, options) — Snapshot current apiKeys/providers/favorites/settings
+ *     into a named profile (only the overrides when it extends another profile)
+ *   → getProfileChain(config, name) / resolveProfile(config, name) — `extends` chain and effective values + origins
+ *   → loadProfile(config, name) — Apply a named profile's effective values onto the live config
  *   → listProfiles(config) — Return array of profile names
  *   → deleteProfile(config, name) — Remove a named profile
  *   → getActiveProfileName(config) — Get the currently active profile name (or null)
  *   → setActiveProfile(config, name) — Set which profile is active (null to clear)
+ *   → getSettings(config) / getSettingSources(config) — Effective TUI settings and the layer each one comes from
  *   → _emptyProfileSettings() — Default TUI settings for a profile
  *
- * @exports loadConfig, saveConfig, getApiKey, isProviderEnabled
- * @exports saveAsProfile, loadProfile, listProfiles, deleteProfile
+ * @exports loadConfig, saveConfig, getApiKey, setApiKey, getApiKeySource, isProviderEnabled, registerProviderEnvVars, getProviderEnvVar, getProviderEnvVars
+ * @exports findProjectConfig, readProjectConfig, normalizeProjectConfig, getProjectConfig, getConfigLayers, getFavorites
+ * @exports getSettings, getSettingSources, PROJECT_CONFIG_NAMES
+ * @exports saveAsProfile, loadProfile, listProfiles, deleteProfile, getProfileChain, resolveProfile
+ * @exports PROFILE_SECTIONS, MAX_PROFILE_DEPTH
  * @exports getActiveProfileName, setActiveProfile
  * @exports CONFIG_PATH — path to the JSON config file
+ * @exports DATA_DIR — directory for history and other non-config data
  *
  * @see bin/free-coding-models.js — main CLI that uses these functions
  * @see sources.js — provider keys come from Object.keys(sources)
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs'
 import { homedir } from 'os'
-import { join } from 'path'
+import { join, dirname } from 'path'
+import { parseJsonc } from './jsonc.js'
+import { resolveSecret, keyCommandRef, isSecretRef, storeSecret } from './secrets.js'
+import { migrateConfig, CONFIG_VERSION } from './config-schema.js'
 
 // 📖 New JSON config path — stores all providers' API keys + enabled state
 export const CONFIG_PATH = join(homedir(), '.free-coding-models.json')
@@ -113,6 +168,25 @@ export const CONFIG_PATH = join(homedir(), '.free-coding-models.json')
 // 📖 Old plain-text config path — used only for migration
 const LEGACY_CONFIG_PATH = join(homedir(), '.free-coding-models')
 
+// 📖 Data directory for everything that isn't the config itself (latency history, caches…).
+// 📖 ~/.free-coding-models/ unless the legacy plain-text key file still sits on that exact
+// 📖 path — in that case we use ~/.free-coding-models.d/ instead of touching the old file.
+export const DATA_DIR = (() => {
+  try {
+    if (existsSync(LEGACY_CONFIG_PATH) && !statSync(LEGACY_CONFIG_PATH).isDirectory()) {
+      return join(homedir(), '.free-coding-models.d')
+    }
+  } catch { /* fall through to the default */ }
+  return LEGACY_CONFIG_PATH
+})()
+
+// 📖 Project config file names, tried in this order in every directory
+export const PROJECT_CONFIG_NAMES = ['.free-coding-models.json', 'fcm.config.json']
+
+// 📖 Keys a project config may set — everything else (apiKeys first of all) is reported and ignored
+const PROJECT_CONFIG_KEYS = ['providers', 'favorites', 'tierFilter', 'target', 'recommend']
+const PROJECT_RECOMMEND_KEYS = ['task', 'priority', 'context']
+
 // 📖 Environment variable names per provider
 // 📖 These allow users to override config via env vars (useful for CI/headless setups)
 const ENV_VARS = {
@@ -138,6 +212,24 @@ const ENV_VARS = {
   iflow:      'IFLOW_API_KEY',
 }
 
+// 📖 registerProviderEnvVars: Let a custom provider (see lib/custom-providers.js) declare the
+// 📖 env vars getApiKey should check. Built-in names are never overridden.
+export function registerProviderEnvVars(providerKey, names) {
+  if (ENV_VARS[providerKey] || !names || names.length === 0) return
+  ENV_VARS[providerKey] = [...names]
+}
+
+// 📖 getProviderEnvVar: The name written into tool configs as "${NAME}" — the first one getApiKey checks
+export function getProviderEnvVar(providerKey) {
+  return getProviderEnvVars(providerKey)[0]
+}
+
+export function getProviderEnvVars(providerKey) {
+  const envVar = ENV_VARS[providerKey]
+  if (!envVar) return [`${providerKey.toUpperCase().replace(/-/g, '_')}_API_KEY`]
+  return Array.isArray(envVar) ? [...envVar] : [envVar]
+}
+
 /**
  * 📖 loadConfig: Read the JSON config from disk.
  *
@@ -149,20 +241,47 @@ const ENV_VARS = {
  * 📖 The migration reads the old file as a plain nvidia API key and writes
  *    a proper JSON config. The old file is NOT deleted (safety first).
  *
+ * 📖 Schema migrations (lib/config-schema.js) run in memory; the next saveConfig writes them.
+ *    A file that doesn't parse gives an empty config carrying a non-enumerable `loadError`;
+ *    saveConfig never writes that stand-in over the file.
+ *
+ * 📖 The nearest project config (see findProjectConfig) is then attached as the
+ *    non-enumerable `projectConfig` — read it through getProjectConfig / getConfigLayers.
+ *
+ * @param {{ cwd?: string|null }} [options] — where the project config search starts (null = no project config)
  * @returns {{ apiKeys: Record<string,string>, providers: Record<string,{enabled:boolean}>, favorites: string[], telemetry: { enabled: boolean | null, consentVersion: number, anonymousId: string | null } }}
  */
-export function loadConfig() {
+export function loadConfig({ cwd = process.cwd() } = {}) {
+  const config = loadGlobalConfig()
+  const path = cwd ? findProjectConfig(cwd) : null
+  Object.defineProperty(config, 'projectConfig', {
+    value: path ? { path, ...readProjectConfig(path) } : null,
+    enumerable: false,
+    writable: true,
+    configurable: true,
+  })
+  return config
+}
+
+// 📖 loadGlobalConfig: ~/.free-coding-models.json with every section filled in
+function loadGlobalConfig() {
   // 📖 Try new JSON config first
   if (existsSync(CONFIG_PATH)) {
     try {
       const raw = readFileSync(CONFIG_PATH, 'utf8').trim()
       const parsed = JSON.parse(raw)
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('the config is not a JSON object')
+      migrateConfig(parsed)
       // 📖 Ensure the shape is always complete — fill missing sections with defaults
       if (!parsed.apiKeys) parsed.apiKeys = {}
       if (!parsed.providers) parsed.providers = {}
       // 📖 Favorites: list of "providerKey/modelId" pinned rows.
       if (!Array.isArray(parsed.favorites)) parsed.favorites = []
       parsed.favorites = parsed.favorites.filter((fav) => typeof fav === 'string' && fav.trim().length > 0)
+      // 📖 OpenCode role assignments: { small|plan|build|review: "providerKey/modelId" }
+      if (!parsed.openCodeRoles || typeof parsed.openCodeRoles !== 'object' || Array.isArray(parsed.openCodeRoles)) parsed.openCodeRoles = {}
+      // 📖 "primary" is gone — the main model is whatever row Enter launches
+      delete parsed.openCodeRoles.primary
       if (!parsed.telemetry || typeof parsed.telemetry !== 'object') parsed.telemetry = { enabled: null, consentVersion: 0, anonymousId: null }
       if (typeof parsed.telemetry.enabled !== 'boolean') parsed.telemetry.enabled = null
       if (typeof parsed.telemetry.consentVersion !== 'number') parsed.telemetry.consentVersion = 0
@@ -182,9 +301,12 @@ export function loadConfig() {
         }
       }
       return parsed
-    } catch {
-      // 📖 Corrupted JSON — return empty config (user will re-enter keys)
-      return _emptyConfig()
+    } catch (err) {
+      // 📖 Corrupted JSON — run with an empty config, but saveConfig keeps the file (the user fixes
+      // 📖 it by hand); the CLI and doctor report why
+      const config = _emptyConfig()
+      Object.defineProperty(config, 'loadError', { value: err.message, enumerable: false })
+      return config
     }
   }
 
@@ -207,41 +329,205 @@ export function loadConfig() {
   return _emptyConfig()
 }
 
+// ─── Project config ───────────────────────────────────────────────────────────
+
+/**
+ * 📖 findProjectConfig: Walk up from `cwd` to the filesystem root and return the first
+ *    project config file found. The global config is skipped — running from the home
+ *    directory must not read ~/.free-coding-models.json a second time as a project file.
+ *
+ * @param {string} [cwd]
+ * @returns {string|null} absolute path
+ */
+export function findProjectConfig(cwd = process.cwd()) {
+  let dir = cwd
+  for (;;) {
+    for (const name of PROJECT_CONFIG_NAMES) {
+      const candidate = join(dir, name)
+      if (candidate !== CONFIG_PATH && existsSync(candidate)) return candidate
+    }
+    const parent = dirname(dir)
+    if (parent === dir) return null
+    dir = parent
+  }
+}
+
+/**
+ * 📖 normalizeProjectConfig: Keep the valid parts of a project config.
+ *
+ * 📖 Never throws: invalid or unknown entries are dropped and described in `errors`, so
+ *    a typo in a teammate's file degrades to the personal config instead of a crash.
+ *    Provider keys, task names and targets are checked by the main CLI (custom
+ *    providers and task types are only known there).
+ *
+ * @param {*} raw — parsed file
+ * @returns {{ values: { providers?: object, favorites?: string[], tierFilter?: string, target?: string, recommend?: object }, errors: string[] }}
+ */
+export function normalizeProjectConfig(raw) {
+  const values = {}
+  const errors = []
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { values, errors: ['the file must contain a JSON object'] }
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === 'apiKeys' || key === 'keyCommand' || key === 'secretStore') {
+      errors.push(`"${key}" is ignored — keys stay in ~/.free-coding-models.json or your secret store`)
+    } else if (!PROJECT_CONFIG_KEYS.includes(key)) {
+      errors.push(`unknown key "${key}" (allowed: ${PROJECT_CONFIG_KEYS.join(', ')})`)
+    }
+  }
+
+  if (raw.providers !== undefined) {
+    if (!raw.providers || typeof raw.providers !== 'object' || Array.isArray(raw.providers)) {
+      errors.push('"providers" must be an object like { "groq": { "enabled": false } }')
+    } else {
+      values.providers = {}
+      for (const [providerKey, entry] of Object.entries(raw.providers)) {
+        if (typeof entry?.enabled === 'boolean') values.providers[providerKey] = { enabled: entry.enabled }
+        else errors.push(`providers.${providerKey} needs "enabled": true or false`)
+      }
+    }
+  }
+
+  if (raw.favorites !== undefined) {
+    if (!Array.isArray(raw.favorites)) {
+      errors.push('"favorites" must be an array of "provider/model" strings')
+    } else {
+      values.favorites = [...new Set(raw.favorites.filter(f => typeof f === 'string' && f.includes('/')))]
+      if (values.favorites.length !== raw.favorites.length) errors.push('"favorites" entries must be "provider/model" strings')
+    }
+  }
+
+  if (raw.tierFilter !== undefined) {
+    if (typeof raw.tierFilter === 'string' && raw.tierFilter.trim()) values.tierFilter = raw.tierFilter.trim().toUpperCase()
+    else errors.push('"tierFilter" must be a tier letter (S, A, B or C)')
+  }
+
+  if (raw.target !== undefined) {
+    if (typeof raw.target === 'string' && raw.target.trim()) values.target = raw.target.trim().toLowerCase()
+    else errors.push('"target" must be a tool name (opencode, openclaw, aider, …)')
+  }
+
+  if (raw.recommend !== undefined) {
+    if (!raw.recommend || typeof raw.recommend !== 'object' || Array.isArray(raw.recommend)) {
+      errors.push('"recommend" must be an object like { "task": "refactor", "priority": "quality" }')
+    } else {
+      values.recommend = {}
+      for (const key of PROJECT_RECOMMEND_KEYS) {
+        const value = raw.recommend[key]
+        if (value === undefined) continue
+        if (typeof value === 'string' && value.trim()) values.recommend[key] = value.trim().toLowerCase()
+        else errors.push(`recommend.${key} must be a string`)
+      }
+    }
+  }
+
+  return { values, errors }
+}
+
+// 📖 readProjectConfig: JSONC (comments allowed — the file lives in a repo); unreadable = empty layer
+export function readProjectConfig(path) {
+  try {
+    return normalizeProjectConfig(parseJsonc(readFileSync(path, 'utf8')))
+  } catch (err) {
+    return { values: {}, errors: [err.message] }
+  }
+}
+
+export function getProjectConfig(config) {
+  return config?.projectConfig ?? null
+}
+
+/**
+ * 📖 getConfigLayers: The precedence chain in effect, highest first. Only layers that
+ *    exist are listed ("cli" is always there — flags win over every file).
+ *
+ * @param {object} config
+ * @returns {Array<{ layer: 'cli'|'project'|'profile'|'global'|'defaults', path?: string, name?: string }>}
+ */
+export function getConfigLayers(config) {
+  const layers = [{ layer: 'cli' }]
+  const project = getProjectConfig(config)
+  if (project) layers.push({ layer: 'project', path: project.path })
+  if (config?.activeProfile && config?.profiles?.[config.activeProfile]) layers.push({ layer: 'profile', name: config.activeProfile })
+  layers.push({ layer: 'global', path: CONFIG_PATH }, { layer: 'defaults' })
+  return layers
+}
+
+// 📖 getFavorites: The project's pinned models first, then the personal ones (deduplicated)
+export function getFavorites(config) {
+  const personal = Array.isArray(config?.favorites) ? config.favorites : []
+  return [...new Set([...(getProjectConfig(config)?.values.favorites ?? []), ...personal])]
+}
+
 /**
  * 📖 saveConfig: Write the config object to ~/.free-coding-models.json.
  *
  * 📖 Uses mode 0o600 so the file is only readable by the owning user (API keys!).
  * 📖 Pretty-prints JSON for human readability.
+ * 📖 A config loaded from a file that didn't parse (`loadError`) is never written: the file
+ *    still holds the user's keys and profiles, the in-memory config is an empty stand-in.
  *
  * @param {{ apiKeys: Record<string,string>, providers: Record<string,{enabled:boolean}>, favorites?: string[], telemetry?: { enabled?: boolean | null, consentVersion?: number, anonymousId?: string | null } }} config
+ * @returns {boolean} false when nothing was written
  */
 export function saveConfig(config) {
+  if (config?.loadError) return false
   try {
     writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), { mode: 0o600 })
+    return true
   } catch {
     // 📖 Silently fail — the app is still usable, keys just won't persist
+    return false
   }
 }
 
 // 📖 getSettings: Returns the effective settings for the current session.
 // 📖 If a profile is active, returns the profile's settings. Otherwise, returns global settings.
 // 📖 Always merges with defaults so newly-added setting keys are never undefined.
+// 📖 A project config's tierFilter wins over both (see getSettingSources for who set what).
 export function getSettings(config) {
   const defaults = _emptyProfileSettings()
-  if (config?.activeProfile && config?.profiles?.[config.activeProfile]?.settings) {
-    return { ...defaults, ...config.profiles[config.activeProfile].settings }
+  const projectTier = getProjectConfig(config)?.values.tierFilter
+  const project = projectTier ? { tierFilter: projectTier } : {}
+  const profile = config?.activeProfile ? resolveProfile(config, config.activeProfile) : null
+  if (profile) return { ...profile.settings, ...project }
+  return { ...defaults, ...(config?.settings || {}), ...project }
+}
+
+// 📖 getSettingSources: For each key of getSettings(), the layer its value comes from —
+// 📖 'project', 'profile', 'global' or 'defaults'.
+// 📖 Which profile of an inheritance chain set a value: resolveProfile(...).origins.
+export function getSettingSources(config) {
+  const profile = config?.activeProfile ? resolveProfile(config, config.activeProfile) : null
+  const settings = profile ? profile.settings : (config?.settings || {})
+  const sources = {}
+  for (const key of Object.keys(getSettings(config))) {
+    const origin = profile?.origins.settings[key]
+    if (key === 'tierFilter' && getProjectConfig(config)?.values.tierFilter) sources[key] = 'project'
+    else if (settings[key] === undefined || settings[key] === null) sources[key] = 'defaults'
+    else if (profile) sources[key] = origin === 'global' || origin === 'defaults' ? origin : 'profile'
+    else sources[key] = 'global'
   }
-  return { ...defaults, ...(config?.settings || {}) }
+  return sources
 }
 
 // 📖 saveSettings: Persists settings to the appropriate location.
 // 📖 If a profile is active, saves to that profile. Otherwise, saves to global config.settings.
 // 📖 Accepts a partial settings object — only the provided keys are updated.
+// 📖 In a profile that extends another, a value equal to the inherited one is dropped again
+// 📖 instead of becoming an override.
 export function saveSettings(config, partialSettings) {
-  const target = (config?.activeProfile && config?.profiles?.[config.activeProfile])
-    ? config.profiles[config.activeProfile].settings ??= _emptyProfileSettings()
-    : config.settings ??= _emptyProfileSettings()
-  Object.assign(target, partialSettings)
+  const profile = config?.activeProfile ? config?.profiles?.[config.activeProfile] : null
+  if (!profile) {
+    Object.assign(config.settings ??= _emptyProfileSettings(), partialSettings)
+    return
+  }
+  const target = profile.settings ??= {}
+  const inherited = profile.extends ? resolveProfile(config, profile.extends)?.settings : null
+  for (const [key, value] of Object.entries(partialSettings)) {
+    if (inherited && inherited[key] === value) delete target[key]
+    else target[key] = value
+  }
 }
 
 /**
@@ -249,8 +535,10 @@ export function saveSettings(config, partialSettings) {
  *
  * 📖 Priority order (first non-empty wins):
  *   1. Environment variable (e.g. NVIDIA_API_KEY) — for CI/headless
- *   2. Config file value — from ~/.free-coding-models.json
- *   3. null — no key configured
+ *   2. Config file value — from ~/.free-coding-models.json, either the key itself or a
+ *      secret-store reference ("vault:groq", "pass:…", "op://…", "cmd:…") — see lib/secrets.js
+ *   3. `keyCommand` — the config's command template, run with {provider} filled in
+ *   4. null — no key configured
  *
  * @param {{ apiKeys: Record<string,string> }} config
  * @param {string} providerKey — e.g. 'nvidia', 'groq', 'cerebras'
@@ -264,17 +552,61 @@ export function getApiKey(config, providerKey) {
     if (candidate && process.env[candidate]) return process.env[candidate]
   }
 
-  // 📖 Config file value
+  // 📖 Config file value — plain keys come back as they are, references are looked up
   const key = config?.apiKeys?.[providerKey]
-  if (key) return key
+  if (key) return resolveSecret(key)
+
+  // 📖 keyCommand: printing nothing just means "no key for this provider", not an error
+  if (typeof config?.keyCommand === 'string' && config.keyCommand.trim()) {
+    return resolveSecret(keyCommandRef(config.keyCommand.trim(), providerKey), { quiet: true })
+  }
 
   return null
 }
 
+/**
+ * 📖 setApiKey: Record a key typed by the user.
+ *
+ * 📖 With `secretStore` set the key goes to that store and the config (and every profile
+ *    snapshot taken from it later) only keeps the reference. References are kept as typed.
+ * 📖 Throws when the store can't be written — never falls back to plaintext.
+ *
+ * @param {object} config — Live config object (will be mutated)
+ * @param {string} providerKey
+ * @param {string} value — key or reference
+ */
+export function setApiKey(config, providerKey, value) {
+  if (!config.apiKeys || typeof config.apiKeys !== 'object') config.apiKeys = {}
+  config.apiKeys[providerKey] = config.secretStore && !isSecretRef(value)
+    ? storeSecret(config.secretStore, providerKey, value)
+    : value
+}
+
+/**
+ * 📖 getApiKeySource: Where getApiKey would find a provider's key — for `secrets status`.
+ *    Never returns the key itself; `detail` is the env var name or the reference.
+ *
+ * @param {{ apiKeys: Record<string,string>, keyCommand?: string }} config
+ * @param {string} providerKey
+ * @returns {{ source: 'env'|'plaintext'|'store'|'keyCommand'|'none', detail: string|null }}
+ */
+export function getApiKeySource(config, providerKey) {
+  const envVar = ENV_VARS[providerKey]
+  const envName = (Array.isArray(envVar) ? envVar : [envVar]).find(name => name && process.env[name])
+  if (envName) return { source: 'env', detail: envName }
+  const key = config?.apiKeys?.[providerKey]
+  if (key) return isSecretRef(key) ? { source: 'store', detail: key } : { source: 'plaintext', detail: null }
+  if (typeof config?.keyCommand === 'string' && config.keyCommand.trim()) {
+    return { source: 'keyCommand', detail: keyCommandRef(config.keyCommand.trim(), providerKey) }
+  }
+  return { source: 'none', detail: null }
+}
+
 /**
  * 📖 isProviderEnabled: Check if a provider is enabled in config.
  *
  * 📖 Providers are enabled by default if not explicitly set to false.
+ * 📖 A project config entry overrides the personal one.
  * 📖 A provider without an API key should still appear in settings (just can't ping).
  *
  * @param {{ providers: Record<string,{enabled:boolean}> }} config
@@ -282,6 +614,9 @@ export function getApiKey(config, providerKey) {
  * @returns {boolean}
  */
 export function isProviderEnabled(config, providerKey) {
+  // 📖 The project config decides first — a repo can switch a provider off for everyone
+  const projectProvider = getProjectConfig(config)?.values.providers?.[providerKey]
+  if (projectProvider) return projectProvider.enabled
   const providerConfig = config?.providers?.[providerKey]
   if (!providerConfig) return true // 📖 Default: enabled
   return providerConfig.enabled !== false
@@ -304,7 +639,106 @@ export function _emptyProfileSettings() {
     sortAsc: true,        // 📖 true = ascending (fastest first for latency)
     pingInterval: 8000,   // 📖 default ms between pings
     hideNoKey: false,     // 📖 true = hide models whose provider has no API key set
+    seedHistory: true,    // 📖 true = pre-fill each row with recent pings from the on-disk history
+  }
+}
+
+// 📖 Sections a profile may hold — each one is optional in a profile that extends another
+export const PROFILE_SECTIONS = ['apiKeys', 'providers', 'favorites', 'settings']
+
+// 📖 Longest `extends` chain followed — deeper (or circular) chains are cut there
+export const MAX_PROFILE_DEPTH = 10
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * 📖 getProfileChain: The profile followed by its ancestors ("extends"), nearest first.
+ *    Stops at a missing parent, a cycle or MAX_PROFILE_DEPTH.
+ *
+ * @param {object} config
+ * @param {string} name
+ * @returns {string[]} empty when the profile doesn't exist
+ */
+export function getProfileChain(config, name) {
+  const profiles = isPlainObject(config?.profiles) ? config.profiles : {}
+  const chain = []
+  for (let current = name; typeof current === 'string' && isPlainObject(profiles[current]); current = profiles[current].extends) {
+    if (chain.includes(current) || chain.length >= MAX_PROFILE_DEPTH) break
+    chain.push(current)
+  }
+  return chain
+}
+
+/**
+ * 📖 resolveProfile: A profile's effective values — its ancestors' sections merged root first,
+ *    each profile overriding per provider / per setting. favorites is replaced as a whole.
+ *
+ * 📖 A chain without any settings section uses the global settings, as a bare profile always
+ *    did; otherwise missing settings are defaults. apiKeys / providers / favorites no profile
+ *    defines are empty. An apiKeys value of "" means "no key here" (overrides the parent's).
+ *
+ * 📖 `origins` tells, for every resolved value, the profile that set it ('global' / 'defaults'
+ *    for settings nobody set) — the Settings overlay shows inherited vs overridden from it.
+ *
+ * @param {object} config
+ * @param {string} name
+ * @returns {{ apiKeys: object, providers: object, favorites: string[], settings: object, chain: string[],
+ *             origins: { apiKeys: object, providers: object, favorites: string|null, settings: object } }|null}
+ */
+export function resolveProfile(config, name) {
+  const chain = getProfileChain(config, name)
+  if (chain.length === 0) return null
+  const resolved = { apiKeys: {}, providers: {}, favorites: [], settings: {}, chain }
+  const origins = { apiKeys: {}, providers: {}, favorites: null, settings: {} }
+  const hasSettings = chain.some(n => isPlainObject(config.profiles[n].settings))
+  const base = hasSettings ? {} : (isPlainObject(config.settings) ? config.settings : {})
+  for (const [key, value] of Object.entries(_emptyProfileSettings())) {
+    const fromBase = base[key] !== undefined && base[key] !== null
+    resolved.settings[key] = fromBase ? base[key] : value
+    origins.settings[key] = fromBase ? 'global' : 'defaults'
+  }
+  for (const profileName of [...chain].reverse()) {
+    const profile = config.profiles[profileName]
+    for (const section of ['apiKeys', 'providers', 'settings']) {
+      if (!isPlainObject(profile[section])) continue
+      for (const [key, value] of Object.entries(profile[section])) {
+        if (value === undefined) continue
+        resolved[section][key] = structuredClone(value)
+        origins[section][key] = profileName
+      }
+    }
+    if (Array.isArray(profile.favorites)) {
+      resolved.favorites = [...profile.favorites]
+      origins.favorites = profileName
+    }
   }
+  return { ...resolved, origins }
+}
+
+// 📖 Own values of a profile extending `parent`: whatever differs from what it would inherit
+function profileOverrides(config, parent, snapshot) {
+  const inherited = resolveProfile(config, parent)
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+  const profile = { extends: parent }
+  const apiKeys = {}
+  for (const pk of new Set([...Object.keys(snapshot.apiKeys), ...Object.keys(inherited.apiKeys)])) {
+    const own = snapshot.apiKeys[pk] || ''
+    if (own !== (inherited.apiKeys[pk] || '')) apiKeys[pk] = own
+  }
+  const providers = {}
+  for (const pk of new Set([...Object.keys(snapshot.providers), ...Object.keys(inherited.providers)])) {
+    const own = snapshot.providers[pk] ?? { enabled: true }
+    if (!same(own, inherited.providers[pk] ?? { enabled: true })) providers[pk] = own
+  }
+  const settings = {}
+  for (const [key, value] of Object.entries(snapshot.settings)) {
+    if (!same(value, inherited.settings[key])) settings[key] = value
+  }
+  if (Object.keys(apiKeys).length > 0) profile.apiKeys = apiKeys
+  if (Object.keys(providers).length > 0) profile.providers = providers
+  if (!same(snapshot.favorites, inherited.favorites)) profile.favorites = snapshot.favorites
+  if (Object.keys(settings).length > 0) profile.settings = settings
+  return profile
 }
 
 /**
@@ -314,21 +748,30 @@ export function _emptyProfileSettings() {
  *    and stores them under config.profiles[name]. Does NOT change activeProfile —
  *    call setActiveProfile() separately if you want to switch to this profile.
  *
+ * 📖 With a parent (options.parent, or the `extends` the profile already has) only what
+ *    differs from the parent's effective values is stored — a "fast" profile extending
+ *    "work" keeps its tier filter and providers, and picks up work's keys when they change.
+ *    A parent that would create a cycle is ignored (full snapshot).
+ *
  * 📖 If a profile with the same name exists, it's overwritten.
  *
  * @param {object} config — Live config object (will be mutated)
  * @param {string} name — Profile name (e.g. 'work', 'personal', 'fast')
  * @param {object} [settings] — TUI settings to save (tierFilter, sortColumn, etc.)
+ * @param {{ parent?: string|null }} [options] — profile to extend (null = none, default: keep the current one)
  * @returns {object} The config object (for chaining)
  */
-export function saveAsProfile(config, name, settings = null) {
+export function saveAsProfile(config, name, settings = null, { parent } = {}) {
   if (!config.profiles || typeof config.profiles !== 'object') config.profiles = {}
-  config.profiles[name] = {
+  const snapshot = {
     apiKeys: JSON.parse(JSON.stringify(config.apiKeys || {})),
     providers: JSON.parse(JSON.stringify(config.providers || {})),
     favorites: [...(config.favorites || [])],
     settings: settings ? { ..._emptyProfileSettings(), ...settings } : _emptyProfileSettings(),
   }
+  const parentName = parent !== undefined ? parent : (config.profiles[name]?.extends ?? null)
+  const usable = parentName && parentName !== name && config.profiles[parentName] && !getProfileChain(config, parentName).includes(name)
+  config.profiles[name] = usable ? profileOverrides(config, parentName, snapshot) : snapshot
   return config
 }
 
@@ -336,7 +779,8 @@ export function saveAsProfile(config, name, settings = null) {
  * 📖 loadProfile: Apply a named profile's values onto the live config.
  *
  * 📖 Replaces config.apiKeys, config.providers, config.favorites with the
- *    profile's stored values. Also sets config.activeProfile to the loaded name.
+ *    profile's effective values (its own merged over its parents', see resolveProfile).
+ *    Also sets config.activeProfile to the loaded name.
  *
  * 📖 Returns the profile's TUI settings so the caller (main CLI) can apply them
  *    to the live state object (sortColumn, tierFilter, etc.).
@@ -349,16 +793,16 @@ export function saveAsProfile(config, name, settings = null) {
  *          The profile's TUI settings, or null if profile not found
  */
 export function loadProfile(config, name) {
-  const profile = config?.profiles?.[name]
+  // 📖 Inherited values included (see resolveProfile) — resolved copies, never shared references
+  const profile = resolveProfile(config, name)
   if (!profile) return null
 
-  // 📖 Deep-copy the profile data into the live config (don't share references)
-  config.apiKeys = JSON.parse(JSON.stringify(profile.apiKeys || {}))
-  config.providers = JSON.parse(JSON.stringify(profile.providers || {}))
-  config.favorites = [...(profile.favorites || [])]
+  config.apiKeys = Object.fromEntries(Object.entries(profile.apiKeys).filter(([, value]) => value))
+  config.providers = profile.providers
+  config.favorites = profile.favorites
   config.activeProfile = name
 
-  return profile.settings ? { ..._emptyProfileSettings(), ...profile.settings } : _emptyProfileSettings()
+  return profile.settings
 }
 
 /**
@@ -375,14 +819,27 @@ export function listProfiles(config) {
 /**
  * 📖 deleteProfile: Remove a named profile from the config.
  *
- * 📖 If the deleted profile is the active one, clears activeProfile.
+ * 📖 If the deleted profile is the active one, clears activeProfile. Profiles that extended
+ *    it keep resolving to the same values.
  *
  * @param {object} config — Live config object (will be mutated)
  * @param {string} name — Profile name to delete
  * @returns {boolean} True if the profile existed and was deleted
  */
 export function deleteProfile(config, name) {
-  if (!config?.profiles?.[name]) return false
+  const removed = config?.profiles?.[name]
+  if (!removed) return false
+  // 📖 Profiles extending this one take over its own values and its parent, so what they
+  // 📖 resolve to doesn't change
+  for (const child of Object.values(config.profiles)) {
+    if (!isPlainObject(child) || child === removed || child.extends !== name) continue
+    for (const section of ['apiKeys', 'providers', 'settings']) {
+      if (isPlainObject(removed[section])) child[section] = { ...removed[section], ...(isPlainObject(child[section]) ? child[section] : {}) }
+    }
+    if (!Array.isArray(child.favorites) && Array.isArray(removed.favorites)) child.favorites = [...removed.favorites]
+    if (removed.extends) child.extends = removed.extends
+    else delete child.extends
+  }
   delete config.profiles[name]
   if (config.activeProfile === name) config.activeProfile = null
   return true
@@ -414,10 +871,13 @@ export function setActiveProfile(config, name) {
 // 📖 Internal helper: create a blank config with the right shape
 function _emptyConfig() {
   return {
+    configVersion: CONFIG_VERSION,
     apiKeys: {},
     providers: {},
     // 📖 Pinned favorites rendered at top of the table ("providerKey/modelId").
     favorites: [],
+    // 📖 Models assigned to OpenCode roles (main / small / plan / build / review), written on launch.
+    openCodeRoles: {},
     // 📖 Telemetry consent is explicit. null = not decided yet.
     telemetry: {
       enabled: null,
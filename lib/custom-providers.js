@@ -0,0 +1,219 @@
+/**
+ * @file lib/custom-providers.js
+ * @description User-defined OpenAI-compatible providers (vLLM, LiteLLM, internal gateways…).
+ *
+ * 📖 Built-in providers live in sources.js. Custom ones are declared by the user and merged
+ *    into the same `sources` / `MODELS` structures at startup, so they get pinged, ranked,
+ *    shown in the origin filter and written into OpenCode config like any other provider.
+ *
+ * 📖 Two places are read (the config wins when both define the same key):
+ *   1. ~/.free-coding-models.providers.json — `{ "customProviders": { ... } }` or the bare map
+ *   2. ~/.free-coding-models.json           — the `customProviders` section
+ *
+ * 📖 Definition shape:
+ *   "customProviders": {
+ *     "vllm": {
+ *       "name": "Internal vLLM",
+ *       "baseUrl": "https://vllm.internal.example/v1",
+ *       "envVar": "VLLM_API_KEY",                  // string or array — optional
+ *       "auth": "bearer",                          // bearer | x-api-key | api-key | none | { header, prefix }
+ *       "headers": { "X-Team": "platform" },       // optional extra headers
+ *       "models": [
+ *         { "id": "qwen3-coder-30b", "label": "Qwen3 Coder 30B", "tier": "A+", "sweScore": "51.6%", "ctx": "128k" },
+ *         ["deepseek-v3", "DeepSeek V3", "S", "62.0%", "128k"]
+ *       ]
+ *     }
+ *   }
+ *
+ * 📖 `baseUrl` may be the API root (…/v1) or the full …/chat/completions endpoint.
+ *    API keys go in `apiKeys.<key>` like built-in providers, or in the declared env var.
+ *
+ * @functions
+ *   → resolveAuthStyle(auth) — Auth setting → { header, prefix } or null for no auth
+ *   → toChatCompletionsUrl(baseUrl) — Normalize a base URL to the chat/completions endpoint
+ *   → normalizeCustomProvider(key, def, builtinKeys) — Validate one definition → { provider, errors }
+ *   → buildCustomProviderHeaders(source, apiKey) — Request headers for a registered custom provider
+ *   → readCustomProviderDefinitions(config, filePath) — Merge file + config definitions → { definitions, errors }
+ *   → loadCustomProviders(config, options) — Read + validate everything → { providers, errors }
+ *   → registerCustomProviders(providers, sources, models) — Merge into sources / MODELS in place
+ *
+ * @exports CUSTOM_PROVIDERS_PATH, AUTH_STYLES
+ * @exports resolveAuthStyle, toChatCompletionsUrl, normalizeCustomProvider, buildCustomProviderHeaders
+ * @exports readCustomProviderDefinitions, loadCustomProviders, registerCustomProviders
+ *
+ * @see sources.js — built-in providers this extends
+ * @see bin/free-coding-models.js — registers custom providers at startup
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import { homedir } from 'os'
+import { join } from 'path'
+import { TIER_ORDER, labelFromId } from './utils.js'
+
+// 📖 Separate providers file — handy for sharing a team gateway definition without API keys
+export const CUSTOM_PROVIDERS_PATH = join(homedir(), '.free-coding-models.providers.json')
+
+// 📖 Named auth header styles. null = send no credentials at all (local vLLM, open gateways).
+export const AUTH_STYLES = {
+  'bearer':    { header: 'Authorization', prefix: 'Bearer ' },
+  'x-api-key': { header: 'x-api-key', prefix: '' },
+  'api-key':   { header: 'api-key', prefix: '' },
+  'none':      null,
+}
+
+const PROVIDER_KEY_RE = /^[a-z0-9][a-z0-9_-]*$/
+const ENV_VAR_RE = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// 📖 resolveAuthStyle: 'bearer' (default) / 'x-api-key' / 'api-key' / 'none' / { header, prefix }.
+// 📖 Returns undefined for anything it doesn't understand so the caller can report it.
+export function resolveAuthStyle(auth = 'bearer') {
+  if (typeof auth === 'string') {
+    const style = auth.toLowerCase()
+    return Object.hasOwn(AUTH_STYLES, style) ? AUTH_STYLES[style] : undefined
+  }
+  if (auth && typeof auth === 'object' && typeof auth.header === 'string' && auth.header.trim()) {
+    return { header: auth.header.trim(), prefix: typeof auth.prefix === 'string' ? auth.prefix : '' }
+  }
+  return undefined
+}
+
+// 📖 toChatCompletionsUrl: "https://host/v1/" → "https://host/v1/chat/completions".
+// 📖 A URL already ending in /chat/completions is kept as-is.
+export function toChatCompletionsUrl(baseUrl) {
+  const trimmed = baseUrl.trim().replace(/\/+$/, '')
+  return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`
+}
+
+// 📖 normalizeModel: Object or tuple form → [id, label, tier, sweScore, ctx], or a string error.
+function normalizeModel(model) {
+  const m = Array.isArray(model)
+    ? { id: model[0], label: model[1], tier: model[2], sweScore: model[3], ctx: model[4] }
+    : (typeof model === 'string' ? { id: model } : model)
+  if (!m || typeof m.id !== 'string' || !m.id.trim()) return 'model without an "id"'
+  const tier = m.tier ?? 'B'
+  if (!TIER_ORDER.includes(tier)) return `model "${m.id}" has unknown tier "${tier}" (expected one of ${TIER_ORDER.join(', ')})`
+  return [
+    m.id.trim(),
+    typeof m.label === 'string' && m.label.trim() ? m.label.trim() : labelFromId(m.id.trim()),
+    tier,
+    // 📖 Same fallback score as unknown OpenRouter models — ranks them as plain B tier
+    typeof m.sweScore === 'string' && m.sweScore ? m.sweScore : '25.0%',
+    typeof m.ctx === 'string' && m.ctx ? m.ctx : '128k',
+  ]
+}
+
+/**
+ * 📖 normalizeCustomProvider: Validate one user definition.
+ *
+ * 📖 Invalid models are dropped individually; a provider is rejected entirely only when
+ *    its key, URL or auth are unusable, or when no valid model is left.
+ *
+ * @param {string} key — provider key used in favorites, model refs and apiKeys (e.g. "vllm")
+ * @param {object} def — raw definition from JSON
+ * @param {string[]} builtinKeys — keys that are already taken by sources.js
+ * @returns {{ provider: object|null, errors: string[] }}
+ */
+export function normalizeCustomProvider(key, def, builtinKeys = []) {
+  const errors = []
+  const fail = (msg) => ({ provider: null, errors: [...errors, `${key}: ${msg}`] })
+
+  if (!PROVIDER_KEY_RE.test(key)) return fail('provider key must be lowercase letters, digits, "-" or "_"')
+  if (builtinKeys.includes(key)) return fail('key clashes with a built-in provider')
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return fail('definition must be an object')
+  if (typeof def.baseUrl !== 'string' || !/^https?:\/\//.test(def.baseUrl.trim())) return fail('"baseUrl" must be an http(s) URL')
+
+  const auth = resolveAuthStyle(def.auth)
+  if (auth === undefined) return fail(`unknown "auth" style ${JSON.stringify(def.auth)}`)
+
+  const envVars = (Array.isArray(def.envVar) ? def.envVar : [def.envVar]).filter(v => v !== undefined)
+  const badEnv = envVars.find(v => typeof v !== 'string' || !ENV_VAR_RE.test(v))
+  if (badEnv !== undefined) return fail(`invalid "envVar" ${JSON.stringify(badEnv)}`)
+
+  const headers = {}
+  if (def.headers && typeof def.headers === 'object') {
+    for (const [name, value] of Object.entries(def.headers)) {
+      if (typeof value === 'string') headers[name] = value
+    }
+  }
+
+  const models = []
+  const seen = new Set()
+  for (const raw of Array.isArray(def.models) ? def.models : []) {
+    const model = normalizeModel(raw)
+    if (typeof model === 'string') { errors.push(`${key}: ${model}`); continue }
+    if (seen.has(model[0])) continue
+    seen.add(model[0])
+    models.push(model)
+  }
+  if (models.length === 0) return fail('no valid models declared')
+
+  const url = toChatCompletionsUrl(def.baseUrl)
+  return {
+    provider: {
+      key,
+      name: typeof def.name === 'string' && def.name.trim() ? def.name.trim() : key,
+      url,
+      baseUrl: url.replace(/\/chat\/completions$/, ''),
+      envVars,
+      auth,
+      headers,
+      models,
+    },
+    errors,
+  }
+}
+
+// 📖 buildCustomProviderHeaders: Auth header in the declared style + any extra headers.
+export function buildCustomProviderHeaders(source, apiKey) {
+  const headers = { 'Content-Type': 'application/json', ...(source?.headers || {}) }
+  if (apiKey && source?.auth) headers[source.auth.header] = `${source.auth.prefix}${apiKey}`
+  return headers
+}
+
+// 📖 readCustomProviderDefinitions: Providers file first, then config.customProviders on top.
+// 📖 A broken providers file is reported, never thrown — the built-in providers must still work.
+export function readCustomProviderDefinitions(config, filePath = CUSTOM_PROVIDERS_PATH) {
+  const definitions = {}
+  const errors = []
+  if (filePath && existsSync(filePath)) {
+    try {
+      const parsed = JSON.parse(readFileSync(filePath, 'utf8'))
+      const map = parsed?.customProviders ?? parsed
+      if (map && typeof map === 'object' && !Array.isArray(map)) Object.assign(definitions, map)
+      else errors.push(`${filePath}: expected an object of providers`)
+    } catch (err) {
+      errors.push(`${filePath}: ${err.message}`)
+    }
+  }
+  const fromConfig = config?.customProviders
+  if (fromConfig && typeof fromConfig === 'object' && !Array.isArray(fromConfig)) Object.assign(definitions, fromConfig)
+  return { definitions, errors }
+}
+
+// 📖 loadCustomProviders: Read + validate every definition. Returns valid providers and all problems found.
+export function loadCustomProviders(config, { filePath = CUSTOM_PROVIDERS_PATH, builtinKeys = [] } = {}) {
+  const { definitions, errors } = readCustomProviderDefinitions(config, filePath)
+  const providers = []
+  for (const [key, def] of Object.entries(definitions)) {
+    const { provider, errors: providerErrors } = normalizeCustomProvider(key, def, builtinKeys)
+    errors.push(...providerErrors)
+    if (provider) providers.push(provider)
+  }
+  return { providers, errors }
+}
+
+// 📖 registerCustomProviders: Merge providers into the live sources map + flat MODELS array (in place).
+// 📖 Entries are flagged `custom: true` so request building and OpenCode config know to use
+// 📖 the declared base URL / auth style instead of a hardcoded branch.
+export function registerCustomProviders(providers, sources, models) {
+  const registered = []
+  for (const p of providers) {
+    if (sources[p.key]) continue
+    sources[p.key] = { name: p.name, url: p.url, models: p.models, custom: true, baseUrl: p.baseUrl, auth: p.auth, headers: p.headers, envVars: p.envVars }
+    for (const [modelId, label, tier, sweScore, ctx] of p.models) {
+      models.push([modelId, label, tier, sweScore, ctx, p.key])
+    }
+    registered.push(p.key)
+  }
+  return registered
+}
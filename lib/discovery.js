@@ -0,0 +1,183 @@
+/**
+ * @file lib/discovery.js
+ * @description Live model catalog discovery through each provider's OpenAI-style /models endpoint.
+ *
+ * 📖 sources.js is a static snapshot — providers add, rename and retire models between
+ *    npm releases. Discovery asks every provider that exposes `GET …/v1/models` what it
+ *    actually serves today, diffs that against the static catalog and reports:
+ *      - new  → served live but missing from sources.js (added to MODELS for auto-add providers)
+ *      - gone → listed in sources.js but no longer served (flagged in the TUI)
+ *
+ * 📖 Results are cached on disk with a TTL so startup stays fast and works offline:
+ *      ~/.free-coding-models/catalog.json
+ *      { "version": 1, "providers": { "groq": { "fetchedAt": 1739539200000, "models": [{ "id": "…", "ctx": "128k" }] } } }
+ *    A failed refresh falls back to the last cached list (marked stale) instead of dropping it.
+ *
+ * 📖 Not every provider can be discovered (see DISCOVERY_UNSUPPORTED). OpenRouter keeps its
+ *    own dedicated :free refresh in the main CLI.
+ *
+ * 📖 Like lib/history.js, every disk operation swallows errors — discovery is best-effort.
+ *
+ * @functions
+ *   → modelsEndpointFor(chatUrl) — chat/completions URL → models URL
+ *   → parseModelsResponse(json) — { data: [...] } or [...] → [{ id, ctx }]
+ *   → toCatalogId(providerKey, liveId) — Live id → the id format used in sources.js
+ *   → diffCatalog(staticIds, liveIds) — { added, removed } id lists
+ *   → isLikelyChatModel(id) — Filter out embedding/audio/image/moderation models
+ *   → readCatalogCache() / writeCatalogCache(cache) — Disk cache I/O
+ *   → fetchProviderModels(url, headers, options) — One GET /models call → [{ id, ctx }] or null
+ *   → discoverCatalogs(targets, options) — Cache-aware discovery for many providers at once
+ *
+ * @exports CATALOG_CACHE_PATH, DISCOVERY_TTL_MS, DISCOVERY_TIMEOUT_MS, DISCOVERY_UNSUPPORTED
+ * @exports modelsEndpointFor, parseModelsResponse, toCatalogId, diffCatalog, isLikelyChatModel
+ * @exports readCatalogCache, writeCatalogCache, fetchProviderModels, discoverCatalogs
+ *
+ * @see sources.js — the static catalog being diffed
+ * @see bin/free-coding-models.js — applies discovered models at startup, `catalog` subcommand
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import { join, dirname } from 'path'
+import { DATA_DIR } from './config.js'
+import { formatCtxWindow } from './utils.js'
+
+export const CATALOG_CACHE_PATH = join(DATA_DIR, 'catalog.json')
+
+// 📖 Catalogs change over days, not minutes — 6h keeps most startups fully offline
+export const DISCOVERY_TTL_MS = 6 * 60 * 60 * 1000
+
+// 📖 Per-provider budget for a refresh. Slow providers fall back to cache instead of blocking startup.
+export const DISCOVERY_TIMEOUT_MS = 4000
+
+// 📖 Providers without a usable OpenAI-style /models endpoint:
+//   - replicate:  predictions API, no chat model listing
+//   - cloudflare: account-scoped URL + different /models/search shape
+//   - perplexity: no /models endpoint
+//   - openrouter: refreshed separately (only :free models are kept)
+export const DISCOVERY_UNSUPPORTED = ['replicate', 'cloudflare', 'perplexity', 'openrouter']
+
+const CACHE_VERSION = 1
+
+// 📖 Id format mismatches between /models and sources.js:
+//   - zai:      sources.js prefixes "zai/" (stripped again in buildPingRequest)
+//   - googleai: the OpenAI-compat listing returns "models/gemma-3-27b-it"
+const CATALOG_ID_PREFIX = { zai: 'zai/' }
+const LIVE_ID_STRIP = { googleai: 'models/' }
+
+// 📖 Non-chat models that /models endpoints happily list next to LLMs
+const NON_CHAT_RE = /(embed|rerank|whisper|tts|speech|transcrib|moderation|guard|image|flux|stable-diffusion|sdxl|dall-e|clip|ocr|audio)/i
+
+// 📖 modelsEndpointFor: "https://api.groq.com/openai/v1/chat/completions" → ".../openai/v1/models"
+export function modelsEndpointFor(chatUrl) {
+  return chatUrl.replace(/\/chat\/completions\/?$/, '').replace(/\/+$/, '') + '/models'
+}
+
+// 📖 parseModelsResponse: Normalize the usual /models payload shapes into [{ id, ctx }].
+// 📖 Context length is read from whichever field the provider uses; null when unknown.
+export function parseModelsResponse(json) {
+  const list = Array.isArray(json) ? json : Array.isArray(json?.data) ? json.data : Array.isArray(json?.models) ? json.models : null
+  if (!list) return null
+  const models = []
+  for (const m of list) {
+    const id = typeof m === 'string' ? m : m?.id
+    if (typeof id !== 'string' || !id) continue
+    const ctxTokens = m?.context_length ?? m?.context_window ?? m?.max_model_len ?? m?.max_context_length ?? null
+    models.push({ id, ctx: Number.isFinite(ctxTokens) && ctxTokens > 0 ? formatCtxWindow(ctxTokens) : null })
+  }
+  return models
+}
+
+// 📖 toCatalogId: Bring a live id into the sources.js id format
+export function toCatalogId(providerKey, liveId) {
+  const strip = LIVE_ID_STRIP[providerKey]
+  const id = strip && liveId.startsWith(strip) ? liveId.slice(strip.length) : liveId
+  const prefix = CATALOG_ID_PREFIX[providerKey]
+  if (!prefix || id.startsWith(prefix)) return id
+  return prefix + id
+}
+
+// 📖 isLikelyChatModel: Keep auto-added models to things that can actually answer a coding prompt
+export function isLikelyChatModel(id) {
+  return !NON_CHAT_RE.test(id)
+}
+
+// 📖 diffCatalog: Which ids appeared live but aren't in the static list, and which vanished.
+export function diffCatalog(staticIds, liveIds) {
+  const staticSet = new Set(staticIds)
+  const liveSet = new Set(liveIds)
+  return {
+    added: [...liveSet].filter(id => !staticSet.has(id)),
+    removed: [...staticSet].filter(id => !liveSet.has(id)),
+  }
+}
+
+// 📖 readCatalogCache: Parsed cache, or an empty one when missing / corrupt / from another version
+export function readCatalogCache(path = CATALOG_CACHE_PATH) {
+  try {
+    if (existsSync(path)) {
+      const parsed = JSON.parse(readFileSync(path, 'utf8'))
+      if (parsed?.version === CACHE_VERSION && parsed.providers && typeof parsed.providers === 'object') return parsed
+    }
+  } catch { /* corrupt cache — start fresh */ }
+  return { version: CACHE_VERSION, providers: {} }
+}
+
+export function writeCatalogCache(cache, path = CATALOG_CACHE_PATH) {
+  try {
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 })
+    writeFileSync(path, JSON.stringify(cache, null, 2), { mode: 0o600 })
+  } catch {
+    // 📖 Silently fail — next startup simply refreshes again
+  }
+}
+
+// 📖 fetchProviderModels: GET the models endpoint with the provider's auth headers.
+// 📖 Returns [{ id, ctx }] or null on any HTTP / network / parse failure.
+export async function fetchProviderModels(url, headers = {}, { timeoutMs = DISCOVERY_TIMEOUT_MS, fetchImpl = fetch } = {}) {
+  const ctrl = new AbortController()
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs)
+  try {
+    const res = await fetchImpl(url, { method: 'GET', headers, signal: ctrl.signal })
+    if (!res.ok) return null
+    return parseModelsResponse(await res.json())
+  } catch {
+    return null
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * 📖 discoverCatalogs: Live model lists for many providers, through the disk cache.
+ *
+ * 📖 Fresh cache entries are used as-is. Stale or missing ones are refreshed in parallel;
+ *    when a refresh fails the previous cached list is returned with `stale: true`.
+ *
+ * @param {{ providerKey: string, url: string, headers?: Record<string,string> }[]} targets — url = models endpoint
+ * @param {{ now?: number, ttlMs?: number, force?: boolean, timeoutMs?: number, fetchImpl?: Function, cachePath?: string }} options
+ * @returns {Promise<Record<string, { models: {id:string, ctx:string|null}[], fetchedAt: number, fromCache: boolean, stale: boolean }>>}
+ */
+export async function discoverCatalogs(targets, { now = Date.now(), ttlMs = DISCOVERY_TTL_MS, force = false, timeoutMs = DISCOVERY_TIMEOUT_MS, fetchImpl = fetch, cachePath = CATALOG_CACHE_PATH } = {}) {
+  const cache = readCatalogCache(cachePath)
+  const catalogs = {}
+  let dirty = false
+
+  await Promise.all(targets.map(async ({ providerKey, url, headers }) => {
+    const cached = cache.providers[providerKey]
+    if (!force && cached && now - cached.fetchedAt < ttlMs) {
+      catalogs[providerKey] = { models: cached.models, fetchedAt: cached.fetchedAt, fromCache: true, stale: false }
+      return
+    }
+    const models = await fetchProviderModels(url, headers, { timeoutMs, fetchImpl })
+    if (models && models.length > 0) {
+      cache.providers[providerKey] = { fetchedAt: now, models }
+      catalogs[providerKey] = { models, fetchedAt: now, fromCache: false, stale: false }
+      dirty = true
+    } else if (cached) {
+      catalogs[providerKey] = { models: cached.models, fetchedAt: cached.fetchedAt, fromCache: true, stale: true }
+    }
+  }))
+
+  if (dirty) writeCatalogCache(cache, cachePath)
+  return catalogs
+}
@@ -0,0 +1,284 @@
+/**
+ * @file lib/doctor.js
+ * @description Environment checks behind `free-coding-models doctor`.
+ *
+ * 📖 One report, grouped in sections, every problem paired with the command or edit that
+ *    fixes it:
+ *
+ *      Config       ~/.free-coding-models.json parses, schema version, validateConfig issues,
+ *                   project config and custom provider problems
+ *      API keys     per provider: env var / config / secret store / keyCommand, and whether
+ *                   the lookup works; CLOUDFLARE_ACCOUNT_ID next to a Cloudflare key
+ *      Tools        opencode / openclaw on the PATH, their config files parse
+ *      Paths        config file, data directory and tool config directories are writable
+ *      Network      each enabled provider's API host answers (any HTTP status counts)
+ *
+ * 📖 Statuses: ok, info (nothing to do), warn (works, but worth fixing), fail (broken — the
+ *    command exits 1). Nothing here prints; bin/free-coding-models.js renders the report.
+ *
+ * @functions
+ *   → findExecutable(name, options) — First match on the PATH (PATHEXT on Windows) or null
+ *   → checkWritable(path) — { ok, detail } for a file or directory, existing or not
+ *   → checkConfigFile(path) — { exists, error } after a JSONC / JSON5 parse
+ *   → checkReachable(url, options) — { ok, status, error } — any HTTP answer means reachable
+ *   → doctorExitCode(report) — 1 when any check failed
+ *   → runDoctor(context) — The full report: [{ section, checks: [{ name, status, detail, fix }] }]
+ *
+ * @exports DOCTOR_TIMEOUT_MS, DOCTOR_STATUSES
+ * @exports findExecutable, checkWritable, checkConfigFile, checkReachable, doctorExitCode, runDoctor
+ *
+ * @see lib/config-schema.js — validateConfig / pendingMigrations
+ * @see bin/free-coding-models.js — `doctor` command (--json, --fix)
+ */
+
+import { existsSync, accessSync, statSync, readFileSync, constants } from 'fs'
+import { join, dirname, delimiter } from 'path'
+import { parseJsonc } from './jsonc.js'
+import { classifyNetworkError } from './errors.js'
+import { getApiKey, getApiKeySource, getProviderEnvVar, isProviderEnabled, getProjectConfig } from './config.js'
+import { secretErrors, parseSecretRef } from './secrets.js'
+import { validateConfig, pendingMigrations, configVersionOf, CONFIG_VERSION } from './config-schema.js'
+
+// 📖 Per reachability request — every host is checked in parallel, so this is the whole wait
+export const DOCTOR_TIMEOUT_MS = 5000
+
+export const DOCTOR_STATUSES = ['ok', 'info', 'warn', 'fail']
+
+/**
+ * 📖 findExecutable: Look a command up on the PATH without running it.
+ *
+ * @param {string} name
+ * @param {{ pathEnv?: string, pathExt?: string, platform?: string }} [options]
+ * @returns {string|null} full path
+ */
+export function findExecutable(name, { pathEnv = process.env.PATH ?? '', pathExt = process.env.PATHEXT ?? '.EXE;.CMD;.BAT', platform = process.platform } = {}) {
+  const extensions = platform === 'win32' ? ['', ...pathExt.split(';').filter(Boolean).map(e => e.toLowerCase())] : ['']
+  for (const dir of pathEnv.split(delimiter).filter(Boolean)) {
+    for (const ext of extensions) {
+      const candidate = join(dir, name + ext)
+      try {
+        if (!statSync(candidate).isFile()) continue
+        if (platform !== 'win32') accessSync(candidate, constants.X_OK)
+        return candidate
+      } catch { /* not here */ }
+    }
+  }
+  return null
+}
+
+/**
+ * 📖 checkWritable: Whether we can write `path`. A missing path is fine when its closest
+ *    existing parent directory is writable (we create files and directories on demand).
+ *
+ * @param {string} path
+ * @returns {{ ok: boolean, detail: string }}
+ */
+export function checkWritable(path) {
+  let target = path
+  while (!existsSync(target)) {
+    const parent = dirname(target)
+    if (parent === target) return { ok: false, detail: 'no existing parent directory' }
+    target = parent
+  }
+  try {
+    accessSync(target, constants.W_OK)
+    return { ok: true, detail: target === path ? 'writable' : `will be created (${target} is writable)` }
+  } catch {
+    return { ok: false, detail: `${target} is not writable` }
+  }
+}
+
+export function checkConfigFile(path) {
+  if (!existsSync(path)) return { exists: false, error: null }
+  try {
+    parseJsonc(readFileSync(path, 'utf8'))
+    return { exists: true, error: null }
+  } catch (err) {
+    return { exists: true, error: err.message }
+  }
+}
+
+/**
+ * 📖 checkReachable: GET the URL with a timeout. 401 / 404 / 405 still prove the host is up.
+ *
+ * @param {string} url
+ * @param {{ timeoutMs?: number, fetchImpl?: typeof fetch }} [options]
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null }>}
+ */
+export async function checkReachable(url, { timeoutMs = DOCTOR_TIMEOUT_MS, fetchImpl = fetch } = {}) {
+  try {
+    const resp = await fetchImpl(url, { method: 'GET', signal: AbortSignal.timeout(timeoutMs) })
+    return { ok: true, status: resp.status, error: null }
+  } catch (err) {
+    return { ok: false, status: null, error: classifyNetworkError(err).label }
+  }
+}
+
+export function doctorExitCode(report) {
+  return report.some(section => section.checks.some(check => check.status === 'fail')) ? 1 : 0
+}
+
+const check = (name, status, detail = null, fix = null) => ({ name, status, detail, fix })
+
+function configSection({ config, rawConfig, configPath, customProviderErrors, providerKeys }) {
+  const checks = []
+  if (rawConfig === null) {
+    checks.push(check(configPath, 'info', 'not created yet', 'Run free-coding-models once to set up your keys'))
+  } else if (config.loadError) {
+    checks.push(check(configPath, 'fail', `unreadable: ${config.loadError}`, `Fix the JSON by hand — until then free-coding-models starts with an empty config and saves nothing`))
+  } else {
+    const version = configVersionOf(rawConfig)
+    const pending = pendingMigrations(rawConfig)
+    checks.push(pending.length > 0
+      ? check(`${configPath} (schema v${version})`, 'warn', `migration to v${CONFIG_VERSION} pending: ${pending.map(m => m.description).join('; ')}`, 'free-coding-models doctor --fix')
+      : check(`${configPath} (schema v${version})`, 'ok'))
+    // 📖 The loaded config is already migrated — its issues are the ones --fix can't solve
+    for (const issue of validateConfig(config, { providerKeys })) {
+      if (issue.path === 'configVersion' && pending.length > 0) continue
+      checks.push(check(issue.path, issue.severity === 'error' ? 'fail' : 'warn', issue.message, issue.fix))
+    }
+  }
+
+  const project = getProjectConfig(config)
+  if (project) {
+    checks.push(check(`project config ${project.path}`, project.errors.length > 0 ? 'warn' : 'ok', project.errors.join('; ') || null,
+      project.errors.length > 0 ? 'Fix or remove the listed entries — they are ignored' : null))
+  }
+  for (const problem of customProviderErrors) {
+    checks.push(check('customProviders', 'warn', problem, 'Fix the definition in ~/.free-coding-models.json or ~/.free-coding-models.providers.json'))
+  }
+  return { section: 'Config', checks }
+}
+
+function keysSection({ config, sources, env }) {
+  const checks = []
+  const missing = []
+  for (const pk of Object.keys(sources)) {
+    const { source, detail } = getApiKeySource(config, pk)
+    if (source === 'none') {
+      if (isProviderEnabled(config, pk)) missing.push(pk)
+      continue
+    }
+    const name = sources[pk].name ?? pk
+    const key = getApiKey(config, pk)
+    if (!key) {
+      const why = secretErrors().get(detail) ?? (source === 'keyCommand' ? 'keyCommand printed nothing' : 'empty')
+      const ref = parseSecretRef(detail)
+      // 📖 env: references come from imported profiles — the fix is on the user's side
+      const fix = source === 'keyCommand' ? null
+        : ref?.backend === 'env' ? `export ${ref.name}=<your ${name} key>`
+          : 'free-coding-models secrets   (shows which store to unlock or fix)'
+      checks.push(check(name, source === 'keyCommand' ? 'info' : 'fail', `${detail ?? source}: ${why}`, fix))
+    } else if (source === 'env') {
+      const raw = env[detail] ?? ''
+      checks.push(raw !== raw.trim()
+        ? check(name, 'warn', `${detail} has leading/trailing whitespace`, `export ${detail}="…" without spaces or newlines`)
+        : check(name, 'ok', `env ${detail}${config.apiKeys?.[pk] ? ' (overrides the config)' : ''}`))
+    } else if (source === 'plaintext') {
+      checks.push(check(name, 'warn', 'stored in plain text in the config', 'free-coding-models secrets migrate'))
+    } else {
+      checks.push(check(name, 'ok', source === 'keyCommand' ? 'keyCommand' : detail))
+    }
+  }
+  if (missing.length > 0) {
+    checks.push(check('no key', 'info', missing.join(', '), `Set e.g. ${getProviderEnvVar(missing[0])}, or press P in the TUI`))
+  }
+
+  // 📖 Cloudflare's endpoint is account-scoped: the key alone isn't enough
+  if (sources.cloudflare) {
+    const accountId = (env.CLOUDFLARE_ACCOUNT_ID ?? '').trim()
+    const hasKey = Boolean(getApiKey(config, 'cloudflare'))
+    if (hasKey && !accountId) checks.push(check('CLOUDFLARE_ACCOUNT_ID', 'fail', 'missing — Cloudflare requests go to an invalid account URL', 'export CLOUDFLARE_ACCOUNT_ID=<id from dash.cloudflare.com → Workers AI>'))
+    else if (hasKey) checks.push(check('CLOUDFLARE_ACCOUNT_ID', 'ok', accountId))
+    else if (accountId) checks.push(check('CLOUDFLARE_ACCOUNT_ID', 'info', 'set, but there is no Cloudflare key'))
+  }
+  return { section: 'API keys', checks }
+}
+
+function toolsSection({ paths, findExecutableImpl }) {
+  const checks = []
+  const tools = [
+    { bin: 'opencode', files: [paths.opencode], rollback: 'opencode', install: 'npm i -g opencode   or see https://opencode.ai' },
+    { bin: 'openclaw', files: [paths.openclaw, paths.openclawModels], rollback: 'openclaw', install: 'see https://openclaw.ai' },
+  ]
+  for (const tool of tools) {
+    const found = findExecutableImpl(tool.bin)
+    checks.push(found
+      ? check(tool.bin, 'ok', found)
+      : check(tool.bin, 'info', 'not on the PATH', `Only needed for --${tool.bin}: ${tool.install}`))
+    for (const file of tool.files) {
+      const { exists, error } = checkConfigFile(file)
+      if (!exists) checks.push(check(file, 'info', 'not created yet'))
+      else if (error) checks.push(check(file, 'fail', error, `Fix the syntax, or restore the previous version: free-coding-models rollback --target ${file === paths.openclawModels ? 'openclaw-models' : tool.rollback}`))
+      else checks.push(check(file, 'ok'))
+    }
+  }
+  return { section: 'Tools', checks }
+}
+
+function pathsSection({ paths }) {
+  const checks = []
+  for (const path of [paths.config, paths.dataDir, dirname(paths.opencode), dirname(paths.openclaw)]) {
+    const { ok, detail } = checkWritable(path)
+    checks.push(ok ? check(path, 'ok', detail) : check(path, 'fail', detail, `Fix the permissions: chown $USER "${path}" (or its parent directory)`))
+  }
+  return { section: 'Paths', checks }
+}
+
+async function networkSection({ config, sources, fetchImpl, timeoutMs }) {
+  // 📖 One request per host — several providers can share one (custom gateways)
+  const hosts = new Map()
+  for (const [pk, src] of Object.entries(sources)) {
+    if (!isProviderEnabled(config, pk) || typeof src.url !== 'string') continue
+    let origin
+    try { origin = new URL(src.url.replace('{account_id}', 'account')).origin } catch { continue }
+    if (!hosts.has(origin)) hosts.set(origin, { names: [], usable: false })
+    const host = hosts.get(origin)
+    host.names.push(src.name ?? pk)
+    // 📖 Only a provider you could actually use makes an unreachable host a failure
+    host.usable ||= Boolean(getApiKey(config, pk)) || src.auth === null
+  }
+  const results = await Promise.all([...hosts.keys()].map(origin => checkReachable(origin, { fetchImpl, timeoutMs })))
+
+  // 📖 Nothing answered: one line about the connection beats twenty identical ones
+  if (hosts.size > 1 && results.every(r => !r.ok)) {
+    return { section: 'Network', checks: [check(`${hosts.size} provider hosts`, 'fail', `none answered (${results[0].error})`, 'Check your connection, DNS, VPN or HTTPS_PROXY')] }
+  }
+  const checks = [...hosts.entries()].map(([origin, { names, usable }], i) => {
+    const { ok, status, error } = results[i]
+    return ok
+      ? check(names.join(', '), 'ok', `${origin} answered ${status}`)
+      : check(names.join(', '), usable ? 'fail' : 'warn', `${origin}: ${error}`, 'Check the URL, DNS, VPN or HTTPS_PROXY — or disable the provider with Space in Settings (P)')
+  })
+  return { section: 'Network', checks }
+}
+
+/**
+ * 📖 runDoctor: Run every check.
+ *
+ * @param {object} context
+ * @param {object} context.config — loaded config (loadConfig)
+ * @param {object|null} context.rawConfig — the file as parsed, before migration (null when missing)
+ * @param {object} context.sources — providers, custom ones registered
+ * @param {{ config: string, dataDir: string, opencode: string, openclaw: string, openclawModels: string }} context.paths
+ * @param {string[]} [context.customProviderErrors]
+ * @param {boolean} [context.network=true] — false skips the reachability checks
+ * @param {Record<string,string|undefined>} [context.env]
+ * @param {typeof fetch} [context.fetchImpl]
+ * @param {(name: string) => string|null} [context.findExecutableImpl]
+ * @param {number} [context.timeoutMs]
+ * @returns {Promise<Array<{ section: string, checks: Array<{ name: string, status: string, detail: string|null, fix: string|null }> }>>}
+ */
+export async function runDoctor({
+  config, rawConfig, sources, paths, customProviderErrors = [], network = true,
+  env = process.env, fetchImpl = fetch, findExecutableImpl = findExecutable, timeoutMs = DOCTOR_TIMEOUT_MS,
+}) {
+  const report = [
+    configSection({ config, rawConfig, configPath: paths.config, customProviderErrors, providerKeys: Object.keys(sources) }),
+    keysSection({ config, sources, env }),
+    toolsSection({ paths, findExecutableImpl }),
+    pathsSection({ paths }),
+  ]
+  if (network) report.push(await networkSection({ config, sources, fetchImpl, timeoutMs }))
+  return report
+}
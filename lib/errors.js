@@ -0,0 +1,168 @@
+/**
+ * @file lib/errors.js
+ * @description Turn failed pings into a structured, human-readable reason.
+ *
+ * 📖 ping() used to keep only the HTTP status, plus '000' for timeouts and 'ERR' for every
+ *    network failure. That hides what to do next: a DNS failure, a revoked key and a model
+ *    that was removed upstream all looked the same. This module classifies a failure into
+ *    one kind, and each kind has a short label for the Health column and a suggested action:
+ *
+ *      kind          label        action         triggers
+ *      ─────────────────────────────────────────────────────────────────────────────────────
+ *      dns           DNS fail     check-network  ENOTFOUND / EAI_AGAIN
+ *      tls           TLS error    check-network  certificate / SSL errors
+ *      refused       refused      check-network  ECONNREFUSED / ECONNRESET / EHOSTUNREACH
+ *      network       network      check-network  any other fetch failure
+ *      timeout       timeout      wait           abort or connect timeout
+ *      auth          bad key      fix-key        401 / 403, or an "invalid api key" body
+ *      not_found     no model     drop-model     404, or a "model not found" body
+ *      quota         no quota     wait           402, or 429 with "insufficient_quota" / credits body
+ *      rate_limit    rate limit   wait           429
+ *      bad_request   bad request  drop-model     400 / 422 (model rejects a plain chat request)
+ *      outage        outage       wait           5xx
+ *      malformed     malformed    wait           2xx whose body is not JSON
+ *      http          HTTP nnn     wait           any other status
+ *
+ * 📖 Providers put the real reason in very different JSON shapes — { error: { message, code,
+ *    type } }, { error: "..." }, { message }, { detail } (NVIDIA), [{ error: … }] (Google) —
+ *    extractErrorMessage reads all of them, and the text can override the status-based kind
+ *    (e.g. OpenAI-style 429 "insufficient_quota" is a spent quota, not a rate limit).
+ *
+ * @functions
+ *   → extractErrorMessage(body) — JSON or text error body → provider message (or null)
+ *   → classifyNetworkError(err) — fetch() rejection → error info
+ *   → classifyHttpError(status, body) — Non-2xx status + body → error info
+ *   → classifyResponseBody(body) — 2xx body → null when it is JSON, malformed otherwise
+ *   → describeError(kind, detail) — Build { kind, label, action, detail } for a kind
+ *
+ * @exports ERROR_KINDS, extractErrorMessage, classifyNetworkError, classifyHttpError
+ * @exports classifyResponseBody, describeError
+ *
+ * @see bin/free-coding-models.js — ping() attaches the result, the Health column shows the label
+ */
+
+// 📖 label = Health column text (≤ 11 chars so "🚫 404 no model" fits), action = what the user should do
+export const ERROR_KINDS = {
+  dns:         { label: 'DNS fail',    action: 'check-network' },
+  tls:         { label: 'TLS error',   action: 'check-network' },
+  refused:     { label: 'refused',     action: 'check-network' },
+  network:     { label: 'network',     action: 'check-network' },
+  timeout:     { label: 'timeout',     action: 'wait' },
+  auth:        { label: 'bad key',     action: 'fix-key' },
+  not_found:   { label: 'no model',    action: 'drop-model' },
+  quota:       { label: 'no quota',    action: 'wait' },
+  rate_limit:  { label: 'rate limit',  action: 'wait' },
+  bad_request: { label: 'bad request', action: 'drop-model' },
+  outage:      { label: 'outage',      action: 'wait' },
+  malformed:   { label: 'malformed',   action: 'wait' },
+  http:        { label: 'HTTP error',  action: 'wait' },
+}
+
+// 📖 Provider messages can be long (stack traces, HTML pages) — keep enough to be useful
+const MAX_DETAIL_LENGTH = 200
+
+const DNS_CODES = new Set(['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME', 'EAI_FAIL'])
+const REFUSED_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'UND_ERR_SOCKET'])
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'])
+const TLS_CODE_RE = /^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_|HOSTNAME_MISMATCH)/
+
+// 📖 Body text patterns that say more than the status code does
+const QUOTA_RE = /insufficient[_ ]quota|quota (exceeded|exhausted)|exceeded your (current )?quota|out of credits|insufficient (credits|balance|funds)|payment required|billing/i
+const NOT_FOUND_RE = /model[^.]{0,80}(not found|does not exist|not exist|unknown|not available|not supported|no longer)|(unknown|invalid) model|no such model|model_not_found/i
+const AUTH_RE = /invalid[_ ]api[_ ]key|incorrect api key|api key (is )?(invalid|expired|revoked)|unauthori[sz]ed|invalid (token|credentials|authentication)/i
+
+// 📖 describeError: { kind, label, action, detail } — detail is the provider's own message, trimmed
+export function describeError(kind, detail = null) {
+  const info = ERROR_KINDS[kind] ?? ERROR_KINDS.http
+  const text = typeof detail === 'string' ? detail.replace(/\s+/g, ' ').trim() : ''
+  return {
+    kind: ERROR_KINDS[kind] ? kind : 'http',
+    label: info.label,
+    action: info.action,
+    detail: text ? text.slice(0, MAX_DETAIL_LENGTH) : null,
+  }
+}
+
+/**
+ * 📖 extractErrorMessage: Pull the human message out of an error body.
+ *
+ * @param {string|object|null} body — raw response text or already-parsed JSON
+ * @returns {string|null}
+ */
+export function extractErrorMessage(body) {
+  if (body === null || body === undefined || body === '') return null
+  let json = body
+  if (typeof body === 'string') {
+    try {
+      json = JSON.parse(body)
+    } catch {
+      // 📖 Plain text or an HTML error page — strip tags and use what's left
+      const text = body.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+      return text || null
+    }
+  }
+  if (Array.isArray(json)) return extractErrorMessage(json[0] ?? null)
+  if (typeof json === 'string') return json || null
+  if (!json || typeof json !== 'object') return null
+
+  const err = json.error
+  if (typeof err === 'string') return err
+  if (err && typeof err === 'object') {
+    const parts = [err.message, err.code, err.type, err.status].filter(v => typeof v === 'string' && v)
+    if (parts.length > 0) return [...new Set(parts)].join(' — ')
+  }
+  for (const key of ['message', 'detail', 'error_description', 'title']) {
+    if (typeof json[key] === 'string' && json[key]) return json[key]
+  }
+  return null
+}
+
+/**
+ * 📖 classifyNetworkError: fetch() rejected — read err.cause.code (undici) to tell DNS,
+ *    TLS, refused and timeout apart. AbortError is our own PING_TIMEOUT firing.
+ */
+export function classifyNetworkError(err) {
+  if (err?.name === 'AbortError' || err?.name === 'TimeoutError') return describeError('timeout')
+  const cause = err?.cause ?? err
+  const code = typeof cause?.code === 'string' ? cause.code : ''
+  const detail = cause?.message || err?.message || code || null
+  if (DNS_CODES.has(code)) return describeError('dns', detail)
+  if (TIMEOUT_CODES.has(code)) return describeError('timeout', detail)
+  if (TLS_CODE_RE.test(code) || /certificate|ssl|tls/i.test(cause?.message ?? '')) return describeError('tls', detail)
+  if (REFUSED_CODES.has(code)) return describeError('refused', detail)
+  return describeError('network', detail)
+}
+
+/**
+ * 📖 classifyHttpError: Status first, then let the body refine it.
+ *
+ * @param {number|string} status — HTTP status code
+ * @param {string|object|null} body — raw response text or parsed JSON
+ * @returns {{ kind: string, label: string, action: string, detail: string|null }}
+ */
+export function classifyHttpError(status, body = null) {
+  const code = Number(status)
+  const detail = extractErrorMessage(body)
+  const text = detail ?? ''
+
+  if (code === 402 || QUOTA_RE.test(text)) return describeError('quota', detail)
+  if (code === 401 || code === 403) return describeError('auth', detail)
+  if (code === 404 || NOT_FOUND_RE.test(text)) return describeError('not_found', detail)
+  if (code === 429) return describeError('rate_limit', detail)
+  if (AUTH_RE.test(text)) return describeError('auth', detail)
+  if (code === 400 || code === 422) return describeError('bad_request', detail)
+  if (code >= 500 && code <= 599) return describeError('outage', detail)
+  const error = describeError('http', detail)
+  return { ...error, label: `HTTP ${code}` }
+}
+
+// 📖 classifyResponseBody: A 2xx answer still has to be JSON to be usable by a coding tool
+export function classifyResponseBody(body) {
+  if (typeof body !== 'string') return null
+  try {
+    JSON.parse(body)
+    return null
+  } catch {
+    return describeError('malformed', body.slice(0, MAX_DETAIL_LENGTH))
+  }
+}
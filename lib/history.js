@@ -0,0 +1,188 @@
+/**
+ * @file lib/history.js
+ * @description Persistent latency history — every ping survives across sessions.
+ *
+ * 📖 Without this, each run starts with `pings: []` and getAvg/getP95/getStabilityScore
+ *    only reflect the last few minutes. The history store appends every ping to disk and
+ *    lets the main CLI seed each result with recent pings so verdicts mean something
+ *    from the very first frame.
+ *
+ * 📖 Storage layout: one JSONL file per UTC day under DATA_DIR/history/
+ *      ~/.free-coding-models/history/2026-02-14.jsonl
+ *    Each line is one ping:
+ *      {"ts":1739539200000,"providerKey":"groq","modelId":"openai/gpt-oss-120b","ms":312,"code":"200"}
+ *
+ * 📖 Retention & compaction (run once at startup by pruneHistory):
+ *   - Day files older than HISTORY_RETENTION_DAYS are deleted.
+ *   - Day files older than today are compacted: only the last HISTORY_COMPACT_PER_MODEL
+ *     pings per provider/model are kept. Today's file is never rewritten while we append to it.
+ *
+ * 📖 Every function here swallows I/O errors — history is a nice-to-have and must never
+ *    break the TUI (read-only home dirs, full disks, concurrent instances…).
+ *
+ * @functions
+ *   → historyFileForDate(date) — Path of the JSONL file for a given day
+ *   → appendHistory(entries) — Append ping entries to today's file
+ *   → readHistory(sinceTs) — Read all entries newer than sinceTs from the relevant day files
+ *   → parseHistoryLines(text) — Parse JSONL text into valid entries (skips corrupt lines)
+ *   → compactHistoryEntries(entries, maxPerModel) — Keep only the newest N entries per model
+ *   → groupRecentPings(entries, { now, maxAgeMs, maxPerModel }) — Map "providerKey/modelId" → pings[]
+ *   → pruneHistory({ now, retentionDays, maxPerModel }) — Delete expired files, compact old ones
+ *   → loadRecentPings(options) — readHistory + groupRecentPings in one call (for seeding)
+ *
+ * @exports HISTORY_DIR, HISTORY_RETENTION_DAYS, HISTORY_COMPACT_PER_MODEL, HISTORY_SEED_MAX_AGE_MS, HISTORY_SEED_PER_MODEL
+ * @exports historyFileForDate, appendHistory, readHistory, parseHistoryLines
+ * @exports compactHistoryEntries, groupRecentPings, pruneHistory, loadRecentPings
+ *
+ * @see lib/config.js — DATA_DIR and the seedHistory setting
+ * @see bin/free-coding-models.js — records pings and seeds results at startup
+ */
+
+import { appendFileSync, readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs'
+import { join } from 'path'
+import { DATA_DIR } from './config.js'
+
+export const HISTORY_DIR = join(DATA_DIR, 'history')
+
+// 📖 Keep a week of history — enough to learn which models are chronically flaky
+export const HISTORY_RETENTION_DAYS = 7
+
+// 📖 Past days are compacted down to this many pings per provider/model
+export const HISTORY_COMPACT_PER_MODEL = 50
+
+// 📖 Seeding only looks at the last 24h and caps each model so live pings still matter
+export const HISTORY_SEED_MAX_AGE_MS = 24 * 60 * 60 * 1000
+export const HISTORY_SEED_PER_MODEL = 20
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DAY_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/
+
+// 📖 historyFileForDate: UTC day bucket → file path (UTC so the bucket never shifts with DST)
+export function historyFileForDate(date = new Date()) {
+  return join(HISTORY_DIR, `${date.toISOString().slice(0, 10)}.jsonl`)
+}
+
+// 📖 appendHistory: Append one or more { ts, providerKey, modelId, ms, code } entries to today's file.
+export function appendHistory(entries) {
+  const list = Array.isArray(entries) ? entries : [entries]
+  if (list.length === 0) return
+  try {
+    mkdirSync(HISTORY_DIR, { recursive: true, mode: 0o700 })
+    const lines = list.map(e => JSON.stringify({
+      ts: e.ts ?? Date.now(),
+      providerKey: e.providerKey,
+      modelId: e.modelId,
+      ms: e.ms,
+      code: e.code,
+    })).join('\n') + '\n'
+    appendFileSync(historyFileForDate(new Date()), lines, { mode: 0o600 })
+  } catch {
+    // 📖 Silently fail — history is optional
+  }
+}
+
+// 📖 parseHistoryLines: JSONL → entries. Corrupt or partial lines (e.g. a crash mid-write) are skipped.
+export function parseHistoryLines(text) {
+  const entries = []
+  if (typeof text !== 'string') return entries
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      const e = JSON.parse(line)
+      if (e && typeof e.ts === 'number' && typeof e.providerKey === 'string' && typeof e.modelId === 'string' && typeof e.code === 'string') {
+        entries.push(e)
+      }
+    } catch { /* skip corrupt line */ }
+  }
+  return entries
+}
+
+// 📖 List day files as [{ day: 'YYYY-MM-DD', dayStart: ms, path }] sorted oldest → newest
+function listDayFiles() {
+  try {
+    if (!existsSync(HISTORY_DIR)) return []
+    return readdirSync(HISTORY_DIR)
+      .map(name => {
+        const m = name.match(DAY_FILE_RE)
+        if (!m) return null
+        return { day: m[1], dayStart: Date.parse(`${m[1]}T00:00:00Z`), path: join(HISTORY_DIR, name) }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.dayStart - b.dayStart)
+  } catch {
+    return []
+  }
+}
+
+// 📖 readHistory: All entries with ts >= sinceTs. Only opens day files that can contain them.
+export function readHistory(sinceTs = 0) {
+  const entries = []
+  for (const file of listDayFiles()) {
+    if (file.dayStart + DAY_MS <= sinceTs) continue
+    try {
+      for (const e of parseHistoryLines(readFileSync(file.path, 'utf8'))) {
+        if (e.ts >= sinceTs) entries.push(e)
+      }
+    } catch { /* unreadable file — skip */ }
+  }
+  return entries
+}
+
+// 📖 compactHistoryEntries: Keep the newest maxPerModel entries per provider/model, in time order.
+export function compactHistoryEntries(entries, maxPerModel = HISTORY_COMPACT_PER_MODEL) {
+  const byModel = new Map()
+  for (const e of [...entries].sort((a, b) => a.ts - b.ts)) {
+    const key = `${e.providerKey}/${e.modelId}`
+    if (!byModel.has(key)) byModel.set(key, [])
+    byModel.get(key).push(e)
+  }
+  const kept = []
+  for (const list of byModel.values()) kept.push(...list.slice(-maxPerModel))
+  return kept.sort((a, b) => a.ts - b.ts)
+}
+
+// 📖 groupRecentPings: Turn raw entries into ready-to-use ping arrays keyed by "providerKey/modelId"
+// 📖 (the same key format as favorites). Output pings match the live { ms, code } shape.
+export function groupRecentPings(entries, { now = Date.now(), maxAgeMs = HISTORY_SEED_MAX_AGE_MS, maxPerModel = HISTORY_SEED_PER_MODEL } = {}) {
+  const cutoff = now - maxAgeMs
+  const recent = entries.filter(e => e.ts >= cutoff && e.ts <= now)
+  const grouped = new Map()
+  for (const e of compactHistoryEntries(recent, maxPerModel)) {
+    const key = `${e.providerKey}/${e.modelId}`
+    if (!grouped.has(key)) grouped.set(key, [])
+    grouped.get(key).push({ ms: e.ms, code: e.code })
+  }
+  return grouped
+}
+
+// 📖 pruneHistory: Apply retention + compaction. Returns { deleted, compacted } file counts.
+export function pruneHistory({ now = Date.now(), retentionDays = HISTORY_RETENTION_DAYS, maxPerModel = HISTORY_COMPACT_PER_MODEL } = {}) {
+  const todayStart = Date.parse(`${new Date(now).toISOString().slice(0, 10)}T00:00:00Z`)
+  const retentionCutoff = todayStart - retentionDays * DAY_MS
+  let deleted = 0
+  let compacted = 0
+  for (const file of listDayFiles()) {
+    try {
+      if (file.dayStart < retentionCutoff) {
+        unlinkSync(file.path)
+        deleted++
+        continue
+      }
+      if (file.dayStart >= todayStart) continue
+      const entries = parseHistoryLines(readFileSync(file.path, 'utf8'))
+      const kept = compactHistoryEntries(entries, maxPerModel)
+      if (kept.length < entries.length) {
+        writeFileSync(file.path, kept.map(e => JSON.stringify(e)).join('\n') + '\n', { mode: 0o600 })
+        compacted++
+      }
+    } catch { /* leave the file alone on any error */ }
+  }
+  return { deleted, compacted }
+}
+
+// 📖 loadRecentPings: Convenience wrapper used at startup to seed results.
+export function loadRecentPings(options = {}) {
+  const now = options.now ?? Date.now()
+  const maxAgeMs = options.maxAgeMs ?? HISTORY_SEED_MAX_AGE_MS
+  return groupRecentPings(readHistory(now - maxAgeMs), { ...options, now, maxAgeMs })
+}
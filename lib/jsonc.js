@@ -0,0 +1,349 @@
+/**
+ * @file lib/jsonc.js
+ * @description Comment- and formatting-preserving JSONC / JSON5 reader and writer.
+ *
+ * 📖 opencode.json is JSONC (comments + trailing commas) and openclaw.json is JSON5. We used to
+ *    read them with JSON.parse — which fails on the first comment — and then silently carried on
+ *    with `{}`, so the next save replaced the user's real config with a near-empty one. Saving
+ *    also went through JSON.stringify, which drops every comment and reflows the whole file.
+ *
+ *    parseJsonc() reads the JSON5 syntax these tools accept:
+ *      - // line and /* block *\/ comments, trailing commas
+ *      - unquoted (identifier) keys, 'single-quoted' strings, \x / \u / line-continuation escapes
+ *      - hex numbers, leading / trailing decimal points, leading +, Infinity, NaN
+ *    and throws a JsoncParseError (code EJSONC, with line / column) on anything else.
+ *
+ *    updateJsonc(text, value) turns the old text into one that parses to `value` by editing only
+ *    what changed: changed scalars are replaced in place, removed keys lose their line, new keys
+ *    are appended after the last kept key with the file's own indentation. Comments, key order,
+ *    blank lines and quoting style of everything untouched stay exactly as they were.
+ *
+ * @functions
+ *   → parseJsonc(text) — JSONC / JSON5 text → value (throws JsoncParseError)
+ *   → updateJsonc(text, value) — Minimal text edit so `text` parses to `value`
+ *
+ * @exports JsoncParseError, parseJsonc, updateJsonc
+ *
+ * @see bin/free-coding-models.js — loadOpenCodeConfig / loadOpenClawConfig and their save paths
+ * @see lib/targets.js — the Continue and Roo Code JSON targets
+ */
+
+export class JsoncParseError extends Error {
+  constructor(message, { line, column }) {
+    super(`${message} at line ${line}, column ${column}`)
+    this.name = 'JsoncParseError'
+    this.code = 'EJSONC'
+    this.line = line
+    this.column = column
+  }
+}
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r', '\v', '\f', '\u00a0', '\ufeff', '\u2028', '\u2029'])
+const IDENTIFIER_RE = /[A-Za-z_$][\w$]*/y
+const NUMBER_RE = /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y
+const SIMPLE_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' }
+
+// ─── Parser ───────────────────────────────────────────────────────────────────
+// 📖 Builds a small syntax tree with source offsets, which updateJsonc needs to edit in place:
+// 📖   { type: 'object', start, end, value, entries: [{ key, start, end, commaEnd, node }] }
+// 📖   { type: 'array',  start, end, value, entries: [{ start, end, commaEnd, node }] }
+// 📖   { type: 'value',  start, end, value }
+// 📖 For entries, `start` is where the key (or item) begins, `end` where its value ends and
+// 📖 `commaEnd` is just past the comma that follows it (null when there is none).
+function parseTree(text) {
+  let pos = 0
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at).split('\n')
+    throw new JsoncParseError(message, { line: before.length, column: before.at(-1).length + 1 })
+  }
+
+  const skip = () => {
+    while (pos < text.length) {
+      const ch = text[pos]
+      if (WHITESPACE.has(ch)) {
+        pos++
+      } else if (ch === '/' && text[pos + 1] === '/') {
+        while (pos < text.length && text[pos] !== '\n') pos++
+      } else if (ch === '/' && text[pos + 1] === '*') {
+        const close = text.indexOf('*/', pos + 2)
+        if (close === -1) fail('Unterminated comment')
+        pos = close + 2
+      } else {
+        break
+      }
+    }
+  }
+
+  const parseString = () => {
+    const quote = text[pos]
+    const start = pos++
+    let out = ''
+    while (pos < text.length && text[pos] !== quote) {
+      const ch = text[pos]
+      if (ch === '\n') fail('Unterminated string', start)
+      if (ch !== '\\') {
+        out += ch
+        pos++
+        continue
+      }
+      const esc = text[pos + 1]
+      pos += 2
+      if (esc in SIMPLE_ESCAPES) out += SIMPLE_ESCAPES[esc]
+      else if (esc === 'x' || esc === 'u') {
+        const len = esc === 'x' ? 2 : 4
+        const hex = text.slice(pos, pos + len)
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) fail('Invalid escape sequence', pos - 2)
+        out += String.fromCharCode(parseInt(hex, 16))
+        pos += len
+      } else if (esc === '\r') {
+        // 📖 JSON5 line continuation: backslash + newline is dropped
+        if (text[pos] === '\n') pos++
+      } else if (esc !== '\n' && esc !== '\u2028' && esc !== '\u2029') {
+        if (esc === undefined) fail('Unterminated string', start)
+        out += esc
+      }
+    }
+    if (pos >= text.length) fail('Unterminated string', start)
+    pos++
+    return out
+  }
+
+  const parseContainer = (type) => {
+    const start = pos++
+    const close = type === 'object' ? '}' : ']'
+    const value = type === 'object' ? {} : []
+    const entries = []
+    skip()
+    while (text[pos] !== close) {
+      if (pos >= text.length) fail(`Unterminated ${type}`, start)
+      const entryStart = pos
+      let key
+      if (type === 'object') {
+        if (text[pos] === '"' || text[pos] === "'") {
+          key = parseString()
+        } else {
+          IDENTIFIER_RE.lastIndex = pos
+          const match = IDENTIFIER_RE.exec(text)
+          if (!match) fail('Expected a property name')
+          key = match[0]
+          pos += key.length
+        }
+        skip()
+        if (text[pos] !== ':') fail("Expected ':' after property name")
+        pos++
+        skip()
+      }
+      const node = parseValue()
+      const entry = { key, start: entryStart, end: node.end, commaEnd: null, node }
+      entries.push(entry)
+      // 📖 defineProperty so a "__proto__" key is an own property, like JSON.parse does
+      if (type === 'object') Object.defineProperty(value, key, { value: node.value, enumerable: true, writable: true, configurable: true })
+      else value.push(node.value)
+      skip()
+      if (text[pos] === ',') {
+        entry.commaEnd = ++pos
+        skip()
+      } else if (text[pos] !== close) {
+        fail(pos >= text.length ? `Unterminated ${type}` : `Expected ',' or '${close}'`)
+      }
+    }
+    pos++
+    return { type, start, end: pos, value, entries }
+  }
+
+  const parseValue = () => {
+    const ch = text[pos]
+    const start = pos
+    if (ch === '{') return parseContainer('object')
+    if (ch === '[') return parseContainer('array')
+    if (ch === '"' || ch === "'") {
+      const value = parseString()
+      return { type: 'value', start, end: pos, value }
+    }
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(word, pos)) {
+        pos += word.length
+        return { type: 'value', start, end: pos, value }
+      }
+    }
+    NUMBER_RE.lastIndex = pos
+    const match = NUMBER_RE.exec(text)
+    if (match) {
+      pos += match[0].length
+      const raw = match[0]
+      const sign = raw[0] === '-' ? -1 : 1
+      const body = raw.replace(/^[+-]/, '')
+      const value = body === 'Infinity' ? sign * Infinity : body === 'NaN' ? NaN : sign * Number(body)
+      return { type: 'value', start, end: pos, value }
+    }
+    fail(pos >= text.length ? 'Unexpected end of input' : `Unexpected character '${ch}'`)
+  }
+
+  skip()
+  if (pos >= text.length) fail('Empty document')
+  const root = parseValue()
+  skip()
+  if (pos < text.length) fail('Unexpected content after the value')
+  return root
+}
+
+/**
+ * 📖 parseJsonc: JSON.parse for JSONC / JSON5 text.
+ *
+ * @param {string} text
+ * @returns {any}
+ * @throws {JsoncParseError} with line / column of the first problem
+ */
+export function parseJsonc(text) {
+  return parseTree(text).value
+}
+
+// ─── Writer ───────────────────────────────────────────────────────────────────
+function isEqual(a, b) {
+  if (a === b) return true
+  if (typeof a === 'number' && typeof b === 'number') return Number.isNaN(a) && Number.isNaN(b)
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  return keysA.length === keysB.length && keysA.every(k => Object.hasOwn(b, k) && isEqual(a[k], b[k]))
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+
+// 📖 Indentation unit of the file: the first indented line, two spaces when there is none
+function detectIndent(text) {
+  const match = text.match(/^([ \t]+)\S/m)
+  return match ? match[1] : '  '
+}
+
+function lineStartOf(text, pos) {
+  return text.lastIndexOf('\n', pos - 1) + 1
+}
+
+// 📖 Whitespace at the start of the line that contains pos
+function lineIndentOf(text, pos) {
+  const start = lineStartOf(text, pos)
+  return text.slice(start).match(/^[ \t]*/)[0]
+}
+
+function createEditor(text) {
+  const indentUnit = detectIndent(text)
+  const eol = text.includes('\r\n') ? '\r\n' : '\n'
+  const edits = []
+
+  const serialize = (value, baseIndent) => JSON.stringify(value, null, indentUnit).split('\n').join(eol + baseIndent)
+
+  // 📖 Start of a removed entry: its whole line when only indentation precedes it
+  const removalStart = (pos) => {
+    const lineStart = lineStartOf(text, pos)
+    return /^[ \t]*$/.test(text.slice(lineStart, pos)) ? lineStart : pos
+  }
+
+  // 📖 End of a removed entry that is followed by another one: past its comma, trailing spaces,
+  // 📖 a trailing // comment and the newline — unless the next entry starts on the same line
+  const removalEnd = (entry, fromLineStart) => {
+    let pos = entry.commaEnd
+    while (text[pos] === ' ' || text[pos] === '\t') pos++
+    if (text.startsWith('//', pos)) while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++
+    if (fromLineStart && text[pos] === '\r') pos++
+    if (fromLineStart && text[pos] === '\n') pos++
+    return pos
+  }
+
+  // 📖 A trailing // comment after the last removed entry goes with it
+  const tailEnd = (entry) => {
+    let pos = entry.commaEnd ?? entry.end
+    let probe = pos
+    while (text[probe] === ' ' || text[probe] === '\t') probe++
+    if (text.startsWith('//', probe)) {
+      while (probe < text.length && text[probe] !== '\n' && text[probe] !== '\r') probe++
+      pos = probe
+    }
+    return pos
+  }
+
+  const replace = (node, value) => {
+    edits.push({ start: node.start, end: node.end, text: serialize(value, lineIndentOf(text, node.start)) })
+  }
+
+  const update = (node, value) => {
+    if (isEqual(node.value, value)) return
+    const sameShape = (node.type === 'object' && isPlainObject(value)) || (node.type === 'array' && Array.isArray(value))
+    if (!sameShape) return replace(node, value)
+
+    // 📖 Pair old entries with new values: by key for objects, by position for arrays
+    const isObject = node.type === 'object'
+    const lastByKey = new Map()
+    if (isObject) node.entries.forEach((entry, i) => lastByKey.set(entry.key, i))
+    const keep = node.entries.map((entry, i) => isObject
+      ? Object.hasOwn(value, entry.key) && lastByKey.get(entry.key) === i
+      : i < value.length)
+    const added = isObject
+      ? Object.keys(value).filter(k => !lastByKey.has(k)).map(k => [k, value[k]])
+      : value.slice(node.entries.length).map(v => [null, v])
+
+    const lastKept = keep.lastIndexOf(true)
+    if (lastKept === -1) {
+      // 📖 Nothing survives — rewrite the container (comments inside it can't be placed anyway)
+      return replace(node, value)
+    }
+
+    node.entries.forEach((entry, i) => {
+      if (keep[i]) update(entry.node, isObject ? value[entry.key] : value[i])
+    })
+
+    // 📖 Removed entries before the last kept one take their own line (and comma) with them
+    for (let i = 0; i < lastKept; i++) {
+      if (keep[i]) continue
+      const entry = node.entries[i]
+      const start = removalStart(entry.start)
+      edits.push({ start, end: removalEnd(entry, start !== entry.start), text: '' })
+    }
+    // 📖 Removed entries after it: cut from the end of the last kept value (its comma included)
+    const anchor = node.entries[lastKept]
+    const hasTail = lastKept < node.entries.length - 1
+    if (hasTail) edits.push({ start: anchor.end, end: tailEnd(node.entries.at(-1)), text: '' })
+
+    if (added.length > 0) {
+      const multiline = text.slice(node.start, anchor.start).includes('\n')
+      const indent = multiline ? lineIndentOf(text, anchor.start) : ''
+      const sep = multiline ? eol + indent : ' '
+      const items = added.map(([key, v]) => (isObject ? `${JSON.stringify(key)}: ` : '') + (multiline ? serialize(v, indent) : JSON.stringify(v)))
+      // 📖 Keep a trailing-comma style if the last entry already had one
+      if (!hasTail && anchor.commaEnd !== null) {
+        edits.push({ start: anchor.commaEnd, end: anchor.commaEnd, text: sep + items.join(',' + sep) + ',' })
+      } else {
+        edits.push({ start: anchor.end, end: anchor.end, text: ',' + sep + items.join(',' + sep) })
+      }
+    }
+  }
+
+  const apply = () => {
+    // 📖 Back to front so earlier offsets stay valid; at the same offset, removals before inserts
+    const sorted = [...edits].sort((a, b) => b.start - a.start || b.end - a.end)
+    let out = text
+    for (const edit of sorted) out = out.slice(0, edit.start) + edit.text + out.slice(edit.end)
+    return out
+  }
+
+  return { update, apply }
+}
+
+/**
+ * 📖 updateJsonc: Rewrite `text` so it parses to `value`, touching only what changed.
+ * 📖 Blank text gets plain 2-space JSON. Keys whose value is undefined are dropped (like JSON.stringify).
+ *
+ * @param {string} text — current file content ('' for a new file)
+ * @param {any} value — the desired content
+ * @returns {string}
+ * @throws {JsoncParseError} when `text` isn't valid JSONC / JSON5 — never guess over a broken file
+ */
+export function updateJsonc(text, value) {
+  const next = JSON.parse(JSON.stringify(value))
+  if (!text || !text.trim()) return JSON.stringify(next, null, 2)
+  const root = parseTree(text)
+  const editor = createEditor(text)
+  editor.update(root, next)
+  return editor.apply()
+}
@@ -0,0 +1,157 @@
+/**
+ * @file lib/openclaw.js
+ * @description OpenClaw config generation for every provider (not just NVIDIA NIM).
+ *
+ * 📖 OpenClaw talks to any OpenAI-compatible endpoint through a `models.providers.<key>` block
+ *    with `api: "openai-completions"` — it appends `/chat/completions` to `baseUrl` itself.
+ *    Picking a model therefore needs four things, all derived from `sources[providerKey]`:
+ *
+ *      models.providers.<key>      { baseUrl, api, apiKey: "${<PROVIDER>_API_KEY}", models: [] }
+ *      env.<PROVIDER>_API_KEY      the key, only when it isn't set already
+ *      agents.defaults.model       { primary: "<key>/<model id>" }
+ *      agents.defaults.models      allowlist entry "<key>/<model id>": {} — without it OpenClaw
+ *                                  rejects the model with "not allowed"
+ *
+ * 📖 ZAI: our catalog stores ZAI models as "zai/glm-…" but the API expects "glm-…", and the
+ *    coding plan lives under /api/coding/paas/v4 rather than /v1. OpenCode needs a local proxy
+ *    to rewrite /v1/* for it; OpenClaw takes the real base URL directly, so the rewrite is done
+ *    here once: baseUrl = https://api.z.ai/api/coding/paas/v4 and the "zai/" prefix is dropped.
+ *
+ * 📖 NVIDIA keeps its historical block shape (no apiKey field — OpenClaw's built-in NVIDIA
+ *    provider reads NVIDIA_API_KEY from env).
+ *
+ * @functions
+ *   → openClawModelId(providerKey, modelId) — Model id as the provider's API expects it
+ *   → openClawModelRef(providerKey, modelId) — "<provider>/<model id>" used by OpenClaw
+ *   → openClawProviderBlock(providerKey, options) — New models.providers.<key> block
+ *   → openClawModelEntry(model) — models.json / provider `models[]` entry for one catalog model
+ *   → addOpenClawCatalog(block, providerKey, catalog) — Append missing catalog models to a provider block
+ *   → applyOpenClawModel(config, options) — Set provider block, key, primary model and allowlist
+ *
+ * @exports OPENCLAW_API, openClawModelId, openClawModelRef, openClawProviderBlock
+ * @exports openClawModelEntry, addOpenClawCatalog, applyOpenClawModel
+ *
+ * @see bin/free-coding-models.js — startOpenClaw() builds the options from sources / config
+ * @see patch-openclaw-models.js — fills models.json with the selected provider's catalog
+ */
+
+import { parseCtxToK } from './utils.js'
+
+export const OPENCLAW_API = 'openai-completions'
+
+// 📖 Output token caps per tier, kept from the original NVIDIA-only patcher
+const MAX_TOKENS_BY_TIER = { 'S+': 8192, S: 8192, 'A+': 4096, A: 4096, 'A-': 4096 }
+const DEFAULT_MAX_TOKENS = 2048
+const DEFAULT_CONTEXT_WINDOW = 32768
+
+export function openClawModelId(providerKey, modelId) {
+  return providerKey === 'zai' ? modelId.replace(/^zai\//, '') : modelId
+}
+
+export function openClawModelRef(providerKey, modelId) {
+  return `${providerKey}/${openClawModelId(providerKey, modelId)}`
+}
+
+/**
+ * 📖 openClawProviderBlock: Provider block for a provider that isn't in the config yet.
+ *
+ * @param {string} providerKey
+ * @param {{ baseUrl: string, envVar: string }} options — baseUrl without /chat/completions
+ * @returns {{ baseUrl: string, api: string, apiKey?: string, models: object[] }}
+ */
+export function openClawProviderBlock(providerKey, { baseUrl, envVar }) {
+  if (providerKey === 'nvidia') return { baseUrl, api: OPENCLAW_API, models: [] }
+  // 📖 OpenClaw substitutes ${VAR} from its env section / the process env — the key itself stays in env
+  return { baseUrl, api: OPENCLAW_API, apiKey: `\${${envVar}}`, models: [] }
+}
+
+/**
+ * 📖 openClawModelEntry: One catalog model as OpenClaw lists it. All free — cost is zero.
+ *
+ * @param {{ providerKey: string, modelId: string, label: string, tier?: string, ctx?: string }} model
+ * @returns {object}
+ */
+export function openClawModelEntry({ providerKey, modelId, label, tier, ctx }) {
+  const ctxK = parseCtxToK(ctx)
+  return {
+    id: openClawModelId(providerKey, modelId),
+    name: label,
+    contextWindow: ctxK > 0 ? Math.round(ctxK * 1000) : DEFAULT_CONTEXT_WINDOW,
+    maxTokens: MAX_TOKENS_BY_TIER[tier] ?? DEFAULT_MAX_TOKENS,
+    reasoning: /thinking|reason|-r1\b/i.test(modelId),
+    input: ['text'],
+    cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+  }
+}
+
+/**
+ * 📖 addOpenClawCatalog: Allowlist a whole provider catalog (sources.js tuples) in one block.
+ * 📖 Models already listed are left alone, whatever the user changed in them.
+ *
+ * @param {{ models?: object[] }} block — models.providers.<key>
+ * @param {string} providerKey
+ * @param {Array<[string, string, string, string, string]>} catalog — [modelId, label, tier, swe, ctx]
+ * @returns {number} models added
+ */
+export function addOpenClawCatalog(block, providerKey, catalog) {
+  if (!Array.isArray(block.models)) block.models = []
+  const existing = new Set(block.models.map(m => m?.id))
+  let added = 0
+  for (const [modelId, label, tier, , ctx] of catalog) {
+    const entry = openClawModelEntry({ providerKey, modelId, label, tier, ctx })
+    if (existing.has(entry.id)) continue
+    block.models.push(entry)
+    existing.add(entry.id)
+    added++
+  }
+  return added
+}
+
+/**
+ * 📖 applyOpenClawModel: Make `config` (openclaw.json) use one model. Mutates and returns a summary.
+ * 📖 An existing provider block keeps the user's settings — only a missing `models` array is
+ *    added, and ZAI's baseUrl is corrected when it still points at a /v1 path that can't work.
+ *
+ * @param {object} config — parsed openclaw.json
+ * @param {{ providerKey: string, modelId: string, label: string, tier?: string, ctx?: string,
+ *           baseUrl: string, envVar: string, apiKey?: string|null }} options
+ * @returns {{ ref: string, addedProvider: boolean, storedKey: boolean, addedModel: boolean }}
+ */
+export function applyOpenClawModel(config, options) {
+  const { providerKey, baseUrl, envVar, apiKey } = options
+  const ref = openClawModelRef(providerKey, options.modelId)
+
+  // 📖 Providers MUST live under models.providers — a root-level "providers" key is ignored
+  config.models ??= {}
+  config.models.providers ??= {}
+  const providers = config.models.providers
+  const addedProvider = !providers[providerKey]
+  if (addedProvider) providers[providerKey] = openClawProviderBlock(providerKey, { baseUrl, envVar })
+  const block = providers[providerKey]
+  if (!Array.isArray(block.models)) block.models = []
+  if (providerKey === 'zai' && block.baseUrl !== baseUrl && /\/v1\/?$/.test(block.baseUrl ?? '')) block.baseUrl = baseUrl
+
+  // 📖 Register the model on the provider so OpenClaw knows its limits
+  const entry = openClawModelEntry(options)
+  const addedModel = !block.models.some(m => m?.id === entry.id)
+  if (addedModel) block.models.push(entry)
+
+  // 📖 The key goes to the root env section, never over a key the user already set
+  let storedKey = false
+  if (apiKey) {
+    config.env ??= {}
+    if (!config.env[envVar]) {
+      config.env[envVar] = apiKey
+      storedKey = true
+    }
+  }
+
+  config.agents ??= {}
+  config.agents.defaults ??= {}
+  config.agents.defaults.model ??= {}
+  config.agents.defaults.model.primary = ref
+  config.agents.defaults.models ??= {}
+  config.agents.defaults.models[ref] ??= {}
+
+  return { ref, addedProvider, storedKey, addedModel }
+}
@@ -0,0 +1,195 @@
+/**
+ * @file lib/profile-share.js
+ * @description Portable profile files for `profile export` / `profile import` — no keys inside.
+ *
+ * 📖 A team lead exports the "team" profile once and publishes the file (repo, gist, intranet):
+ *
+ *      {
+ *        "format": "free-coding-models-profile",
+ *        "version": 1,
+ *        "name": "team",
+ *        "exportedAt": "2026-10-19T09:00:00.000Z",
+ *        "providers": { "openrouter": { "enabled": false } },
+ *        "favorites": ["groq/llama-3.3-70b-versatile"],
+ *        "settings": { "tierFilter": "S", "sortColumn": "avg", … },
+ *        "apiKeys": { "groq": "env:GROQ_API_KEY" }
+ *      }
+ *
+ * 📖 Keys never leave the machine. Every provider that has a key in the profile is exported as
+ *    an `env:` reference to its usual env var (or dropped entirely with stripKeys), whether the
+ *    key was plain text or a vault / pass / 1Password reference — those point at the exporter's
+ *    own stores. On import only `env:` references are accepted: a `cmd:` reference in a
+ *    downloaded file would run an arbitrary command. An `env:` name the provider doesn't
+ *    normally read (groq → env:AWS_SECRET_ACCESS_KEY) is reported in `unusualEnv` — that
+ *    variable would be sent to the provider with every ping, so the caller must ask first.
+ *
+ * 📖 A profile that extends another is exported with its inherited values folded in — the
+ *    parent doesn't travel with the file.
+ *
+ * 📖 Importing merges by default — the file's providers and settings win, its favorites are
+ *    added after yours — or replaces providers / favorites / settings outright. Your own keys
+ *    in that profile are kept either way; references only fill providers you have no key for.
+ *
+ * 📖 A profile that extends another stays partial: only the file's values that differ from
+ *    what it inherits are stored (no defaults, no copy of the parent's favorites), and a key
+ *    reference is skipped when the parent chain already has a key for that provider.
+ *
+ * @functions
+ *   → exportProfile(config, name, options) — Portable document for a saved profile (null if unknown)
+ *   → parseProfileFile(text) — File content → { name, profile, errors, unusualEnv } (throws when it isn't a profile file)
+ *   → mergeImportedProfile(existing, incoming, options) — The profile an import would save
+ *
+ * @exports PROFILE_FILE_FORMAT, PROFILE_FILE_VERSION
+ * @exports exportProfile, parseProfileFile, mergeImportedProfile
+ *
+ * @see lib/config.js — profiles live in config.profiles (saveAsProfile / loadProfile)
+ * @see bin/free-coding-models.js — `profile` command (preview + confirmation, URL download)
+ */
+
+import { parseJsonc } from './jsonc.js'
+import { getProviderEnvVar, getProviderEnvVars, resolveProfile, _emptyProfileSettings } from './config.js'
+import { parseSecretRef, SECRET_BACKENDS } from './secrets.js'
+import { isValidSetting } from './config-schema.js'
+
+export const PROFILE_FILE_FORMAT = 'free-coding-models-profile'
+export const PROFILE_FILE_VERSION = 1
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * 📖 exportProfile: Serialize a saved profile without its keys.
+ *
+ * @param {object} config
+ * @param {string} name — profile to export
+ * @param {{ stripKeys?: boolean, now?: Date }} [options] — stripKeys: no apiKeys section at all
+ * @returns {object|null} the document, null when the profile doesn't exist
+ */
+export function exportProfile(config, name, { stripKeys = false, now = new Date() } = {}) {
+  const profile = resolveProfile(config, name)
+  if (!profile) return null
+  const doc = {
+    format: PROFILE_FILE_FORMAT,
+    version: PROFILE_FILE_VERSION,
+    name,
+    exportedAt: now.toISOString(),
+    providers: profile.providers,
+    favorites: profile.favorites,
+    settings: profile.settings,
+  }
+  if (!stripKeys) {
+    const apiKeys = {}
+    for (const [pk, value] of Object.entries(profile.apiKeys)) {
+      if (!value) continue
+      // 📖 An env reference is already shareable; anything else becomes the provider's usual env var
+      apiKeys[pk] = parseSecretRef(value)?.backend === 'env' ? value : `${SECRET_BACKENDS.env}${getProviderEnvVar(pk)}`
+    }
+    doc.apiKeys = apiKeys
+  }
+  return doc
+}
+
+/**
+ * 📖 parseProfileFile: Read an exported profile. Bad entries are skipped and reported in
+ *    `errors`; a file that isn't a profile export at all throws. References to env vars the
+ *    provider doesn't use are kept but listed in `unusualEnv`.
+ *
+ * @param {string} text — JSON / JSONC content
+ * @returns {{ name: string|null, profile: { apiKeys: object, providers: object, favorites: string[], settings: object }, errors: string[],
+ *             unusualEnv: Array<{ providerKey: string, name: string, expected: string[] }> }}
+ */
+export function parseProfileFile(text) {
+  const raw = parseJsonc(text)
+  if (!isObject(raw) || raw.format !== PROFILE_FILE_FORMAT) {
+    throw new Error(`not a free-coding-models profile (expected "format": "${PROFILE_FILE_FORMAT}")`)
+  }
+  if (!Number.isInteger(raw.version) || raw.version > PROFILE_FILE_VERSION) {
+    throw new Error(`profile file version ${raw.version} is not supported — update free-coding-models`)
+  }
+
+  const errors = []
+  const profile = { apiKeys: {}, providers: {}, favorites: [], settings: {} }
+  for (const [pk, value] of Object.entries(isObject(raw.providers) ? raw.providers : {})) {
+    if (isObject(value) && typeof value.enabled === 'boolean') profile.providers[pk] = { enabled: value.enabled }
+    else errors.push(`providers.${pk} must be { "enabled": true|false } — skipped`)
+  }
+  for (const fav of Array.isArray(raw.favorites) ? raw.favorites : []) {
+    if (typeof fav === 'string' && fav.includes('/')) profile.favorites.push(fav)
+    else errors.push(`favorite ${JSON.stringify(fav)} is not "provider/model" — skipped`)
+  }
+  for (const [key, value] of Object.entries(isObject(raw.settings) ? raw.settings : {})) {
+    if (isValidSetting(key, value)) profile.settings[key] = value
+    else errors.push(`settings.${key} = ${JSON.stringify(value)} is not valid — skipped`)
+  }
+  const unusualEnv = []
+  for (const [pk, value] of Object.entries(isObject(raw.apiKeys) ? raw.apiKeys : {})) {
+    const ref = parseSecretRef(value)
+    if (ref?.backend !== 'env') {
+      errors.push(`apiKeys.${pk} is not an env: reference — skipped (shared profiles never carry keys or commands)`)
+      continue
+    }
+    profile.apiKeys[pk] = value
+    const expected = getProviderEnvVars(pk)
+    if (!expected.includes(ref.name)) unusualEnv.push({ providerKey: pk, name: ref.name, expected })
+  }
+  const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : null
+  return { name, profile, errors, unusualEnv }
+}
+
+/**
+ * 📖 mergeImportedProfile: What `profile import` saves.
+ *
+ * @param {object|null} existing — the profile of the same name, if any
+ * @param {{ apiKeys: object, providers: object, favorites: string[], settings: object }} incoming — from parseProfileFile
+ * @param {{ replace?: boolean, inherited?: object|null }} [options] — replace: drop existing providers / favorites /
+ *        settings; inherited: resolveProfile() of the parent when `existing` extends one
+ * @returns {{ apiKeys: object, providers: object, favorites: string[], settings: object }} — partial when `existing` is
+ */
+export function mergeImportedProfile(existing, incoming, { replace = false, inherited = null } = {}) {
+  const own = isObject(existing) ? structuredClone(existing) : {}
+  if (typeof own.extends === 'string' && isObject(inherited)) return mergeIntoPartialProfile(own, incoming, inherited, replace)
+  const keep = replace ? {} : own
+  const ownKeys = Object.fromEntries(Object.entries(isObject(own.apiKeys) ? own.apiKeys : {}).filter(([, v]) => v))
+  const favorites = Array.isArray(keep.favorites) ? [...keep.favorites] : []
+  for (const fav of incoming.favorites) if (!favorites.includes(fav)) favorites.push(fav)
+  return {
+    ...keep,
+    apiKeys: { ...incoming.apiKeys, ...ownKeys },
+    providers: { ...(isObject(keep.providers) ? keep.providers : {}), ...incoming.providers },
+    favorites,
+    settings: { ..._emptyProfileSettings(), ...(isObject(keep.settings) ? keep.settings : {}), ...incoming.settings },
+  }
+}
+
+// 📖 mergeImportedProfile for a profile that extends another: a value equal to the inherited one
+// 📖 isn't stored (an override of it is dropped instead), so the profile keeps following its parent
+function mergeIntoPartialProfile(own, incoming, inherited, replace) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+  const { apiKeys: ownKeys, ...rest } = own
+  const next = replace ? { extends: own.extends } : rest
+
+  const apiKeys = isObject(ownKeys) ? { ...ownKeys } : {}
+  for (const [pk, ref] of Object.entries(incoming.apiKeys)) {
+    const effective = pk in apiKeys ? apiKeys[pk] : inherited.apiKeys[pk]
+    if (!effective) apiKeys[pk] = ref
+  }
+  if (Object.keys(apiKeys).length > 0) next.apiKeys = apiKeys
+
+  const overrides = (section, incomingValues, fallback) => {
+    const merged = isObject(next[section]) ? { ...next[section] } : {}
+    for (const [key, value] of Object.entries(incomingValues)) {
+      if (same(value, inherited[section][key] ?? fallback)) delete merged[key]
+      else merged[key] = value
+    }
+    if (Object.keys(merged).length > 0) next[section] = merged
+    else delete next[section]
+  }
+  overrides('providers', incoming.providers, { enabled: true })
+  overrides('settings', incoming.settings, undefined)
+
+  const favorites = Array.isArray(next.favorites) ? [...next.favorites] : [...inherited.favorites]
+  for (const fav of incoming.favorites) if (!favorites.includes(fav)) favorites.push(fav)
+  const wanted = replace ? incoming.favorites : favorites
+  if (!same(wanted, inherited.favorites)) next.favorites = wanted
+  else delete next.favorites
+  return next
+}
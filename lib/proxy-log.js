@@ -0,0 +1,194 @@
+/**
+ * @file lib/proxy-log.js
+ * @description Opt-in traffic log of the tool-call repair proxy, read back by `replay`.
+ *
+ * 📖 When a coding agent breaks behind the repair proxy, the interesting part is exactly what
+ *    went over the wire: the request the agent sent, what the provider answered and what the
+ *    proxy turned it into. With `--proxy-log` (or `"repairProxy": { "log": true }` in the
+ *    config) every proxied request becomes one JSONL line, one file per UTC day:
+ *
+ *      ~/.free-coding-models/proxy-log/2026-10-19.jsonl
+ *      {"id":"mgx3k2a1-9f3c","ts":…,"providerKey":"zai","method":"POST","path":"/v1/chat/completions",
+ *       "upstream":"https://api.z.ai/api/coding/paas/v4/chat/completions","requestHeaders":{…},
+ *       "requestBody":{…},"requestBodyOmitted":null,"status":200,"durationMs":5123,"stream":true,
+ *       "response":"data: …","repairedResponse":"data: …","error":null}
+ *
+ *    `repairedResponse` is only stored when the bytes the proxy sent differ from the upstream's.
+ *    Responses longer than MAX_LOGGED_BODY are cut (`truncated: true`) so one runaway answer
+ *    can't fill the disk. A request that long isn't stored at all — half a request can't be
+ *    replayed — and `requestBodyOmitted` says why instead.
+ *
+ * 📖 Keys never reach the file: auth headers are replaced by REDACTED and every known key
+ *    (the proxy's own key, whatever the client sent) is blanked out of all strings, bodies
+ *    included. Files are 0600 in a 0700 directory anyway, like the history.
+ *
+ * 📖 Like history, every function swallows I/O errors — logging must never break a session.
+ *
+ * @functions
+ *   → proxyLogFileForDate(date, dir) — Path of the JSONL file for a given day
+ *   → newProxyLogId(now) — Short sortable id for one entry
+ *   → redactHeaders(headers, extraNames) — Copy with auth headers replaced by REDACTED
+ *   → redactSecrets(value, secrets) — Deep copy with every secret string blanked out
+ *   → truncateBody(text, max) — { text, truncated } capped at max characters
+ *   → appendProxyLog(entry, options) — Redact + append one entry to today's file
+ *   → parseProxyLogLines(text) — JSONL → entries (corrupt lines skipped)
+ *   → readProxyLog(options) — Every entry, oldest first
+ *   → findProxyLogEntry(ref, options) — 'last' / id / id prefix → entry (null when unknown)
+ *   → pruneProxyLog(options) — Delete day files older than the retention
+ *
+ * @exports PROXY_LOG_DIR, PROXY_LOG_RETENTION_DAYS, MAX_LOGGED_BODY, REDACTED
+ * @exports proxyLogFileForDate, newProxyLogId, redactHeaders, redactSecrets, truncateBody
+ * @exports appendProxyLog, parseProxyLogLines, readProxyLog, findProxyLogEntry, pruneProxyLog
+ *
+ * @see lib/repair-proxy.js — builds the entries (createRepairProxy `log` option)
+ * @see bin/free-coding-models.js — --proxy-log and the `replay` command
+ */
+
+import { appendFileSync, readFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs'
+import { join } from 'path'
+import { randomBytes } from 'crypto'
+import { DATA_DIR } from './config.js'
+
+export const PROXY_LOG_DIR = join(DATA_DIR, 'proxy-log')
+
+// 📖 A week is plenty to file a bug about last night's session
+export const PROXY_LOG_RETENTION_DAYS = 7
+
+// 📖 Per body (request, response, repaired response), in characters
+export const MAX_LOGGED_BODY = 512 * 1024
+
+export const REDACTED = '[redacted]'
+
+// 📖 Headers that carry credentials with every provider we know (custom auth headers are added by the caller)
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'x-api-key', 'api-key', 'x-goog-api-key', 'cookie']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DAY_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/
+
+export function proxyLogFileForDate(date = new Date(), dir = PROXY_LOG_DIR) {
+  return join(dir, `${date.toISOString().slice(0, 10)}.jsonl`)
+}
+
+// 📖 newProxyLogId: base36 timestamp + random suffix — sorts by time, short enough to type
+export function newProxyLogId(now = Date.now()) {
+  return `${now.toString(36)}-${randomBytes(2).toString('hex')}`
+}
+
+export function redactHeaders(headers, extraNames = []) {
+  const secret = new Set([...SECRET_HEADERS, ...extraNames.map(name => name.toLowerCase())])
+  const out = {}
+  for (const [name, value] of Object.entries(headers ?? {})) {
+    out[name] = secret.has(name.toLowerCase()) ? REDACTED : value
+  }
+  return out
+}
+
+/**
+ * 📖 redactSecrets: Blank out every occurrence of the given secrets, at any depth.
+ * 📖 Secrets shorter than 8 characters are ignored — placeholders like "x" would wreck the text.
+ *
+ * @param {*} value — entry or any part of it
+ * @param {Array<string|null|undefined>} secrets
+ * @returns {*} redacted copy
+ */
+export function redactSecrets(value, secrets = []) {
+  const list = [...new Set(secrets.filter(s => typeof s === 'string' && s.length >= 8))]
+  if (list.length === 0) return value
+  const walk = (v) => {
+    if (typeof v === 'string') return list.reduce((text, s) => text.split(s).join(REDACTED), v)
+    if (Array.isArray(v)) return v.map(walk)
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]))
+    return v
+  }
+  return walk(value)
+}
+
+// 📖 truncateBody: The one cap on logged bodies — the repair proxy's recorders go through it
+export function truncateBody(text, max = MAX_LOGGED_BODY) {
+  if (typeof text !== 'string' || text.length <= max) return { text, truncated: false }
+  return { text: text.slice(0, max), truncated: true }
+}
+
+/**
+ * 📖 appendProxyLog: Redact and append one entry to today's file.
+ *
+ * @param {object} entry — built by the repair proxy
+ * @param {{ dir?: string, secrets?: string[], secretHeaders?: string[], now?: Date }} [options]
+ */
+export function appendProxyLog(entry, { dir = PROXY_LOG_DIR, secrets = [], secretHeaders = [], now = new Date() } = {}) {
+  try {
+    // 📖 Whatever the client sent as a key is a secret too (OpenCode may send the real one)
+    const sent = Object.entries(entry.requestHeaders ?? {})
+      .filter(([name]) => [...SECRET_HEADERS, ...secretHeaders].includes(name.toLowerCase()))
+      .map(([, value]) => String(value).replace(/^(Bearer|Token|Basic)\s+/i, ''))
+    const safe = redactSecrets({ ...entry, requestHeaders: redactHeaders(entry.requestHeaders, secretHeaders) }, [...secrets, ...sent])
+    mkdirSync(dir, { recursive: true, mode: 0o700 })
+    appendFileSync(proxyLogFileForDate(now, dir), JSON.stringify(safe) + '\n', { mode: 0o600 })
+  } catch {
+    // 📖 Silently fail — the log is a debugging aid
+  }
+}
+
+export function parseProxyLogLines(text) {
+  const entries = []
+  if (typeof text !== 'string') return entries
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      const e = JSON.parse(line)
+      if (e && typeof e.id === 'string' && typeof e.ts === 'number') entries.push(e)
+    } catch { /* skip corrupt line */ }
+  }
+  return entries
+}
+
+// 📖 Day files as [{ dayStart, path }] oldest first
+function listDayFiles(dir) {
+  try {
+    if (!existsSync(dir)) return []
+    return readdirSync(dir)
+      .map(name => {
+        const m = name.match(DAY_FILE_RE)
+        return m ? { dayStart: Date.parse(`${m[1]}T00:00:00Z`), path: join(dir, name) } : null
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.dayStart - b.dayStart)
+  } catch {
+    return []
+  }
+}
+
+export function readProxyLog({ dir = PROXY_LOG_DIR } = {}) {
+  const entries = []
+  for (const file of listDayFiles(dir)) {
+    try {
+      entries.push(...parseProxyLogLines(readFileSync(file.path, 'utf8')))
+    } catch { /* unreadable file — skip */ }
+  }
+  return entries.sort((a, b) => a.ts - b.ts)
+}
+
+/**
+ * 📖 findProxyLogEntry: 'last' (or nothing) = newest logged chat request; otherwise an id or an
+ *    unambiguous id prefix.
+ *
+ * @param {string|null} ref
+ * @param {{ dir?: string }} [options]
+ * @returns {object|null}
+ */
+export function findProxyLogEntry(ref, { dir = PROXY_LOG_DIR } = {}) {
+  const entries = readProxyLog({ dir })
+  if (!ref || ref === 'last') return entries.filter(e => e.requestBody && typeof e.requestBody === 'object').at(-1) ?? null
+  const exact = entries.find(e => e.id === ref)
+  if (exact) return exact
+  const matches = entries.filter(e => e.id.startsWith(ref))
+  return matches.length === 1 ? matches[0] : null
+}
+
+export function pruneProxyLog({ dir = PROXY_LOG_DIR, now = Date.now(), retentionDays = PROXY_LOG_RETENTION_DAYS } = {}) {
+  const cutoff = now - retentionDays * DAY_MS
+  for (const file of listDayFiles(dir)) {
+    if (file.dayStart + DAY_MS > cutoff) continue
+    try { unlinkSync(file.path) } catch { /* already gone */ }
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * @file lib/quota.js
+ * @description Rate-limit / quota awareness from provider response headers.
+ *
+ * 📖 Free tiers are small. Every ping we send to check latency spends the same quota the
+ *    user needs for actual coding, so this module:
+ *   1. Parses the rate-limit headers providers attach to every response
+ *      (x-ratelimit-remaining-requests, x-ratelimit-reset, retry-after, …) into one shape.
+ *   2. Decides when a model should NOT be pinged right now (quotaBackoff):
+ *      - a 429 came with retry-after        → wait it out
+ *      - remaining hit 0 before the reset   → wait for the reset
+ *      - remaining below QUOTA_LOW_FRACTION → at most one ping per QUOTA_LOW_MIN_INTERVAL_MS
+ *      - a known daily cap (OpenRouter 50/day) is half spent by monitoring → stop until tomorrow (UTC)
+ *   3. Counts monitoring requests per provider per UTC day on disk, so the daily budget
+ *      survives restarts (~/.free-coding-models/quota.json).
+ *
+ * 📖 Header families handled (when several request windows are present, the tightest one wins):
+ *   - OpenAI / Groq / Cerebras: x-ratelimit-{limit,remaining,reset}-requests[-day], …-tokens
+ *   - OpenRouter & others:      x-ratelimit-{limit,remaining,reset} (reset as epoch ms or s)
+ *   - Standard:                 retry-after (seconds or HTTP date), ratelimit-{limit,remaining,reset}
+ *
+ * @functions
+ *   → parseResetValue(value, now) — "2m59.5s" / "1739539200" / "30" → epoch ms
+ *   → parseRateLimitHeaders(headers, now) — Headers or plain object → rate-limit info or null
+ *   → quotaFraction(rateLimit) — remaining / limit in [0, 1], or null when unknown
+ *   → quotaBackoff(input, now) — Should the next ping wait? → { reason, until } or null
+ *   → formatQuotaWait(ms) — Compact wait label for the Quota column ("45s", "12m", "3h")
+ *   → loadQuotaUsage(now) / recordQuotaUsage(usage, providerKey, now) — Persisted daily counters
+ *   → reserveQuotaUsage(usage, providerKey) — Count a ping as in flight until recordQuotaUsage settles it
+ *   → getQuotaUsed(usage, providerKey, now) — Today's count for a provider, in-flight pings included
+ *
+ * @exports PROVIDER_DAILY_LIMITS, MONITOR_BUDGET_SHARE, QUOTA_LOW_FRACTION, QUOTA_LOW_MIN_INTERVAL_MS, QUOTA_USAGE_PATH
+ * @exports parseResetValue, parseRateLimitHeaders, quotaFraction, quotaBackoff, formatQuotaWait
+ * @exports loadQuotaUsage, reserveQuotaUsage, recordQuotaUsage, getQuotaUsed
+ *
+ * @see bin/free-coding-models.js — ping()/pingResult() feed headers in, the Quota column reads them
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs'
+import { join, dirname } from 'path'
+import { DATA_DIR } from './config.js'
+
+export const QUOTA_USAGE_PATH = join(DATA_DIR, 'quota.json')
+
+// 📖 Daily request caps that providers don't (reliably) report in headers.
+// 📖 OpenRouter :free models share 50 requests/day per account without credits.
+export const PROVIDER_DAILY_LIMITS = {
+  openrouter: 50,
+}
+
+// 📖 Monitoring may spend at most this share of a daily cap — the rest is kept for coding
+export const MONITOR_BUDGET_SHARE = 0.5
+
+// 📖 Below 10% remaining, slow a model's pings down to one per minute
+export const QUOTA_LOW_FRACTION = 0.1
+export const QUOTA_LOW_MIN_INTERVAL_MS = 60_000
+
+// 📖 Without a retry-after, a 429 still pauses that model for a short while
+const DEFAULT_429_BACKOFF_MS = 30_000
+
+// 📖 Go-style durations used by OpenAI/Groq: "6m0s", "2m59.56s", "1.5s", "250ms", "1h2m"
+const DURATION_RE = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/
+
+/**
+ * 📖 parseResetValue: Turn any reset / retry-after header value into an absolute epoch-ms time.
+ *   - "2m59.56s" / "250ms"          → now + duration
+ *   - 1739539200000 (≥ 1e12)         → epoch milliseconds (OpenRouter)
+ *   - 1739539200 (≥ 1e9)             → epoch seconds
+ *   - 30                             → seconds from now
+ *   - "Wed, 21 Oct 2026 07:28:00 GMT" → HTTP date (retry-after)
+ * @returns {number|null}
+ */
+export function parseResetValue(value, now = Date.now()) {
+  if (value === null || value === undefined) return null
+  const str = String(value).trim()
+  if (!str) return null
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    const n = Number(str)
+    if (n >= 1e12) return Math.round(n)
+    if (n >= 1e9) return Math.round(n * 1000)
+    return now + Math.round(n * 1000)
+  }
+  const m = str.match(DURATION_RE)
+  if (m && m.slice(1).some(Boolean)) {
+    const [, h = 0, min = 0, s = 0, ms = 0] = m
+    return now + Math.round(Number(h) * 3_600_000 + Number(min) * 60_000 + Number(s) * 1000 + Number(ms))
+  }
+  const date = Date.parse(str)
+  return Number.isNaN(date) ? null : date
+}
+
+// 📖 Read a header from either a fetch Headers object or a plain (lowercase-keyed) object
+function headerGetter(headers) {
+  if (!headers) return () => null
+  if (typeof headers.get === 'function') return (name) => headers.get(name)
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]))
+  return (name) => lower[name] ?? null
+}
+
+function toInt(value) {
+  if (value === null || value === undefined || value === '') return null
+  const n = Number.parseInt(String(value), 10)
+  return Number.isFinite(n) && n >= 0 ? n : null
+}
+
+/**
+ * 📖 parseRateLimitHeaders: Normalize provider rate-limit headers.
+ *
+ * 📖 When a provider reports several request windows (per-minute and per-day on Cerebras),
+ *    the one with the fewest remaining requests wins — that's the one we're about to hit.
+ *
+ * @returns {{ remaining: number|null, limit: number|null, resetAt: number|null, retryAfterMs: number|null,
+ *             remainingTokens: number|null, limitTokens: number|null } | null} — null when no header is present
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const get = headerGetter(headers)
+
+  const windows = [
+    ['x-ratelimit-remaining-requests', 'x-ratelimit-limit-requests', 'x-ratelimit-reset-requests'],
+    ['x-ratelimit-remaining-requests-day', 'x-ratelimit-limit-requests-day', 'x-ratelimit-reset-requests-day'],
+    ['x-ratelimit-remaining', 'x-ratelimit-limit', 'x-ratelimit-reset'],
+    ['ratelimit-remaining', 'ratelimit-limit', 'ratelimit-reset'],
+  ]
+    .map(([r, l, reset]) => ({ remaining: toInt(get(r)), limit: toInt(get(l)), resetAt: parseResetValue(get(reset), now) }))
+    .filter(w => w.remaining !== null)
+    .sort((a, b) => a.remaining - b.remaining)
+
+  const retryAt = parseResetValue(get('retry-after'), now)
+  const remainingTokens = toInt(get('x-ratelimit-remaining-tokens'))
+  const limitTokens = toInt(get('x-ratelimit-limit-tokens'))
+
+  if (windows.length === 0 && retryAt === null && remainingTokens === null) return null
+  const w = windows[0] ?? { remaining: null, limit: null, resetAt: null }
+  return {
+    remaining: w.remaining,
+    limit: w.limit,
+    resetAt: w.resetAt,
+    retryAfterMs: retryAt === null ? null : Math.max(0, retryAt - now),
+    remainingTokens,
+    limitTokens,
+  }
+}
+
+// 📖 quotaFraction: How much of the request window is left, 0–1 (null without both numbers)
+export function quotaFraction(rateLimit) {
+  if (!rateLimit || rateLimit.remaining === null || !rateLimit.limit) return null
+  return Math.max(0, Math.min(1, rateLimit.remaining / rateLimit.limit))
+}
+
+// 📖 Next UTC midnight — daily budgets reset with the UTC day, like the usage file
+function nextUtcMidnight(now) {
+  const d = new Date(now)
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)
+}
+
+/**
+ * 📖 quotaBackoff: Decide whether a model's next monitoring ping should be skipped.
+ *
+ * @param {{ rateLimit?: object|null, lastCode?: string|null, lastPingAt?: number|null,
+ *           usedToday?: number, dailyLimit?: number|null }} input
+ * @param {number} now
+ * @returns {{ reason: 'retry-after'|'exhausted'|'low'|'budget', until: number } | null}
+ */
+export function quotaBackoff({ rateLimit = null, lastCode = null, lastPingAt = null, usedToday = 0, dailyLimit = null } = {}, now = Date.now()) {
+  // 📖 Daily budget first — it outlives every per-minute window
+  if (dailyLimit && usedToday >= Math.floor(dailyLimit * MONITOR_BUDGET_SHARE)) {
+    return { reason: 'budget', until: nextUtcMidnight(now) }
+  }
+
+  if (lastCode === '429' && lastPingAt !== null) {
+    const wait = rateLimit?.retryAfterMs ?? (rateLimit?.resetAt ? rateLimit.resetAt - lastPingAt : DEFAULT_429_BACKOFF_MS)
+    const until = lastPingAt + Math.max(0, wait)
+    if (until > now) return { reason: 'retry-after', until }
+  }
+
+  if (rateLimit?.remaining === 0 && rateLimit.resetAt && rateLimit.resetAt > now) {
+    return { reason: 'exhausted', until: rateLimit.resetAt }
+  }
+
+  const fraction = quotaFraction(rateLimit)
+  if (fraction !== null && fraction < QUOTA_LOW_FRACTION && lastPingAt !== null) {
+    const until = lastPingAt + QUOTA_LOW_MIN_INTERVAL_MS
+    if (until > now) return { reason: 'low', until }
+  }
+
+  return null
+}
+
+// 📖 formatQuotaWait: Remaining backoff as a short label that fits a 7-char column
+export function formatQuotaWait(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000))
+  if (s < 60) return `${s}s`
+  if (s < 3600) return `${Math.ceil(s / 60)}m`
+  return `${Math.ceil(s / 3600)}h`
+}
+
+// ─── Persisted daily usage ────────────────────────────────────────────────────
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10)
+
+// 📖 loadQuotaUsage: Today's { day, counts, pending } — a file from a previous day starts over at zero.
+// 📖 `pending` (pings sent but not answered yet) lives in memory only.
+export function loadQuotaUsage(now = Date.now(), path = QUOTA_USAGE_PATH) {
+  const day = utcDay(now)
+  try {
+    const parsed = JSON.parse(readFileSync(path, 'utf8'))
+    if (parsed?.day === day && parsed.counts && typeof parsed.counts === 'object') return { day, counts: parsed.counts, pending: {} }
+  } catch { /* missing or corrupt — start fresh */ }
+  return { day, counts: {}, pending: {} }
+}
+
+// 📖 getQuotaUsed: Requests counted today for a provider plus the ones still in flight —
+// 📖 concurrent pings checking the budget must see each other. Completed ones reset with the UTC day.
+export function getQuotaUsed(usage, providerKey, now = Date.now()) {
+  if (!usage) return 0
+  const pending = usage.pending?.[providerKey] ?? 0
+  return (usage.day === utcDay(now) ? usage.counts[providerKey] ?? 0 : 0) + pending
+}
+
+// 📖 reserveQuotaUsage: Mark one ping as in flight — call it right after the budget check,
+// 📖 before awaiting anything, and settle it with recordQuotaUsage.
+export function reserveQuotaUsage(usage, providerKey) {
+  usage.pending ??= {}
+  usage.pending[providerKey] = (usage.pending[providerKey] ?? 0) + 1
+}
+
+// 📖 recordQuotaUsage: Count one request against a provider's daily budget and persist it.
+// 📖 Settles a reservation if there is one. Rolls over to a new day in place.
+// 📖 Returns the new count for that provider.
+export function recordQuotaUsage(usage, providerKey, now = Date.now(), path = QUOTA_USAGE_PATH) {
+  const day = utcDay(now)
+  if (usage.day !== day) {
+    usage.day = day
+    usage.counts = {}
+  }
+  usage.counts[providerKey] = (usage.counts[providerKey] ?? 0) + 1
+  if (usage.pending?.[providerKey] > 0) usage.pending[providerKey]--
+  try {
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 })
+    writeFileSync(path, JSON.stringify({ day: usage.day, counts: usage.counts }), { mode: 0o600 })
+  } catch {
+    // 📖 Silently fail — the in-memory counter still protects this session
+  }
+  return usage.counts[providerKey]
+}
@@ -0,0 +1,476 @@
+/**
+ * @file lib/repair-proxy.js
+ * @description Localhost tool-call repair proxy for any OpenAI-compatible provider.
+ *
+ * 📖 Started as the ZAI-only proxy: OpenCode's openai-compatible provider calls
+ *    `<baseURL>/chat/completions`, ZAI's coding plan lives under /api/coding/paas/v4, and GLM
+ *    models emit broken tool-call arguments (trailing periods, unbalanced braces, no arguments
+ *    at all). The same argument bugs show up with GLM hosted elsewhere and with other models, so
+ *    the proxy now works for every provider. Everything it needs comes from the provider
+ *    definition in sources.js:
+ *
+ *      upstream host   from the chat URL            https://api.z.ai/api/coding/paas/v4/chat/completions
+ *      path rewrite    /v1/* → <base path>/*        /v1/chat/completions → /api/coding/paas/v4/chat/completions
+ *      auth scheme     custom providers' `auth`     { header: 'Authorization', prefix: 'Bearer ' } by default
+ *                      (null = no credentials)
+ *
+ *    OpenCode is pointed at http://127.0.0.1:<port>/v1 and the proxy injects the real key, so the
+ *    client-side key can be a placeholder.
+ *
+ * 📖 Which launches go through the proxy (needsRepairProxy):
+ *      - ZAI, always (it can't work without the path rewrite)
+ *      - models matching KNOWN_BAD_TOOL_CALL_MODELS, on any provider
+ *      - models whose capability probe said tool calls only parse after repair ('repaired')
+ *      - whatever the config lists: { "repairProxy": { "providers": ["groq"], "models": ["openrouter/x/y"] } }
+ *
+ * @functions
+ *   → repairProxyUpstream(chatUrl) — Chat URL → { protocol, hostname, port, host, basePath }
+ *   → rewriteProxyPath(reqUrl, basePath) — /v1/* request path → upstream path (null = not proxied)
+ *   → upstreamFromSource(source, chatUrl) — sources.js entry → { chatUrl, auth, headers }
+ *   → needsRepairProxy(providerKey, modelId, options) — Should this launch go through the proxy?
+ *   → createSseRepairer() — Incremental SSE transformer: content streams through, tool-call args are repaired
+ *   → repairSseBody(body) — Same repair over a complete SSE response body
+ *   → repairJsonBody(body) — Same repair over a non-streamed JSON answer (the raw text when nothing changed)
+ *   → collectToolCalls(text) — Tool calls of a response body (SSE or JSON), arguments concatenated
+ *   → createRepairProxy(options) — Start the proxy on a free localhost port → { server, port, upstream }
+ *
+ * @exports DEFAULT_PROXY_AUTH, KNOWN_BAD_TOOL_CALL_MODELS
+ * @exports repairProxyUpstream, rewriteProxyPath, upstreamFromSource, needsRepairProxy
+ * @exports createSseRepairer, repairSseBody, repairJsonBody, collectToolCalls, createRepairProxy
+ *
+ * @see bin/free-coding-models.js — spawnOpenCode() starts the proxy and points opencode.json at it
+ * @see lib/utils.js — repairJson / repairToolCallArgs do the actual JSON repair
+ * @see lib/proxy-log.js — opt-in traffic log written through the `log` option
+ */
+
+import { createServer, request as httpRequest } from 'http'
+import { request as httpsRequest } from 'https'
+import { repairJson, repairToolCallArgs } from './utils.js'
+import { classifyNetworkError } from './errors.js'
+import { newProxyLogId, truncateBody, MAX_LOGGED_BODY } from './proxy-log.js'
+
+export const DEFAULT_PROXY_AUTH = { header: 'Authorization', prefix: 'Bearer ' }
+
+// 📖 Models known to send malformed tool-call arguments wherever they are hosted.
+// 📖 GLM: trailing periods after the last value, missing closing braces, tool calls without arguments.
+export const KNOWN_BAD_TOOL_CALL_MODELS = [/(^|\/)glm-?\d/i]
+
+/**
+ * 📖 repairProxyUpstream: Split a provider chat URL into what the proxy forwards to.
+ * 📖 basePath is the path without /chat/completions — '' when the API sits at the root.
+ *
+ * @param {string} chatUrl — e.g. "https://api.groq.com/openai/v1/chat/completions"
+ * @returns {{ protocol: string, hostname: string, port: number, host: string, basePath: string }}
+ */
+export function repairProxyUpstream(chatUrl) {
+  const url = new URL(chatUrl)
+  const basePath = url.pathname.replace(/\/chat\/completions\/?$/, '').replace(/\/+$/, '')
+  const port = url.port ? Number(url.port) : (url.protocol === 'http:' ? 80 : 443)
+  return { protocol: url.protocol, hostname: url.hostname, port, host: url.host, basePath }
+}
+
+// 📖 rewriteProxyPath: "/v1/models?x=1" → "<basePath>/models?x=1". Anything outside /v1 → null (404).
+export function rewriteProxyPath(reqUrl, basePath) {
+  const match = /^\/v1(?=\/|\?|$)/.exec(reqUrl ?? '')
+  if (!match) return null
+  const rest = reqUrl.slice(match[0].length)
+  if (rest === '' || rest.startsWith('?')) return (basePath || '/') + rest
+  return basePath + rest
+}
+
+/**
+ * 📖 upstreamFromSource: Proxy target for a sources.js entry. Built-in providers all use Bearer
+ *    keys; custom providers bring their own auth style (null = none) and extra headers.
+ *
+ * @param {{ url: string, custom?: boolean, auth?: { header: string, prefix: string }|null, headers?: object }} source
+ * @param {string} [chatUrl] — resolved chat URL (Cloudflare's {account_id} filled in)
+ * @returns {{ chatUrl: string, auth: { header: string, prefix: string }|null, headers: object }}
+ */
+export function upstreamFromSource(source, chatUrl = source.url) {
+  if (source.custom) return { chatUrl, auth: source.auth ?? null, headers: { ...source.headers } }
+  return { chatUrl, auth: DEFAULT_PROXY_AUTH, headers: {} }
+}
+
+/**
+ * 📖 needsRepairProxy: ZAI always, then the built-in list, the probe verdict and the config.
+ *
+ * @param {string} providerKey
+ * @param {string} modelId — as in sources.js
+ * @param {{ settings?: { providers?: string[], models?: string[] }, toolCalls?: string|null }} [options]
+ *   settings = config.repairProxy; models entries are "providerKey/modelId" or a bare model id
+ * @returns {boolean}
+ */
+export function needsRepairProxy(providerKey, modelId, { settings, toolCalls } = {}) {
+  if (providerKey === 'zai') return true
+  if (KNOWN_BAD_TOOL_CALL_MODELS.some(re => re.test(modelId))) return true
+  if (toolCalls === 'repaired') return true
+  const providers = Array.isArray(settings?.providers) ? settings.providers : []
+  const models = Array.isArray(settings?.models) ? settings.models : []
+  return providers.includes(providerKey) || models.includes(`${providerKey}/${modelId}`) || models.includes(modelId)
+}
+
+// 📖 Fields copied from the chunk envelope onto the chunks we synthesize
+const ENVELOPE_FIELDS = ['id', 'object', 'created', 'model', 'system_fingerprint']
+
+/**
+ * 📖 createSseRepairer: Incremental tool-call repair for a chat-completions SSE stream.
+ * 📖 Text goes in as it arrives (write), complete events come out right away — content deltas
+ *    are never delayed. Only tool-call argument deltas are held back, per choice and tool-call
+ *    index; the call's first delta (id, name) is forwarded with empty arguments. A call is
+ *    complete when the next index starts, when its choice gets a finish_reason, or at [DONE] /
+ *    end of stream — then one delta with the repaired arguments (repairJson) is emitted.
+ *    Calls that never got arguments get '{}'.
+ *
+ * @returns {{ write: (text: string) => string, end: () => string }} — both return SSE text to forward
+ */
+export function createSseRepairer() {
+  let buffer = ''
+  const envelope = {}
+  // 📖 `${choice}:${index}` → { choice, index, args }, in the order the calls started
+  const pending = new Map()
+
+  const emit = (chunk) => `data: ${JSON.stringify(chunk)}\n\n`
+  const argsChunk = ({ choice, index, args }) => emit({
+    ...envelope,
+    choices: [{ index: choice, delta: { tool_calls: [{ index, function: { arguments: repairJson(args || '{}') } }] }, finish_reason: null }],
+  })
+
+  // 📖 Emit the repaired arguments of every pending call that matches `done`
+  const flush = (done = () => true) => {
+    let out = ''
+    for (const [key, call] of pending) {
+      if (!done(call)) continue
+      out += argsChunk(call)
+      pending.delete(key)
+    }
+    return out
+  }
+
+  const transformEvent = (block) => {
+    const dataLines = block.split('\n').filter(line => line.startsWith('data:'))
+    if (dataLines.length === 0) return block + '\n\n'
+    const payload = dataLines.map(line => line.slice(5).replace(/^ /, '')).join('\n').trim()
+    if (payload === '[DONE]') return flush() + block + '\n\n'
+    let chunk
+    try { chunk = JSON.parse(payload) } catch { return block + '\n\n' }
+    if (!Array.isArray(chunk?.choices)) return block + '\n\n'
+    for (const field of ENVELOPE_FIELDS) if (chunk[field] !== undefined) envelope[field] = chunk[field]
+
+    let before = ''
+    let changed = false
+    const finished = []
+    // 📖 Tool-call entries this chunk still forwards (id, name…), by `${choice}:${index}`
+    const forwardedHere = new Map()
+    for (const choice of chunk.choices) {
+      const choiceIdx = choice?.index ?? 0
+      const toolCalls = choice?.delta?.tool_calls
+      if (Array.isArray(toolCalls)) {
+        const forwarded = []
+        for (const tc of toolCalls) {
+          const index = tc?.index ?? 0
+          const key = `${choiceIdx}:${index}`
+          // 📖 Tool calls stream one after another — a new index means the earlier ones are done
+          if (!pending.has(key)) before += flush(call => call.choice === choiceIdx && call.index < index)
+          const call = pending.get(key) ?? { choice: choiceIdx, index, args: '' }
+          pending.set(key, call)
+          const args = tc.function?.arguments
+          if (args !== undefined && args !== null && args !== '') {
+            // 📖 Arguments sent as an object instead of a string are coerced
+            call.args += typeof args === 'string' ? args : JSON.stringify(args)
+          }
+          // 📖 Forward everything but the arguments; argument-only deltas disappear
+          const { function: fn, ...rest } = tc
+          const { arguments: _args, ...fnRest } = fn ?? {}
+          const hasMore = Object.keys(rest).some(k => k !== 'index') || Object.keys(fnRest).length > 0
+          if (hasMore) {
+            const entry = { ...rest, index, function: { ...fnRest, arguments: '' } }
+            forwarded.push(entry)
+            forwardedHere.set(key, entry)
+          }
+          changed = true
+        }
+        if (forwarded.length > 0) choice.delta.tool_calls = forwarded
+        else delete choice.delta.tool_calls
+      }
+      if (choice?.finish_reason) finished.push(choiceIdx)
+    }
+    if (!changed && finished.length === 0) return block + '\n\n'
+
+    // 📖 Calls finished by this chunk: the repaired arguments go into the chunk itself when the
+    // 📖 call is forwarded in it (clients need id + name before any arguments), otherwise into
+    // 📖 their own delta just before it
+    let after = ''
+    for (const [key, call] of pending) {
+      if (!finished.includes(call.choice)) continue
+      pending.delete(key)
+      const entry = forwardedHere.get(key)
+      if (entry) entry.function.arguments = repairJson(call.args || '{}')
+      else after += argsChunk(call)
+    }
+    if (!changed) return before + after + block + '\n\n'
+    // 📖 A chunk that only carried held-back arguments has nothing left to say
+    const keep = chunk.usage || chunk.choices.some(c => c?.finish_reason || Object.keys(c?.delta ?? {}).length > 0)
+    return before + after + (keep ? emit(chunk) : '')
+  }
+
+  const drain = (final) => {
+    const normalized = buffer.replace(/\r\n/g, '\n')
+    const blocks = normalized.split('\n\n')
+    buffer = final ? '' : blocks.pop()
+    return blocks.filter(block => block.trim() !== '').map(block => transformEvent(block.replace(/\n+$/, ''))).join('')
+  }
+
+  return {
+    write(text) {
+      buffer += text
+      return drain(false)
+    },
+    end() {
+      return drain(true) + flush()
+    },
+  }
+}
+
+/**
+ * 📖 repairSseBody: Whole-body version of createSseRepairer (tests, logs, replays).
+ *
+ * @param {string} body — raw SSE text
+ * @returns {string}
+ */
+export function repairSseBody(body) {
+  const repairer = createSseRepairer()
+  return repairer.write(body) + repairer.end()
+}
+
+/**
+ * 📖 repairJsonBody: Repair the tool calls of a non-streamed answer. Re-serializing alone isn't a
+ *    repair: when no argument changed the upstream bytes are returned untouched.
+ *
+ * @param {string} body — raw JSON text
+ * @returns {string}
+ */
+export function repairJsonBody(body) {
+  try {
+    const parsed = JSON.parse(body)
+    const before = JSON.stringify(parsed)
+    const after = JSON.stringify(repairToolCallArgs(parsed))
+    return after === before ? body : after
+  } catch {
+    return body // 📖 Not valid JSON, pass through as-is
+  }
+}
+
+/**
+ * 📖 collectToolCalls: Tool calls of a chat-completions answer, streamed (SSE) or not.
+ * 📖 Argument deltas are concatenated per index, as a client would.
+ *
+ * @param {string} text — response body
+ * @returns {Array<{ index: number, id: string|null, name: string|null, arguments: string }>}
+ */
+export function collectToolCalls(text) {
+  const calls = new Map()
+  const add = (tc, fallbackIndex) => {
+    const index = tc?.index ?? fallbackIndex
+    const call = calls.get(index) ?? { index, id: null, name: null, arguments: '' }
+    if (tc?.id) call.id = tc.id
+    if (tc?.function?.name) call.name = tc.function.name
+    const args = tc?.function?.arguments
+    if (args !== undefined && args !== null) call.arguments += typeof args === 'string' ? args : JSON.stringify(args)
+    calls.set(index, call)
+  }
+  if (typeof text !== 'string') return []
+  if (/^\s*data:/m.test(text)) {
+    for (const line of text.split('\n')) {
+      if (!line.startsWith('data:')) continue
+      try {
+        const chunk = JSON.parse(line.slice(5))
+        chunk?.choices?.[0]?.delta?.tool_calls?.forEach((tc, i) => add(tc, i))
+      } catch { /* [DONE], keep-alives */ }
+    }
+  } else {
+    try {
+      JSON.parse(text)?.choices?.[0]?.message?.tool_calls?.forEach((tc, i) => add(tc, i))
+    } catch { /* not JSON */ }
+  }
+  return [...calls.values()].sort((a, b) => a.index - b.index)
+}
+
+// 📖 Upstream failures come back as an OpenAI-style error the agent can show, not a bare 502
+function proxyError(upstream, err) {
+  const info = classifyNetworkError(err)
+  const message = `Repair proxy could not reach ${upstream.host}: ${info.label}${info.detail ? ` (${info.detail})` : ''}`
+  return { error: { message, type: 'proxy_error', code: info.kind } }
+}
+
+// 📖 Accumulate a body for the traffic log, capped by truncateBody (MAX_LOGGED_BODY characters)
+function bodyRecorder(enabled) {
+  let text = ''
+  let truncated = false
+  let length = 0
+  return {
+    add(chunk) {
+      if (!enabled) return
+      length += chunk.length
+      if (truncated) return
+      const capped = truncateBody(text + chunk)
+      text = capped.text
+      truncated = capped.truncated
+    },
+    get text() { return text },
+    get truncated() { return truncated },
+    // 📖 Characters seen, kept ones or not
+    get length() { return length },
+  }
+}
+
+// 📖 Collect a response body, then hand it to `done` — non-streamed chat completions
+function collectBody(stream, done) {
+  const chunks = []
+  stream.on('data', (chunk) => chunks.push(chunk))
+  stream.on('end', () => done(Buffer.concat(chunks).toString('utf8')))
+}
+
+/**
+ * 📖 createRepairProxy: Reverse proxy on 127.0.0.1 (random port) that rewrites /v1/* to the
+ *    provider's base path, injects the key in the provider's auth style and repairs tool-call
+ *    arguments in chat completions (streamed or not). Other endpoints are piped through.
+ * 📖 With `log`, every request ends in one call log(entry) — see lib/proxy-log.js for the shape.
+ *    Entries are not redacted here; appendProxyLog does that.
+ *
+ * @param {{ chatUrl: string, apiKey?: string|null, auth?: { header: string, prefix: string }|null,
+ *           headers?: object, providerKey?: string, log?: ((entry: object) => void)|null }} options
+ * @returns {Promise<{ server: import('http').Server, port: number, upstream: object }>} — caller must server.close()
+ */
+export async function createRepairProxy({ chatUrl, apiKey = null, auth = DEFAULT_PROXY_AUTH, headers: extraHeaders = {}, providerKey = null, log = null }) {
+  const upstream = repairProxyUpstream(chatUrl)
+  const send = upstream.protocol === 'http:' ? httpRequest : httpsRequest
+
+  const server = createServer((req, res) => {
+    const targetPath = rewriteProxyPath(req.url, upstream.basePath)
+    if (targetPath === null) {
+      // 📖 Non /v1 paths (e.g. /api/v0/ health checks) — reject
+      res.writeHead(404)
+      res.end()
+      return
+    }
+    const headers = { ...req.headers, ...extraHeaders, host: upstream.host }
+    // 📖 The client only has a placeholder key — the real one is injected here
+    delete headers.authorization
+    if (auth) delete headers[auth.header.toLowerCase()]
+    if (auth && apiKey) headers[auth.header] = `${auth.prefix}${apiKey}`
+    // 📖 Remove transfer-encoding to avoid chunked encoding issues with https.request
+    delete headers['transfer-encoding']
+    const isChatCompletions = targetPath.includes('/chat/completions') && req.method === 'POST'
+    // 📖 Compressed chat responses couldn't be repaired — ask for plain text
+    if (isChatCompletions) headers['accept-encoding'] = 'identity'
+
+    // 📖 Traffic log (opt-in): bodies are only recorded for chat completions
+    const started = Date.now()
+    const requestBody = bodyRecorder(!!log && isChatCompletions)
+    const rawResponse = bodyRecorder(!!log && isChatCompletions)
+    const repairedResponse = bodyRecorder(!!log && isChatCompletions)
+    let status = null
+    let stream = false
+    let logged = false
+    const finish = (error = null) => {
+      if (!log || logged) return
+      logged = true
+      // 📖 Half a request can't be replayed — drop it and say why instead
+      let body = requestBody.truncated ? null : requestBody.text || null
+      try { body = body && JSON.parse(body) } catch { /* keep the text */ }
+      // 📖 Byte comparison: the proxy forwards the upstream bytes untouched unless it repaired something
+      const changed = repairedResponse.text !== rawResponse.text
+      log({
+        id: newProxyLogId(started),
+        ts: started,
+        providerKey,
+        method: req.method,
+        path: req.url,
+        upstream: `${upstream.protocol}//${upstream.host}${targetPath}`,
+        requestHeaders: { ...req.headers },
+        requestBody: body,
+        requestBodyOmitted: requestBody.truncated
+          ? `request body of ${Math.ceil(requestBody.length / 1024)} KB is over the ${MAX_LOGGED_BODY / 1024} KB log limit`
+          : null,
+        status,
+        durationMs: Date.now() - started,
+        stream,
+        response: rawResponse.text || null,
+        repairedResponse: changed ? repairedResponse.text : null,
+        truncated: rawResponse.truncated || repairedResponse.truncated,
+        error,
+      })
+    }
+
+    const fail = (err) => {
+      const payload = proxyError(upstream, err)
+      if (!res.headersSent) {
+        res.writeHead(502, { 'content-type': 'application/json' })
+        res.end(JSON.stringify(payload))
+      } else if (stream) {
+        // 📖 Mid-stream: the client already has a 200 — say what happened in the stream itself
+        res.end(`data: ${JSON.stringify(payload)}\n\n`)
+      } else {
+        res.end()
+      }
+      finish(payload.error)
+    }
+
+    const proxyReq = send({
+      hostname: upstream.hostname,
+      port: upstream.port,
+      path: targetPath,
+      method: req.method,
+      headers,
+    }, (proxyRes) => {
+      status = proxyRes.statusCode
+      proxyRes.on('error', fail)
+      if (!isChatCompletions) {
+        // 📖 Non-chat endpoints (e.g. /v1/models) — pass through as-is
+        res.writeHead(proxyRes.statusCode, proxyRes.headers)
+        proxyRes.pipe(res)
+        proxyRes.on('end', () => finish())
+        return
+      }
+      const isSSE = (proxyRes.headers['content-type'] || '').includes('text/event-stream')
+      const responseHeaders = { ...proxyRes.headers }
+      if (isSSE) {
+        // 📖 Streamed: content goes out as it arrives, only tool-call arguments wait for repair
+        stream = true
+        delete responseHeaders['content-length']
+        res.writeHead(proxyRes.statusCode, responseHeaders)
+        const repairer = createSseRepairer()
+        proxyRes.setEncoding('utf8')
+        proxyRes.on('data', (text) => {
+          rawResponse.add(text)
+          const out = repairer.write(text)
+          repairedResponse.add(out)
+          if (out) res.write(out)
+        })
+        proxyRes.on('end', () => {
+          const out = repairer.end()
+          repairedResponse.add(out)
+          res.end(out)
+          finish()
+        })
+        return
+      }
+      collectBody(proxyRes, (raw) => {
+        const body = repairJsonBody(raw)
+        rawResponse.add(raw)
+        repairedResponse.add(body)
+        // 📖 The body is sent in one piece — a chunked upstream's transfer-encoding would clash
+        delete responseHeaders['transfer-encoding']
+        responseHeaders['content-length'] = Buffer.byteLength(body)
+        res.writeHead(proxyRes.statusCode, responseHeaders)
+        res.end(body)
+        finish()
+      })
+    })
+    proxyReq.on('error', fail)
+    req.on('data', (chunk) => requestBody.add(chunk.toString('utf8')))
+    req.pipe(proxyReq)
+  })
+  await new Promise(r => server.listen(0, '127.0.0.1', r))
+  return { server, port: server.address().port, upstream }
+}
@@ -0,0 +1,167 @@
+/**
+ * @file lib/scheduler.js
+ * @description Adaptive ping scheduling: per-provider concurrency caps and per-model ping cadence.
+ *
+ * 📖 Firing every model at once on each interval sends dozens of simultaneous requests to the
+ *    same provider. The provider answers with 429s, the rows show up as "Overloaded", and the
+ *    latency we measure includes time spent queued on their side. This module replaces the
+ *    "ping everything every N seconds" loop with two small pieces:
+ *
+ *   1. createProviderLimiter — at most N requests in flight per provider, the rest wait in a
+ *      FIFO queue. The ping timeout only starts once a slot is free, so queueing never
+ *      shows up as latency.
+ *   2. isPingDue / nextPingDelay — each row has its own cadence, derived from the interval:
+ *      - favorites and the cursor row   → PRIORITY_FACTOR × interval (more often)
+ *      - 429 / timeout streak of n      → interval × 2^n, capped at MAX_BACKOFF_MS
+ *      - dead (DEAD_AFTER_FAILURES hard failures in a row: 404, 5xx, network errors…)
+ *                                       → DEAD_FACTOR × interval (less often)
+ *      - everything else                → interval
+ *      A fixed per-row phase (pingPhase) keeps rows from re-synchronizing into bursts.
+ *
+ * 📖 Quota pauses from lib/quota.js are respected too: a row whose quotaBackoff has not
+ *    expired is never due.
+ *
+ * @functions
+ *   → failureStreak(pings) — Trailing count of 429 / timeout pings
+ *   → isDeadResult(r) — Did the last DEAD_AFTER_FAILURES pings all fail hard?
+ *   → nextPingDelay(r, interval, options) — How long this row waits between pings
+ *   → pingPhase(idx, interval) — Stable per-row offset that spreads rows across the interval
+ *   → isPingDue(r, options) — Should the scheduler ping this row now?
+ *   → createProviderLimiter(limits, defaultLimit) — Per-provider concurrency limiter { run, inFlight }
+ *
+ * @exports SCHEDULER_TICK_MS, DEFAULT_PROVIDER_CONCURRENCY, PROVIDER_CONCURRENCY, PRIORITY_FACTOR
+ * @exports DEAD_FACTOR, DEAD_AFTER_FAILURES, MAX_BACKOFF_MS, MIN_PING_DELAY_MS
+ * @exports failureStreak, isDeadResult, nextPingDelay, pingPhase, isPingDue, createProviderLimiter
+ *
+ * @see lib/quota.js — header-driven quota pauses checked by isPingDue
+ * @see bin/free-coding-models.js — pingResult() runs through the limiter, the TUI loop uses isPingDue
+ */
+
+// 📖 How often the TUI scheduler looks for rows that are due
+export const SCHEDULER_TICK_MS = 250
+
+// 📖 Simultaneous pings per provider. Free tiers with low RPM get 1, big catalogs a bit more.
+export const DEFAULT_PROVIDER_CONCURRENCY = 2
+export const PROVIDER_CONCURRENCY = {
+  nvidia: 4,
+  openrouter: 1,
+  huggingface: 1,
+  replicate: 1,
+}
+
+// 📖 Favorites and the cursor row are pinged twice as often, but never faster than once a second
+export const PRIORITY_FACTOR = 0.5
+export const MIN_PING_DELAY_MS = 1_000
+
+// 📖 Dead rows are pinged 5× less often — enough to notice a comeback
+export const DEAD_FACTOR = 5
+export const DEAD_AFTER_FAILURES = 3
+
+// 📖 Exponential backoff ceiling for 429 / timeout streaks
+export const MAX_BACKOFF_MS = 5 * 60_000
+
+// 📖 Codes that mean "try again later" (backoff) rather than "this model is broken" (dead).
+// 📖 200 = up, 401 = reachable without a key — neither is a failure for scheduling purposes.
+const TRANSIENT_CODES = new Set(['429', '000'])
+const HEALTHY_CODES = new Set(['200', '401'])
+
+// 📖 failureStreak: How many of the latest pings in a row were 429s or timeouts
+export function failureStreak(pings = []) {
+  let streak = 0
+  for (let i = pings.length - 1; i >= 0 && TRANSIENT_CODES.has(pings[i].code); i--) streak++
+  return streak
+}
+
+// 📖 isDeadResult: The last DEAD_AFTER_FAILURES pings all failed with a non-transient code
+export function isDeadResult(r) {
+  const pings = r.pings ?? []
+  if (pings.length < DEAD_AFTER_FAILURES) return false
+  return pings.slice(-DEAD_AFTER_FAILURES).every(p => !HEALTHY_CODES.has(p.code) && !TRANSIENT_CODES.has(p.code))
+}
+
+/**
+ * 📖 nextPingDelay: Time this row should wait after its last ping.
+ * 📖 Backoff beats priority — a favorite that is being rate-limited still slows down.
+ *
+ * @param {object} r — result row ({ pings, isFavorite })
+ * @param {number} interval — the user's ping interval in ms
+ * @param {{ priority?: boolean }} options — priority = cursor row (favorites are read from r)
+ * @returns {number} ms
+ */
+export function nextPingDelay(r, interval, { priority = false } = {}) {
+  const streak = failureStreak(r.pings)
+  if (streak > 0) return Math.min(MAX_BACKOFF_MS, interval * 2 ** streak)
+  if (isDeadResult(r)) return interval * DEAD_FACTOR
+  if (priority || r.isFavorite) return Math.max(MIN_PING_DELAY_MS, Math.min(interval, interval * PRIORITY_FACTOR))
+  return interval
+}
+
+// 📖 pingPhase: Deterministic offset in [0, interval / 4) from the row index (golden-ratio spread),
+// 📖 so rows that answered at the same moment don't all come due on the same tick again.
+export function pingPhase(idx, interval) {
+  const fraction = (idx * 0.6180339887) % 1
+  return Math.floor(fraction * interval / 4)
+}
+
+/**
+ * 📖 isPingDue: Should the scheduler ping this row now?
+ *
+ * @param {object} r — result row ({ idx, pings, lastPingAt, quotaBackoff, isFavorite })
+ * @param {{ now?: number, interval: number, priority?: boolean }} options
+ * @returns {boolean}
+ */
+export function isPingDue(r, { now = Date.now(), interval, priority = false }) {
+  if (r.quotaBackoff && r.quotaBackoff.until > now) return false
+  if (!r.lastPingAt) return true
+  const phase = priority ? 0 : pingPhase(r.idx ?? 0, interval)
+  return now - r.lastPingAt >= nextPingDelay(r, interval, { priority }) + phase
+}
+
+/**
+ * 📖 createProviderLimiter: Cap concurrent requests per provider.
+ *
+ * 📖 run(providerKey, fn) resolves with fn()'s result once a slot is free; calls beyond the
+ *    limit wait in FIFO order. inFlight(providerKey) counts running + queued calls.
+ *
+ * @param {Record<string, number>} limits — per-provider overrides
+ * @param {number} defaultLimit — limit for providers without an override
+ * @returns {{ run: (providerKey: string, fn: () => Promise<any>) => Promise<any>, inFlight: (providerKey: string) => number }}
+ */
+export function createProviderLimiter(limits = PROVIDER_CONCURRENCY, defaultLimit = DEFAULT_PROVIDER_CONCURRENCY) {
+  const active = new Map()
+  const queues = new Map()
+  const limitFor = (pk) => Math.max(1, limits[pk] ?? defaultLimit)
+
+  const acquire = (pk) => {
+    const running = active.get(pk) ?? 0
+    if (running < limitFor(pk)) {
+      active.set(pk, running + 1)
+      return Promise.resolve()
+    }
+    return new Promise(resolve => {
+      if (!queues.has(pk)) queues.set(pk, [])
+      queues.get(pk).push(resolve)
+    })
+  }
+
+  // 📖 Hand the slot straight to the next waiter, or free it
+  const release = (pk) => {
+    const next = queues.get(pk)?.shift()
+    if (next) next()
+    else active.set(pk, (active.get(pk) ?? 1) - 1)
+  }
+
+  return {
+    async run(pk, fn) {
+      await acquire(pk)
+      try {
+        return await fn()
+      } finally {
+        release(pk)
+      }
+    },
+    inFlight(pk) {
+      return (active.get(pk) ?? 0) + (queues.get(pk)?.length ?? 0)
+    },
+  }
+}
@@ -0,0 +1,392 @@
+/**
+ * @file lib/secrets.js
+ * @description Secret-store backends for API keys — the config holds references, not keys.
+ *
+ * 📖 Any `apiKeys.<provider>` value (global or inside a profile) may be a reference instead of
+ *    the key itself:
+ *
+ *      "vault:groq"                          encrypted local vault (see below)
+ *      "pass:free-coding-models/groq"        `pass show …` (first line)
+ *      "gopass:free-coding-models/groq"      `gopass show -o …`
+ *      "op://Private/Groq/credential"        1Password CLI: `op read op://…`
+ *      "cmd:security find-generic-password -s groq -w"   any command that prints the key
+ *      "env:TEAM_GROQ_KEY"                   an environment variable (what shared profiles carry)
+ *
+ *    A top-level `"keyCommand": "… {provider} …"` supplies the key of every provider that has no
+ *    entry at all. Plain strings are still read as keys, so existing configs keep working.
+ *
+ * 📖 `"secretStore": "vault" | "pass" | "gopass"` sends keys typed in the first-run wizard or the
+ *    Settings overlay to that store; only the reference reaches the config (and so the profile
+ *    snapshots). `free-coding-models secrets migrate` moves the plaintext keys that are already
+ *    there — every profile included, each distinct key stored once.
+ *
+ * 📖 Vault: one JSON file, AES-256-GCM with a key derived by scrypt from a passphrase. The
+ *    passphrase comes from FREE_CODING_MODELS_VAULT_PASSPHRASE or is asked once per run on a
+ *    terminal. File 0600 in a 0700 directory, like the history.
+ *
+ * 📖 getApiKey is synchronous (it runs for every ping), so lookups are too: commands run with
+ *    execFileSync and each reference is resolved once per process. Failures are remembered in
+ *    secretErrors() and the key reads as missing — a broken store must never crash the TUI.
+ *    A command may take up to 30 s, which must not happen on the ping path: once startup has
+ *    resolved every key, deferSecretLookups() stops resolveSecret from running commands, and
+ *    references that appear later (profile switch, key edit) are looked up by prefetchSecret
+ *    without blocking. Until it answers, that provider reads as having no key.
+ *
+ * 📖 DATA_DIR is only read inside functions: lib/config.js imports this module, so it isn't
+ *    initialized yet while this file is evaluated.
+ *
+ * @functions
+ *   → parseSecretRef(value) — "pass:x" / "op://…" / … → { backend, name } (null for a plain key)
+ *   → isSecretRef(value) — Whether a stored apiKeys value is a reference
+ *   → secretCommandFor(ref) — { file, args } or { command } that prints the secret
+ *   → keyCommandRef(template, providerKey) — `keyCommand` template → "cmd:" reference
+ *   → resolveSecret(value, options) — Reference → key (cached), plain key → itself
+ *   → prefetchSecret(value, options) — Async resolveSecret: commands run without blocking, the result is cached
+ *   → deferSecretLookups(on) — From now on resolveSecret only reads cached command lookups
+ *   → secretErrors() — Map of reference → last lookup error
+ *   → clearSecretCache() — Forget cached lookups and errors
+ *   → encryptVault(entries, passphrase) / decryptVault(file, passphrase) — Vault file format
+ *   → getVaultPath() — Default vault location under DATA_DIR
+ *   → unlockVault(passphrase, options) / isVaultUnlocked() / lockVault() — In-memory vault session
+ *   → storeSecret(store, name, value) — Write a key to a writable store → reference
+ *   → migrateApiKeys(config, save) — Replace plaintext keys (profiles included) with references
+ *
+ * @exports SECRET_BACKENDS, WRITABLE_STORES, VAULT_PASSPHRASE_ENV, SECRET_COMMAND_TIMEOUT_MS
+ * @exports parseSecretRef, isSecretRef, secretCommandFor, keyCommandRef, resolveSecret, prefetchSecret, deferSecretLookups
+ * @exports secretErrors, clearSecretCache
+ * @exports encryptVault, decryptVault, getVaultPath, unlockVault, isVaultUnlocked, lockVault, storeSecret, migrateApiKeys
+ *
+ * @see lib/config.js — getApiKey / setApiKey resolve and store through this module
+ * @see bin/free-coding-models.js — `secrets` command, vault unlock at startup
+ */
+
+import { execFile, execFileSync, exec, execSync } from 'child_process'
+import { promisify } from 'util'
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import { join, dirname } from 'path'
+import { scryptSync, randomBytes, createCipheriv, createDecipheriv } from 'crypto'
+import { DATA_DIR } from './config.js'
+
+// 📖 Reference prefixes, in the order they are tried
+export const SECRET_BACKENDS = {
+  vault:       'vault:',
+  pass:        'pass:',
+  gopass:      'gopass:',
+  '1password': 'op://',
+  command:     'cmd:',
+  env:         'env:',
+}
+
+// 📖 Stores free-coding-models can write a new key into (1Password and commands are read-only)
+export const WRITABLE_STORES = ['vault', 'pass', 'gopass']
+
+export const VAULT_PASSPHRASE_ENV = 'FREE_CODING_MODELS_VAULT_PASSPHRASE'
+
+// 📖 Generous: `op` may be waiting for a biometric unlock, `pass` for gpg-agent's pinentry
+export const SECRET_COMMAND_TIMEOUT_MS = 30_000
+
+// 📖 Folder used for the entries we create in pass / gopass
+const STORE_FOLDER = 'free-coding-models'
+
+// 📖 scrypt cost — N=2^14 stays under Node's default 32 MB maxmem
+const SCRYPT = { N: 16384, r: 8, p: 1 }
+
+const cache = new Map()
+const errors = new Map()
+let vault = null // 📖 { path, passphrase, entries } once unlocked
+let lookupsDeferred = false
+
+const execFileAsync = promisify(execFile)
+const execAsync = promisify(exec)
+
+export function parseSecretRef(value) {
+  if (typeof value !== 'string') return null
+  for (const [backend, prefix] of Object.entries(SECRET_BACKENDS)) {
+    if (!value.startsWith(prefix)) continue
+    // 📖 1Password references are passed to `op read` whole
+    const name = backend === '1password' ? value : value.slice(prefix.length).trim()
+    return name ? { backend, name } : null
+  }
+  return null
+}
+
+export function isSecretRef(value) {
+  return parseSecretRef(value) !== null
+}
+
+// 📖 secretCommandFor: How to print a secret — argv form where we can, a shell for `cmd:` only
+export function secretCommandFor({ backend, name }) {
+  if (backend === 'pass') return { file: 'pass', args: ['show', name] }
+  if (backend === 'gopass') return { file: 'gopass', args: ['show', '-o', name] }
+  if (backend === '1password') return { file: 'op', args: ['read', name] }
+  if (backend === 'command') return { command: name }
+  return null
+}
+
+export function keyCommandRef(template, providerKey) {
+  return `${SECRET_BACKENDS.command}${template.replaceAll('{provider}', providerKey)}`
+}
+
+// 📖 The one-line reason shown for a failed command
+function commandError(spec, err) {
+  if (err.code === 'ENOENT') return new Error(`${spec.file} is not installed`)
+  const stderr = String(err.stderr ?? '').trim().split('\n')[0]
+  return new Error(stderr || (err.signal ? `timed out after ${SECRET_COMMAND_TIMEOUT_MS / 1000}s` : err.message))
+}
+
+function runSecretCommand(spec, input) {
+  const options = { encoding: 'utf8', timeout: SECRET_COMMAND_TIMEOUT_MS, stdio: [input === undefined ? 'inherit' : 'pipe', 'pipe', 'pipe'], input }
+  try {
+    return spec.command ? execSync(spec.command, options) : execFileSync(spec.file, spec.args, options)
+  } catch (err) {
+    throw commandError(spec, err)
+  }
+}
+
+async function runSecretCommandAsync(spec) {
+  const options = { encoding: 'utf8', timeout: SECRET_COMMAND_TIMEOUT_MS }
+  try {
+    const { stdout } = spec.command ? await execAsync(spec.command, options) : await execFileAsync(spec.file, spec.args, options)
+    return stdout
+  } catch (err) {
+    throw commandError(spec, err)
+  }
+}
+
+// 📖 pass keeps metadata on the lines after the password
+function secretFromOutput(ref, out) {
+  return (ref.backend === 'pass' ? out.split('\n')[0] : out).trim() || null
+}
+
+/**
+ * 📖 resolveSecret: The key a stored value stands for.
+ *
+ * 📖 Plain keys come back unchanged. Command lookups are cached per reference, failures included
+ *    (as null). Vault and env reads are never cached — the vault may be unlocked later in the run.
+ *    After deferSecretLookups() an uncached command reference reads as null without running.
+ *
+ * @param {string} value — apiKeys value or keyCommandRef()
+ * @param {{ quiet?: boolean }} [options] — quiet: an empty/failed lookup is not an error (keyCommand)
+ * @returns {string|null}
+ */
+export function resolveSecret(value, { quiet = false } = {}) {
+  const ref = parseSecretRef(value)
+  if (!ref) return value || null
+  const cached = ref.backend !== 'vault' && ref.backend !== 'env'
+  if (cached && cache.has(value)) return cache.get(value)
+  if (cached && lookupsDeferred) return null
+
+  let secret = null
+  try {
+    if (ref.backend === 'vault') {
+      secret = readVaultEntry(ref.name)
+    } else if (ref.backend === 'env') {
+      secret = process.env[ref.name]?.trim() || null
+      if (!secret && !quiet) throw new Error(`${ref.name} is not set`)
+    } else {
+      secret = secretFromOutput(ref, runSecretCommand(secretCommandFor(ref)) ?? '')
+    }
+    if (!secret && !quiet) throw new Error('no secret found')
+    errors.delete(value)
+  } catch (err) {
+    secret = null
+    if (!quiet) errors.set(value, err.message)
+  }
+  if (cached) cache.set(value, secret)
+  return secret
+}
+
+/**
+ * 📖 prefetchSecret: resolveSecret for a running TUI — the command runs asynchronously, the
+ *    result lands in the cache resolveSecret reads. Vault, env and cached values are answered
+ *    right away.
+ *
+ * @param {string} value — apiKeys value or keyCommandRef()
+ * @param {{ quiet?: boolean }} [options]
+ * @returns {Promise<string|null>}
+ */
+export async function prefetchSecret(value, { quiet = false } = {}) {
+  const ref = parseSecretRef(value)
+  const spec = ref && secretCommandFor(ref)
+  if (!spec || cache.has(value)) return resolveSecret(value, { quiet })
+
+  let secret = null
+  try {
+    secret = secretFromOutput(ref, (await runSecretCommandAsync(spec)) ?? '')
+    if (!secret && !quiet) throw new Error('no secret found')
+    errors.delete(value)
+  } catch (err) {
+    secret = null
+    if (!quiet) errors.set(value, err.message)
+  }
+  cache.set(value, secret)
+  return secret
+}
+
+export function deferSecretLookups(on = true) {
+  lookupsDeferred = on
+}
+
+export function secretErrors() {
+  return new Map(errors)
+}
+
+export function clearSecretCache() {
+  cache.clear()
+  errors.clear()
+}
+
+// ─── Encrypted vault ──────────────────────────────────────────────────────────
+
+export function getVaultPath() {
+  return join(DATA_DIR, 'vault.json')
+}
+
+function deriveKey(passphrase, salt, params = SCRYPT) {
+  return scryptSync(String(passphrase), salt, 32, { N: params.N, r: params.r, p: params.p })
+}
+
+/**
+ * 📖 encryptVault: Entries → vault file object. A fresh salt and IV on every write.
+ *
+ * @param {Record<string,string>} entries — name → key
+ * @param {string} passphrase
+ * @returns {{ version: 1, kdf: object, cipher: string, iv: string, tag: string, data: string }}
+ */
+export function encryptVault(entries, passphrase) {
+  const salt = randomBytes(16)
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()])
+  return {
+    version: 1,
+    kdf: { name: 'scrypt', ...SCRYPT, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }
+}
+
+// 📖 decryptVault: Throws 'Wrong vault passphrase' when GCM authentication fails
+export function decryptVault(file, passphrase) {
+  if (!file || file.version !== 1 || file.cipher !== 'aes-256-gcm' || file.kdf?.name !== 'scrypt') {
+    throw new Error('Unsupported vault file format')
+  }
+  const key = deriveKey(passphrase, Buffer.from(file.kdf.salt, 'base64'), file.kdf)
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'))
+  let text
+  try {
+    text = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf8')
+  } catch {
+    throw new Error('Wrong vault passphrase')
+  }
+  return JSON.parse(text)
+}
+
+/**
+ * 📖 unlockVault: Decrypt the vault for this process. A missing file is an empty vault that
+ *    will be created with this passphrase on the first write.
+ *
+ * @param {string} passphrase
+ * @param {{ path?: string }} [options]
+ * @returns {number} entries in the vault
+ */
+export function unlockVault(passphrase, { path = getVaultPath() } = {}) {
+  const entries = existsSync(path) ? decryptVault(JSON.parse(readFileSync(path, 'utf8')), passphrase) : {}
+  vault = { path, passphrase, entries }
+  return Object.keys(entries).length
+}
+
+export function isVaultUnlocked() {
+  return vault !== null
+}
+
+export function lockVault() {
+  vault = null
+}
+
+function readVaultEntry(name) {
+  // 📖 Headless runs unlock from the environment on first use
+  if (!vault && process.env[VAULT_PASSPHRASE_ENV]) unlockVault(process.env[VAULT_PASSPHRASE_ENV])
+  if (!vault) throw new Error(`the vault is locked — set ${VAULT_PASSPHRASE_ENV} or run on a terminal`)
+  return vault.entries[name] ?? null
+}
+
+function writeVaultEntry(name, value) {
+  if (!vault) throw new Error('the vault is locked')
+  vault.entries[name] = value
+  mkdirSync(dirname(vault.path), { recursive: true, mode: 0o700 })
+  writeFileSync(vault.path, JSON.stringify(encryptVault(vault.entries, vault.passphrase), null, 2), { mode: 0o600 })
+}
+
+// ─── Writing keys ─────────────────────────────────────────────────────────────
+
+/**
+ * 📖 storeSecret: Put a key in a writable store and return the reference for the config.
+ *
+ * @param {'vault'|'pass'|'gopass'} store
+ * @param {string} name — entry name (the provider key, or provider-profile for a second key)
+ * @param {string} value — the key
+ * @returns {string} reference, e.g. "vault:groq"
+ */
+export function storeSecret(store, name, value) {
+  let ref
+  if (store === 'vault') {
+    writeVaultEntry(name, value)
+    ref = `${SECRET_BACKENDS.vault}${name}`
+  } else if (store === 'pass') {
+    runSecretCommand({ file: 'pass', args: ['insert', '--multiline', '--force', `${STORE_FOLDER}/${name}`] }, `${value}\n`)
+    ref = `${SECRET_BACKENDS.pass}${STORE_FOLDER}/${name}`
+  } else if (store === 'gopass') {
+    runSecretCommand({ file: 'gopass', args: ['insert', '--force', `${STORE_FOLDER}/${name}`] }, `${value}\n`)
+    ref = `${SECRET_BACKENDS.gopass}${STORE_FOLDER}/${name}`
+  } else {
+    throw new Error(`can't write to "${store}" — use one of ${WRITABLE_STORES.join(', ')}`)
+  }
+  if (store !== 'vault') cache.set(ref, value)
+  errors.delete(ref)
+  return ref
+}
+
+/**
+ * 📖 migrateApiKeys: Swap every plaintext key in the config — global and per profile — for a
+ *    reference. A key that appears in several places is stored once; a provider with different
+ *    keys in different profiles gets one entry per key ("groq", "groq-work", …).
+ *
+ * @param {object} config — mutated
+ * @param {(name: string, value: string) => string} save — stores one key, returns its reference
+ * @returns {{ stored: string[], replaced: number }} entry names written, values replaced
+ */
+export function migrateApiKeys(config, save) {
+  const refByKey = new Map() // 📖 "provider\0key" → reference
+  const stored = []
+  let replaced = 0
+  const sections = [[null, config.apiKeys], ...Object.entries(config.profiles ?? {}).map(([name, p]) => [name, p?.apiKeys])]
+  // 📖 Entry names the config already points at are never reused (they'd be overwritten)
+  const taken = new Set()
+  for (const [, apiKeys] of sections) {
+    for (const value of Object.values(apiKeys ?? {})) {
+      const ref = parseSecretRef(value)
+      if (ref) taken.add(ref.name.split('/').pop())
+    }
+  }
+  for (const [profileName, apiKeys] of sections) {
+    if (!apiKeys || typeof apiKeys !== 'object') continue
+    for (const [providerKey, value] of Object.entries(apiKeys)) {
+      if (typeof value !== 'string' || !value || isSecretRef(value)) continue
+      const id = `${providerKey}\0${value}`
+      if (!refByKey.has(id)) {
+        let name = taken.has(providerKey) ? `${providerKey}-${profileName ?? 'default'}` : providerKey
+        for (let n = 2; taken.has(name); n++) name = `${providerKey}-${profileName ?? 'default'}-${n}`
+        refByKey.set(id, save(name, value))
+        taken.add(name)
+        stored.push(name)
+      }
+      apiKeys[providerKey] = refByKey.get(id)
+      replaced++
+    }
+  }
+  return { stored, replaced }
+}
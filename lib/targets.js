@@ -0,0 +1,318 @@
+/**
+ * @file lib/targets.js
+ * @description Integration targets — write the selected model into other coding tools' config files.
+ *
+ * 📖 OpenCode and OpenClaw have hand-written start* functions in the main CLI. Every other tool
+ *    only needs three things set: the model id, the provider's OpenAI-compatible base URL and
+ *    where the API key comes from. This module is a registry of small writers, one per tool:
+ *
+ *      target    file                                     format   key
+ *      ────────────────────────────────────────────────────────────────────────────────────────────
+ *      aider     ~/.aider.conf.yml                        YAML     env: OPENAI_API_KEY="$<PROVIDER>_API_KEY"
+ *      continue  ~/.continue/config.json                  JSON     stored in the model entry (no env support)
+ *      cline     <data dir>/roo-settings.json             JSON     stored in the profile (Roo Code import file)
+ *      codex     ~/.codex/config.toml                     TOML     env_key = "<PROVIDER>_API_KEY"
+ *      goose     ~/.config/goose/config.yaml              YAML     env: OPENAI_API_KEY="$<PROVIDER>_API_KEY"
+ *
+ * 📖 Writers patch the existing file instead of replacing it: only the keys they own change,
+ *    everything else (comments included — JSON files go through lib/jsonc.js) is kept. Writes go
+ *    through lib/config-writes.js like opencode.json: the previous file lands in the backup ring
+ *    under the target name, so `free-coding-models rollback --target <name>` undoes it.
+ *
+ * 📖 Cline and Roo Code keep provider settings inside VS Code, not in a file we can patch.
+ *    The cline target writes a Roo Code settings export (Settings → Import, or point
+ *    `roo-cline.autoImportSettingsPath` at it); Cline users copy the printed base URL / model
+ *    into its "OpenAI Compatible" provider.
+ *
+ * @functions
+ *   → resolveTargetName(name) — Target name or alias → registry key (null when unknown)
+ *   → targetBaseUrl(chatUrl) — chat/completions URL → OpenAI base URL
+ *   → setYamlKeys(text, entries) — Set flat top-level YAML keys, keep every other line
+ *   → setTomlKeys(text, entries) — Set top-level TOML keys (before the first table)
+ *   → setTomlTable(text, header, entries) — Replace or append one TOML table
+ *   → buildTargetConfig(name, current, ctx) — Existing file text + model context → new file text
+ *   → planTargetWrite(name, ctx, options) — Read + patch without writing → { path, content, mode }
+ *   → writeTargetConfig(name, ctx, options) — Backup + write for one target → { path, backupPath }
+ *
+ * @exports INTEGRATION_TARGETS, TARGET_ALIASES, UNSUPPORTED_TARGET_PROVIDERS
+ * @exports resolveTargetName, targetBaseUrl, setYamlKeys, setTomlKeys, setTomlTable
+ * @exports buildTargetConfig, planTargetWrite, writeTargetConfig
+ *
+ * @see bin/free-coding-models.js — startIntegrationTarget() builds the context, the Z key cycles targets
+ * @see lib/config-writes.js — diff preview, backup ring and rollback
+ * @see lib/jsonc.js — comment-preserving JSON edits
+ */
+
+import { readFileSync, existsSync } from 'fs'
+import { homedir } from 'os'
+import { join } from 'path'
+import { commitConfigWrite, BACKUP_DIR } from './config-writes.js'
+import { DATA_DIR } from './config.js'
+import { parseJsonc, updateJsonc } from './jsonc.js'
+
+// 📖 Replicate speaks /v1/predictions, not chat-completions — no coding tool can use it directly
+export const UNSUPPORTED_TARGET_PROVIDERS = ['replicate']
+
+// 📖 Model entries we add are tagged so the next write replaces them instead of piling up
+const FCM_TAG = 'free-coding-models'
+
+/**
+ * 📖 Context passed to every writer:
+ *   { modelId, label, providerKey, providerName, chatUrl, baseUrl, envVar, apiKey }
+ *   - modelId: the id the provider API expects (zai/ prefix already stripped)
+ *   - envVar:  the env var that holds this provider's key (GROQ_API_KEY, …)
+ *   - apiKey:  only used by targets that cannot read env vars (continue, cline)
+ */
+export const INTEGRATION_TARGETS = {
+  aider: {
+    label: 'Aider',
+    format: 'yaml',
+    path: (home) => join(home, '.aider.conf.yml'),
+    keyFromEnv: 'OPENAI_API_KEY',
+    build: (current, ctx) => setYamlKeys(current, {
+      model: `openai/${ctx.modelId}`,
+      'openai-api-base': ctx.baseUrl,
+    }),
+    launch: () => 'aider',
+  },
+  continue: {
+    label: 'Continue',
+    format: 'json',
+    path: (home) => join(home, '.continue', 'config.json'),
+    build: (current, ctx) => {
+      const config = parseJsonConfig(current)
+      const models = Array.isArray(config.models) ? config.models : []
+      const entry = {
+        title: `${ctx.label} (${FCM_TAG})`,
+        provider: 'openai',
+        model: ctx.modelId,
+        apiBase: ctx.baseUrl,
+        ...(ctx.apiKey ? { apiKey: ctx.apiKey } : {}),
+      }
+      // 📖 Continue picks the first entry by default — ours goes first, older fcm entries go away
+      config.models = [entry, ...models.filter(m => !String(m?.title ?? '').endsWith(`(${FCM_TAG})`))]
+      return writeJsonConfig(current, config)
+    },
+    launch: () => 'Reload VS Code / JetBrains and pick the model in Continue',
+  },
+  cline: {
+    label: 'Cline / Roo',
+    format: 'json',
+    // 📖 Our own data dir (~/.free-coding-models/, or ~/.free-coding-models.d/ next to a legacy key file)
+    path: (home, dataDir = DATA_DIR) => join(dataDir, 'roo-settings.json'),
+    build: (current, ctx) => {
+      const config = parseJsonConfig(current)
+      const profiles = config.providerProfiles ?? {}
+      config.providerProfiles = {
+        ...profiles,
+        currentApiConfigName: FCM_TAG,
+        apiConfigs: {
+          ...(profiles.apiConfigs ?? {}),
+          [FCM_TAG]: {
+            id: FCM_TAG,
+            apiProvider: 'openai',
+            openAiBaseUrl: ctx.baseUrl,
+            openAiModelId: ctx.modelId,
+            ...(ctx.apiKey ? { openAiApiKey: ctx.apiKey } : {}),
+          },
+        },
+      }
+      return writeJsonConfig(current, config)
+    },
+    launch: (path) => `Roo Code: Settings → Import → ${path} (Cline: OpenAI Compatible provider)`,
+  },
+  codex: {
+    label: 'Codex CLI',
+    format: 'toml',
+    path: (home) => join(home, '.codex', 'config.toml'),
+    build: (current, ctx) => {
+      const providerId = `fcm-${ctx.providerKey.replace(/[^A-Za-z0-9_-]/g, '-')}`
+      const text = setTomlKeys(current, { model: ctx.modelId, model_provider: providerId })
+      return setTomlTable(text, `model_providers.${providerId}`, {
+        name: `${ctx.providerName} (${FCM_TAG})`,
+        base_url: ctx.baseUrl,
+        env_key: ctx.envVar,
+        wire_api: 'chat',
+      })
+    },
+    launch: () => 'codex',
+  },
+  goose: {
+    label: 'Goose',
+    format: 'yaml',
+    path: (home) => join(home, '.config', 'goose', 'config.yaml'),
+    keyFromEnv: 'OPENAI_API_KEY',
+    build: (current, ctx) => {
+      // 📖 Goose's openai provider wants the origin and the request path separately
+      const url = new URL(ctx.chatUrl)
+      return setYamlKeys(current, {
+        GOOSE_PROVIDER: 'openai',
+        GOOSE_MODEL: ctx.modelId,
+        OPENAI_HOST: url.origin,
+        OPENAI_BASE_PATH: url.pathname.replace(/^\/+/, ''),
+      })
+    },
+    launch: () => 'goose session',
+  },
+}
+
+export const TARGET_ALIASES = {
+  roo: 'cline',
+  'roo-code': 'cline',
+  'codex-cli': 'codex',
+}
+
+// 📖 resolveTargetName: "Roo" → "cline", "codex" → "codex", "vim" → null
+export function resolveTargetName(name) {
+  if (typeof name !== 'string') return null
+  const key = name.trim().toLowerCase()
+  if (INTEGRATION_TARGETS[key]) return key
+  return TARGET_ALIASES[key] ?? null
+}
+
+// 📖 targetBaseUrl: "https://api.groq.com/openai/v1/chat/completions" → "https://api.groq.com/openai/v1"
+export function targetBaseUrl(chatUrl) {
+  return chatUrl.replace(/\/chat\/completions\/?$/, '').replace(/\/+$/, '')
+}
+
+// 📖 A broken JSON file is never overwritten — the user would lose whatever else it held.
+// 📖 Comments and trailing commas are fine (lib/jsonc.js), and they survive the write.
+function parseJsonConfig(text) {
+  if (!text || !text.trim()) return {}
+  let reason = 'not an object'
+  try {
+    const parsed = parseJsonc(text)
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed
+  } catch (err) {
+    reason = err.message
+  }
+  throw new Error(`existing file is not a JSON object (${reason}) — fix or move it, then try again`)
+}
+
+// 📖 Patch the existing JSON text in place so comments and formatting survive
+function writeJsonConfig(current, config) {
+  return current.trim() ? updateJsonc(current, config) : JSON.stringify(config, null, 2) + '\n'
+}
+
+// 📖 JSON string syntax is valid double-quoted YAML and basic TOML for the values we write
+const quote = (value) => JSON.stringify(String(value))
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * 📖 setYamlKeys: Replace `key: …` lines at column 0, append the keys that are missing.
+ * 📖 Only flat scalar keys are supported — that's all Aider and Goose need.
+ *
+ * @param {string} text — current file content ('' when missing)
+ * @param {Record<string, string>} entries
+ * @returns {string}
+ */
+export function setYamlKeys(text, entries) {
+  const lines = (text ?? '').split('\n')
+  if (lines.at(-1) === '') lines.pop()
+  for (const [key, value] of Object.entries(entries)) {
+    const re = new RegExp(`^${escapeRe(key)}\\s*:`)
+    const line = `${key}: ${quote(value)}`
+    const idx = lines.findIndex(l => re.test(l))
+    if (idx === -1) lines.push(line)
+    else lines[idx] = line
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 📖 setTomlKeys: Set root-table keys. They must come before the first [table] header,
+ *    otherwise TOML would read them as part of that table.
+ */
+export function setTomlKeys(text, entries) {
+  const lines = (text ?? '').split('\n')
+  if (lines.at(-1) === '') lines.pop()
+  let rootEnd = lines.findIndex(l => /^\s*\[/.test(l))
+  if (rootEnd === -1) rootEnd = lines.length
+  for (const [key, value] of Object.entries(entries)) {
+    const re = new RegExp(`^\\s*${escapeRe(key)}\\s*=`)
+    const line = `${key} = ${quote(value)}`
+    const idx = lines.slice(0, rootEnd).findIndex(l => re.test(l))
+    if (idx !== -1) {
+      lines[idx] = line
+      continue
+    }
+    // 📖 Insert after the last non-blank root line so the blank line before the first table stays
+    let at = rootEnd
+    while (at > 0 && lines[at - 1].trim() === '') at--
+    lines.splice(at, 0, line)
+    rootEnd++
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 📖 setTomlTable: Drop the existing [header] block (up to the next header) and append a fresh one.
+ */
+export function setTomlTable(text, header, entries) {
+  const lines = (text ?? '').split('\n')
+  if (lines.at(-1) === '') lines.pop()
+  const headerRe = new RegExp(`^\\s*\\[${escapeRe(header)}\\]\\s*(#.*)?$`)
+  const start = lines.findIndex(l => headerRe.test(l))
+  if (start !== -1) {
+    let end = start + 1
+    while (end < lines.length && !/^\s*\[/.test(lines[end])) end++
+    lines.splice(start, end - start)
+  }
+  while (lines.length > 0 && lines.at(-1).trim() === '') lines.pop()
+  if (lines.length > 0) lines.push('')
+  lines.push(`[${header}]`)
+  for (const [key, value] of Object.entries(entries)) lines.push(`${key} = ${quote(value)}`)
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * 📖 buildTargetConfig: Pure part of a write — new file text for a target.
+ *
+ * @param {string} name — registry key (see resolveTargetName)
+ * @param {string} current — existing file content, '' when the file doesn't exist
+ * @param {object} ctx — model context (see INTEGRATION_TARGETS)
+ * @returns {string}
+ */
+export function buildTargetConfig(name, current, ctx) {
+  const target = INTEGRATION_TARGETS[name]
+  if (!target) throw new Error(`unknown integration target "${name}"`)
+  if (UNSUPPORTED_TARGET_PROVIDERS.includes(ctx.providerKey)) {
+    throw new Error(`${ctx.providerKey} models don't speak the chat-completions API ${target.label} needs`)
+  }
+  return target.build(current ?? '', { ...ctx, baseUrl: ctx.baseUrl ?? targetBaseUrl(ctx.chatUrl) })
+}
+
+/**
+ * 📖 planTargetWrite: Everything writeTargetConfig would write, without writing it — the CLI
+ *    uses this to show a diff and ask before committing.
+ * 📖 Throws when the existing content can't be patched safely.
+ *
+ * @param {string} name — registry key
+ * @param {object} ctx — model context
+ * @param {{ home?: string, dataDir?: string }} options
+ * @returns {{ path: string, content: string, mode: number|undefined }}
+ */
+export function planTargetWrite(name, ctx, { home = homedir(), dataDir = DATA_DIR } = {}) {
+  const target = INTEGRATION_TARGETS[name]
+  if (!target) throw new Error(`unknown integration target "${name}"`)
+  const path = target.path(home, dataDir)
+  const content = buildTargetConfig(name, existsSync(path) ? readFileSync(path, 'utf8') : '', ctx)
+  // 📖 Files that may hold a literal key are kept private
+  const mode = ctx.apiKey && target.format === 'json' ? 0o600 : undefined
+  return { path, content, mode }
+}
+
+/**
+ * 📖 writeTargetConfig: Back up the target's file into the ring, then write the patched version.
+ * 📖 Throws (without touching the file) when the existing content can't be patched safely.
+ *
+ * @param {string} name — registry key
+ * @param {object} ctx — model context
+ * @param {{ home?: string, dataDir?: string, now?: number, backupDir?: string }} options
+ * @returns {{ path: string, backupPath: string|null }}
+ */
+export function writeTargetConfig(name, ctx, { home = homedir(), dataDir = DATA_DIR, now = Date.now(), backupDir = BACKUP_DIR } = {}) {
+  const { path, content, mode } = planTargetWrite(name, ctx, { home, dataDir })
+  const { backupPath } = commitConfigWrite({ target: name, path, content, mode, now, dir: backupDir })
+  return { path, backupPath }
+}
@@ -36,10 +36,31 @@
  *   → filterByTier(results, tierLetter) — Filter results by tier letter (S/A/B/C)
  *   → findBestModel(results) — Pick the best model by status → avg → stability → uptime priority
  *   → parseArgs(argv) — Parse CLI arguments into structured flags and values
+ *   → parseDuration(value) — Convert "15s" / "2m" / "500ms" into milliseconds
+ *   → buildResultSummary(result) — JSON-safe per-model summary for --json / --ndjson output
+ *   → splitSseEvents(buffer) — Split raw SSE text into complete data payloads + leftover
+ *   → computeThroughput(timings) — TTFT / tokens-per-second / total time from a streamed benchmark
+ *   → isFailoverStatus(status) — Whether the serve router retries an upstream status elsewhere
+ *   → rankRoutableModels(results) — Order live results for the serve router (best first)
+ *   → evaluateToolCallResponse(json) — Capability probe: do tool_calls parse as-is, after repair, or not at all?
+ *   → evaluateJsonModeResponse(json) — Capability probe: did response_format json_object yield a JSON object?
+ *   → evaluateStreamEvents(events) — Capability probe: did the stream carry OpenAI-style deltas?
+ *   → capabilityMultiplier(capabilities) — Smart Recommend factor for probed capabilities
+ *   → normalizeTaskType(key, def) — Validate a Smart Recommend task type, weights scaled to sum to 1
+ *   → explainModelScore(result, task, priority, budget) — Smart Recommend score with its per-signal breakdown
+ *   → resolveTaskTypes(custom) — Built-in TASK_TYPES plus config `customTaskTypes` → { taskTypes, errors }
+ *   → openCodeRolesOf(roles, modelKey) — The OpenCode roles (small/plan/build/review) a model holds
+ *   → toggleOpenCodeRole(roles, role, modelKey) — Give a role to a model, or take it back
+ *   → applyOpenCodeRoles(config, refs) — Write model / small_model / agent.<name>.model into opencode.json
  *
  * @exports getAvg, getVerdict, getUptime, getP95, getJitter, getStabilityScore
- * @exports sortResults, filterByTier, findBestModel, parseArgs
- * @exports scoreModelForTask, getTopRecommendations
+ * @exports sortResults, filterByTier, findBestModel, parseArgs, parseDuration, buildResultSummary
+ * @exports splitSseEvents, computeThroughput, BENCHMARK_PROMPT, BENCHMARK_MAX_TOKENS
+ * @exports isFailoverStatus, rankRoutableModels, ROUTABLE_VERDICTS, CLI_COMMANDS
+ * @exports scoreModelForTask, getTopRecommendations, parseCtxToK, explainModelScore, normalizeTaskType, resolveTaskTypes, TASK_WEIGHT_KEYS
+ * @exports PROBE_TOOL, PROBE_TOOL_PROMPT, PROBE_JSON_PROMPT, CAPABILITY_PENALTIES
+ * @exports evaluateToolCallResponse, evaluateJsonModeResponse, evaluateStreamEvents, capabilityMultiplier
+ * @exports OPENCODE_ROLES, OPENCODE_ROLE_TAGS, OPENCODE_REVIEW_AGENT, openCodeRolesOf, toggleOpenCodeRole, applyOpenCodeRoles
  * @exports TIER_ORDER, VERDICT_ORDER, TIER_LETTER_MAP, TASK_TYPES, PRIORITY_TYPES, CONTEXT_BUDGETS
  *
  * @see bin/free-coding-models.js — main CLI that imports these utils
@@ -92,7 +113,7 @@ export const getAvg = (r) => {
 // 📖 This is the "Status" column label shown in the TUI table.
 //
 // 📖 Decision priority (first match wins):
-//   1. HTTP 429 → "Overloaded" (rate limited by NVIDIA, not a latency issue)
+//   1. Rate limited (classified 429, or a raw 429 httpCode) → "Overloaded" (not a latency issue)
 //   2. Timeout/down BUT was previously up → "Unstable" (it worked before, now it doesn't)
 //   3. Timeout/down and never worked → "Not Active" (model might be offline)
 //   4. No successful pings yet → "Pending" (still waiting for first response)
@@ -114,7 +135,11 @@ export const getVerdict = (r) => {
   const avg = getAvg(r)
   const wasUpBefore = r.pings.length > 0 && r.pings.some(p => p.code === '200')
 
-  if (r.httpCode === '429') return 'Overloaded'
+  // 📖 r.error (lib/errors.js) is cleared once a model answers again — httpCode is sticky, so it's
+  // 📖 only the fallback for results that were never classified. A 429 "insufficient_quota" is
+  // 📖 a spent quota, not an overload, and falls through to Not Active / Unstable.
+  const rateLimited = r.error !== undefined ? r.error?.kind === 'rate_limit' : r.httpCode === '429'
+  if (rateLimited) return 'Overloaded'
   if ((r.status === 'timeout' || r.status === 'down') && wasUpBefore) return 'Unstable'
   if (r.status === 'timeout' || r.status === 'down') return 'Not Active'
   if (avg === Infinity) return 'Pending'
@@ -226,6 +251,8 @@ export const getStabilityScore = (r) => {
 //   - 'verdict'   (V key) — verdict order (Perfect → Pending)
 //   - 'uptime'    (U key) — uptime percentage
 //   - 'stability' (B key) — stability score (0–100, higher = more stable)
+//   - 'ttft'      (E key) — benchmark time-to-first-token (lower is better)
+//   - 'tps'       (G key) — benchmark generation speed in tokens/second
 //
 // 📖 sortDirection 'asc' = ascending (smallest first), 'desc' = descending (largest first)
 export const sortResults = (results, sortColumn, sortDirection) => {
@@ -310,6 +337,15 @@ export const sortResults = (results, sortColumn, sortDirection) => {
         // 📖 Models with no data (-1) sort to the bottom
         cmp = getStabilityScore(a) - getStabilityScore(b)
         break
+      case 'ttft':
+        // 📖 Benchmark time-to-first-token — lower is better, unmeasured models sort last
+        cmp = (a.bench?.ttft ?? Infinity) - (b.bench?.ttft ?? Infinity)
+        if (Number.isNaN(cmp)) cmp = 0
+        break
+      case 'tps':
+        // 📖 Benchmark tokens/second — higher is better, unmeasured models count as 0
+        cmp = (a.bench?.tps ?? 0) - (b.bench?.tps ?? 0)
+        break
     }
 
     // 📖 Flip comparison for descending order
@@ -368,17 +404,28 @@ export function findBestModel(results) {
 
 // ─── CLI Argument Parsing ────────────────────────────────────────────────────
 
+// 📖 Subcommands understood by parseArgs. Anything else in first position is treated as an API key.
+export const CLI_COMMANDS = ['serve', 'catalog', 'rollback', 'replay', 'recommend', 'secrets', 'doctor', 'profile']
+
 // 📖 parseArgs: Parse process.argv into a structured object of flags and values.
 // 📖 Expects the full argv array (including 'node' and 'script' at indices 0-1).
 // 📖 Slices from index 2 to get user-provided arguments only.
 //
 // 📖 Argument types:
 //   - API key: first positional arg that doesn't start with "--" (e.g., "nvapi-xxx")
-//   - Boolean flags: --best, --fiable, --opencode, --opencode-desktop, --openclaw, --no-telemetry (case-insensitive)
-//   - Value flag: --tier <letter> (the next non-flag arg is the tier value)
+//   - Boolean flags: --best, --fiable, --opencode, --opencode-desktop, --openclaw, --no-telemetry, --no-history,
+//     --no-discovery, --refresh, --json, --ndjson, --recommend, --benchmark, --probe, --proxy-log, --fix,
+//     --replace, --strip-keys (case-insensitive)
+//   - Value flags: --tier <letter>, --profile <name>, --rounds <n>, --duration <15s>, --port <n>, --target <name>,
+//     --model <provider/model>, --task <name>, --priority <p>, --context <c>,
+//     --apply <tool>, --store <vault|pass|gopass>, --name <profile>
+//     (the next non-flag arg is the value)
+//   - Subcommand: first arg when it is one of CLI_COMMANDS (e.g. "serve"); later positionals go to commandArgs
 //
 // 📖 Returns:
-//   { apiKey, bestMode, fiableMode, openCodeMode, openCodeDesktopMode, openClawMode, noTelemetry, tierFilter }
+//   { apiKey, bestMode, fiableMode, openCodeMode, openCodeDesktopMode, openClawMode, noTelemetry, noHistory, noDiscovery,
+//     refreshMode, tierFilter, profileName, recommendMode, benchmarkMode, probeMode, jsonMode, ndjsonMode, rounds, durationMs,
+//     command, commandArgs, port, target, model, proxyLog, taskType, priority, contextBudget, apply, store, fix, importName, replaceMode, stripKeys }
 //
 // 📖 Note: apiKey may be null here — the main CLI falls back to env vars and saved config.
 export function parseArgs(argv) {
@@ -386,27 +433,42 @@ export function parseArgs(argv) {
   let apiKey = null
   const flags = []
 
-  // 📖 Determine which arg indices are consumed by --tier and --profile so we skip them
-  const tierIdx = args.findIndex(a => a.toLowerCase() === '--tier')
-  const tierValueIdx = (tierIdx !== -1 && args[tierIdx + 1] && !args[tierIdx + 1].startsWith('--'))
-    ? tierIdx + 1
-    : -1
+  // 📖 Subcommand (e.g. `free-coding-models serve`) — only recognized as the very first arg
+  // 📖 so an API key that happens to look like a word is never misread as a command.
+  const command = args[0] && CLI_COMMANDS.includes(args[0].toLowerCase()) ? args[0].toLowerCase() : null
+  const commandArgs = []
 
-  const profileIdx = args.findIndex(a => a.toLowerCase() === '--profile')
-  const profileValueIdx = (profileIdx !== -1 && args[profileIdx + 1] && !args[profileIdx + 1].startsWith('--'))
-    ? profileIdx + 1
-    : -1
+  // 📖 Determine which arg index holds the value of a value flag (-1 when absent or followed by another flag)
+  const valueIndexOf = (flag) => {
+    const idx = args.findIndex(a => a.toLowerCase() === flag)
+    return (idx !== -1 && args[idx + 1] && !args[idx + 1].startsWith('--')) ? idx + 1 : -1
+  }
+  const tierValueIdx = valueIndexOf('--tier')
+  const profileValueIdx = valueIndexOf('--profile')
+  const roundsValueIdx = valueIndexOf('--rounds')
+  const durationValueIdx = valueIndexOf('--duration')
+  const portValueIdx = valueIndexOf('--port')
+  const targetValueIdx = valueIndexOf('--target')
+  const modelValueIdx = valueIndexOf('--model')
+  const taskValueIdx = valueIndexOf('--task')
+  const priorityValueIdx = valueIndexOf('--priority')
+  const contextValueIdx = valueIndexOf('--context')
+  const applyValueIdx = valueIndexOf('--apply')
+  const storeValueIdx = valueIndexOf('--store')
+  const nameValueIdx = valueIndexOf('--name')
 
   // 📖 Set of arg indices that are values for flags (not API keys)
-  const skipIndices = new Set()
-  if (tierValueIdx !== -1) skipIndices.add(tierValueIdx)
-  if (profileValueIdx !== -1) skipIndices.add(profileValueIdx)
+  const skipIndices = new Set([tierValueIdx, profileValueIdx, roundsValueIdx, durationValueIdx, portValueIdx, targetValueIdx, modelValueIdx, taskValueIdx, priorityValueIdx, contextValueIdx, applyValueIdx, storeValueIdx, nameValueIdx])
+  skipIndices.delete(-1)
 
   for (const [i, arg] of args.entries()) {
     if (arg.startsWith('--')) {
       flags.push(arg.toLowerCase())
     } else if (skipIndices.has(i)) {
-      // 📖 Skip — this is a value for --tier or --profile, not an API key
+      // 📖 Skip — this is a value for a value flag (--tier, --profile, ...), not an API key
+    } else if (command) {
+      // 📖 Positionals after a subcommand belong to it (the command name itself is index 0)
+      if (i > 0) commandArgs.push(arg)
     } else if (!apiKey) {
       apiKey = arg
     }
@@ -418,15 +480,208 @@ export function parseArgs(argv) {
   const openCodeDesktopMode = flags.includes('--opencode-desktop')
   const openClawMode = flags.includes('--openclaw')
   const noTelemetry = flags.includes('--no-telemetry')
+  // 📖 --no-history — don't record pings to disk or seed rows from the latency history
+  const noHistory = flags.includes('--no-history')
+  // 📖 --no-discovery — skip live /models catalog discovery (static sources.js list only)
+  const noDiscovery = flags.includes('--no-discovery')
+  // 📖 --refresh — ignore the discovery cache TTL and query every provider again
+  const refreshMode = flags.includes('--refresh')
 
   let tierFilter = tierValueIdx !== -1 ? args[tierValueIdx].toUpperCase() : null
 
   const profileName = profileValueIdx !== -1 ? args[profileValueIdx] : null
 
+  // 📖 --benchmark — stream a fixed coding prompt to every reachable model (TTFT + tokens/sec)
+  const benchmarkMode = flags.includes('--benchmark')
+
+  // 📖 --probe — check tool calling, JSON mode and streaming on every reachable model
+  const probeMode = flags.includes('--probe')
+
   // 📖 --recommend — launch directly into Smart Recommend mode (Q key equivalent)
   const recommendMode = flags.includes('--recommend')
 
-  return { apiKey, bestMode, fiableMode, openCodeMode, openCodeDesktopMode, openClawMode, noTelemetry, tierFilter, profileName, recommendMode }
+  // 📖 --task / --priority / --context — pre-answer the Smart Recommend questions (validated by the
+  // 📖 main CLI, since custom task types come from the config). Lowercased like the built-in keys.
+  const taskType = taskValueIdx !== -1 ? args[taskValueIdx].toLowerCase() : null
+  const priority = priorityValueIdx !== -1 ? args[priorityValueIdx].toLowerCase() : null
+  const contextBudget = contextValueIdx !== -1 ? args[contextValueIdx].toLowerCase() : null
+
+  // 📖 --apply <tool> — `recommend` writes its top pick into that tool's config (same names as --target)
+  const apply = applyValueIdx !== -1 ? args[applyValueIdx] : null
+
+  // 📖 --store <name> — secret store for `secrets migrate` / `secrets set` (validated by the main CLI)
+  const store = storeValueIdx !== -1 ? args[storeValueIdx].toLowerCase() : null
+
+  // 📖 --json / --ndjson — headless machine-readable output (no TUI, no alt screen)
+  // 📖 --ndjson wins if both are passed since it is the more granular of the two.
+  const ndjsonMode = flags.includes('--ndjson')
+  const jsonMode = flags.includes('--json') && !ndjsonMode
+
+  // 📖 --rounds <n> / --duration <15s> — how long the headless ping loop runs.
+  // 📖 Invalid values are kept as null so the main CLI can report them.
+  const roundsValue = roundsValueIdx !== -1 ? parseInt(args[roundsValueIdx], 10) : NaN
+  const rounds = Number.isInteger(roundsValue) && roundsValue > 0 ? roundsValue : null
+  const durationMs = durationValueIdx !== -1 ? parseDuration(args[durationValueIdx]) : null
+
+  // 📖 --port <n> — listen port for `serve` (null = use the default)
+  const portValue = portValueIdx !== -1 ? parseInt(args[portValueIdx], 10) : NaN
+  const port = Number.isInteger(portValue) && portValue > 0 && portValue < 65536 ? portValue : null
+
+  // 📖 --target <name> — integration target for Enter (validated by the main CLI against lib/targets.js)
+  const target = targetValueIdx !== -1 ? args[targetValueIdx] : null
+
+  // 📖 --model <provider/model> — model a `replay` is sent to (null = the logged one)
+  const model = modelValueIdx !== -1 ? args[modelValueIdx] : null
+
+  // 📖 --proxy-log — record the repair proxy's traffic to ~/.free-coding-models/proxy-log/
+  const proxyLog = flags.includes('--proxy-log')
+
+  // 📖 --fix — `doctor` applies pending config migrations and saves the result
+  const fix = flags.includes('--fix')
+
+  // 📖 --name <profile> / --replace / --strip-keys — `profile import` target name and mode,
+  // 📖 `profile export` without any key references
+  const importName = nameValueIdx !== -1 ? args[nameValueIdx] : null
+  const replaceMode = flags.includes('--replace')
+  const stripKeys = flags.includes('--strip-keys')
+
+  return { apiKey, bestMode, fiableMode, openCodeMode, openCodeDesktopMode, openClawMode, noTelemetry, noHistory, noDiscovery, refreshMode, tierFilter, profileName, recommendMode, benchmarkMode, probeMode, jsonMode, ndjsonMode, rounds, durationMs, command, commandArgs, port, target, model, proxyLog, taskType, priority, contextBudget, apply, store, fix, importName, replaceMode, stripKeys }
+}
+
+// 📖 parseDuration: Convert a human duration ("15s", "2m", "500ms", "1h") into milliseconds.
+// 📖 A bare number is read as seconds because that's what people type in shell scripts.
+// 📖 Returns null for anything unparseable or non-positive.
+//
+// 📖 Example: parseDuration('15s') → 15000, parseDuration('1.5m') → 90000
+export function parseDuration(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/)
+  if (!match) return null
+  const amount = parseFloat(match[1])
+  const unitMs = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 }[match[2] || 's']
+  const ms = Math.round(amount * unitMs)
+  return ms > 0 ? ms : null
+}
+
+// ─── Headless Output (--json / --ndjson) ─────────────────────────────────────
+
+// 📖 buildResultSummary: Flatten a live result object into a JSON-safe summary.
+// 📖 This is the record emitted by --json / --ndjson, so scripts get the same numbers the TUI shows.
+// 📖 Infinity / -1 sentinels ("no data yet") become null because JSON can't encode Infinity
+//    and a bare -1 would be easy to misread as a real score.
+export function buildResultSummary(r) {
+  const avg = getAvg(r)
+  const p95 = getP95(r)
+  const stability = getStabilityScore(r)
+  const lastPing = r.pings.length > 0 ? r.pings[r.pings.length - 1] : null
+  return {
+    modelId: r.modelId,
+    label: r.label,
+    providerKey: r.providerKey,
+    tier: r.tier,
+    sweScore: r.sweScore,
+    ctx: r.ctx,
+    status: r.status,
+    avg: avg === Infinity ? null : avg,
+    p95: p95 === Infinity ? null : p95,
+    jitter: getJitter(r),
+    uptime: getUptime(r),
+    verdict: getVerdict(r),
+    stability: stability === -1 ? null : stability,
+    pings: r.pings.length,
+    lastCode: lastPing ? lastPing.code : null,
+    ttft: r.bench?.ttft ?? null,
+    tps: r.bench?.tps ?? null,
+    genMs: r.bench?.totalMs ?? null,
+    catalog: r.catalogStatus ?? null,
+    quotaRemaining: r.rateLimit?.remaining ?? null,
+    quotaLimit: r.rateLimit?.limit ?? null,
+    error: r.error ?? null,
+    capabilities: r.capabilities?.status === 'done'
+      ? { tools: r.capabilities.tools, json: r.capabilities.json, stream: r.capabilities.stream }
+      : null,
+  }
+}
+
+// ─── Throughput benchmark ─────────────────────────────────────────────────────
+
+// 📖 Fixed coding prompt streamed by the benchmark — same for every model so tokens/sec is comparable.
+// 📖 It asks for plain code (no essay) so reasoning-heavy models don't dominate the token budget.
+export const BENCHMARK_PROMPT = 'Write a JavaScript function `mergeIntervals(intervals)` that merges overlapping [start, end] intervals and returns them sorted by start. Include JSDoc and handle empty input. Reply with the code only.'
+
+// 📖 Token budget per benchmark run — long enough for a stable tokens/sec, short enough to spare free quotas
+export const BENCHMARK_MAX_TOKENS = 256
+
+// 📖 splitSseEvents: Split a raw SSE text buffer into complete `data:` payloads.
+// 📖 Returns { events, rest } — rest is the trailing partial event to prepend to the next chunk.
+// 📖 Non-data fields (event:, id:, comments) are ignored; multi-line data is joined with \n.
+export function splitSseEvents(buffer) {
+  const normalized = buffer.replace(/\r\n/g, '\n')
+  const blocks = normalized.split('\n\n')
+  const rest = blocks.pop()
+  const events = []
+  for (const block of blocks) {
+    const data = block.split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+    if (data.length > 0) events.push(data.join('\n'))
+  }
+  return { events, rest }
+}
+
+// 📖 computeThroughput: Turn raw stream timings into benchmark metrics.
+// 📖 Tokens come from the provider's usage block when present, otherwise they're estimated
+//    at ~4 characters per token (the usual rule of thumb for English + code).
+// 📖 tokens/sec is measured over the generation window (first token → last token) so that
+//    queueing / prompt processing time shows up in TTFT instead of dragging tps down.
+//
+// 📖 Returns { ttft, tps, totalMs, tokens, estimated } — tps is null when nothing was generated.
+export function computeThroughput({ ttftMs, totalMs, completionTokens = null, chars = 0 }) {
+  const estimated = !(Number.isFinite(completionTokens) && completionTokens > 0)
+  const tokens = estimated ? Math.round(chars / 4) : completionTokens
+  const ttft = Number.isFinite(ttftMs) ? Math.round(ttftMs) : null
+  const genMs = ttft !== null ? totalMs - ttft : totalMs
+  let tps = null
+  if (tokens > 0) {
+    // 📖 A single-chunk response has no generation window — fall back to total time
+    const windowMs = genMs > 0 ? genMs : totalMs
+    tps = windowMs > 0 ? Math.round((tokens / windowMs) * 1000 * 10) / 10 : null
+  }
+  return { ttft, tps, totalMs: Math.round(totalMs), tokens, estimated }
+}
+
+// ─── Router (free-coding-models serve) ────────────────────────────────────────
+
+// 📖 Verdicts the router is willing to send real traffic to.
+// 📖 Overloaded / Unstable / Not Active / Very Slow are only used as a last resort.
+export const ROUTABLE_VERDICTS = ['Perfect', 'Normal', 'Slow', 'Spiky']
+
+// 📖 isFailoverStatus: Should the router retry this upstream status on another model?
+// 📖 429 = throttled, 5xx = provider outage. Other 4xx are the client's problem and are passed through.
+export function isFailoverStatus(status) {
+  const code = Number(status)
+  return code === 429 || (code >= 500 && code <= 599)
+}
+
+// 📖 rankRoutableModels: Order results for the router, best candidate first.
+// 📖 Only models that are currently 'up' are returned.
+//
+// 📖 Ranking (first difference wins):
+//   1. Routable verdict (ROUTABLE_VERDICTS) beats everything else
+//   2. Better tier wins — we want the strongest coder that is currently healthy
+//   3. Higher stability score wins
+//   4. Lower average latency wins
+export function rankRoutableModels(results) {
+  return results
+    .filter(r => r.status === 'up')
+    .map(r => ({ r, routable: ROUTABLE_VERDICTS.includes(getVerdict(r)), tier: TIER_ORDER.indexOf(r.tier), stability: getStabilityScore(r), avg: getAvg(r) }))
+    .sort((a, b) => {
+      if (a.routable !== b.routable) return a.routable ? -1 : 1
+      if (a.tier !== b.tier) return a.tier - b.tier
+      if (a.stability !== b.stability) return b.stability - a.stability
+      return a.avg - b.avg
+    })
+    .map(({ r }) => r)
 }
 
 // ─── Smart Recommend — Scoring Engine ─────────────────────────────────────────
@@ -458,9 +713,75 @@ export const CONTEXT_BUDGETS = {
   large:  { label: 'Large codebase (>32K)', minCtx: 128,   idealCtx: 256 },
 }
 
+// 📖 The four weights a task type is made of — config-defined task types use the same names.
+export const TASK_WEIGHT_KEYS = ['sweWeight', 'speedWeight', 'ctxWeight', 'stabilityWeight']
+
+const TASK_KEY_RE = /^[a-z0-9][a-z0-9_-]*$/
+
+/**
+ * 📖 normalizeTaskType: Validate one task type definition (built-in or from the config).
+ *
+ * 📖 Missing weights count as 0 and the rest are scaled to sum to 1, so `{ "sweWeight": 3,
+ *    "ctxWeight": 1 }` means the same as `{ "sweWeight": 0.75, "ctxWeight": 0.25 }`.
+ * 📖 The label defaults to the key ("agentic-long" → "Agentic Long").
+ *
+ * @param {string} key — task type name (used for the default label and error messages)
+ * @param {*} def — { label?, sweWeight?, speedWeight?, ctxWeight?, stabilityWeight? }
+ * @returns {{ task: object|null, error: string|null }}
+ */
+export function normalizeTaskType(key, def) {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return { task: null, error: `"${key}" must be an object with weights` }
+  const weights = {}
+  for (const name of TASK_WEIGHT_KEYS) {
+    const value = def[name] ?? 0
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { task: null, error: `"${key}".${name} must be a number ≥ 0` }
+    }
+    weights[name] = value
+  }
+  const total = TASK_WEIGHT_KEYS.reduce((sum, name) => sum + weights[name], 0)
+  if (total <= 0) return { task: null, error: `"${key}" needs at least one weight above 0` }
+  for (const name of TASK_WEIGHT_KEYS) weights[name] = weights[name] / total
+  const label = typeof def.label === 'string' && def.label.trim() ? def.label.trim() : labelFromId(key)
+  return { task: { label, ...weights }, error: null }
+}
+
+/**
+ * 📖 resolveTaskTypes: Built-in TASK_TYPES plus the config's `customTaskTypes`.
+ *
+ * 📖 A custom entry with a built-in name replaces it (retune "refactor" without renaming it).
+ * 📖 Invalid entries are skipped and reported, never fatal — same as custom providers.
+ *
+ * @param {object} [custom] — config.customTaskTypes
+ * @returns {{ taskTypes: Record<string, object>, errors: string[] }}
+ */
+export function resolveTaskTypes(custom) {
+  const taskTypes = { ...TASK_TYPES }
+  const errors = []
+  if (custom === undefined || custom === null) return { taskTypes, errors }
+  if (typeof custom !== 'object' || Array.isArray(custom)) return { taskTypes, errors: ['customTaskTypes must be an object'] }
+  for (const [rawKey, def] of Object.entries(custom)) {
+    const key = rawKey.toLowerCase()
+    if (!TASK_KEY_RE.test(key)) {
+      errors.push(`"${rawKey}" is not a valid task type name (letters, digits, - and _)`)
+      continue
+    }
+    const { task, error } = normalizeTaskType(key, def)
+    if (error) errors.push(error)
+    else taskTypes[key] = task
+  }
+  return { taskTypes, errors }
+}
+
+// 📖 Look a recommend parameter up by key, or take a definition object as is
+function recommendDefinition(value, table) {
+  if (typeof value === 'string') return Object.hasOwn(table, value) ? table[value] : null
+  return value && typeof value === 'object' ? value : null
+}
+
 // 📖 parseCtxToK: Convert context window string ("128k", "1m", "200k") into numeric K tokens.
 // 📖 Used by the scoring engine to compare against CONTEXT_BUDGETS thresholds.
-function parseCtxToK(ctx) {
+export function parseCtxToK(ctx) {
   if (!ctx || ctx === '—') return 0
   const str = ctx.toLowerCase()
   if (str.includes('m')) return parseFloat(str.replace('m', '')) * 1000
@@ -508,17 +829,40 @@ function parseSweToNum(sweScore) {
  * 📖 Models that are down/timeout get a harsh penalty but aren't completely excluded
  *    (they might come back up during the analysis phase).
  *
+ * 📖 Each parameter is either a built-in key or a definition object of the same shape — a task
+ *    type from resolveTaskTypes() (config `customTaskTypes`) is passed straight in.
+ *
  * @param {object} result — A model result object (from state.results)
- * @param {string} taskType — Key from TASK_TYPES ('quickfix'|'refactor'|'review'|'testgen')
- * @param {string} priority — Key from PRIORITY_TYPES ('speed'|'quality'|'balanced')
- * @param {string} contextBudget — Key from CONTEXT_BUDGETS ('small'|'medium'|'large')
+ * @param {string|object} taskType — Key from TASK_TYPES ('quickfix'|'refactor'|'review'|'testgen') or a task definition
+ * @param {string|object} priority — Key from PRIORITY_TYPES ('speed'|'quality'|'balanced') or a priority definition
+ * @param {string|object} contextBudget — Key from CONTEXT_BUDGETS ('small'|'medium'|'large') or a budget definition
  * @returns {number} Score between 0 and 100 (higher = better recommendation)
  */
 export function scoreModelForTask(result, taskType, priority, contextBudget) {
-  const task = TASK_TYPES[taskType]
-  const prio = PRIORITY_TYPES[priority]
-  const budget = CONTEXT_BUDGETS[contextBudget]
-  if (!task || !prio || !budget) return 0
+  return explainModelScore(result, taskType, priority, contextBudget)?.score ?? 0
+}
+
+/**
+ * 📖 explainModelScore: The scoreModelForTask computation, with every step kept.
+ *
+ * 📖 `signals` are the four 0–100 inputs, `weights` their effective share after the priority
+ *    multipliers (they sum to 1), so signals.x × weights.x is the points each one contributes.
+ *    `statusFactor` (down/timeout) and `capabilityFactor` (probe results) are applied last.
+ *
+ * @param {object} result — A model result object (from state.results)
+ * @param {string|object} taskType — Same as scoreModelForTask
+ * @param {string|object} priority — Same as scoreModelForTask
+ * @param {string|object} contextBudget — Same as scoreModelForTask
+ * @returns {{ score: number, signals: { swe: number, speed: number, ctx: number, stability: number },
+ *             weights: { swe: number, speed: number, ctx: number, stability: number },
+ *             statusFactor: number, capabilityFactor: number }|null} null for an unknown task/priority/budget
+ */
+export function explainModelScore(result, taskType, priority, contextBudget) {
+  const taskDef = recommendDefinition(taskType, TASK_TYPES)
+  const task = taskDef && normalizeTaskType('task', taskDef).task
+  const prio = recommendDefinition(priority, PRIORITY_TYPES)
+  const budget = recommendDefinition(contextBudget, CONTEXT_BUDGETS)
+  if (!task || !prio || !budget) return null
 
   // 📖 SWE quality signal (0–100) — raw SWE-bench score
   const sweNum = parseSweToNum(result.sweScore)
@@ -553,47 +897,55 @@ export function scoreModelForTask(result, taskType, priority, contextBudget) {
   const stability = getStabilityScore(result)
   const stabScore = stability === -1 ? 0 : stability
 
-  // 📖 Weighted combination: task weights × priority multipliers
-  const rawScore =
-    (sweScore   * task.sweWeight       * prio.sweMultiplier) +
-    (speedScore * task.speedWeight     * prio.speedMultiplier) +
-    (ctxScore   * task.ctxWeight) +
-    (stabScore  * task.stabilityWeight)
+  // 📖 Effective weights: task weights × priority multipliers
+  const raw = {
+    swe: task.sweWeight * prio.sweMultiplier,
+    speed: task.speedWeight * prio.speedMultiplier,
+    ctx: task.ctxWeight,
+    stability: task.stabilityWeight,
+  }
 
   // 📖 Normalize by total effective weight to keep result in 0–100 range
-  const totalWeight =
-    (task.sweWeight   * prio.sweMultiplier) +
-    (task.speedWeight * prio.speedMultiplier) +
-    task.ctxWeight +
-    task.stabilityWeight
+  const totalWeight = raw.swe + raw.speed + raw.ctx + raw.stability
+  const weights = {}
+  for (const [name, w] of Object.entries(raw)) weights[name] = totalWeight > 0 ? w / totalWeight : 0
+  const signals = { swe: sweScore, speed: speedScore, ctx: ctxScore, stability: stabScore }
 
-  let score = totalWeight > 0 ? rawScore / totalWeight : 0
+  let score = Object.keys(signals).reduce((sum, name) => sum + signals[name] * weights[name], 0)
 
   // 📖 Penalty for models that are currently down/timeout — still scoreable but penalized
-  if (result.status === 'down' || result.status === 'timeout') {
-    score *= 0.2
-  }
+  const statusFactor = result.status === 'down' || result.status === 'timeout' ? 0.2 : 1
+  score *= statusFactor
 
-  return Math.round(Math.min(100, Math.max(0, score)))
+  // 📖 Agents need working tool calls — probed models with broken tools / no JSON mode / no streaming
+  // 📖 rank lower. Unprobed models are left alone (factor 1).
+  const capabilityFactor = capabilityMultiplier(result.capabilities)
+  score *= capabilityFactor
+
+  return { score: Math.round(Math.min(100, Math.max(0, score))), signals, weights, statusFactor, capabilityFactor }
 }
 
 /**
  * 📖 getTopRecommendations: Score all models and return the top N recommendations.
  *
  * 📖 Filters out hidden models, scores each one, sorts descending, returns topN.
- * 📖 Each returned item includes the original result + computed score for display.
+ * 📖 Each returned item includes the original result + computed score for display, and the
+ *    explainModelScore() breakdown behind it (null when the task/priority/budget is unknown).
  *
  * @param {Array} results — Full state.results array
- * @param {string} taskType — Key from TASK_TYPES
- * @param {string} priority — Key from PRIORITY_TYPES
- * @param {string} contextBudget — Key from CONTEXT_BUDGETS
+ * @param {string|object} taskType — Key from TASK_TYPES or a task definition
+ * @param {string|object} priority — Key from PRIORITY_TYPES or a priority definition
+ * @param {string|object} contextBudget — Key from CONTEXT_BUDGETS or a budget definition
  * @param {number} [topN=3] — How many recommendations to return
- * @returns {Array<{result: object, score: number}>} Top N scored models, descending by score
+ * @returns {Array<{result: object, score: number, breakdown: object|null}>} Top N scored models, descending by score
  */
 export function getTopRecommendations(results, taskType, priority, contextBudget, topN = 3) {
   const scored = results
     .filter(r => !r.hidden)
-    .map(r => ({ result: r, score: scoreModelForTask(r, taskType, priority, contextBudget) }))
+    .map(r => {
+      const breakdown = explainModelScore(r, taskType, priority, contextBudget)
+      return { result: r, score: breakdown?.score ?? 0, breakdown }
+    })
     .sort((a, b) => b.score - a.score)
 
   return scored.slice(0, topN)
@@ -696,3 +1048,160 @@ export function repairToolCallArgs(data) {
   }
   return data
 }
+
+// ─── Capability probe ───────────────────────────────────────────────────────
+// 📖 A fast "hi" doesn't mean a model can drive an agent. The probe (--probe / Shift+C in the TUI)
+// 📖 sends three tiny requests per model — a function call, a JSON-mode answer and a streamed
+// 📖 answer — and these pure functions judge the responses. Results live on r.capabilities:
+// 📖   { status: 'done', tools: 'ok'|'repaired'|'broken'|'none'|null, json: bool|null, stream: bool|null }
+// 📖 null = couldn't tell (timeout, 429, network error).
+
+// 📖 Tool offered to the model — coding-flavored so the model has an obvious reason to call it
+export const PROBE_TOOL = {
+  type: 'function',
+  function: {
+    name: 'read_file',
+    description: 'Read a file from the project and return its contents.',
+    parameters: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Path relative to the project root' } },
+      required: ['path'],
+    },
+  },
+}
+
+export const PROBE_TOOL_PROMPT = 'Open the file src/index.js with the read_file tool.'
+export const PROBE_JSON_PROMPT = 'Reply with a JSON object containing the key "ok" set to true.'
+
+// 📖 Smart Recommend factors per capability result — multiplied into the task score
+export const CAPABILITY_PENALTIES = {
+  tools: { ok: 1, repaired: 0.9, broken: 0.6, none: 0.6 },
+  noJson: 0.95,
+  noStream: 0.9,
+}
+
+// 📖 parsesToObject: Does this tool-call arguments string parse into a JSON object?
+function parsesToObject(text) {
+  if (typeof text !== 'string') return false
+  try {
+    const parsed = JSON.parse(text)
+    return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed)
+  } catch {
+    return false
+  }
+}
+
+// 📖 evaluateToolCallResponse: Judge a non-streamed answer to the PROBE_TOOL request.
+//   - 'ok'       → every tool_call's arguments parse as a JSON object as sent
+//   - 'repaired' → they only parse after repairToolCallArgs (the repair proxy applies the same repair)
+//   - 'broken'   → still unparseable after repair
+//   - 'none'     → no tool_calls at all (the model answered in text or ignored the tool)
+export function evaluateToolCallResponse(json) {
+  const toolCalls = json?.choices?.[0]?.message?.tool_calls
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) return 'none'
+  if (toolCalls.every(tc => parsesToObject(tc?.function?.arguments))) return 'ok'
+  const repaired = repairToolCallArgs(structuredClone(json))
+  const repairedCalls = repaired.choices[0].message.tool_calls
+  return repairedCalls.every(tc => parsesToObject(tc?.function?.arguments)) ? 'repaired' : 'broken'
+}
+
+// 📖 evaluateJsonModeResponse: With response_format json_object, the content must itself be a JSON object
+export function evaluateJsonModeResponse(json) {
+  const content = json?.choices?.[0]?.message?.content
+  return parsesToObject(typeof content === 'string' ? content.trim() : content)
+}
+
+// 📖 evaluateStreamEvents: Streaming works when at least one SSE payload is an OpenAI-style chunk
+export function evaluateStreamEvents(events) {
+  return events.some(data => {
+    if (data === '[DONE]') return false
+    try {
+      const chunk = JSON.parse(data)
+      return Array.isArray(chunk?.choices) && chunk.choices.some(c => c && typeof c.delta === 'object')
+    } catch {
+      return false
+    }
+  })
+}
+
+// 📖 capabilityMultiplier: 1 for unprobed models, otherwise the product of CAPABILITY_PENALTIES that apply
+export function capabilityMultiplier(capabilities) {
+  if (!capabilities || capabilities.status !== 'done') return 1
+  let factor = CAPABILITY_PENALTIES.tools[capabilities.tools] ?? 1
+  if (capabilities.json === false) factor *= CAPABILITY_PENALTIES.noJson
+  if (capabilities.stream === false) factor *= CAPABILITY_PENALTIES.noStream
+  return factor
+}
+
+// ─── OpenCode multi-model assignment ────────────────────────────────────────
+// 📖 OpenCode reads more than `model` from opencode.json:
+//      model          → the main loop
+//      small_model    → titles, summaries and other cheap background calls
+//      agent.<name>.model → per-agent override (plan, build, and our "review" subagent)
+// 📖 The main model is always the row launched with Enter. The TUI keeps the extra roles in a
+//    { role: "providerKey/modelId" } map (config.openCodeRoles) and writes them all when OpenCode
+//    is launched. A role belongs to at most one model; a model can hold several roles (the
+//    strong main model doing plan and build too is a common setup).
+
+export const OPENCODE_ROLES = ['small', 'plan', 'build', 'review']
+
+// 📖 Short tags shown next to the model name in the TUI (≤ 6 chars)
+export const OPENCODE_ROLE_TAGS = {
+  small: 'small',
+  plan: 'plan',
+  build: 'build',
+  review: 'review',
+}
+
+// 📖 "review" is not a built-in OpenCode agent — created as a subagent the first time it is assigned
+export const OPENCODE_REVIEW_AGENT = {
+  description: 'Reviews code changes for bugs, regressions and missing tests',
+  mode: 'subagent',
+}
+
+// 📖 openCodeRolesOf: The roles a model ("providerKey/modelId") holds, in OPENCODE_ROLES order
+export function openCodeRolesOf(roles, modelKey) {
+  if (!roles) return []
+  return OPENCODE_ROLES.filter(role => roles[role] === modelKey)
+}
+
+/**
+ * 📖 toggleOpenCodeRole: Give a role to a model, or take it back if the model already has it.
+ * 📖 Giving a role another model holds moves it — each role has one owner. The model's other
+ *    roles are kept. Unknown roles (e.g. the old "primary") are dropped.
+ *
+ * @param {Record<string, string>} roles — current assignments (not mutated)
+ * @param {string} role — one of OPENCODE_ROLES
+ * @param {string} modelKey — "providerKey/modelId"
+ * @returns {Record<string, string>} new assignments
+ */
+export function toggleOpenCodeRole(roles, role, modelKey) {
+  const updated = {}
+  for (const r of OPENCODE_ROLES) {
+    if (roles?.[r]) updated[r] = roles[r]
+  }
+  if (!OPENCODE_ROLES.includes(role)) return updated
+  if (updated[role] === modelKey) delete updated[role]
+  else updated[role] = modelKey
+  return updated
+}
+
+/**
+ * 📖 applyOpenCodeRoles: Write OpenCode model refs ("provider/model") into an opencode.json object.
+ * 📖 Only the roles present in refs are touched; other agent settings are kept.
+ *
+ * @param {object} config — parsed opencode.json (mutated and returned)
+ * @param {Partial<Record<'primary'|'small'|'plan'|'build'|'review', string>>} refs
+ * @returns {object}
+ */
+export function applyOpenCodeRoles(config, refs) {
+  if (refs.primary) config.model = refs.primary
+  if (refs.small) config.small_model = refs.small
+  for (const agent of ['plan', 'build', 'review']) {
+    if (!refs[agent]) continue
+    if (!config.agent || typeof config.agent !== 'object') config.agent = {}
+    const existing = config.agent[agent] ?? (agent === 'review' ? { ...OPENCODE_REVIEW_AGENT } : {})
+    config.agent[agent] = { ...existing, model: refs[agent] }
+  }
+  return config
+}
@@ -1,111 +1,96 @@
 #!/usr/bin/env node
 /**
  * @file patch-openclaw-models.js
- * @description Helper function to patch OpenClaw's models.json with all NVIDIA models
+ * @description Helper function to patch OpenClaw's models.json with a provider's full catalog
  *
  * This is imported by bin/free-coding-models.js and called automatically
- * when setting a model in OpenClaw mode.
+ * when setting a model in OpenClaw mode — for whichever provider the model
+ * comes from (NVIDIA NIM, Groq, Cerebras, OpenRouter, ZAI, custom providers…).
+ * The write goes through lib/config-writes.js, so the previous file is kept in
+ * the 'openclaw-models' backup ring (`free-coding-models rollback --target openclaw-models`).
+ * planOpenClawModelsJson() computes the new content without writing, so the CLI can
+ * preview it together with openclaw.json and write both or neither.
  */
 
-import { readFileSync, writeFileSync, existsSync, copyFileSync } from 'fs'
+import { readFileSync, existsSync } from 'fs'
 import { homedir } from 'os'
 import { join } from 'path'
-import { nvidiaNim } from './sources.js'
+import { sources } from './sources.js'
+import { commitConfigWrite } from './lib/config-writes.js'
+import { parseJsonc, updateJsonc } from './lib/jsonc.js'
+import { getProviderEnvVar } from './lib/config.js'
+import { openClawProviderBlock, addOpenClawCatalog } from './lib/openclaw.js'
+import { targetBaseUrl } from './lib/targets.js'
 
-const MODELS_JSON = join(homedir(), '.openclaw', 'agents', 'main', 'agent', 'models.json')
+export const MODELS_JSON = join(homedir(), '.openclaw', 'agents', 'main', 'agent', 'models.json')
 
 /**
- * Patch models.json to add all NVIDIA models from sources.js
- * @returns {Object} { added: number, total: number, wasPatched: boolean }
+ * Compute the models.json that adds every model of one provider from sources.js — nothing is written
+ * @param {Object} [options] - same as patchOpenClawModelsJson
+ * @returns {Object} { added: number, total: number, path: string, content: string|null, error?: string } — content is null when nothing changes
  */
-export function patchOpenClawModelsJson() {
+export function planOpenClawModelsJson({ providerKey = 'nvidia', baseUrl, envVar, path = MODELS_JSON } = {}) {
+  const src = sources[providerKey]
+  if (!src) {
+    return { added: 0, total: 0, path, content: null, error: `unknown provider ${providerKey}` }
+  }
+
   // Read existing config
   let modelsConfig
-  if (!existsSync(MODELS_JSON)) {
-    return { added: 0, total: 0, wasPatched: false, error: 'models.json not found' }
+  if (!existsSync(path)) {
+    return { added: 0, total: 0, path, content: null, error: 'models.json not found' }
   }
 
+  // JSON5 like the rest of OpenClaw's config — a file that doesn't parse is never rewritten
+  const original = readFileSync(path, 'utf8')
   try {
-    modelsConfig = JSON.parse(readFileSync(MODELS_JSON, 'utf8'))
+    modelsConfig = parseJsonc(original)
   } catch (err) {
-    return { added: 0, total: 0, wasPatched: false, error: err.message }
+    return { added: 0, total: 0, path, content: null, error: err.message }
   }
 
-  // Ensure nvidia provider exists
+  // Ensure the provider exists
   if (!modelsConfig.providers) modelsConfig.providers = {}
-  if (!modelsConfig.providers.nvidia) {
-    modelsConfig.providers.nvidia = {
-      baseUrl: 'https://integrate.api.nvidia.com/v1',
-      api: 'openai-completions',
-      models: []
-    }
+  if (!modelsConfig.providers[providerKey]) {
+    modelsConfig.providers[providerKey] = openClawProviderBlock(providerKey, {
+      baseUrl: baseUrl ?? targetBaseUrl(src.url),
+      envVar: envVar ?? getProviderEnvVar(providerKey),
+    })
   }
+  const block = modelsConfig.providers[providerKey]
 
-  // Get existing model IDs
-  const existingModelIds = new Set(modelsConfig.providers.nvidia.models.map(m => m.id))
-
-  // Helper to get model config by tier
-  function getModelConfig(tier) {
-    if (tier === 'S+' || tier === 'S') {
-      return { contextWindow: 128000, maxTokens: 8192 }
-    }
-    if (tier === 'A+') {
-      return { contextWindow: 131072, maxTokens: 4096 }
-    }
-    if (tier === 'A' || tier === 'A-') {
-      return { contextWindow: 131072, maxTokens: 4096 }
-    }
-    return { contextWindow: 32768, maxTokens: 2048 }
+  // Add all models of the provider (already listed ones are kept as they are)
+  const addedCount = addOpenClawCatalog(block, providerKey, src.models)
+  return {
+    added: addedCount,
+    total: block.models.length,
+    path,
+    content: addedCount > 0 ? updateJsonc(original, modelsConfig) : null,
   }
+}
 
-  // Add all models from sources.js
-  let addedCount = 0
-  for (const [modelId, label, tier] of nvidiaNim) {
-    if (existingModelIds.has(modelId)) {
-      continue // Skip already existing models
-    }
-
-    const config = getModelConfig(tier)
-    const isThinking = modelId.includes('thinking')
-
-    modelsConfig.providers.nvidia.models.push({
-      id: modelId,
-      name: label,
-      contextWindow: config.contextWindow,
-      maxTokens: config.maxTokens,
-      reasoning: isThinking,
-      input: ['text'],
-      cost: {
-        input: 0,
-        output: 0,
-        cacheRead: 0,
-        cacheWrite: 0
-      }
-    })
-
-    addedCount++
-  }
+/**
+ * Patch models.json to add every model of one provider from sources.js
+ * @param {Object} [options]
+ * @param {string} [options.providerKey='nvidia'] - key in sources.js
+ * @param {string} [options.baseUrl] - OpenAI base URL (defaults to the provider URL without /chat/completions)
+ * @param {string} [options.envVar] - env var referenced by a newly created provider block
+ * @param {string} [options.path=MODELS_JSON] - models.json location
+ * @returns {Object} { added: number, total: number, wasPatched: boolean, backup?: string, error?: string }
+ */
+export function patchOpenClawModelsJson(options = {}) {
+  const plan = planOpenClawModelsJson(options)
+  if (plan.error) return { added: 0, total: 0, wasPatched: false, error: plan.error }
 
   // Only write if we added something
-  if (addedCount > 0) {
-    // Backup
-    const backupPath = `${MODELS_JSON}.backup-${Date.now()}`
-    copyFileSync(MODELS_JSON, backupPath)
-
-    // Write updated config
-    writeFileSync(MODELS_JSON, JSON.stringify(modelsConfig, null, 2))
-
-    return {
-      added: addedCount,
-      total: modelsConfig.providers.nvidia.models.length,
-      wasPatched: true,
-      backup: backupPath
-    }
-  }
+  if (plan.content === null) return { added: 0, total: plan.total, wasPatched: false }
 
+  // Backup + write updated config
+  const { backupPath } = commitConfigWrite({ target: 'openclaw-models', path: plan.path, content: plan.content })
   return {
-    added: 0,
-    total: modelsConfig.providers.nvidia.models.length,
-    wasPatched: false
+    added: plan.added,
+    total: plan.total,
+    wasPatched: true,
+    backup: backupPath
   }
 }
